@@ -50,6 +50,12 @@ async function initializeApp() {
         // Data Store (must be first)
         window.dataStore = new DataStore();
 
+        // Simulation Clock (drives heartbeat/NRF timers, before any manager schedules them)
+        window.simClock = new SimulationClock();
+
+        // Simulation Random (seeded PRNG, before any manager draws a random number)
+        window.simRandom = new SimulationRandom();
+
         // Log Engine (needs data store)
         window.logEngine = new LogEngine();
 
@@ -65,15 +71,54 @@ async function initializeApp() {
         // Bus Manager (NEW)
         window.busManager = new BusManager();
 
+        // History Manager (undo/redo of topology edits)
+        window.historyManager = new HistoryManager();
+
+        // Topology File Manager (save/load topology files)
+        window.topologyFileManager = new TopologyFileManager();
+
+        // Compose File Manager (docker-compose export)
+        window.composeFileManager = new ComposeFileManager();
+
+        // NF Config Generator (per-NF Open5GS / OAI config files; uses the compose YAML writer)
+        window.nfConfigGenerator = new NFConfigGenerator();
+
         // Ping Manager (NEW)
         window.pingManager = new PingManager();
 
+        // Load Model (AMF/SMF/UPF load from UEs, sessions and traffic; needs sim clock)
+        window.loadModel = new LoadModel();
+
+        // Fault Manager (injected crashes, frozen heartbeats, link faults, partitions, overload)
+        window.faultManager = new FaultManager();
+
+        // Scenario Runner (timed lab exercises from scenarios.json)
+        window.scenarioRunner = new ScenarioRunner();
+
+        // Guided Lab (procedure.md walkthrough, watches data store events)
+        window.guidedLab = new GuidedLab();
+
+        // Topology Validator (dependency, interface, subnet and registration checks)
+        window.topologyValidator = new TopologyValidator();
+
+        // Rubric Evaluator (scores the topology against instructor rubrics)
+        window.rubricEvaluator = new RubricEvaluator();
+
+        // Quiz Engine (pretest.json / posttest.json, practical questions read live state)
+        window.quizEngine = new QuizEngine();
+
         // Canvas Renderer
         window.canvasRenderer = new CanvasRenderer();
 
         // UI Controller
         window.uiController = new UIController();
 
+        // Session Autosave (snapshots everything above to browser storage)
+        window.sessionAutosave = new SessionAutosave();
+
+        // Session Recorder (action/event trace for instructor replay)
+        window.sessionRecorder = new SessionRecorder();
+
         console.log('✅ All managers initialized successfully');
 
         // ==========================================
@@ -102,6 +147,21 @@ async function initializeApp() {
 
         });
 
+        // ==========================================
+        // STEP 7: Restore Last Session / Start Autosave and Recording
+        // ==========================================
+        // A replay tab (index.html?replay) only shows a recorded trace: it must not
+        // overwrite the student's autosave or record itself
+        if (new URLSearchParams(window.location.search).has('replay')) {
+            console.log('\n🎞️ Step 7: Starting session replay...');
+            window.sessionRecorder.startReplayMode();
+        } else {
+            console.log('\n💾 Step 7: Checking for a saved session...');
+            window.sessionAutosave.promptRestore();
+            window.sessionAutosave.start();
+            window.sessionRecorder.start();
+        }
+
         // ==========================================
         // SUCCESS
         // ==========================================
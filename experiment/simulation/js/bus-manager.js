@@ -9,6 +9,7 @@ class BusManager {
     constructor() {
         this.buses = [];
         this.busCounter = 0;
+        this.defaultBusTimer = null;
 
         console.log('✅ BusManager initialized');
         
@@ -21,7 +22,8 @@ class BusManager {
      */
     createDefaultBus() {
         // Wait for data store to be available
-        setTimeout(() => {
+        this.defaultBusTimer = setTimeout(() => {
+            this.defaultBusTimer = null;
             if (window.dataStore) {
                 console.log('🚌 Creating default bus line...');
                 this.createBusLine('horizontal', { x: 200, y: 300 }, 600, 'Service Bus');
@@ -29,6 +31,17 @@ class BusManager {
         }, 100);
     }
 
+    /**
+     * Skip the default bus line: a restored session or a replayed trace brings its own buses
+     */
+    cancelDefaultBus() {
+        if (this.defaultBusTimer) {
+            clearTimeout(this.defaultBusTimer);
+            this.defaultBusTimer = null;
+            console.log('🚌 Default bus line skipped');
+        }
+    }
+
     /**
      * Create a new bus line
      */
@@ -51,7 +64,7 @@ class BusManager {
         }
 
         const bus = {
-            id: `bus-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            id: `bus-${Date.now()}-${window.simRandom.string(5)}`,
             name: name || `Bus-${this.busCounter}`,
             orientation: orientation,
             position: position,
@@ -109,7 +122,7 @@ class BusManager {
         const interfaceName = this.generateInterfaceName(nf.type, bus.name);
 
         const connection = {
-            id: `bus-conn-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            id: `bus-conn-${Date.now()}-${window.simRandom.string(5)}`,
             nfId: nfId,
             busId: busId,
             type: 'bus-connection',
@@ -209,7 +222,7 @@ class BusManager {
 
         // Create connection object
         const connection = {
-            id: `bus-nf-conn-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            id: `bus-nf-conn-${Date.now()}-${window.simRandom.string(5)}`,
             busId: busId,
             nfId: nfId,
             type: 'bus-to-nf-connection',
@@ -268,7 +281,7 @@ class BusManager {
 
         // Create connection object
         const connection = {
-            id: `bus-bus-conn-${Date.now()}-${Math.random().toString(36).substring(2, 7)}`,
+            id: `bus-bus-conn-${Date.now()}-${window.simRandom.string(5)}`,
             sourceBusId: sourceBusId,
             targetBusId: targetBusId,
             type: 'bus-to-bus-connection',
@@ -445,7 +458,7 @@ class BusManager {
                                 services: window.connectionManager.getServicesForNF(nf.type)
                             };
                             
-                            window.nrfRegistry.registerNF(nfId, nfProfile);
+                            window.nrfRegistry.registerNF(nfId, nfProfile, nrfOnBus);
                             
                             // Start heartbeat
                             window.connectionManager.startNFHeartbeat(nfId);
@@ -464,11 +477,14 @@ class BusManager {
             // NRF is being connected and there are other NFs on the bus
             console.log(`🔄 Smart Bus: NRF ${nf.name} connecting to bus with existing NFs`);
             
-            // Register all existing NFs with this NRF
+            // Register all existing NFs with this NRF (NFs already served by another NRF stay there)
             connectedNFIds.forEach(existingNfId => {
                 if (existingNfId !== nfId) {
                     const existingNF = window.dataStore?.getNFById(existingNfId);
-                    if (existingNF && existingNF.type !== 'NRF') {
+                    const existingProfile = window.nrfRegistry?.getNFProfile(existingNfId);
+                    const servedElsewhere = existingProfile?.nfStatus === 'REGISTERED' &&
+                        existingProfile.servingNrfId && existingProfile.servingNrfId !== nfId;
+                    if (existingNF && existingNF.type !== 'NRF' && !servedElsewhere) {
                         setTimeout(() => {
                             if (window.logEngine) {
                                 window.logEngine.addLog(existingNfId, 'INFO', 
@@ -490,7 +506,7 @@ class BusManager {
                                             services: window.connectionManager.getServicesForNF(existingNF.type)
                                         };
                                         
-                                        window.nrfRegistry.registerNF(existingNfId, nfProfile);
+                                        window.nrfRegistry.registerNF(existingNfId, nfProfile, nfId);
                                         
                                         // Start heartbeat
                                         window.connectionManager.startNFHeartbeat(existingNfId);
@@ -507,7 +523,7 @@ class BusManager {
                                     }
                                 }, 1500);
                             }
-                        }, 1000 + Math.random() * 2000); // Stagger the registrations
+                        }, 1000 + window.simRandom.next() * 2000); // Stagger the registrations
                     }
                 }
             });
@@ -551,7 +567,7 @@ class BusManager {
                                 discoveryMethod: 'Service Bus',
                                 interface: this.generateInterfaceName(connectedNF.type, bus.name)
                             });
-                        }, 2000 + Math.random() * 1000);
+                        }, 2000 + window.simRandom.next() * 1000);
                     }
                 }
             });
@@ -573,7 +589,7 @@ class BusManager {
                                 discoveryMethod: 'Service Bus',
                                 interface: this.generateInterfaceName(nf.type, bus.name)
                             });
-                        }, 2500 + Math.random() * 1000);
+                        }, 2500 + window.simRandom.next() * 1000);
                     }
                 }
             }
@@ -47,7 +47,8 @@ class CanvasRenderer {
         this.canvas.addEventListener('click', (e) => this.handleCanvasClick(e));
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        // A drag released outside the canvas still ends (and commits its history entry)
+        document.addEventListener('mouseup', (e) => this.handleMouseUp(e));
 
         // Add ResizeObserver to handle container size changes
         if (window.ResizeObserver) {
@@ -200,7 +201,8 @@ class CanvasRenderer {
 
             try {
                 this.ctx.drawImage(nf.iconImage, iconX, iconY, iconSize, iconSize);
-                // Only log success occasionally to avoid spam
+                // Only log success occasionally to avoid spam (Math.random, not simRandom:
+                // render() runs on every mouse move and must not shift the seeded stream)
                 if (Math.random() < 0.1) {
                     console.log('🎨 Successfully drew icon for', nf.name);
                 }
@@ -226,10 +228,22 @@ class CanvasRenderer {
         this.ctx.textAlign = 'center';
         this.ctx.fillText(nf.name, x + width / 2, y + 50);
 
+        // --- ADDED: Load gauge (AMF/SMF/UPF, or any NF pinned to 100% by a fault) ---
+        if (window.loadModel?.isModeled(nf) || window.faultManager?.isLoadForced(nf.id)) {
+            this.drawLoadGauge(nf, x, y + 55, width);
+        }
+
+        // --- ADDED: Injected fault badge ---
+        const faults = window.faultManager?.getNFFaults(nf.id) || [];
+        if (faults.length > 0) {
+            this.drawFaultBadge(faults, x, y);
+        }
+
         // HTTP Protocol Badge removed for cleaner visual - protocol info available in logs only
 
-        // Enhanced status indicator with better visibility
-        const statusColor = window.nfManager?.getStatusColor(nf.status) || '#95a5a6';
+        // Enhanced status indicator with better visibility (a crashed NF shows as stopped)
+        const crashed = window.faultManager?.isCrashed(nf.id);
+        const statusColor = window.nfManager?.getStatusColor(crashed ? 'stopped' : nf.status) || '#95a5a6';
         
         // Draw status indicator with glow effect
         this.ctx.shadowColor = statusColor;
@@ -254,6 +268,45 @@ class CanvasRenderer {
             this.ctx.fillText('●', x + width - 8, y + 8);
         }
     }
+
+    /**
+     * Draw the icons of injected faults at the top-left corner of an NF
+     * @param {Array} faults - Faults of this NF (see FaultManager)
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     */
+    drawFaultBadge(faults, x, y) {
+        const icons = { CRASH: '💥', FREEZE_HEARTBEAT: '❄️', FULL_LOAD: '🔥' };
+
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(faults.map(fault => icons[fault.type]).join(''), x - 6, y);
+    }
+
+    /**
+     * Draw a load bar with percentage below an NF
+     * @param {Object} nf - Network Function object
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Bar width
+     */
+    drawLoadGauge(nf, x, y, width) {
+        const load = Math.max(0, Math.min(100, Number(nf.config.load) || 0));
+        const color = load >= 90 ? '#e74c3c' : load >= 70 ? '#f39c12' : '#2ecc71';
+
+        this.ctx.fillStyle = 'rgba(149, 165, 166, 0.3)';
+        this.ctx.fillRect(x, y, width, 4);
+        this.ctx.fillStyle = color;
+        this.ctx.fillRect(x, y, width * load / 100, 4);
+
+        this.ctx.fillStyle = color;
+        this.ctx.font = '8px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'alphabetic';
+        this.ctx.fillText(`${load}%`, x + width / 2, y + 13);
+    }
+
     /**
      * Draw a Network Function
      * @param {Object} nf - Network Function object
@@ -378,13 +431,16 @@ class CanvasRenderer {
         const targetX = targetNF.position.x + 20;
         const targetY = targetNF.position.y + 20;
 
-        // Draw connection line
+        // Draw connection line (dashed red while a latency/loss fault is injected)
+        const linkFaulted = (window.faultManager?.getConnectionFaults(conn.id) || []).length > 0;
         this.ctx.beginPath();
         this.ctx.moveTo(sourceX, sourceY);
         this.ctx.lineTo(targetX, targetY);
-        this.ctx.strokeStyle = '#3498db';
+        this.ctx.strokeStyle = linkFaulted ? '#e74c3c' : '#3498db';
         this.ctx.lineWidth = 3;
+        if (linkFaulted) this.ctx.setLineDash([6, 4]);
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
 
         // Draw arrow at target end
         const angle = Math.atan2(targetY - sourceY, targetX - sourceX);
@@ -556,6 +612,9 @@ class CanvasRenderer {
      * @param {MouseEvent} e - Mouse event
      */
     handleMouseDown(e) {
+        // The drag in progress owns the open history command until mouseup commits it
+        if (this.isDragging) return;
+
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
@@ -568,6 +627,7 @@ class CanvasRenderer {
             if (this.isPointInNF(x, y, nf)) {
                 this.isDragging = true;
                 this.draggedNF = nf;
+                window.historyManager?.begin(`Move ${nf.name}`);
                 this.dragOffset = {
                     x: x - nf.position.x,
                     y: y - nf.position.y
@@ -582,6 +642,7 @@ class CanvasRenderer {
             if (this.isPointInBus(x, y, bus)) {
                 this.isDragging = true;
                 this.draggedBus = bus;
+                window.historyManager?.begin(`Move ${bus.name}`);
                 this.dragOffset = {
                     x: x - bus.position.x,
                     y: y - bus.position.y
@@ -601,6 +662,7 @@ class CanvasRenderer {
             this.draggedNF = null;
             this.draggedBus = null;
             this.canvas.style.cursor = 'default';
+            window.historyManager?.commit();
         }
     }
 
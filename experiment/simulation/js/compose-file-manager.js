@@ -0,0 +1,939 @@
+/**
+ * ============================================
+ * COMPOSE FILE MANAGER
+ * ============================================
+ * Generates docker-compose files from the canvas topology
+ *
+ * Responsibilities:
+ * - Split the topology into docker-compose.yml (core), docker-compose-gnb.yml and docker-compose-ue.yml
+ * - Give each service the NF's IP on the oaiworkshop network and the ports the docker terminal shows
+ * - Order services and fill depends_on from nf-dependencies.json
+ * - Import OAI / free5GC / Open5GS compose files as a topology (NF types, IPs, connections, service bus)
+ * - Read and write the YAML subset compose files use
+ */
+
+class ComposeFileManager {
+    constructor() {
+        // File -> NF types it contains (the core file takes every type not listed elsewhere)
+        this.files = [
+            { fileName: 'docker-compose.yml', description: 'Core network', types: null },
+            { fileName: 'docker-compose-gnb.yml', description: 'gNB (RAN)', types: ['gNB'] },
+            { fileName: 'docker-compose-ue.yml', description: 'UEs', types: ['UE'] }
+        ];
+
+        // Same service names and images as "docker ps" / "watch docker compose ps"
+        this.serviceNames = {
+            'NRF': 'oai-nrf',
+            'AMF': 'oai-amf',
+            'SMF': 'oai-smf',
+            'UPF': 'oai-upf',
+            'AUSF': 'oai-ausf',
+            'UDM': 'oai-udm',
+            'UDR': 'oai-udr',
+            'PCF': 'oai-pcf',
+            'NSSF': 'oai-nssf',
+            'MySQL': 'mysql',
+            'ext-dn': 'oai-ext-dn',
+            'gNB': 'oai-gnb',
+            'UE': 'oai-ue'
+        };
+        // Images not named after the service (the OAI UE image is oai-nr-ue)
+        this.images = {
+            'MySQL': 'mysql:8.0',
+            'ext-dn': 'oaisoftwarealliance/trf-gen-cn5g:latest',
+            'UE': 'oaisoftwarealliance/oai-nr-ue:2024-june'
+        };
+
+        // Startup dependencies OAI's compose files declare that nf-dependencies.json leaves out
+        this.extraDependencies = {
+            'UDR': ['MySQL'],
+            'ext-dn': ['UPF']
+        };
+
+        // Containers that create tunnels or raw sockets
+        this.privilegedTypes = ['UPF', 'ext-dn', 'gNB', 'UE'];
+
+        // Import: the image decides, then the service name, container name and command.
+        // UERANSIM runs both gNB and UE; its command (nr-gnb / nr-ue) decides, otherwise it is the gNB.
+        this.importPatterns = [
+            { type: 'UE', pattern: /(^|[^a-z])(nr[-_]?ue|ue)\d*([^a-z]|$)/ },
+            { type: 'gNB', pattern: /gnb/ },
+            { type: 'ext-dn', pattern: /(^|[^a-z])(ext[-_]?dn|trf[-_]gen|dn)([^a-z]|$)/ },
+            { type: 'MySQL', pattern: /mysql|mariadb|mongo/ },
+            { type: 'UPF', pattern: /upf|spgwu/ },
+            { type: 'AMF', pattern: /amf/ },
+            { type: 'SMF', pattern: /smf/ },
+            { type: 'AUSF', pattern: /ausf/ },
+            { type: 'UDM', pattern: /udm/ },
+            { type: 'UDR', pattern: /udr/ },
+            { type: 'PCF', pattern: /pcf/ },
+            { type: 'NSSF', pattern: /nssf/ },
+            { type: 'NRF', pattern: /nrf/ },
+            { type: 'gNB', pattern: /ueransim/, fallback: true }
+        ];
+
+        // Import layout (same arrangement as one-click.json): SBA NFs on a service bus, plus the
+        // point-to-point interfaces compose files only express through NF config files (N1-N4, N6, SQL)
+        this.busMemberTypes = ['NRF', 'AMF', 'SMF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'UDR'];
+        this.interfaceLinks = {
+            'gNB': ['AMF', 'UPF'],
+            'UE': ['gNB', 'AMF'],
+            'UPF': ['SMF'],
+            'ext-dn': ['UPF'],
+            'UDR': ['MySQL']
+        };
+        this.layoutRows = [
+            { y: 36, types: ['NRF', 'PCF', 'NSSF', 'UDM', 'UDR', 'MySQL'] },
+            { y: 225, types: ['AMF', 'SMF', 'AUSF'] },
+            { y: 342, types: ['UE', 'gNB', 'UPF', 'ext-dn'] }
+        ];
+
+        console.log('✅ ComposeFileManager initialized');
+    }
+
+    // ==========================================
+    // Files
+    // ==========================================
+
+    /**
+     * Generate every compose file that has at least one service
+     * @returns {Array} { fileName, description, serviceCount, content }
+     */
+    generateComposeFiles() {
+        const nfs = window.dataStore?.getAllNFs() || [];
+        const serviceNames = this.getServiceNames(nfs);
+        const networks = this.getNetworks(nfs);
+
+        return this.files
+            .map(file => {
+                const fileNFs = nfs.filter(nf => this.getFileForNF(nf) === file);
+                return {
+                    fileName: file.fileName,
+                    description: file.description,
+                    serviceCount: fileNFs.length,
+                    content: fileNFs.length > 0 ? this.buildComposeFile(file, fileNFs, serviceNames, networks) : null
+                };
+            })
+            .filter(file => file.serviceCount > 0);
+    }
+
+    /**
+     * @param {string} fileName - docker-compose.yml, docker-compose-gnb.yml or docker-compose-ue.yml
+     * @returns {string|null} YAML, or null if the topology has no services for that file
+     */
+    generateComposeFile(fileName) {
+        const file = this.generateComposeFiles().find(f => f.fileName === fileName);
+        return file ? file.content : null;
+    }
+
+    /**
+     * @param {Object} nf - Network Function
+     * @returns {Object} Entry of this.files the NF's service belongs to
+     */
+    getFileForNF(nf) {
+        return this.files.find(file => file.types && file.types.includes(nf.type)) ||
+            this.files.find(file => !file.types);
+    }
+
+    /**
+     * @param {Object} file - Entry of this.files
+     * @param {Array} fileNFs - NFs in this file
+     * @param {Map} serviceNames - NF ID -> service name
+     * @param {Array} networks - From getNetworks()
+     * @returns {string} YAML document
+     */
+    buildComposeFile(file, fileNFs, serviceNames, networks) {
+        const isCore = !file.types;
+        const services = {};
+
+        this.sortByDependencies(fileNFs).forEach(nf => {
+            services[serviceNames.get(nf.id)] = this.buildService(nf, fileNFs, serviceNames, networks);
+        });
+
+        // The core file creates every network; the RAN files attach to them
+        const usedNetworks = isCore
+            ? networks
+            : networks.filter(network => fileNFs.some(nf => network.nfIds.includes(nf.id)));
+        const composeNetworks = {};
+        usedNetworks.forEach(network => {
+            composeNetworks[network.composeNetwork] = isCore
+                ? {
+                    driver: network.driver,
+                    name: network.name,
+                    ipam: { config: [{ subnet: network.subnet }] },
+                    driver_opts: { 'com.docker.network.bridge.name': network.name }
+                }
+                : { external: true, name: network.name };
+        });
+
+        const header = [
+            `# ${file.fileName} - ${file.description}`,
+            `# Generated by the 5G Core Network Simulator on ${new Date().toISOString()}`,
+            isCore
+                ? '# Start with: docker compose -f docker-compose.yml up -d'
+                : `# Start after the core network: docker compose -f ${file.fileName} up -d`,
+            ''
+        ];
+
+        return header.join('\n') + this.toYAML({ services, networks: composeNetworks }, 0).join('\n') + '\n';
+    }
+
+    /**
+     * @param {Object} nf - Network Function
+     * @param {Array} fileNFs - NFs in the same file (depends_on cannot point into another file)
+     * @param {Map} serviceNames - NF ID -> service name
+     * @param {Array} networks - From getNetworks()
+     * @returns {Object} Compose service definition
+     */
+    buildService(nf, fileNFs, serviceNames, networks) {
+        const serviceName = serviceNames.get(nf.id);
+        const network = networks.find(n => n.nfIds.includes(nf.id));
+        const service = {
+            container_name: serviceName,
+            image: this.images[nf.type] || `oaisoftwarealliance/${this.serviceNames[nf.type] || 'oai-' + nf.type.toLowerCase()}:2024-june`,
+            expose: this.getExposedPorts(nf)
+        };
+
+        const dependsOn = this.getDependencies(nf, fileNFs).map(dep => serviceNames.get(dep.id));
+        if (dependsOn.length > 0) {
+            service.depends_on = dependsOn;
+        }
+
+        // Leave out settings the topology has no value for (e.g. a UE without a subscriber)
+        const environment = Object.entries(this.getEnvironment(nf) || {}).filter(([, value]) => value !== '');
+        if (environment.length > 0) {
+            service.environment = Object.fromEntries(environment);
+        }
+
+        if (this.privilegedTypes.includes(nf.type)) {
+            service.cap_add = ['NET_ADMIN'];
+            service.privileged = true;
+        }
+
+        service.networks = { [network.composeNetwork]: { ipv4_address: nf.config.ipAddress } };
+        return service;
+    }
+
+    /**
+     * Ports as "docker ps" lists them, plus the NF's configured port
+     * @param {Object} nf - Network Function
+     * @returns {Array} e.g. ['80/tcp', '8080/tcp', '38412/sctp']
+     */
+    getExposedPorts(nf) {
+        const ports = window.dockerTerminal
+            ? window.dockerTerminal.getPortsForNF(nf).split(', ')
+            : [];
+        const configuredPort = `${nf.config.port}/tcp`;
+
+        if (nf.config.port && !ports.includes(configuredPort)) {
+            ports.push(configuredPort);
+        }
+        return ports;
+    }
+
+    /**
+     * Settings the simulator knows for the NF (database credentials, gNB/UE radio and subscriber data)
+     * @param {Object} nf - Network Function
+     * @returns {Object|null} Environment variables
+     */
+    getEnvironment(nf) {
+        const findIP = type => window.dataStore.getAllNFs().find(other => other.type === type)?.config.ipAddress;
+
+        switch (nf.type) {
+            case 'MySQL':
+                return {
+                    TZ: 'Europe/Paris',
+                    MYSQL_DATABASE: 'oai_db',
+                    MYSQL_USER: 'test',
+                    MYSQL_PASSWORD: 'test',
+                    MYSQL_ROOT_PASSWORD: 'linux'
+                };
+            case 'gNB':
+                return {
+                    GNB_NAME: nf.name,
+                    AMF_IP_ADDRESS: findIP('AMF') || '',
+                    RFSIMULATOR: 'server'
+                };
+            case 'UE':
+                return {
+                    FULL_IMSI: nf.config.subscriberImsi || '',
+                    FULL_KEY: nf.config.subscriberKey || '',
+                    OPC: nf.config.subscriberOpc || '',
+                    DNN: nf.config.subscriberDnn || '',
+                    NSSAI_SST: String(nf.config.subscriberSst || 1),
+                    RFSIMULATOR: findIP('gNB') || ''
+                };
+            default:
+                return null;
+        }
+    }
+
+    // ==========================================
+    // Services and networks
+    // ==========================================
+
+    /**
+     * Unique service names: UEs are numbered (oai-ue1, oai-ue2, running the oai-nr-ue image) as in
+     * docker-compose-ue.yml / docker-compose-ran.yml, further instances of other types get a suffix (oai-nrf-2)
+     * @param {Array} nfs - All NFs
+     * @returns {Map} NF ID -> service name
+     */
+    getServiceNames(nfs) {
+        const names = new Map();
+        const counts = {};
+
+        nfs.forEach(nf => {
+            const base = this.serviceNames[nf.type] || `oai-${nf.type.toLowerCase()}`;
+            counts[nf.type] = (counts[nf.type] || 0) + 1;
+
+            if (nf.type === 'UE') {
+                names.set(nf.id, `${base}${counts[nf.type]}`);
+            } else {
+                names.set(nf.id, counts[nf.type] === 1 ? base : `${base}-${counts[nf.type]}`);
+            }
+        });
+
+        return names;
+    }
+
+    /**
+     * One bridge network per /24 the NFs use; the first is the oaiworkshop network the terminal inspects
+     * @param {Array} nfs - All NFs
+     * @returns {Array} { composeNetwork, name, driver, subnet, nfIds }
+     */
+    getNetworks(nfs) {
+        const workshop = window.dockerTerminal?.getOAIWorkshopNetwork() || {
+            name: 'oaiworkshop', composeNetwork: 'public_net', driver: 'bridge', subnet: '192.168.70.0/26'
+        };
+        const networks = [];
+
+        nfs.forEach(nf => {
+            const subnet = `${nf.config.ipAddress.split('.').slice(0, 3).join('.')}.0/24`;
+            let network = networks.find(n => n.subnet === subnet);
+
+            if (!network) {
+                const isWorkshop = subnet === workshop.subnet;
+                const index = networks.filter(n => n.composeNetwork !== workshop.composeNetwork).length + 2;
+                network = {
+                    composeNetwork: isWorkshop ? workshop.composeNetwork : `${workshop.composeNetwork}_${index}`,
+                    name: isWorkshop ? workshop.name : `${workshop.name}-${index}`,
+                    driver: workshop.driver,
+                    subnet,
+                    nfIds: []
+                };
+                networks.push(network);
+            }
+            network.nfIds.push(nf.id);
+        });
+
+        // Keep oaiworkshop first
+        return networks.sort((a, b) => (b.name === workshop.name) - (a.name === workshop.name));
+    }
+
+    /**
+     * Required dependencies from nf-dependencies.json (plus this.extraDependencies) present in the same file
+     * @param {Object} nf - Network Function
+     * @param {Array} fileNFs - Candidate NFs
+     * @returns {Array} NFs this one depends on
+     */
+    getDependencies(nf, fileNFs) {
+        const dependencies = window.logEngine?.dependencies || window.logEngine?.getDefaultDependencies() || {};
+        const types = [...(dependencies[nf.type]?.required || []), ...(this.extraDependencies[nf.type] || [])];
+
+        return fileNFs.filter(other => other !== nf && types.includes(other.type));
+    }
+
+    /**
+     * Dependencies first (Kahn's algorithm, ties keep canvas order); NFs caught in a cycle go last
+     * @param {Array} fileNFs - NFs in one file
+     * @returns {Array} Sorted NFs
+     */
+    sortByDependencies(fileNFs) {
+        const remaining = new Map(fileNFs.map(nf => [nf.id, this.getDependencies(nf, fileNFs)]));
+        const sorted = [];
+
+        while (remaining.size > 0) {
+            const ready = fileNFs.find(nf => remaining.has(nf.id) &&
+                remaining.get(nf.id).every(dep => !remaining.has(dep.id)));
+            if (!ready) break;
+
+            sorted.push(ready);
+            remaining.delete(ready.id);
+        }
+
+        return [...sorted, ...fileNFs.filter(nf => remaining.has(nf.id))];
+    }
+
+    // ==========================================
+    // Import
+    // ==========================================
+
+    /**
+     * Build a topology from one or more compose files (e.g. docker-compose.yml + docker-compose-gnb.yml)
+     * @param {Array} files - { name, text }
+     * @returns {Object} { topology, warnings, error } - topology is null when error is set
+     */
+    importComposeFiles(files) {
+        const warnings = [];
+        const services = [];
+
+        for (const file of files) {
+            let compose;
+            try {
+                compose = this.parseYAML(file.text);
+            } catch (e) {
+                return { topology: null, warnings, error: `${file.name}: ${e.message}` };
+            }
+
+            if (!compose || typeof compose.services !== 'object' || compose.services === null || Array.isArray(compose.services)) {
+                return { topology: null, warnings, error: `${file.name} has no "services" section` };
+            }
+
+            Object.entries(compose.services).forEach(([name, service]) => {
+                if (services.some(s => s.name === name)) {
+                    warnings.push(`Skipped ${name} in ${file.name}: a service with this name was already imported`);
+                } else {
+                    services.push({ name, service: service || {}, fileName: file.name });
+                }
+            });
+        }
+
+        const nfs = this.createImportedNFs(services, warnings);
+        if (nfs.length === 0) {
+            return { topology: null, warnings, error: 'No service matches a network function the simulator knows' };
+        }
+
+        const { connections, buses, busConnections } = this.createImportedLinks(nfs, warnings);
+        const topology = {
+            version: window.topologyFileManager?.getCurrentVersion() || '1.1.0',
+            name: files.map(file => file.name).join(' + '),
+            nfs: nfs.map(({ serviceName, dependsOn, ...nf }) => nf),
+            connections,
+            buses,
+            busConnections,
+            subscribers: nfs
+                .filter(nf => nf.type === 'UE' && nf.config.subscriberImsi)
+                .map(nf => ({
+                    imsi: nf.config.subscriberImsi,
+                    key: nf.config.subscriberKey,
+                    opc: nf.config.subscriberOpc,
+                    dnn: nf.config.subscriberDnn,
+                    nssai_sst: nf.config.subscriberSst
+                }))
+        };
+
+        const problems = window.topologyFileManager?.validateTopology(topology) || [];
+        if (problems.length > 0) {
+            return { topology: null, warnings, error: `The imported topology is not valid:\n${problems.map(p => `• ${p}`).join('\n')}` };
+        }
+
+        return { topology, warnings, error: null };
+    }
+
+    /**
+     * @param {Array} services - { name, service, fileName }
+     * @param {Array} warnings - Collects skipped services and assigned addresses
+     * @returns {Array} Topology NFs, plus serviceName and dependsOn (service names) for linking
+     */
+    createImportedNFs(services, warnings) {
+        const nfs = [];
+        const typeCounts = {};
+        const maxUEs = window.topologyFileManager?.maxUEs || 2;
+        const multiInstanceTypes = window.topologyFileManager?.multiInstanceTypes || ['NRF', 'AMF', 'SMF', 'UPF', 'UE'];
+
+        services.forEach(({ name, service }) => {
+            const type = this.detectNFType(name, service);
+            if (!type) {
+                warnings.push(`Skipped ${name} (${service.image || 'no image'}): no matching network function`);
+                return;
+            }
+
+            const count = (typeCounts[type] || 0) + 1;
+            if ((type === 'UE' && count > maxUEs) || (!multiInstanceTypes.includes(type) && count > 1)) {
+                warnings.push(`Skipped ${name}: the simulator supports ${type === 'UE' ? `at most ${maxUEs} UEs` : `only one ${type}`}`);
+                return;
+            }
+            typeCounts[type] = count;
+
+            if (type === 'MySQL' && !/mysql/i.test(service.image || '')) {
+                warnings.push(`${name} (${service.image || 'no image'}) is imported as MySQL, the simulator's subscriber database`);
+            }
+
+            const environment = this.readEnvironment(service.environment);
+            const config = { ipAddress: this.readIPAddress(service) };
+            if (type === 'UE' && environment.FULL_IMSI && environment.FULL_KEY && environment.OPC) {
+                config.subscriberImsi = environment.FULL_IMSI;
+                config.subscriberKey = environment.FULL_KEY;
+                config.subscriberOpc = environment.OPC;
+                config.subscriberDnn = environment.DNN || '5G-Lab';
+                config.subscriberSst = parseInt(environment.NSSAI_SST, 10) || 1;
+            }
+
+            nfs.push({
+                id: `${type.toLowerCase()}-${name}`,
+                type,
+                name: `${type}-${count}`,
+                position: { x: 0, y: 0 },
+                config,
+                serviceName: name,
+                dependsOn: this.readDependsOn(service.depends_on)
+            });
+        });
+
+        // Services without a static address (or sharing one) get a free one in the first subnet used
+        const isIPv4 = ip => /^\d{1,3}(\.\d{1,3}){3}$/.test(ip || '');
+        const usedIPs = new Set();
+        const subnet = (nfs.find(nf => isIPv4(nf.config.ipAddress))?.config.ipAddress || '192.168.1.0').split('.').slice(0, 3).join('.');
+        nfs.forEach(nf => {
+            const ip = nf.config.ipAddress;
+            if (isIPv4(ip) && !usedIPs.has(ip)) {
+                usedIPs.add(ip);
+                return;
+            }
+
+            let host = 10;
+            while (usedIPs.has(`${subnet}.${host}`) || nfs.some(other => other.config.ipAddress === `${subnet}.${host}`)) host++;
+            const reason = !ip
+                ? 'has no ipv4_address'
+                : (isIPv4(ip) ? `shares ${ip} with another service` : `has ipv4_address "${ip}", which is not an IPv4 address`);
+            nf.config.ipAddress = `${subnet}.${host}`;
+            usedIPs.add(nf.config.ipAddress);
+            warnings.push(`${nf.serviceName} ${reason}; using ${nf.config.ipAddress}`);
+        });
+
+        this.layoutImportedNFs(nfs);
+        return nfs;
+    }
+
+    /**
+     * Interface connections from depends_on and this.interfaceLinks, bus attachments for the SBA NFs
+     * @param {Array} nfs - From createImportedNFs()
+     * @param {Array} warnings - Collects links the simulator would refuse
+     * @returns {Object} { connections, buses, busConnections }
+     */
+    createImportedLinks(nfs, warnings) {
+        const connections = [];
+        const isBusMember = nf => this.busMemberTypes.includes(nf.type);
+        const subnetOf = nf => nf.config.ipAddress.split('.').slice(0, 3).join('.');
+
+        const link = (source, target) => {
+            // The service bus already joins SBA NFs, and each pair needs one connection
+            if (source === target || (isBusMember(source) && isBusMember(target))) return;
+            if (connections.some(c => (c.sourceId === source.id && c.targetId === target.id) ||
+                (c.sourceId === target.id && c.targetId === source.id))) return;
+
+            if (window.connectionManager && !window.connectionManager.isConnectionValid(source.type, target.type)) return;
+            if (subnetOf(source) !== subnetOf(target)) {
+                warnings.push(`No ${source.type}-${target.type} connection: ${source.serviceName} and ${target.serviceName} are on different subnets`);
+                return;
+            }
+
+            connections.push({
+                id: `conn-${source.id}-${target.id}`,
+                sourceId: source.id,
+                targetId: target.id,
+                interfaceName: window.connectionManager?.getInterfaceName(source.type, target.type) || `${source.type}-${target.type}`,
+                protocol: 'HTTP/2',
+                status: 'connected',
+                isManual: true,
+                showVisual: true
+            });
+        };
+
+        nfs.forEach(nf => {
+            nf.dependsOn.forEach(serviceName => {
+                const target = nfs.find(other => other.serviceName === serviceName);
+                if (target) link(nf, target);
+            });
+            (this.interfaceLinks[nf.type] || []).forEach(type => {
+                const target = nfs.find(other => other.type === type);
+                if (target) link(nf, target);
+            });
+        });
+
+        const members = nfs.filter(isBusMember);
+        if (members.length === 0) {
+            return { connections, buses: [], busConnections: [] };
+        }
+
+        const widestRow = Math.max(...nfs.map(nf => nf.position.x));
+        const bus = {
+            id: 'bus-compose-sba',
+            name: 'Service Bus',
+            orientation: 'horizontal',
+            position: { x: 20, y: 152 },
+            length: Math.max(600, widestRow + 100),
+            thickness: 8,
+            color: '#3498db',
+            type: 'service-bus',
+            connections: members.map(nf => nf.id)
+        };
+
+        const busConnections = members.map(nf => ({
+            id: `bus-conn-${nf.id}`,
+            nfId: nf.id,
+            busId: bus.id,
+            type: 'bus-connection',
+            interfaceName: `N${nf.type.toLowerCase()}`,
+            protocol: 'HTTP/2',
+            status: 'connected'
+        }));
+
+        return { connections, buses: [bus], busConnections };
+    }
+
+    /**
+     * Place NFs in the one-click rows: control plane above the bus, AMF/SMF/AUSF below, RAN and user plane last
+     * @param {Array} nfs - Imported NFs (positions are set in place)
+     */
+    layoutImportedNFs(nfs) {
+        this.layoutRows.forEach(row => {
+            row.types
+                .flatMap(type => nfs.filter(nf => nf.type === type))
+                .forEach((nf, column) => {
+                    nf.position = { x: 40 + column * 120, y: row.y };
+                });
+        });
+    }
+
+    /**
+     * @param {string} name - Service name
+     * @param {Object} service - Compose service definition
+     * @returns {string|null} NF type, or null if nothing matches
+     */
+    detectNFType(name, service) {
+        const asText = value => (Array.isArray(value) ? value.join(' ') : String(value || '')).toLowerCase();
+        // Image without registry, organisation and tag: "oaisoftwarealliance/oai-amf:v2.0.0" -> "oai-amf"
+        const image = asText(service.image).split('/').pop().split(':')[0];
+        const sources = [image, name.toLowerCase(), asText(service.container_name), asText(service.command), asText(service.entrypoint)];
+
+        const findMatch = patterns => {
+            for (const source of sources) {
+                const match = patterns.find(({ pattern }) => pattern.test(source));
+                if (match) return match.type;
+            }
+            return null;
+        };
+
+        return findMatch(this.importPatterns.filter(p => !p.fallback)) || findMatch(this.importPatterns.filter(p => p.fallback));
+    }
+
+    /**
+     * @param {Object} service - Compose service definition
+     * @returns {string|null} First ipv4_address under networks
+     */
+    readIPAddress(service) {
+        if (!service.networks || Array.isArray(service.networks)) return null;
+
+        const network = Object.values(service.networks).find(net => net && net.ipv4_address);
+        return network ? String(network.ipv4_address) : null;
+    }
+
+    /**
+     * @param {Array|Object} dependsOn - Short (list) or long (map with conditions) syntax
+     * @returns {Array} Service names
+     */
+    readDependsOn(dependsOn) {
+        if (!dependsOn) return [];
+        return Array.isArray(dependsOn) ? dependsOn.map(String) : Object.keys(dependsOn);
+    }
+
+    /**
+     * @param {Array|Object} environment - List ("KEY=value") or map syntax
+     * @returns {Object} Variable -> value
+     */
+    readEnvironment(environment) {
+        if (!environment) return {};
+        if (!Array.isArray(environment)) {
+            return Object.fromEntries(Object.entries(environment).map(([key, value]) => [key, value === null ? '' : String(value)]));
+        }
+
+        return Object.fromEntries(environment.map(entry => {
+            const [key, ...value] = String(entry).split('=');
+            return [key, value.join('=')];
+        }));
+    }
+
+    // ==========================================
+    // YAML
+    // ==========================================
+
+    /**
+     * Parse the block-style YAML compose files use: mappings, sequences, flow [..] / {..},
+     * quoted and block (| >) scalars. Plain scalars stay strings so IMSIs keep their leading zeros.
+     * @param {string} text - YAML document
+     * @returns {*} Parsed value
+     * @throws {Error} With the line number on malformed input or unsupported features (anchors, aliases)
+     */
+    parseYAML(text) {
+        const lines = [];
+        text.split(/\r?\n/).forEach((raw, index) => {
+            if (/^(---|\.\.\.)\s*$/.test(raw)) return;
+
+            const content = this.stripYAMLComment(raw).trimEnd();
+            if (content.trim() === '') return;
+            if (/^ *\t/.test(content)) {
+                throw new Error(`Line ${index + 1}: tabs cannot be used for indentation`);
+            }
+            lines.push({ indent: content.length - content.trimStart().length, text: content.trim(), raw, number: index + 1 });
+        });
+
+        let pos = 0;
+        const fail = (line, message) => new Error(`Line ${line.number}: ${message}`);
+        const isSequenceItem = line => line.text === '-' || line.text.startsWith('- ');
+
+        const parseScalar = (value, line) => {
+            if (/^[&*]/.test(value)) throw fail(line, 'YAML anchors and aliases are not supported');
+            if (value.startsWith('"')) {
+                try {
+                    return JSON.parse(value);
+                } catch (e) {
+                    throw fail(line, `malformed quoted string ${value}`);
+                }
+            }
+            if (value.startsWith("'")) {
+                if (!value.endsWith("'") || value.length < 2) throw fail(line, `malformed quoted string ${value}`);
+                return value.slice(1, -1).replace(/''/g, "'");
+            }
+            if (/^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+            if (value === '' || value === '~' || /^null$/i.test(value)) return null;
+            return value;
+        };
+
+        const parseFlow = (value, line) => {
+            let i = 0;
+            const skipSpaces = () => {
+                while (value[i] === ' ') i++;
+            };
+            const readScalar = (stops) => {
+                skipSpaces();
+                const start = i;
+                if (value[i] === '"' || value[i] === "'") {
+                    i = this.findQuoteEnd(value, i) + 1;
+                } else {
+                    while (i < value.length && !stops.includes(value[i]) && !(value[i] === ':' && stops.includes(':') && [' ', undefined].includes(value[i + 1]))) i++;
+                }
+                return parseScalar(value.slice(start, i).trim(), line);
+            };
+            const readNode = (stops) => {
+                skipSpaces();
+                const open = value[i];
+                if (open !== '[' && open !== '{') return readScalar(stops);
+
+                const close = open === '[' ? ']' : '}';
+                const result = open === '[' ? [] : {};
+                i++;
+                skipSpaces();
+                while (value[i] !== close) {
+                    if (open === '[') {
+                        result.push(readNode(',]'));
+                    } else {
+                        const key = readScalar(':,}');
+                        skipSpaces();
+                        if (value[i] === ':') i++;
+                        result[key] = value[i] === ',' || value[i] === '}' ? null : readNode(',}');
+                    }
+                    skipSpaces();
+                    if (value[i] === ',') {
+                        i++;
+                        skipSpaces();
+                    } else if (value[i] !== close) {
+                        throw fail(line, `expected "," or "${close}"`);
+                    }
+                }
+                i++;
+                return result;
+            };
+
+            const result = readNode('');
+            skipSpaces();
+            if (i < value.length) throw fail(line, `unexpected "${value.slice(i)}"`);
+            return result;
+        };
+
+        const parseValue = (value, line, indent) => {
+            if (/^[|>][-+]?$/.test(value)) {
+                const block = [];
+                while (pos < lines.length && lines[pos].indent > indent) {
+                    block.push(lines[pos++].raw);
+                }
+                const margin = Math.min(...block.map(raw => raw.length - raw.trimStart().length));
+                return block.map(raw => raw.slice(margin).trimEnd()).join(value.startsWith('|') ? '\n' : ' ');
+            }
+
+            // Scalars and flow collections may continue on more-indented lines (folded with spaces)
+            let folded = value;
+            while (pos < lines.length && lines[pos].indent > indent) {
+                folded += ` ${lines[pos++].text}`;
+            }
+            return /^[[{]/.test(folded) ? parseFlow(folded, line) : parseScalar(folded, line);
+        };
+
+        const parseNode = (indent) => {
+            const line = lines[pos];
+            if (!line || line.indent < indent) return null;
+            return isSequenceItem(line) ? parseSequence(line.indent) : parseMapping(line.indent);
+        };
+
+        const parseSequence = (indent) => {
+            const items = [];
+            while (pos < lines.length && lines[pos].indent === indent && isSequenceItem(lines[pos])) {
+                const line = lines[pos];
+                const rest = line.text.slice(1).trimStart();
+
+                if (rest === '') {
+                    pos++;
+                    items.push(parseNode(indent + 1));
+                } else if (this.findMappingColon(rest) !== -1) {
+                    // "- key: value" starts a mapping whose keys line up with "key"
+                    const itemIndent = indent + line.text.length - rest.length;
+                    lines[pos] = { ...line, indent: itemIndent, text: rest };
+                    items.push(parseMapping(itemIndent));
+                } else {
+                    pos++;
+                    items.push(parseValue(rest, line, indent));
+                }
+            }
+            return items;
+        };
+
+        const parseMapping = (indent) => {
+            const mapping = {};
+            while (pos < lines.length && lines[pos].indent === indent && !isSequenceItem(lines[pos])) {
+                const line = lines[pos];
+                const colon = this.findMappingColon(line.text);
+                if (colon === -1) throw fail(line, `expected "key: value", found "${line.text}"`);
+
+                const key = parseScalar(line.text.slice(0, colon).trim(), line);
+                if (key === '<<') throw fail(line, 'YAML merge keys (<<) are not supported');
+                const rest = line.text.slice(colon + 1).trim();
+                pos++;
+
+                if (rest !== '') {
+                    mapping[key] = parseValue(rest, line, indent);
+                } else if (pos < lines.length && (lines[pos].indent > indent ||
+                    (lines[pos].indent === indent && isSequenceItem(lines[pos])))) {
+                    mapping[key] = parseNode(lines[pos].indent);
+                } else {
+                    mapping[key] = null;
+                }
+            }
+
+            if (pos < lines.length && lines[pos].indent > indent) {
+                throw fail(lines[pos], 'unexpected indentation');
+            }
+            return mapping;
+        };
+
+        if (lines.length === 0) return null;
+        const result = parseNode(lines[0].indent);
+        if (pos < lines.length) throw fail(lines[pos], 'unexpected indentation');
+        return result;
+    }
+
+    /**
+     * @param {string} raw - YAML line
+     * @returns {string} Line without its "# comment" (a # inside quotes or a word is kept)
+     */
+    stripYAMLComment(raw) {
+        for (let i = 0; i < raw.length; i++) {
+            if ((raw[i] === '"' || raw[i] === "'") && (i === 0 || /[\s[{,:]/.test(raw[i - 1]))) {
+                i = this.findQuoteEnd(raw, i);
+            } else if (raw[i] === '#' && (i === 0 || /\s/.test(raw[i - 1]))) {
+                return raw.slice(0, i);
+            }
+        }
+        return raw;
+    }
+
+    /**
+     * @param {string} text - Mapping line, e.g. 'image: "mysql:8.0"'
+     * @returns {number} Index of the ":" separating key and value, or -1
+     */
+    findMappingColon(text) {
+        let depth = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if ((char === '"' || char === "'") && (i === 0 || /[\s[{,]/.test(text[i - 1]))) {
+                i = this.findQuoteEnd(text, i);
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            } else if (char === ':' && depth === 0 && (i === text.length - 1 || text[i + 1] === ' ')) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * @param {string} text - Text containing a quoted string
+     * @param {number} start - Index of the opening quote
+     * @returns {number} Index of the closing quote (end of text if unterminated)
+     */
+    findQuoteEnd(text, start) {
+        const quote = text[start];
+        for (let i = start + 1; i < text.length; i++) {
+            if (quote === '"' && text[i] === '\\') {
+                i++;
+            } else if (text[i] === quote) {
+                if (quote === "'" && text[i + 1] === "'") {
+                    i++;
+                } else {
+                    return i;
+                }
+            }
+        }
+        return text.length - 1;
+    }
+
+    /**
+     * Minimal YAML writer for compose files (objects, arrays, strings, numbers, booleans)
+     * @param {*} value - Value to write
+     * @param {number} indent - Current indentation in spaces
+     * @returns {Array} Lines
+     */
+    toYAML(value, indent) {
+        const pad = ' '.repeat(indent);
+        const lines = [];
+
+        if (Array.isArray(value)) {
+            value.forEach(item => {
+                if (item && typeof item === 'object') {
+                    const [first, ...rest] = this.toYAML(item, indent + 2);
+                    lines.push(`${pad}- ${first.trimStart()}`, ...rest);
+                } else {
+                    lines.push(`${pad}- ${this.formatScalar(item)}`);
+                }
+            });
+            return lines;
+        }
+
+        Object.entries(value).forEach(([key, item]) => {
+            const yamlKey = this.formatScalar(key);
+            const isEmpty = item && typeof item === 'object' && Object.keys(item).length === 0;
+
+            if (item && typeof item === 'object' && !isEmpty) {
+                lines.push(`${pad}${yamlKey}:`, ...this.toYAML(item, indent + 2));
+            } else {
+                lines.push(`${pad}${yamlKey}: ${isEmpty ? (Array.isArray(item) ? '[]' : '{}') : this.formatScalar(item)}`);
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * @param {*} value - String, number or boolean
+     * @returns {string} Plain scalar, or a double-quoted one when YAML would read it differently
+     */
+    formatScalar(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+        const text = String(value ?? '');
+        const isPlain = /^[\w./@-][\w./@:-]*$/.test(text) &&
+            !/^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?)$/i.test(text);
+
+        return isPlain ? text : JSON.stringify(text);
+    }
+}
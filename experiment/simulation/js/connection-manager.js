@@ -167,7 +167,7 @@ class ConnectionManager {
                         services: this.getServicesForNF(sourceNF.type)
                     };
                     
-                    window.nrfRegistry.registerNF(sourceNF.id, nfProfile);
+                    window.nrfRegistry.registerNF(sourceNF.id, nfProfile, targetNF.id);
                     
                     // Start heartbeat for this NF
                     this.startNFHeartbeat(sourceNF.id);
@@ -186,7 +186,7 @@ class ConnectionManager {
                         services: this.getServicesForNF(targetNF.type)
                     };
                     
-                    window.nrfRegistry.registerNF(targetNF.id, nfProfile);
+                    window.nrfRegistry.registerNF(targetNF.id, nfProfile, sourceNF.id);
                     
                     // Start heartbeat for this NF
                     this.startNFHeartbeat(targetNF.id);
@@ -288,7 +288,7 @@ class ConnectionManager {
      */
     generateConnectionId() {
         const timestamp = Date.now();
-        const random = Math.random().toString(36).substr(2, 5);
+        const random = window.simRandom.string(5);
         return `conn-${timestamp}-${random}`;
     }
 
@@ -407,16 +407,16 @@ class ConnectionManager {
         const targetNF = window.dataStore?.getNFById(connection.targetId);
         
         if (sourceNF && targetNF) {
-            // If NF is disconnecting from NRF, deregister it
+            // If NF is disconnecting from its serving NRF, deregister it
             if (targetNF.type === 'NRF' && sourceNF.type !== 'NRF') {
-                if (window.nrfRegistry) {
+                if (window.nrfRegistry?.isServedBy(sourceNF.id, targetNF.id)) {
                     window.nrfRegistry.deregisterNF(sourceNF.id, 'NRF_CONNECTION_REMOVED');
                 }
                 if (window.connectionManager) {
                     window.connectionManager.stopNFHeartbeat(sourceNF.id);
                 }
             } else if (sourceNF.type === 'NRF' && targetNF.type !== 'NRF') {
-                if (window.nrfRegistry) {
+                if (window.nrfRegistry?.isServedBy(targetNF.id, sourceNF.id)) {
                     window.nrfRegistry.deregisterNF(targetNF.id, 'NRF_CONNECTION_REMOVED');
                 }
                 if (window.connectionManager) {
@@ -631,58 +631,153 @@ class ConnectionManager {
             return;
         }
 
-        // Find NRF connection
-        const connections = window.dataStore?.getConnectionsForNF(nfId) || [];
-        const nrfConnection = connections.find(conn => {
-            const otherNF = window.dataStore?.getNFById(
-                conn.sourceId === nfId ? conn.targetId : conn.sourceId
-            );
-            return otherNF && otherNF.type === 'NRF';
-        });
-
-        if (!nrfConnection) {
+        // NRF must be reachable directly or through a shared service bus
+        if (!this.isNRFReachable(nfId)) {
             console.log(`ℹ️ No NRF connection found for ${nf.name} - heartbeat not started`);
             return;
         }
 
-        // Send heartbeat every 60 seconds (3GPP default)
-        const heartbeatInterval = 60000;
+        // Per-NF override or NRF default (60s, 3GPP), counted on the simulation clock
+        const heartbeatInterval = window.nrfRegistry?.getHeartbeatInterval(nfId) || 60000;
+        // --- ADDED: Reason heartbeats are currently lost to an injected fault (logged on change only) ---
+        let lostReason = null;
         
-        nf.heartbeatIntervalId = setInterval(() => {
+        nf.heartbeatIntervalId = window.simClock.setInterval(() => {
             // Check if NF still exists and is connected to NRF
             const currentNF = window.dataStore?.getNFById(nfId);
             if (!currentNF) {
                 // NF was deleted, stop heartbeat
                 if (nf.heartbeatIntervalId) {
-                    clearInterval(nf.heartbeatIntervalId);
+                    window.simClock.clearInterval(nf.heartbeatIntervalId);
                 }
                 return;
             }
 
+            // --- ADDED: Injected faults (crash, frozen heartbeats, partition, lossy link) swallow the heartbeat ---
+            const blockedBy = window.faultManager?.getHeartbeatBlock(nfId) || null;
+            if (blockedBy !== lostReason) {
+                if (window.logEngine) {
+                    if (blockedBy) {
+                        window.logEngine.addLog(nfId, 'ERROR',
+                            `Heartbeat to NRF lost: ${blockedBy}`, {
+                            heartbeatInterval: heartbeatInterval + 'ms',
+                            nrfTimeout: (window.nrfRegistry?.heartbeatTimeout || 120000) + 'ms',
+                            expected: 'NRF marks the NF UNAVAILABLE once the heartbeat timeout expires, then REMOVED'
+                        });
+                    } else {
+                        window.logEngine.addLog(nfId, 'SUCCESS',
+                            'Heartbeats reaching NRF again', {
+                            heartbeatInterval: heartbeatInterval + 'ms'
+                        });
+                    }
+                }
+                lostReason = blockedBy;
+            }
+            if (blockedBy) {
+                return;
+            }
+
             // Send heartbeat to NRF
             if (window.nrfRegistry) {
-                const success = window.nrfRegistry.updateHeartbeat(nfId);
-                if (success) {
+                const result = window.nrfRegistry.updateHeartbeat(nfId, window.loadModel?.getHeartbeatData(nfId));
+                if (result.status === 204) {
                     // Log heartbeat (only occasionally to avoid log spam)
-                    if (Math.random() < 0.1) { // Log 10% of heartbeats
+                    if (window.simRandom.chance(0.1)) { // Log 10% of heartbeats
                         if (window.logEngine) {
                             window.logEngine.addLog(nfId, 'INFO',
                                 'Heartbeat sent to NRF', {
                                 heartbeatInterval: heartbeatInterval + 'ms',
-                                nfStatus: 'REGISTERED'
+                                nfStatus: 'REGISTERED',
+                                load: window.nrfRegistry.getNFProfile(nfId)?.load + '%'
                             });
                         }
                     }
+                } else {
+                    // NRF no longer knows this NF (e.g. removed after heartbeat timeout)
+                    if (window.logEngine) {
+                        window.logEngine.addLog(nfId, 'WARNING',
+                            'Heartbeat rejected by NRF (404 Not Found) - NF is not registered', {
+                            heartbeatInterval: heartbeatInterval + 'ms',
+                            action: 'Heartbeat stopped; reconnect to NRF to register again'
+                        });
+                    }
+                    this.stopNFHeartbeat(nfId);
                 }
             }
         }, heartbeatInterval);
 
-        console.log(`💓 Heartbeat started for ${nf.name} (interval: ${heartbeatInterval}ms)`);
+        console.log(`💓 Heartbeat started for ${nf.name} (interval: ${heartbeatInterval}ms simulated)`);
         
         // Send initial heartbeat immediately
-        if (window.nrfRegistry) {
-            window.nrfRegistry.updateHeartbeat(nfId);
+        if (window.nrfRegistry && !window.faultManager?.getHeartbeatBlock(nfId)) {
+            window.nrfRegistry.updateHeartbeat(nfId, window.loadModel?.getHeartbeatData(nfId));
+        }
+    }
+
+    /**
+     * Set or clear a per-NF heartbeat timer override and restart a running heartbeat
+     * @param {string} nfId - NF instance ID
+     * @param {number|null} seconds - Heartbeat interval in simulated seconds, null for NRF default
+     */
+    setHeartbeatTimerOverride(nfId, seconds) {
+        const nf = window.dataStore?.getNFById(nfId);
+        if (!nf) return;
+
+        if (seconds) {
+            nf.config.heartbeatTimer = seconds;
+        } else {
+            delete nf.config.heartbeatTimer;
         }
+        window.dataStore.updateNF(nfId, { config: nf.config });
+
+        const wasRunning = !!nf.heartbeatIntervalId;
+        if (wasRunning) {
+            this.stopNFHeartbeat(nfId);
+            this.startNFHeartbeat(nfId);
+        }
+
+        if (window.logEngine) {
+            const interval = window.nrfRegistry?.getHeartbeatInterval(nfId) || 60000;
+            window.logEngine.addLog(nfId, 'INFO',
+                `Heartbeat timer ${seconds ? 'override set' : 'reset to NRF default'}: ${interval / 1000}s`, {
+                heartbeatInterval: interval + 'ms',
+                nrfTimeout: (window.nrfRegistry?.heartbeatTimeout || 120000) + 'ms',
+                heartbeatRestarted: wasRunning
+            });
+        }
+    }
+
+    /**
+     * Check whether an NF can reach an NRF directly or via a shared service bus
+     * @param {string} nfId - NF instance ID
+     * @returns {boolean}
+     */
+    isNRFReachable(nfId) {
+        return !!this.findReachableNRF(nfId);
+    }
+
+    /**
+     * Find the NRF an NF can reach, preferring a direct link over a shared service bus
+     * @param {string} nfId - NF instance ID
+     * @returns {string|null} NRF instance ID
+     */
+    findReachableNRF(nfId) {
+        const isNRF = (id) => window.dataStore?.getNFById(id)?.type === 'NRF';
+
+        const connections = window.dataStore?.getConnectionsForNF(nfId) || [];
+        for (const conn of connections) {
+            const peerId = conn.sourceId === nfId ? conn.targetId : conn.sourceId;
+            if (isNRF(peerId)) return peerId;
+        }
+
+        const busConnections = window.dataStore?.getBusConnectionsForNF(nfId) || [];
+        for (const busConn of busConnections) {
+            const nrfOnBus = (window.dataStore?.getBusConnectionsForBus(busConn.busId) || [])
+                .find(other => other.nfId !== nfId && isNRF(other.nfId));
+            if (nrfOnBus) return nrfOnBus.nfId;
+        }
+
+        return null;
     }
 
     /**
@@ -692,9 +787,9 @@ class ConnectionManager {
     stopNFHeartbeat(nfId) {
         const nf = window.dataStore?.getNFById(nfId);
         if (nf && nf.heartbeatIntervalId) {
-            clearInterval(nf.heartbeatIntervalId);
+            window.simClock.clearInterval(nf.heartbeatIntervalId);
             nf.heartbeatIntervalId = null;
             console.log(`🛑 Heartbeat stopped for ${nf.name}`);
         }
     }
-}
\ No newline at end of file
+}
@@ -21,6 +21,7 @@ class DataStore {
         this.busConnections = []; // NEW: Store NF-to-bus connections
         this.listeners = [];     // Event listeners for changes
         this.subscribers = [];   // Initialize subscribers array to prevent undefined issues
+        this.schemaVersion = '1.1.0'; // Format of exportData() (see TopologyFileManager migrations)
 
         console.log('✅ DataStore initialized');
     }
@@ -146,6 +147,20 @@ class DataStore {
         );
     }
     
+    /**
+     * Update an existing connection
+     * @param {string} id - Connection ID
+     * @param {Object} updates - Properties to update
+     */
+    updateConnection(id, updates) {
+        const conn = this.getConnectionById(id);
+        if (conn) {
+            Object.assign(conn, updates);
+            this.notifyListeners('connection-updated', conn);
+            console.log('📦 DataStore: Connection updated:', conn.id);
+        }
+    }
+
     /**
      * Remove a connection
      * @param {string} id - Connection ID
@@ -178,22 +193,29 @@ class DataStore {
 
     /**
      * Export all data as JSON
+     * Includes the subscriber list, NRF registry state, log history and random seed
+     * so a snapshot can bring back a whole lab session, not just the topology
      * @returns {Object} Complete data snapshot
      */
     exportData() {
         const cleanNFs = this.nfs.map(nf => {
             const cleanNF = { ...nf };
             delete cleanNF.iconImage;
+            delete cleanNF.heartbeatIntervalId; // Timer of this page, restarted on import
             return cleanNF;
         });
 
         return {
-            version: '1.0.0',
+            version: this.schemaVersion,
             timestamp: new Date().toISOString(),
             nfs: cleanNFs,
             connections: this.connections,
             buses: this.buses,                    // NEW
-            busConnections: this.busConnections   // NEW
+            busConnections: this.busConnections,  // NEW
+            subscribers: this.subscribers,
+            randomSeed: window.simRandom?.getSeed(),
+            nrfRegistry: window.nrfRegistry?.exportState() || null,
+            logs: window.logEngine?.exportState() || null
         };
     }
 
@@ -205,6 +227,7 @@ class DataStore {
         if (data.nfs && Array.isArray(data.nfs)) {
             this.nfs = data.nfs.map(nf => {
                 nf.iconImage = null;
+                nf.heartbeatIntervalId = null;
                 if (!nf.icon && window.nfDefinitions && window.nfDefinitions[nf.type]) {
                     nf.icon = window.nfDefinitions[nf.type].icon;
                 }
@@ -225,6 +248,24 @@ class DataStore {
             this.busConnections = data.busConnections;
         }
 
+        if (data.subscribers && Array.isArray(data.subscribers)) {
+            this.subscribers = data.subscribers;
+        }
+
+        // Same seed restarts the same random sequence, so the run can be reproduced
+        if (data.randomSeed !== undefined && window.simRandom) {
+            window.simRandom.setSeed(data.randomSeed);
+        }
+
+        // Registry profiles refer to the NFs above, so restore them after the topology
+        if (data.nrfRegistry && window.nrfRegistry) {
+            window.nrfRegistry.importState(data.nrfRegistry);
+        }
+
+        if (data.logs && window.logEngine) {
+            window.logEngine.importState(data.logs);
+        }
+
         this.notifyListeners('data-imported', data);
         console.log('📦 DataStore: Data imported');
     }
@@ -321,13 +362,16 @@ class DataStore {
 
     removeBusConnections(busId) {
         this.busConnections = this.busConnections.filter(conn => conn.busId !== busId);
+        this.notifyListeners('bus-connections-removed', { busId });
         console.log('📦 DataStore: Bus connections removed for bus:', busId);
     }
 
     removeBusConnection(connectionId) {
         const index = this.busConnections.findIndex(conn => conn.id === connectionId);
         if (index !== -1) {
+            const connection = this.busConnections[index];
             this.busConnections.splice(index, 1);
+            this.notifyListeners('bus-connection-removed', connection);
             console.log('📦 DataStore: Bus connection removed');
         }
     }
@@ -22,6 +22,8 @@ class DeploymentManager {
         this.preloadedLogs = null; // Store preloaded logs from 5g-logs.json
         this.nfIdMapping = {}; // Map old NF IDs to new NF IDs
         this.suppressAlerts = false; // Flag to suppress alerts during deployment
+        // NF types NFManager starts by itself next to a UDR / UPF
+        this.companionTypes = ['MySQL', 'ext-dn'];
         
         console.log('✅ DeploymentManager initialized');
     }
@@ -46,7 +48,7 @@ class DeploymentManager {
 
     /**
      * Start one-click deployment based on topology configuration
-     * @param {Object} topology - Topology configuration from one-click.json
+     * @param {Object} topology - Validated topology (one-click.json or a loaded topology file)
      */
     async startOneClickDeployment(topology) {
         if (this.isDeploying) {
@@ -69,8 +71,13 @@ class DeploymentManager {
             // Clear existing topology first
             await this.clearTopology();
 
+            // Subscribers from the file are provisioned before any UE is started
+            if (topology.subscribers?.length > 0) {
+                window.dataStore.setSubscribers(topology.subscribers.map(subscriber => ({ ...subscriber })));
+            }
+
             // Calculate total steps
-            this.totalSteps = 1 + // Bus creation
+            this.totalSteps = topology.buses.length + // Bus creation
                             topology.nfs.length + // NF creation
                             topology.connections.length + // Connections
                             topology.busConnections.length; // Bus connections
@@ -78,9 +85,11 @@ class DeploymentManager {
             // Update UI to show deployment in progress
             this.updateDeploymentUI(true);
 
-            // Step 1: Create Service Bus first
-            await this.createServiceBus(topology.buses[0]);
-            this.updateProgress();
+            // Step 1: Create Service Buses first
+            for (const bus of topology.buses) {
+                await this.createServiceBus(bus);
+                this.updateProgress();
+            }
 
             // Step 2: Deploy Network Functions in dependency order
             const deploymentOrder = this.getDeploymentOrder(topology.nfs);
@@ -131,6 +140,11 @@ class DeploymentManager {
             window.dataStore.clearAll();
         }
 
+        // Names restart at 1, so NFs created on the side (companions) match the file's names
+        if (window.nfManager) {
+            window.nfManager.resetCounters();
+        }
+
         if (window.logEngine) {
             window.logEngine.clearAllLogs();
         }
@@ -242,10 +256,22 @@ class DeploymentManager {
         console.log(`🚀 Deploying ${nfConfig.type}: ${nfConfig.name}...`);
 
         if (window.nfManager) {
+            // A UDR / UPF deployed earlier may already have started its MySQL / ext-dn;
+            // that companion becomes this NF instead of a second instance the NF manager refuses
+            const deployedIds = Object.values(this.nfIdMapping);
+            const companion = this.companionTypes.includes(nfConfig.type)
+                ? window.dataStore.getAllNFs().find(n => n.type === nfConfig.type && !deployedIds.includes(n.id))
+                : null;
+            if (companion && nfConfig.position) {
+                companion.position = { ...nfConfig.position };
+            }
+
             // Create NF with specified position and configuration
-            const nf = window.nfManager.createNetworkFunction(nfConfig.type, nfConfig.position);
+            const nf = companion || window.nfManager.createNetworkFunction(nfConfig.type, nfConfig.position);
             
             if (nf) {
+                this.nfIdMapping[nfConfig.id] = nf.id;
+
                 // Update NF with topology configuration
                 nf.name = nfConfig.name;
                 nf.config = { ...nf.config, ...nfConfig.config };
@@ -404,7 +430,7 @@ class DeploymentManager {
 
                 // Add NRF discovery and registration
                 await this.delay(100);
-                const nrf = window.dataStore.getAllNFs().find(n => n.type === 'NRF');
+                const nrf = this.getServingNRF(nf);
                 if (nrf) {
                     logEngine.addLog(nf.id, 'INFO', 'Discovered NRF - Initiating registration', {
                         busId: window.dataStore.getAllBuses()[0]?.id,
@@ -440,7 +466,7 @@ class DeploymentManager {
 
                 // Add NRF discovery and registration
                 await this.delay(200);
-                const nrfForSMF = window.dataStore.getAllNFs().find(n => n.type === 'NRF');
+                const nrfForSMF = this.getServingNRF(nf);
                 if (nrfForSMF) {
                     logEngine.addLog(nf.id, 'INFO', 'Discovered NRF - Initiating registration', {
                         busId: window.dataStore.getAllBuses()[0]?.id,
@@ -497,7 +523,7 @@ class DeploymentManager {
 
                 // Add NRF discovery and registration
                 await this.delay(200);
-                const nrfForAUSF = window.dataStore.getAllNFs().find(n => n.type === 'NRF');
+                const nrfForAUSF = this.getServingNRF(nf);
                 if (nrfForAUSF) {
                     logEngine.addLog(nf.id, 'INFO', 'Discovered NRF - Initiating registration', {
                         busId: window.dataStore.getAllBuses()[0]?.id,
@@ -541,7 +567,7 @@ class DeploymentManager {
 
                 // Add NRF discovery and registration
                 await this.delay(200);
-                const nrfForUDM = window.dataStore.getAllNFs().find(n => n.type === 'NRF');
+                const nrfForUDM = this.getServingNRF(nf);
                 if (nrfForUDM) {
                     logEngine.addLog(nf.id, 'INFO', 'Discovered NRF - Initiating registration', {
                         busId: window.dataStore.getAllBuses()[0]?.id,
@@ -609,7 +635,7 @@ class DeploymentManager {
 
                 // Add NRF discovery and registration
                 await this.delay(200);
-                const nrfForPCF = window.dataStore.getAllNFs().find(n => n.type === 'NRF');
+                const nrfForPCF = this.getServingNRF(nf);
                 if (nrfForPCF) {
                     logEngine.addLog(nf.id, 'INFO', 'Discovered NRF - Initiating registration', {
                         busId: window.dataStore.getAllBuses()[0]?.id,
@@ -661,7 +687,9 @@ class DeploymentManager {
         const nf = window.dataStore.getAllNFs().find(n => 
             topology.nfs.find(tnf => tnf.id === busConnConfig.nfId)?.name === n.name
         );
-        const bus = window.dataStore.getAllBuses()[0]; // Assuming single service bus
+        // Buses get new IDs when created, so match them by name
+        const busName = topology.buses.find(b => b.id === busConnConfig.busId)?.name;
+        const bus = window.dataStore.getAllBuses().find(b => b.name === busName);
 
         if (nf && bus && window.busManager) {
             const connection = window.busManager.connectNFToBus(nf.id, bus.id);
@@ -706,7 +734,10 @@ class DeploymentManager {
         const sourceNF = window.dataStore.getAllNFs().find(nf => nf.name === sourceTopologyNF.name);
         const targetNF = window.dataStore.getAllNFs().find(nf => nf.name === targetTopologyNF.name);
 
-        if (sourceNF && targetNF && window.connectionManager) {
+        // Auto-connections (and repeated entries in older files) may already link this pair
+        if (sourceNF && targetNF && window.dataStore.connectionExists(sourceNF.id, targetNF.id)) {
+            console.log(`ℹ️ ${sourceNF.name} and ${targetNF.name} are already connected`);
+        } else if (sourceNF && targetNF && window.connectionManager) {
             const connection = window.connectionManager.createManualConnection(sourceNF.id, targetNF.id);
             
             if (connection) {
@@ -852,6 +883,19 @@ class DeploymentManager {
         }
     }
 
+    /**
+     * Resolve the NRF an NF registers with: the NRF it can reach over its
+     * connections, falling back to the registry's default serving NRF
+     * @param {Object} nf - Network function
+     * @returns {Object|null} NRF network function
+     */
+    getServingNRF(nf) {
+        const nrfId = window.nrfRegistry?.resolveServingNRF(nf.id) ||
+            window.connectionManager?.findReachableNRF(nf.id);
+        return (nrfId && window.dataStore.getNFById(nrfId)) ||
+            window.dataStore.getAllNFs().find(n => n.type === 'NRF') || null;
+    }
+
     /**
      * Utility function to add delay
      * @param {number} ms - Milliseconds to delay
@@ -29,13 +29,66 @@ class DockerTerminal {
 
         // Network state
         this.oaiWorkshopNetworkExists = false;
-        this.oaiWorkshopNetworkId = this.generateNetworkId();
+        // Drawn on first use: this script loads before app.js creates window.simRandom
+        this.oaiWorkshopNetworkId = null;
         this.oaiWorkshopCreatedTime = null;
 
         // Cache for one-click.json topology
         this.oneClickTopology = null;
         this.topologyLoadPromise = null;
 
+        // Commands kept across sessions for Up/Down
+        this.maxHistory = 100;
+
+        // Commands without arguments -> action
+        this.simpleCommands = {
+            'help': 'help', '?': 'help', 'status': 'status', 'check': 'status',
+            'cls': 'clear', 'clear': 'clear', 'exit': 'exit'
+        };
+
+        // Services each compose file defines (service name -> NF type)
+        const coreServices = {
+            'mysql': 'MySQL', 'oai-nrf': 'NRF', 'oai-amf': 'AMF', 'oai-smf': 'SMF', 'oai-upf': 'UPF',
+            'oai-ausf': 'AUSF', 'oai-udm': 'UDM', 'oai-udr': 'UDR', 'oai-pcf': 'PCF', 'oai-nssf': 'NSSF',
+            'oai-ext-dn': 'ext-dn'
+        };
+        this.composeServices = {
+            'docker-compose.yml': coreServices,
+            'docker-compose-gnb.yml': { 'oai-gnb': 'gNB' },
+            'docker-compose-ue.yml': { 'oai-ue1': 'UE', 'oai-ue2': 'UE' },
+            'docker-compose-ran.yml': { 'oai-ue1': 'UE', 'oai-ue2': 'UE' }
+        };
+        this.composeFileAliases = {
+            'compose.yml': 'docker-compose.yml',
+            'compose.yaml': 'docker-compose.yml',
+            'docker-compose.yaml': 'docker-compose.yml'
+        };
+
+        // Flags each command accepts: key -> names, a trailing "=" marks a flag that takes a value.
+        // Flags that change nothing in the simulator (--force-recreate, -p, ...) are accepted and ignored.
+        this.flagSpecs = {
+            docker: {
+                host: '-H --host=', context: '-c --context=', logLevel: '-l --log-level=',
+                debug: '-D --debug', config: '--config=', version: '-v --version'
+            },
+            compose: {
+                file: '-f --file=', projectName: '-p --project-name=', projectDirectory: '--project-directory=',
+                envFile: '--env-file=', profile: '--profile=', ansi: '--ansi=', compatibility: '--compatibility',
+                dryRun: '--dry-run'
+            },
+            up: {
+                detach: '-d --detach', noDeps: '--no-deps', forceRecreate: '--force-recreate', noRecreate: '--no-recreate',
+                build: '--build', noBuild: '--no-build', removeOrphans: '--remove-orphans', wait: '--wait',
+                quietPull: '--quiet-pull', pull: '--pull=', timeout: '-t --timeout=',
+                alwaysRecreateDeps: '--always-recreate-deps', renewAnonVolumes: '-V --renew-anon-volumes'
+            },
+            down: { removeOrphans: '--remove-orphans', volumes: '-v --volumes', rmi: '--rmi=', timeout: '-t --timeout=' },
+            ps: { all: '-a --all', quiet: '-q --quiet', format: '--format=', noTrunc: '--no-trunc' },
+            start: {},
+            stop: { timeout: '-t --time= --timeout=' },
+            watch: { interval: '-n --interval=', differences: '-d --differences', noTitle: '-t --no-title' }
+        };
+
         console.log('✅ DockerTerminal initialized');
     }
 
@@ -84,6 +137,15 @@ class DockerTerminal {
         return this.topologyLoadPromise;
     }
 
+    /**
+     * Use a loaded topology file instead of one-click.json for "docker compose up"
+     * @param {Object} topology - Validated topology
+     */
+    setTopology(topology) {
+        this.oneClickTopology = topology;
+        console.log(`✅ Docker terminal now deploys topology "${topology.name || 'unnamed'}"`);
+    }
+
     /**
      * Get position for NF type from one-click.json
      * @param {string} nfType - NF type (e.g., 'NRF', 'AMF')
@@ -258,8 +320,8 @@ class DockerTerminal {
         const output = document.getElementById('docker-terminal-output');
         const closeBtn = document.getElementById('docker-terminal-close');
 
-        let commandHistory = [];
-        let historyIndex = -1;
+        const commandHistory = this.loadCommandHistory();
+        let historyIndex = commandHistory.length;
 
         // Close button
         closeBtn.addEventListener('click', () => {
@@ -292,8 +354,12 @@ class DockerTerminal {
             if (e.key === 'Enter') {
                 const command = input.value.trim();
                 if (command) {
-                    // Add to history
-                    commandHistory.push(command);
+                    // Add to history (kept across sessions)
+                    if (commandHistory[commandHistory.length - 1] !== command) {
+                        commandHistory.push(command);
+                        if (commandHistory.length > this.maxHistory) commandHistory.shift();
+                        this.saveCommandHistory(commandHistory);
+                    }
                     historyIndex = commandHistory.length;
 
                     // Display command
@@ -303,8 +369,26 @@ class DockerTerminal {
                     input.value = '';
 
                     // Process command
-                    await this.processCommand(command, output);
+                    window.sessionRecorder?.recordAction('terminal-command', { terminal: 'docker', command });
+                    const labStepIndex = window.guidedLab?.currentIndex;
+                    // Containers started or stopped by one command are undone together (Ctrl+Z)
+                    if (window.historyManager) {
+                        await window.historyManager.execute(`docker: ${command}`, () => this.processCommand(command, output));
+                    } else {
+                        await this.processCommand(command, output);
+                    }
+
+                    // Guided lab checks whether the command completed the current step
+                    window.guidedLab?.onTerminalCommand(command, output, labStepIndex);
+                }
+            } else if (e.key === 'Tab') {
+                e.preventDefault();
+                const { value, matches } = this.completeCommand(input.value);
+                if (value === input.value && matches.length > 1) {
+                    this.addTerminalLine(output, `docker@main>${input.value}`, 'command');
+                    this.addTerminalLine(output, matches.join('   '), 'info');
                 }
+                input.value = value;
             } else if (e.key === 'ArrowUp') {
                 e.preventDefault();
                 if (historyIndex > 0) {
@@ -335,84 +419,638 @@ class DockerTerminal {
      * @param {HTMLElement} output - Output element
      */
     async processCommand(command, output) {
-        const cmd = command.toLowerCase().trim();
-        const args = command.split(' ');
-
-        if (cmd === 'help' || cmd === '?') {
-            this.showHelp(output);
-        } else if (cmd === 'status' || cmd === 'check') {
-            this.checkSystemStatus(output);
-        } else if (cmd === 'docker compose -f docker-compose.yml up -d' || cmd === 'docker-compose -f docker-compose.yml up -d' ||
-                   cmd === 'docker compose up -d' ||
-                   cmd === 'docker-compose up -d') {
-            await this.dockerComposeUp(output);
-        } else if (cmd === 'docker compose -f docker-compose-gnb.yml up -d' || 
-                   cmd === 'docker-compose -f docker-compose-gnb.yml up -d') {
+        const parsed = this.parseCommand(command);
+
+        if (parsed.error) {
+            this.addTerminalLine(output, parsed.error, 'error');
+            this.addTerminalLine(output, parsed.usage || 'Type "help" for available commands.', 'info');
+        } else {
+            await this.runCommand(parsed, output);
+        }
+
+        this.addTerminalLine(output, '', 'blank');
+    }
+
+    /**
+     * Run a parsed command
+     * @param {Object} parsed - From parseCommand()
+     * @param {HTMLElement} output - Output element
+     */
+    async runCommand(parsed, output) {
+        switch (parsed.action) {
+            case 'help':
+                this.showHelp(output);
+                break;
+            case 'status':
+                this.checkSystemStatus(output);
+                break;
+            case 'clear':
+                output.innerHTML = '';
+                break;
+            case 'exit': {
+                const closeBtn = document.getElementById('docker-terminal-close');
+                if (closeBtn) closeBtn.click();
+                break;
+            }
+            case 'cat':
+                this.catComposeFile(parsed.fileName, output);
+                break;
+            case 'version':
+                this.dockerVersion(output);
+                break;
+            case 'network-ls':
+                this.dockerNetworkLS(output);
+                break;
+            case 'network-inspect':
+                parsed.networks.forEach(networkName => this.dockerNetworkInspect(networkName, output));
+                break;
+            case 'ps':
+                await this.dockerPS(output, parsed.options);
+                break;
+            case 'start':
+                for (const serviceName of parsed.services) {
+                    await this.dockerStart(serviceName, output);
+                }
+                break;
+            case 'stop':
+                for (const serviceName of parsed.services) {
+                    await this.dockerStop(serviceName, output);
+                }
+                break;
+            case 'compose-up':
+                await this.runComposeUp(parsed, output);
+                break;
+            case 'compose-down':
+                await this.runComposeDown(parsed, output);
+                break;
+            case 'compose-ps':
+                this.showDockerComposePS(output, parsed.options);
+                break;
+            case 'watch':
+                this.startWatch(output, parsed.interval, parsed.command);
+                break;
+        }
+    }
+
+    /**
+     * docker compose up: a whole file, or the listed services (with their dependencies unless --no-deps)
+     * @param {Object} parsed - { file, services, options: { detach, noDeps } }
+     * @param {HTMLElement} output - Output element
+     */
+    async runComposeUp(parsed, output) {
+        const { file, services, options } = parsed;
+
+        if (!options.detach) {
+            this.addTerminalLine(output, 'Attaching to container logs is not simulated: starting in detached mode (-d).', 'warning');
+        }
+
+        if (file === 'docker-compose-gnb.yml') {
             await this.dockerComposeGnbUp(output);
-        } else if (cmd === 'docker compose -f docker-compose-ue.yml up -d' || 
-                   cmd === 'docker-compose -f docker-compose-ue.yml up -d') {
-            await this.dockerComposeUeUp(output);
-        } else if (cmd === 'docker compose -f docker-compose-ran.yml up -d oai-ue1' || 
-                   cmd === 'docker-compose -f docker-compose-ran.yml up -d oai-ue1') {
-            await this.dockerComposeUe1Up(output);
-        } else if (cmd === 'docker compose -f docker-compose-ran.yml up -d oai-ue2' || 
-                   cmd === 'docker-compose -f docker-compose-ran.yml up -d oai-ue2') {
-            await this.dockerComposeUe2Up(output);
-        } else if (cmd === 'docker ps') {
-            await this.dockerPS(output);
-        } else if (cmd === 'docker network ls') {
-            this.dockerNetworkLS(output);
-        } else if (cmd.startsWith('docker network inspect ')) {
-            const networkName = args.slice(3).join(' ');
-            this.dockerNetworkInspect(networkName, output);
-        } else if (cmd === 'docker version') {
-            this.dockerVersion(output);
-        } else if (cmd.startsWith('watch docker compose -f docker-compose.yml ps -a') ||
-                   cmd.startsWith('watch docker-compose -f docker-compose.yml ps -a') ||
-                   cmd.startsWith('watch docker compose ps -a')) {
-            this.startWatch(output);
-        } else if (cmd === 'docker compose -f docker-compose.yml down' ||
-                   cmd === 'docker-compose -f docker-compose.yml down' ||
-                   cmd === 'docker compose down' ||
-                   cmd === 'docker-compose down') {
-            await this.dockerComposeDown(output);
-         } else if (cmd.startsWith('docker compose -f docker-compose.yml up -d ') ||
-                 cmd.startsWith('docker-compose -f docker-compose.yml up -d ') ||
-                 cmd.startsWith('docker compose up -d ') ||
-                 cmd.startsWith('docker-compose up -d ')) {
-             const parts = command.split(' ').filter(Boolean);
-             const serviceName = parts[parts.length - 1];
-             await this.dockerComposeServiceUp(serviceName, output);
-         } else if (cmd.startsWith('docker compose -f docker-compose.yml down ') ||
-                 cmd.startsWith('docker-compose -f docker-compose.yml down ') ||
-                 cmd.startsWith('docker compose down ') ||
-                 cmd.startsWith('docker-compose down ')) {
-             const parts = command.split(' ').filter(Boolean);
-             const serviceName = parts[parts.length - 1];
-             await this.dockerComposeServiceDown(serviceName, output);
-        } else if (cmd === 'docker compose -f docker-compose-gnb.yml down' ||
-                   cmd === 'docker-compose -f docker-compose-gnb.yml down') {
+        } else if (file !== 'docker-compose.yml') {
+            // docker-compose-ue.yml and the older docker-compose-ran.yml both define oai-ue1 and oai-ue2
+            if (services.length === 1 && services[0] === 'oai-ue1') {
+                await this.dockerComposeUe1Up(output);
+            } else if (services.length === 1 && services[0] === 'oai-ue2') {
+                await this.dockerComposeUe2Up(output);
+            } else {
+                await this.dockerComposeUeUp(output);
+            }
+        } else if (services.length === 0) {
+            await this.dockerComposeUp(output);
+        } else {
+            const toStart = options.noDeps ? services : this.withServiceDependencies(services);
+            for (const serviceName of toStart) {
+                await this.dockerComposeServiceUp(serviceName, output);
+            }
+        }
+    }
+
+    /**
+     * docker compose down: a whole file, or the listed services
+     * @param {Object} parsed - { file, services }
+     * @param {HTMLElement} output - Output element
+     */
+    async runComposeDown(parsed, output) {
+        const { file, services } = parsed;
+
+        if (file === 'docker-compose-gnb.yml') {
             await this.dockerComposeGnbDown(output);
-        } else if (cmd === 'docker compose -f docker-compose-ue.yml down' ||
-                   cmd === 'docker-compose -f docker-compose-ue.yml down') {
+        } else if (file === 'docker-compose.yml') {
+            if (services.length === 0) {
+                await this.dockerComposeDown(output);
+            }
+            for (const serviceName of services) {
+                await this.dockerComposeServiceDown(serviceName, output);
+            }
+        } else if (services.length === 0 || services.length === 2) {
             await this.dockerComposeUeDown(output);
-        } else if (cmd.startsWith('docker start ')) {
-            const serviceName = args.slice(2).join(' ');
-            await this.dockerStart(serviceName, output);
-        } else if (cmd.startsWith('docker stop ')) {
-            const serviceName = args.slice(2).join(' ');
-            await this.dockerStop(serviceName, output);
-        } else if (cmd === 'cls' || cmd === 'clear') {
-            output.innerHTML = '';
-        } else if (cmd === 'exit') {
-            const closeBtn = document.getElementById('docker-terminal-close');
-            if (closeBtn) closeBtn.click();
         } else {
-            this.addTerminalLine(output, `Command not found: ${command}`, 'error');
-            this.addTerminalLine(output, 'Type "help" for available commands.', 'info');
+            // oai-ue1 / oai-ue2 are the UEs the compose files name UE-1 / UE-2
+            const ue = (window.dataStore?.getAllNFs() || [])
+                .find(nf => nf.type === 'UE' && nf.name === `UE-${services[0].slice(-1)}`);
+            if (!ue) {
+                this.addTerminalLine(output, `No ${services[0]} container to stop.`, 'info');
+                return;
+            }
+
+            this.addTerminalLine(output, '[+] Running 1/1', 'info');
+            const randomDelay = (window.simRandom.next() * 0.2 + 0.1).toFixed(1);
+            this.addTerminalLine(output, `✔ Container ${services[0]} Removed${' '.repeat(20)}${randomDelay}s`, 'success');
+            await this.delay(parseFloat(randomDelay) * 1000);
+
+            if (window.nfManager) {
+                window.nfManager.deleteNetworkFunction(ue.id);
+            } else if (window.dataStore) {
+                window.dataStore.removeNF(ue.id);
+            }
+
+            if (window.canvasRenderer) window.canvasRenderer.render();
         }
+    }
 
-        this.addTerminalLine(output, '', 'blank');
+    /**
+     * Core services plus the services they depend on that are not running, dependencies first
+     * @param {Array} services - Service names from docker-compose.yml
+     * @returns {Array} Service names to start
+     */
+    withServiceDependencies(services) {
+        const coreServices = this.composeServices['docker-compose.yml'];
+        const serviceByType = Object.fromEntries(Object.entries(coreServices).map(([service, type]) => [type, service]));
+        const dependencies = window.logEngine?.dependencies || {};
+        const extraDependencies = window.composeFileManager?.extraDependencies || {};
+        const running = new Set((window.dataStore?.getAllNFs() || [])
+            .filter(nf => nf.status !== 'stopped')
+            .map(nf => nf.type));
+
+        const ordered = [];
+        const visiting = new Set(); // Keeps a dependency cycle from recursing forever
+        const visit = (serviceName, isDependency) => {
+            const type = coreServices[serviceName];
+            if (ordered.includes(serviceName) || visiting.has(serviceName) || (isDependency && running.has(type))) return;
+
+            visiting.add(serviceName);
+            [...(dependencies[type]?.required || []), ...(extraDependencies[type] || [])]
+                .filter(depType => serviceByType[depType])
+                .forEach(depType => visit(serviceByType[depType], true));
+            ordered.push(serviceName);
+        };
+        services.forEach(serviceName => visit(serviceName, false));
+
+        return ordered;
+    }
+
+    // ==========================================
+    // Command parsing
+    // ==========================================
+
+    /**
+     * Split a command line into words; quotes group words and are removed
+     * @param {string} command - Command as typed
+     * @returns {Object} { tokens, error }
+     */
+    tokenizeCommand(command) {
+        const tokens = [];
+        let current = null;
+        let quote = null;
+
+        for (const char of command) {
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"' || char === "'") {
+                quote = char;
+                current = current || '';
+            } else if (/\s/.test(char)) {
+                if (current !== null) tokens.push(current);
+                current = null;
+            } else {
+                current = (current || '') + char;
+            }
+        }
+
+        if (quote) {
+            return { tokens: [], error: `Unterminated ${quote === '"' ? 'double' : 'single'} quote` };
+        }
+        if (current !== null) tokens.push(current);
+
+        return { tokens, error: null };
+    }
+
+    /**
+     * Parse a command line into the action it runs
+     * @param {string} command - Command as typed
+     * @returns {Object} { action, ...arguments } or { error, usage }
+     */
+    parseCommand(command) {
+        const { tokens, error } = this.tokenizeCommand(command.trim());
+        if (error) return { error };
+
+        return this.parseTokens(tokens, command.trim());
+    }
+
+    /**
+     * @param {Array} tokens - From tokenizeCommand()
+     * @param {string} command - Command as typed, for "Command not found"
+     * @returns {Object} { action, ...arguments } or { error, usage }
+     */
+    parseTokens(tokens, command) {
+        const notFound = { error: `Command not found: ${command}` };
+        const [first, ...args] = tokens;
+        const word = (first || '').toLowerCase();
+
+        if (args.length === 0 && this.simpleCommands[word]) {
+            return { action: this.simpleCommands[word] };
+        }
+
+        switch (word) {
+            case 'cat':
+                return args.length === 1 ? { action: 'cat', fileName: args[0] } : notFound;
+            case 'docker':
+                return this.parseDockerCommand(args) || notFound;
+            case 'docker-compose':
+                return this.parseComposeCommand(args, 'docker-compose') || notFound;
+            case 'watch':
+                return this.parseWatchCommand(args) || notFound;
+            default:
+                return notFound;
+        }
+    }
+
+    /**
+     * @param {Array} args - Words after "docker"
+     * @returns {Object|null} Parsed command, or null if it is not a docker command the terminal knows
+     */
+    parseDockerCommand(args) {
+        const global = this.parseFlags(args, 'docker', true);
+        if (global.error) return { error: global.error, usage: 'See \'docker --help\'.' };
+        if (global.flags.version) return { action: 'version' };
+
+        const [subcommand, ...rest] = global.rest;
+        const sub = (subcommand || '').toLowerCase();
+        const object = (rest[0] || '').toLowerCase();
+
+        // docker container ls/ps/start/stop are the long forms of docker ps/start/stop
+        if (sub === 'container' && ['ls', 'list', 'ps', 'start', 'stop'].includes(object)) {
+            return this.parseDockerCommand([['start', 'stop'].includes(object) ? object : 'ps', ...rest.slice(1)]);
+        }
+
+        switch (sub) {
+            case 'compose':
+                return this.parseComposeCommand(rest, 'docker compose');
+            case 'version':
+                return rest.length === 0 ? { action: 'version' } : null;
+            case 'ps': {
+                const { flags, rest: extra, error } = this.parseFlags(rest, 'ps');
+                if (error) return { error, usage: 'See \'docker ps --help\'.' };
+                if (extra.length > 0) return { error: '"docker ps" accepts no arguments.', usage: 'Usage:  docker ps [OPTIONS]' };
+                return { action: 'ps', options: this.getListOptions(flags) };
+            }
+            case 'start':
+            case 'stop': {
+                const { rest: services, error } = this.parseFlags(rest, sub);
+                if (error) return { error, usage: `See 'docker ${sub} --help'.` };
+                if (services.length === 0) {
+                    return { error: `"docker ${sub}" requires at least 1 argument.`, usage: `Usage:  docker ${sub} [OPTIONS] CONTAINER [CONTAINER...]` };
+                }
+                return { action: sub, services: [...new Set(services.map(service => service.toLowerCase()))] };
+            }
+            case 'network':
+                if (['ls', 'list'].includes(object) && rest.length === 1) return { action: 'network-ls' };
+                if (object === 'inspect') {
+                    if (rest.length === 1) {
+                        return { error: '"docker network inspect" requires at least 1 argument.', usage: 'Usage:  docker network inspect [OPTIONS] NETWORK [NETWORK...]' };
+                    }
+                    return { action: 'network-inspect', networks: rest.slice(1) };
+                }
+                return null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {Array} args - Words after "docker compose" / "docker-compose"
+     * @param {string} program - How the command was spelled, for messages
+     * @returns {Object|null} Parsed command
+     */
+    parseComposeCommand(args, program) {
+        const global = this.parseFlags(args, 'compose', true);
+        if (global.error) return { error: global.error, usage: `See '${program} --help'.` };
+
+        const files = (global.flags.file || []).map(file => file.split('/').pop().toLowerCase());
+        if (new Set(files).size > 1) {
+            return { error: 'Combining several -f files is not simulated: run one command per compose file.' };
+        }
+        const file = this.composeFileAliases[files[0]] || files[0] || 'docker-compose.yml';
+        if (!this.composeServices[file]) {
+            return { error: `open ${files[0]}: no such file or directory`, usage: `Compose files: ${Object.keys(this.composeServices).join(', ')}` };
+        }
+
+        const [subcommand, ...rest] = global.rest;
+        const sub = (subcommand || '').toLowerCase();
+        if (!['up', 'down', 'ps'].includes(sub)) {
+            return subcommand ? { error: `unknown ${program} command: "${subcommand}"`, usage: 'Supported: up, down, ps' } : null;
+        }
+
+        const { flags, rest: serviceArgs, error } = this.parseFlags(rest, sub);
+        if (error) return { error, usage: `See '${program} ${sub} --help'.` };
+
+        const services = [...new Set(serviceArgs.map(service => service.toLowerCase()))];
+        const unknown = services.find(service => !this.composeServices[file][service]);
+        if (unknown) {
+            return { error: `no such service: ${unknown}`, usage: `Services in ${file}: ${Object.keys(this.composeServices[file]).join(', ')}` };
+        }
+
+        if (sub === 'ps') {
+            return { action: 'compose-ps', file, services, options: { ...this.getListOptions(flags), file, services } };
+        }
+        if (sub === 'down') {
+            return { action: 'compose-down', file, services };
+        }
+        return { action: 'compose-up', file, services, options: { detach: !!flags.detach, noDeps: !!flags.noDeps } };
+    }
+
+    /**
+     * watch [-n seconds] <docker compose ps command>
+     * @param {Array} args - Words after "watch"
+     * @returns {Object|null} Parsed command
+     */
+    parseWatchCommand(args) {
+        const { flags, rest, error } = this.parseFlags(args, 'watch', true);
+        if (error) return { error, usage: 'Usage: watch [-n seconds] docker compose -f docker-compose.yml ps -a' };
+
+        const interval = flags.interval ? Number(flags.interval[flags.interval.length - 1]) : 1;
+        if (!(interval > 0)) {
+            return { error: `watch: failed to parse argument: '${flags.interval[flags.interval.length - 1]}'` };
+        }
+
+        const watched = rest.length > 0 ? this.parseTokens(rest, rest.join(' ')) : null;
+        if (!watched || watched.error || watched.action !== 'compose-ps') {
+            return { error: 'watch: only "docker compose ps" output can be watched', usage: 'Usage: watch [-n seconds] docker compose -f docker-compose.yml ps -a' };
+        }
+
+        return { action: 'watch', interval: Math.max(interval, 0.1), command: watched };
+    }
+
+    /**
+     * Parse flags the way the docker CLI does: --flag=value, --flag value, -abc for boolean shorthands
+     * @param {Array} args - Words to parse
+     * @param {string} specName - Key in this.flagSpecs
+     * @param {boolean} stopAtArgument - Stop at the first non-flag word (global flags before a subcommand)
+     * @returns {Object} { flags (boolean, or array of values), rest (non-flag words), error }
+     */
+    parseFlags(args, specName, stopAtArgument = false) {
+        const spec = this.getFlagSpec(specName);
+        const flags = {};
+        const rest = [];
+
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+
+            if (arg === '--') {
+                rest.push(...args.slice(i + 1));
+                break;
+            }
+            if (!arg.startsWith('-') || arg === '-') {
+                if (stopAtArgument) {
+                    rest.push(...args.slice(i));
+                    break;
+                }
+                rest.push(arg);
+                continue;
+            }
+
+            // -ad is -a -d when both are boolean shorthands
+            let names = [arg];
+            let inlineValue = null;
+            if (arg.startsWith('--') && arg.includes('=')) {
+                names = [arg.slice(0, arg.indexOf('='))];
+                inlineValue = arg.slice(arg.indexOf('=') + 1);
+            } else if (!arg.startsWith('--') && arg.length > 2) {
+                names = arg.slice(1).split('').map(char => `-${char}`);
+                const valueFlag = names.findIndex(name => spec[name]?.takesValue);
+                if (valueFlag >= 0 && valueFlag < names.length - 1) {
+                    // -n2 style: the rest of the word is the value
+                    inlineValue = arg.slice(valueFlag + 2);
+                    names = names.slice(0, valueFlag + 1);
+                }
+            }
+
+            for (const name of names) {
+                const flag = spec[name] || spec[name.toLowerCase()];
+                if (!flag) {
+                    return {
+                        flags, rest,
+                        error: name.startsWith('--') ? `unknown flag: ${name}` : `unknown shorthand flag: '${name.slice(1)}' in ${arg}`
+                    };
+                }
+
+                if (!flag.takesValue) {
+                    flags[flag.key] = true;
+                    continue;
+                }
+
+                let value = inlineValue;
+                if (value === null) {
+                    if (i + 1 >= args.length) {
+                        return { flags, rest, error: `flag needs an argument: ${name}` };
+                    }
+                    value = args[++i];
+                }
+                flags[flag.key] = [...(flags[flag.key] || []), value];
+            }
+        }
+
+        return { flags, rest, error: null };
+    }
+
+    /**
+     * @param {string} specName - Key in this.flagSpecs
+     * @returns {Object} Flag name (e.g. '-d', '--detach') -> { key, takesValue }
+     */
+    getFlagSpec(specName) {
+        const spec = {};
+        Object.entries(this.flagSpecs[specName] || {}).forEach(([key, names]) => {
+            const takesValue = names.endsWith('=');
+            names.replace(/=/g, '').split(' ').forEach(name => {
+                spec[name] = { key, takesValue };
+            });
+        });
+        return spec;
+    }
+
+    /**
+     * @param {Object} flags - From parseFlags() for ps
+     * @returns {Object} { all, quiet, format }
+     */
+    getListOptions(flags) {
+        return {
+            all: !!flags.all,
+            quiet: !!flags.quiet,
+            format: flags.format ? flags.format[flags.format.length - 1] : null
+        };
+    }
+
+    /**
+     * One spelling per command, so e.g. "docker-compose up -d --force-recreate" and
+     * "docker compose -f docker-compose.yml up -d" compare equal
+     * @param {string} command - Command as typed
+     * @returns {string|null} Canonical command, or null if the command does not parse
+     */
+    canonicalCommand(command) {
+        const parsed = typeof command === 'string' ? this.parseCommand(command) : command;
+        if (parsed.error) return null;
+
+        const services = parsed.services?.length > 0 ? ` ${parsed.services.join(' ')}` : '';
+        switch (parsed.action) {
+            case 'compose-up':
+                return `docker compose -f ${parsed.file} up${parsed.options.detach ? ' -d' : ''}` +
+                    `${parsed.options.noDeps ? ' --no-deps' : ''}${services}`;
+            case 'compose-down':
+                return `docker compose -f ${parsed.file} down${services}`;
+            case 'compose-ps':
+                return `docker compose -f ${parsed.file} ps${parsed.options.all ? ' -a' : ''}${services}`;
+            case 'ps':
+                return `docker ps${parsed.options.all ? ' -a' : ''}`;
+            case 'watch':
+                return `watch ${this.canonicalCommand(parsed.command)}`;
+            default:
+                return command.toLowerCase().trim().replace(/\s+/g, ' ');
+        }
+    }
+
+    // ==========================================
+    // Tab completion & history
+    // ==========================================
+
+    /**
+     * Complete the word under the cursor (the end of the line)
+     * @param {string} line - Input line
+     * @returns {Object} { value (new input line), matches (candidates when ambiguous) }
+     */
+    completeCommand(line) {
+        const words = line.trimStart().split(/\s+/);
+        const current = words.pop();
+        const candidates = this.getCompletionCandidates(words.map(word => word.toLowerCase()), current)
+            .filter(candidate => candidate.startsWith(current.toLowerCase()));
+
+        if (candidates.length === 0) {
+            return { value: line, matches: [] };
+        }
+
+        const head = line.slice(0, line.length - current.length);
+        if (candidates.length === 1) {
+            return { value: `${head}${candidates[0]} `, matches: [] };
+        }
+
+        let prefix = candidates[0];
+        candidates.forEach(candidate => {
+            while (!candidate.startsWith(prefix)) prefix = prefix.slice(0, -1);
+        });
+        return { value: head + (prefix.length > current.length ? prefix : current), matches: candidates };
+    }
+
+    /**
+     * @param {Array} words - Complete words before the one being typed (lowercase)
+     * @param {string} current - Word being typed
+     * @returns {Array} Words that may come next
+     */
+    getCompletionCandidates(words, current) {
+        const isFlag = current.startsWith('-');
+        const flagNames = specName => Object.keys(this.getFlagSpec(specName)).filter(name => name.startsWith('--'));
+        const containers = [...Object.keys(this.composeServices['docker-compose.yml']), 'oai-gnb', 'oai-ue'];
+
+        let rest = words;
+        if (rest[0] === 'watch') {
+            rest = this.parseFlags(rest.slice(1), 'watch', true).rest;
+            if (rest.length === 0) return isFlag ? flagNames('watch') : ['docker', 'docker-compose'];
+        }
+        if (rest.length === 0) {
+            return [...Object.keys(this.simpleCommands), 'cat', 'docker', 'docker-compose', 'watch'];
+        }
+
+        const [program, ...args] = rest;
+        if (program === 'cat') {
+            return args.length === 0 ? (window.composeFileManager?.files || []).map(file => file.fileName) : [];
+        }
+        if (program === 'docker-compose') return this.getComposeCompletions(args, isFlag);
+        if (program !== 'docker') return [];
+
+        const global = this.parseFlags(args, 'docker', true);
+        if (global.error) return [];
+
+        const [sub, ...subArgs] = global.rest;
+        switch (sub) {
+            case undefined:
+                return isFlag ? flagNames('docker') : ['compose', 'container', 'network', 'ps', 'start', 'stop', 'version'];
+            case 'compose':
+                return this.getComposeCompletions(subArgs, isFlag);
+            case 'ps':
+                return isFlag ? flagNames('ps') : [];
+            case 'start':
+            case 'stop':
+                return isFlag ? flagNames(sub) : containers.filter(name => !subArgs.includes(name));
+            case 'network':
+                if (subArgs.length === 0) return ['inspect', 'ls'];
+                return subArgs[0] === 'inspect' ? ['bridge', 'host', 'none', 'oaiworkshop'] : [];
+            case 'container':
+                if (subArgs.length === 0) return ['ls', 'start', 'stop'];
+                if (['start', 'stop'].includes(subArgs[0])) return containers.filter(name => !subArgs.includes(name));
+                return isFlag ? flagNames('ps') : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * @param {Array} args - Complete words after "docker compose"
+     * @param {boolean} isFlag - The word being typed starts with "-"
+     * @returns {Array} Words that may come next
+     */
+    getComposeCompletions(args, isFlag) {
+        const flagNames = specName => Object.keys(this.getFlagSpec(specName)).filter(name => name.startsWith('--'));
+        const last = args[args.length - 1];
+        if (last === '-f' || last === '--file') return Object.keys(this.composeServices);
+
+        const global = this.parseFlags(args, 'compose', true);
+        if (global.error) return [];
+
+        const [sub, ...serviceArgs] = global.rest;
+        if (!sub) return isFlag ? flagNames('compose') : ['down', 'ps', 'up'];
+        if (!['up', 'down', 'ps'].includes(sub)) return [];
+        if (isFlag) return flagNames(sub);
+
+        const files = global.flags.file || [];
+        const fileName = files[files.length - 1]?.split('/').pop();
+        const services = this.composeServices[this.composeFileAliases[fileName] || fileName || 'docker-compose.yml'] || {};
+        return Object.keys(services).filter(service => !serviceArgs.includes(service));
+    }
+
+    /**
+     * @returns {Array} Commands typed in earlier sessions (oldest first)
+     */
+    loadCommandHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('dockerTerminalHistory') || '[]');
+            return Array.isArray(saved) ? saved.filter(command => typeof command === 'string').slice(-this.maxHistory) : [];
+        } catch (e) {
+            console.warn('Failed to load terminal history:', e);
+            return [];
+        }
+    }
+
+    /**
+     * @param {Array} history - Commands (oldest first)
+     */
+    saveCommandHistory(history) {
+        try {
+            localStorage.setItem('dockerTerminalHistory', JSON.stringify(history.slice(-this.maxHistory)));
+        } catch (e) {
+            console.warn('Failed to save terminal history:', e);
+        }
     }
 
     /**
@@ -481,8 +1119,14 @@ class DockerTerminal {
             '  docker compose -f docker-compose-ran.yml up -d oai-ue2',
             '    Start only UE2 container',
             '',
-            '  docker ps',
-            '    Show running Docker containers',
+            '  docker compose up -d [--no-deps] <service> [<service>...]',
+            '    Start core services (and the services they depend on, unless --no-deps)',
+            '',
+            '  docker compose -f <file> ps [-a] [--format <template>]',
+            '    List the services of a compose file',
+            '',
+            '  docker ps [-a] [-q] [--format <template>]',
+            '    Show running Docker containers (-a includes stopped ones)',
             '',
             '  docker network ls',
             '    List all Docker networks',
@@ -493,6 +1137,9 @@ class DockerTerminal {
             '  docker version',
             '    Show Docker version information',
             '',
+            '  cat docker-compose.yml | docker-compose-gnb.yml | docker-compose-ue.yml',
+            '    Show the compose file generated from the current topology',
+            '',
             '  watch docker compose -f docker-compose.yml ps -a',
             '    Watch service status with auto-refresh (every 1 second)',
             '',
@@ -505,11 +1152,11 @@ class DockerTerminal {
             '  docker compose -f docker-compose-ue.yml down',
             '    Stop and remove all UE containers',
             '',
-            '  docker start <service-name>',
-            '    Start a specific Network Function',
+            '  docker start <service-name> [<service-name>...]',
+            '    Start specific Network Functions',
             '',
-            '  docker stop <service-name>',
-            '    Stop a specific Network Function',
+            '  docker stop <service-name> [<service-name>...]',
+            '    Stop specific Network Functions',
             '',
             '  cls / clear',
             '    Clear the terminal screen',
@@ -519,6 +1166,9 @@ class DockerTerminal {
             '',
             '  exit',
             '    Close the terminal',
+            '',
+            'docker-compose works like docker compose, -f defaults to docker-compose.yml and flag order does not matter.',
+            'Tab completes commands, files and service names; Up/Down browse earlier commands (kept between sessions).',
             ''
         ];
 
@@ -527,6 +1177,29 @@ class DockerTerminal {
         });
     }
 
+    /**
+     * Print a compose file generated from the canvas topology
+     * @param {string} fileName - Requested file
+     * @param {HTMLElement} output - Output element
+     */
+    catComposeFile(fileName, output) {
+        const isComposeFile = window.composeFileManager?.files.some(file => file.fileName === fileName);
+        if (!isComposeFile) {
+            this.addTerminalLine(output, `cat: ${fileName}: No such file or directory`, 'error');
+            return;
+        }
+
+        const content = window.composeFileManager.generateComposeFile(fileName);
+        if (!content) {
+            this.addTerminalLine(output, `# ${fileName}: the topology has no services for this file yet`, 'warning');
+            return;
+        }
+
+        content.split('\n').forEach(line => {
+            this.addTerminalLine(output, line, 'info');
+        });
+    }
+
     /**
      * Execute docker compose up -d (start all NFs)
      * @param {HTMLElement} output - Output element
@@ -707,7 +1380,7 @@ class DockerTerminal {
             const serviceName = serviceNameMap[freshNF.type] || freshNF.type.toLowerCase();
 
             // Show container creation with timing (random between 0.8s and 2.3s)
-            const randomDelay = (Math.random() * 1.5 + 0.8).toFixed(1); // 0.8s to 2.3s
+            const randomDelay = (window.simRandom.next() * 1.5 + 0.8).toFixed(1); // 0.8s to 2.3s
             this.addTerminalLine(output, ` ✔ Container ${serviceName.padEnd(16)} Started${' '.repeat(20)}${randomDelay}s`, 'success');
             await this.delay(parseFloat(randomDelay) * 1000); // Convert to milliseconds
 
@@ -798,7 +1471,7 @@ class DockerTerminal {
             }
         }
 
-        const randomDelay = (Math.random() * 0.3 + 0.1).toFixed(1);
+        const randomDelay = (window.simRandom.next() * 0.3 + 0.1).toFixed(1);
         this.addTerminalLine(output, `✔ Container oai-gnb Created${' '.repeat(20)}${randomDelay}s`, 'success');
         await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -864,7 +1537,7 @@ class DockerTerminal {
                 createdUEs.push(ue);
             }
 
-            const randomDelay = (Math.random() * 0.2 + 0.1).toFixed(1);
+            const randomDelay = (window.simRandom.next() * 0.2 + 0.1).toFixed(1);
             this.addTerminalLine(output, `✔ Container ${ueNames[i]} Created${' '.repeat(20)}${randomDelay}s`, 'success');
             await this.delay(parseFloat(randomDelay) * 1000);
         }
@@ -923,7 +1596,7 @@ class DockerTerminal {
             }
         }
 
-        const randomDelay = (Math.random() * 0.2 + 0.1).toFixed(1);
+        const randomDelay = (window.simRandom.next() * 0.2 + 0.1).toFixed(1);
         this.addTerminalLine(output, `✔ Container oai-ue1 Created${' '.repeat(20)}${randomDelay}s`, 'success');
         await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -980,7 +1653,7 @@ class DockerTerminal {
             }
         }
 
-        const randomDelay = (Math.random() * 0.2 + 0.1).toFixed(1);
+        const randomDelay = (window.simRandom.next() * 0.2 + 0.1).toFixed(1);
         this.addTerminalLine(output, `✔ Container oai-ue2 Created${' '.repeat(20)}${randomDelay}s`, 'success');
         await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -1027,7 +1700,7 @@ class DockerTerminal {
 
         this.addTerminalLine(output, '[+] Running 1/1', 'info');
 
-        const randomDelay = (Math.random() * 0.3 + 0.1).toFixed(1);
+        const randomDelay = (window.simRandom.next() * 0.3 + 0.1).toFixed(1);
         this.addTerminalLine(output, `✔ Container oai-gnb Removed${' '.repeat(20)}${randomDelay}s`, 'success');
         await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -1060,7 +1733,7 @@ class DockerTerminal {
 
         for (let i = 0; i < ues.length; i++) {
             const ue = ues[i];
-            const randomDelay = (Math.random() * 0.2 + 0.1).toFixed(1);
+            const randomDelay = (window.simRandom.next() * 0.2 + 0.1).toFixed(1);
             this.addTerminalLine(output, `✔ Container oai-ue${i + 1} Removed${' '.repeat(20)}${randomDelay}s`, 'success');
             await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -1080,19 +1753,16 @@ class DockerTerminal {
     /**
      * Execute docker ps (show running containers)
      * @param {HTMLElement} output - Output element
+     * @param {Object} options - { all (include stopped), quiet (IDs only), format (Go template) }
      */
-    async dockerPS(output) {
-        const allNFs = window.dataStore?.getAllNFs() || [];
+    async dockerPS(output, options = {}) {
+        const allNFs = (window.dataStore?.getAllNFs() || []).filter(nf => options.all || nf.status !== 'stopped');
 
         if (allNFs.length === 0) {
-            this.addTerminalLine(output, 'No containers running.', 'info');
+            if (!options.quiet) this.addTerminalLine(output, 'No containers running.', 'info');
             return;
         }
 
-        // Header
-        this.addTerminalLine(output, 'CONTAINER ID   IMAGE                                          COMMAND                  CREATED       STATUS                 PORTS                                                   NAMES', 'info');
-        this.addTerminalLine(output, '────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────', 'info');
-
         // Map NF types to Docker service names
         const serviceNameMap = {
             'AMF': 'oai-amf',
@@ -1127,44 +1797,129 @@ class DockerTerminal {
             'UE': 'ghcr.io/openairinterface/oai-ue:develop'
         };
 
-        allNFs.forEach((nf, index) => {
-            const containerId = this.generateContainerId();
+        const rows = allNFs.map(nf => {
             const serviceName = serviceNameMap[nf.type] || `oai-${nf.type.toLowerCase()}`;
-            const image = imageMap[nf.type] || `ghcr.io/openairinterface/oai-${nf.type.toLowerCase()}:develop`;
-            const status = nf.status === 'stable' ? 'Up (healthy)' : 'Up (starting)';
-            const ports = this.getPortsForNF(nf);
 
             // Calculate creation time
             const createdAt = nf.createdAt || nf.statusTimestamp || Date.now();
             const createdTime = this.formatCreationTime(createdAt);
 
-            const line = `${containerId}   ${image.padEnd(45)} "${serviceName}"   ${createdTime.padEnd(13)} ${status.padEnd(20)} ${ports.padEnd(55)} ${serviceName}`;
-            this.addTerminalLine(output, line, nf.status === 'stable' ? 'success' : 'warning');
+            return {
+                nf,
+                ID: this.generateContainerId(),
+                Image: imageMap[nf.type] || `ghcr.io/openairinterface/oai-${nf.type.toLowerCase()}:develop`,
+                Command: `"${serviceName}"`,
+                CreatedAt: new Date(createdAt).toISOString(),
+                RunningFor: createdTime,
+                Status: nf.status === 'stopped' ? 'Exited (0)' : (nf.status === 'stable' ? 'Up (healthy)' : 'Up (starting)'),
+                State: nf.status === 'stopped' ? 'exited' : 'running',
+                Ports: this.getPortsForNF(nf),
+                Names: serviceName
+            };
+        });
+        if (this.printFormattedRows(rows, options, output)) return;
+
+        // Header
+        this.addTerminalLine(output, 'CONTAINER ID   IMAGE                                          COMMAND                  CREATED       STATUS                 PORTS                                                   NAMES', 'info');
+        this.addTerminalLine(output, '────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────────', 'info');
+
+        rows.forEach(row => {
+            const line = `${row.ID}   ${row.Image.padEnd(45)} ${row.Command}   ${row.RunningFor.padEnd(13)} ${row.Status.padEnd(20)} ${row.Ports.padEnd(55)} ${row.Names}`;
+            this.addTerminalLine(output, line, row.nf.status === 'stable' ? 'success' : 'warning');
         });
     }
 
+    /**
+     * Print container rows for -q / --format instead of the default table
+     * @param {Array} rows - Row objects; their capitalized keys are the template fields ({{.Names}}, ...)
+     * @param {Object} options - { quiet, format }
+     * @param {HTMLElement} output - Output element
+     * @returns {boolean} True if the rows were printed (false: print the default table)
+     */
+    printFormattedRows(rows, options, output) {
+        if (options.quiet) {
+            rows.forEach(row => this.addTerminalLine(output, row.ID, 'info'));
+            return true;
+        }
+
+        const format = (options.format || '').trim();
+        if (!format || format === 'table') return false;
+
+        const fields = Object.keys(rows[0]).filter(key => key !== 'nf');
+        if (format === 'json') {
+            rows.forEach(row => this.addTerminalLine(output,
+                this.escapeTerminalText(JSON.stringify(Object.fromEntries(fields.map(field => [field, row[field]])))), 'info'));
+            return true;
+        }
+
+        // Go template fields; docker expands a typed \t to a tab
+        const isTable = format.startsWith('table ');
+        const template = (isTable ? format.slice(6) : format).replace(/\\t/g, '\t');
+        const unknown = (template.match(/\{\{\s*\.(\w+)\s*\}\}/g) || [])
+            .map(placeholder => placeholder.replace(/[{}.\s]/g, ''))
+            .find(field => !fields.includes(field));
+        if (unknown) {
+            this.addTerminalLine(output, `template parsing error: can't evaluate field ${unknown} (fields: ${fields.join(', ')})`, 'error');
+            return true;
+        }
+
+        const render = value => template.replace(/\{\{\s*\.(\w+)\s*\}\}/g, (match, field) => value(field));
+        const lines = rows.map(row => render(field => row[field]));
+        if (isTable) {
+            // CamelCase field names become the column headers docker prints (RunningFor -> RUNNING FOR)
+            lines.unshift(render(field => field === 'ID' ? 'CONTAINER ID' : field.replace(/([a-z])([A-Z])/g, '$1 $2').toUpperCase()));
+        }
+
+        // Align tab-separated columns like docker's tabwriter
+        const cells = lines.map(line => line.split('\t'));
+        const widths = [];
+        cells.forEach(row => row.forEach((cell, i) => {
+            widths[i] = Math.max(widths[i] || 0, cell.length);
+        }));
+        cells.forEach(row => {
+            const line = row.map((cell, i) => i < row.length - 1 ? cell.padEnd(widths[i] + 3) : cell).join('');
+            this.addTerminalLine(output, this.escapeTerminalText(line), 'info');
+        });
+        return true;
+    }
+
+    /**
+     * @param {string} text - Text typed by the user (e.g. a --format template)
+     * @returns {string} Text safe for addTerminalLine(), which renders HTML
+     */
+    escapeTerminalText(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
     /**
      * Start watch mode for docker compose ps -a
      * @param {HTMLElement} output - Output element
+     * @param {number} interval - Seconds between refreshes
+     * @param {Object} command - Parsed "docker compose ps" command to watch (default: ps -a)
      */
-    startWatch(output) {
+    startWatch(output, interval = 1, command = null) {
         if (this.isWatching) {
             this.addTerminalLine(output, 'Watch mode is already running. Use Ctrl+C to stop.', 'warning');
             return;
         }
 
         this.isWatching = true;
-        this.addTerminalLine(output, 'Starting watch mode (refreshes every 1 second)...', 'info');
+        this.addTerminalLine(output, `Starting watch mode (refreshes every ${interval === 1 ? '1 second' : `${interval} seconds`})...`, 'info');
         this.addTerminalLine(output, 'Press Ctrl+C to stop watching', 'info');
         this.addTerminalLine(output, '', 'blank');
 
         // Store initial content length to know where to clear from
         const initialLength = output.querySelectorAll('.docker-terminal-line').length;
 
+        const options = {
+            ...(command ? command.options : { all: true }),
+            watchHeader: `Every ${interval.toFixed(1)}s: ${command ? this.canonicalCommand(command) : 'docker compose -f docker-compose.yml ps -a'}`
+        };
+
         // Initial display
-        this.showDockerComposePS(output);
+        this.showDockerComposePS(output, options);
 
-        // Refresh every 1 second
+        // Refresh every interval
         this.watchInterval = setInterval(() => {
             // Remove all lines added after the initial watch start message
             const allLines = output.querySelectorAll('.docker-terminal-line');
@@ -1172,8 +1927,8 @@ class DockerTerminal {
             linesToRemove.forEach(line => line.remove());
 
             // Add fresh output
-            this.showDockerComposePS(output);
-        }, 1000);
+            this.showDockerComposePS(output, options);
+        }, interval * 1000);
     }
 
     /**
@@ -1188,27 +1943,29 @@ class DockerTerminal {
     }
 
     /**
-     * Show docker compose ps -a output
+     * Show docker compose ps output
      * @param {HTMLElement} output - Output element
+     * @param {Object} options - { all, quiet, format, file, services, watchHeader (set by watch mode) }
      */
-    showDockerComposePS(output) {
-        const allNFs = window.dataStore?.getAllNFs() || [];
-        const timestamp = new Date().toLocaleString();
+    showDockerComposePS(output, options = {}) {
+        // Listed services only (by NF type: oai-ue1 and oai-ue2 both list the UEs)
+        const serviceTypes = (options.services || []).map(service => this.composeServices[options.file || 'docker-compose.yml'][service]);
+        const allNFs = (window.dataStore?.getAllNFs() || [])
+            .filter(nf => options.all || nf.status !== 'stopped')
+            .filter(nf => serviceTypes.length === 0 || serviceTypes.includes(nf.type));
 
         // Header with timestamp
-        this.addTerminalLine(output, `Every 1.0s: docker compose -f docker-compose.yml ps -a`, 'info');
-        this.addTerminalLine(output, `Timestamp: ${timestamp}`, 'info');
-        this.addTerminalLine(output, '', 'blank');
+        if (options.watchHeader) {
+            this.addTerminalLine(output, options.watchHeader, 'info');
+            this.addTerminalLine(output, `Timestamp: ${new Date().toLocaleString()}`, 'info');
+            this.addTerminalLine(output, '', 'blank');
+        }
 
         if (allNFs.length === 0) {
-            this.addTerminalLine(output, 'No services found.', 'info');
+            if (!options.quiet) this.addTerminalLine(output, 'No services found.', 'info');
             return;
         }
 
-        // Table header
-        this.addTerminalLine(output, 'NAME         IMAGE                                     COMMAND                  SERVICE              CREATED              STATUS                        PORTS', 'info');
-        this.addTerminalLine(output, '════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════', 'info');
-
         // Service name map
         const serviceNameMap = {
             'AMF': 'oai-amf',
@@ -1239,23 +1996,43 @@ class DockerTerminal {
             'MySQL': 'mysql:8.0',
             'ext-dn': 'oaisoftwarealliance/trf-gen-cn5g:latest',
             'gNB': 'oaisoftwarealliance/oai-gnb:2024-june',
-            'UE': 'oaisoftwarealliance/oai-ue:2024-june'
+            'UE': 'oaisoftwarealliance/oai-nr-ue:2024-june'
         };
 
-        allNFs.forEach(nf => {
+        const rows = allNFs.map(nf => {
             const serviceName = serviceNameMap[nf.type] || `oai-${nf.type.toLowerCase()}`;
-            const image = imageMap[nf.type] || `oaisoftwarealliance/oai-${nf.type.toLowerCase()}:2024-june`;
 
             // Calculate creation time
             const createdAt = nf.createdAt || nf.statusTimestamp || Date.now();
             const created = this.formatCreationTimeForWatch(createdAt);
-            const status = nf.status === 'stable' ? `Up ${created} (healthy)` : `Up ${created} (starting)`;
-            const ports = this.getPortsForNF(nf);
+            const status = nf.status === 'stopped' ? `Exited (0) ${created}` :
+                (nf.status === 'stable' ? `Up ${created} (healthy)` : `Up ${created} (starting)`);
+
+            return {
+                nf,
+                ID: this.generateContainerId(),
+                Name: serviceName,
+                Image: imageMap[nf.type] || `oaisoftwarealliance/oai-${nf.type.toLowerCase()}:2024-june`,
+                Command: `"${serviceName}"`,
+                Service: serviceName,
+                CreatedAt: new Date(createdAt).toISOString(),
+                RunningFor: created,
+                Status: status,
+                State: nf.status === 'stopped' ? 'exited' : 'running',
+                Ports: this.getPortsForNF(nf)
+            };
+        });
+        if (this.printFormattedRows(rows, options, output)) return;
+
+        // Table header
+        this.addTerminalLine(output, 'NAME         IMAGE                                     COMMAND                  SERVICE              CREATED              STATUS                        PORTS', 'info');
+        this.addTerminalLine(output, '════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════════', 'info');
 
-            const statusColor = nf.status === 'stable' ? 'success' : 'warning';
-            const statusIcon = nf.status === 'stable' ? '🟢' : '🔴';
+        rows.forEach(row => {
+            const statusColor = row.nf.status === 'stable' ? 'success' : 'warning';
+            const statusIcon = row.nf.status === 'stable' ? '🟢' : '🔴';
 
-            const line = `${serviceName.padEnd(12)} ${image.padEnd(38)} "${serviceName}"   ${serviceName.padEnd(15)} ${created.padEnd(20)} ${status.padEnd(28)} ${ports}`;
+            const line = `${row.Name.padEnd(12)} ${row.Image.padEnd(38)} ${row.Command}   ${row.Service.padEnd(15)} ${row.RunningFor.padEnd(20)} ${row.Status.padEnd(28)} ${row.Ports}`;
             this.addTerminalLine(output, `${statusIcon} ${line}`, statusColor);
         });
     }
@@ -1297,7 +2074,7 @@ class DockerTerminal {
             const serviceName = serviceNameMap[nfInfo.type] || nfInfo.type.toLowerCase();
 
             // Random delay between 0.8s and 2.3s
-            const randomDelay = (Math.random() * 1.5 + 0.8).toFixed(1);
+            const randomDelay = (window.simRandom.next() * 1.5 + 0.8).toFixed(1);
             this.addTerminalLine(output, ` ✔ Container ${serviceName.padEnd(16)} Removed${' '.repeat(20)}${randomDelay}s`, 'success');
             await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -1411,7 +2188,7 @@ class DockerTerminal {
         this.addTerminalLine(output, 'WARN[0000] No services to build', 'warning');
         this.addTerminalLine(output, '[+] up 1/1', 'info');
 
-        const randomDelay = (Math.random() * 0.3 + 0.1).toFixed(1);
+        const randomDelay = (window.simRandom.next() * 0.3 + 0.1).toFixed(1);
         this.addTerminalLine(output, `✔ Container ${serviceName} Created${' '.repeat(20)}${randomDelay}s`, 'success');
         await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -1471,7 +2248,7 @@ class DockerTerminal {
         }
 
         this.addTerminalLine(output, '[+] Running 1/1', 'info');
-        const randomDelay = (Math.random() * 0.3 + 0.1).toFixed(1);
+        const randomDelay = (window.simRandom.next() * 0.3 + 0.1).toFixed(1);
         this.addTerminalLine(output, `✔ Container ${serviceName} Removed${' '.repeat(20)}${randomDelay}s`, 'success');
         await this.delay(parseFloat(randomDelay) * 1000);
 
@@ -1495,7 +2272,7 @@ class DockerTerminal {
         const serviceNameMap = {
             'oai-amf': 'AMF', 'oai-smf': 'SMF', 'oai-upf': 'UPF', 'oai-ausf': 'AUSF',
             'oai-udm': 'UDM', 'oai-udr': 'UDR', 'oai-nrf': 'NRF', 'oai-pcf': 'PCF',
-            'oai-nssf': 'NSSF', 'mysql': 'MySQL', 'ext-dn': 'ext-dn', 'oai-gnb': 'gNB', 'oai-ue': 'UE'
+            'oai-nssf': 'NSSF', 'mysql': 'MySQL', 'ext-dn': 'ext-dn', 'oai-ext-dn': 'ext-dn', 'oai-gnb': 'gNB', 'oai-ue': 'UE'
         };
 
         const nfType = serviceNameMap[serviceName.toLowerCase()];
@@ -1569,7 +2346,7 @@ class DockerTerminal {
         const serviceNameMap = {
             'oai-amf': 'AMF', 'oai-smf': 'SMF', 'oai-upf': 'UPF', 'oai-ausf': 'AUSF',
             'oai-udm': 'UDM', 'oai-udr': 'UDR', 'oai-nrf': 'NRF', 'oai-pcf': 'PCF',
-            'oai-nssf': 'NSSF', 'mysql': 'MySQL', 'ext-dn': 'ext-dn', 'oai-gnb': 'gNB', 'oai-ue': 'UE'
+            'oai-nssf': 'NSSF', 'mysql': 'MySQL', 'ext-dn': 'ext-dn', 'oai-ext-dn': 'ext-dn', 'oai-gnb': 'gNB', 'oai-ue': 'UE'
         };
 
         const nfType = serviceNameMap[serviceName.toLowerCase()];
@@ -1611,12 +2388,7 @@ class DockerTerminal {
      * @returns {string} Random container ID
      */
     generateContainerId() {
-        const chars = '0123456789abcdef';
-        let id = '';
-        for (let i = 0; i < 12; i++) {
-            id += chars[Math.floor(Math.random() * chars.length)];
-        }
-        return id;
+        return window.simRandom.hex(12);
     }
 
     /**
@@ -2110,7 +2882,7 @@ class DockerTerminal {
         this.addTerminalLine(output, '0c712814bbb0   none          null      local', 'info');
 
         if (this.oaiWorkshopNetworkExists) {
-            this.addTerminalLine(output, `${this.oaiWorkshopNetworkId}   oaiworkshop   bridge    local`, 'success');
+            this.addTerminalLine(output, `${this.getOaiWorkshopNetworkId()}   oaiworkshop   bridge    local`, 'success');
         }
     }
 
@@ -2226,12 +2998,32 @@ class DockerTerminal {
         this.addTerminalLine(output, JSON.stringify([json], null, 2), 'info');
     }
 
+    /**
+     * The oaiworkshop bridge network created by docker-compose.yml
+     * Its subnet is the /24 of the first core NF, so every container address falls inside it
+     * @returns {Object} { name, composeNetwork, composeProject, driver, subnet, prefixLength }
+     */
+    getOAIWorkshopNetwork() {
+        const coreNF = (window.dataStore?.getAllNFs() || []).find(nf => nf.type !== 'gNB' && nf.type !== 'UE');
+        const octets = coreNF ? coreNF.config.ipAddress.split('.').slice(0, 3) : null;
+
+        return {
+            name: 'oaiworkshop',
+            composeNetwork: 'public_net',
+            composeProject: 'cn',
+            driver: 'bridge',
+            subnet: octets ? `${octets.join('.')}.0/24` : '192.168.70.0/26',
+            prefixLength: octets ? 24 : 26
+        };
+    }
+
     /**
      * Inspect OAI workshop network
      * @param {HTMLElement} output - Output element
      */
     inspectOAIWorkshopNetwork(output) {
         const allNFs = window.dataStore?.getAllNFs() || [];
+        const network = this.getOAIWorkshopNetwork();
         const containers = {};
 
         allNFs.forEach(nf => {
@@ -2247,7 +3039,7 @@ class DockerTerminal {
                 "Name": serviceName,
                 "EndpointID": this.generateContainerId() + this.generateContainerId() + this.generateContainerId() + this.generateContainerId() + this.generateContainerId() + 'ef01',
                 "MacAddress": this.generateMacAddress(),
-                "IPv4Address": nf.config.ipAddress + "/26",
+                "IPv4Address": `${nf.config.ipAddress}/${network.prefixLength}`,
                 "IPv6Address": ""
             };
         });
@@ -2255,17 +3047,17 @@ class DockerTerminal {
         const createdTime = this.oaiWorkshopCreatedTime ? new Date(this.oaiWorkshopCreatedTime).toISOString() : new Date().toISOString();
 
         const json = {
-            "Name": "oaiworkshop",
-            "Id": this.oaiWorkshopNetworkId + "d0a87f40b563d8172b3f54045b0da9d9b859ed25522c2aaa8b86",
+            "Name": network.name,
+            "Id": this.getOaiWorkshopNetworkId() + "d0a87f40b563d8172b3f54045b0da9d9b859ed25522c2aaa8b86",
             "Created": createdTime,
             "Scope": "local",
-            "Driver": "bridge",
+            "Driver": network.driver,
             "EnableIPv4": true,
             "EnableIPv6": false,
             "IPAM": {
                 "Driver": "default",
                 "Options": null,
-                "Config": [{ "Subnet": "192.168.70.0/26" }]
+                "Config": [{ "Subnet": network.subnet }]
             },
             "Internal": false,
             "Attachable": false,
@@ -2273,11 +3065,11 @@ class DockerTerminal {
             "ConfigFrom": { "Network": "" },
             "ConfigOnly": false,
             "Containers": containers,
-            "Options": { "com.docker.network.bridge.name": "oaiworkshop" },
+            "Options": { "com.docker.network.bridge.name": network.name },
             "Labels": {
                 "com.docker.compose.config-hash": "dca0e19cf413805e199db52df7a818f82ffd4a571265d5f722c8e2198676da59",
-                "com.docker.compose.network": "public_net",
-                "com.docker.compose.project": "cn",
+                "com.docker.compose.network": network.composeNetwork,
+                "com.docker.compose.project": network.composeProject,
                 "com.docker.compose.version": "5.0.1"
             }
         };
@@ -2285,17 +3077,23 @@ class DockerTerminal {
         this.addTerminalLine(output, JSON.stringify([json], null, 2), 'info');
     }
 
+    /**
+     * Get the oaiworkshop network ID, generating it the first time it is shown
+     * @returns {string} Network ID
+     */
+    getOaiWorkshopNetworkId() {
+        if (!this.oaiWorkshopNetworkId) {
+            this.oaiWorkshopNetworkId = this.generateNetworkId();
+        }
+        return this.oaiWorkshopNetworkId;
+    }
+
     /**
      * Generate network ID
      * @returns {string} Random network ID
      */
     generateNetworkId() {
-        const chars = '0123456789abcdef';
-        let id = '';
-        for (let i = 0; i < 12; i++) {
-            id += chars[Math.floor(Math.random() * chars.length)];
-        }
-        return id;
+        return window.simRandom.hex(12);
     }
 
     /**
@@ -2307,8 +3105,8 @@ class DockerTerminal {
         let mac = '';
         for (let i = 0; i < 6; i++) {
             if (i > 0) mac += ':';
-            mac += chars[Math.floor(Math.random() * chars.length)];
-            mac += chars[Math.floor(Math.random() * chars.length)];
+            mac += chars[Math.floor(window.simRandom.next() * chars.length)];
+            mac += chars[Math.floor(window.simRandom.next() * chars.length)];
         }
         return mac;
     }
@@ -0,0 +1,405 @@
+/**
+ * ============================================
+ * FAULT MANAGER
+ * ============================================
+ * Deliberate, reproducible failures for troubleshooting labs
+ *
+ * Responsibilities:
+ * - Inject and clear faults: crash an NF, freeze its heartbeats, add latency or
+ *   packet loss to a link, partition a subnet, fill an NF to 100% load
+ * - Answer the questions other managers ask before delivering traffic
+ *   (is this ping path blocked, is this heartbeat lost, how much latency is added)
+ * - Log every injected and cleared fault
+ *
+ * Faults are deterministic: a blocked path always fails and packet loss drops
+ * the same sequence numbers on every run.
+ */
+
+class FaultManager {
+    constructor() {
+        // Maps faultId -> { faultId, type, nfId | connectionId + endpoints | subnet, latencyMs, lossPercent, injectedAt }
+        this.faults = new Map();
+        this.nextFaultNumber = 1;
+
+        console.log('✅ FaultManager initialized');
+    }
+
+    /**
+     * @returns {Object} Fault type -> label
+     */
+    getFaultTypes() {
+        return {
+            CRASH: '💥 Crash NF',
+            FREEZE_HEARTBEAT: '❄️ Freeze heartbeats',
+            LINK_LATENCY: '🐢 Link latency',
+            LINK_LOSS: '📉 Link packet loss',
+            PARTITION: '✂️ Partition subnet',
+            FULL_LOAD: '🔥 Fill to 100% load'
+        };
+    }
+
+    // ==========================================
+    // Inject / clear
+    // ==========================================
+
+    /**
+     * Inject a fault
+     * @param {string} type - Key of getFaultTypes()
+     * @param {Object} options - Fault target and parameters
+     * @param {string} options.nfId - Target NF (CRASH, FREEZE_HEARTBEAT, FULL_LOAD)
+     * @param {string} options.connectionId - Target link (LINK_LATENCY, LINK_LOSS)
+     * @param {string} options.subnet - Target subnet, e.g. "192.168.1" (PARTITION)
+     * @param {number} options.latencyMs - Added one-way latency (LINK_LATENCY)
+     * @param {number} options.lossPercent - Dropped packets in percent (LINK_LOSS)
+     * @returns {string|null} Error message, or null if the fault was injected
+     */
+    injectFault(type, options = {}) {
+        if (!this.getFaultTypes()[type]) {
+            return `Unknown fault type: ${type}`;
+        }
+
+        const fault = {
+            faultId: `fault-${this.nextFaultNumber}`,
+            type,
+            injectedAt: window.simClock.now()
+        };
+
+        if (['CRASH', 'FREEZE_HEARTBEAT', 'FULL_LOAD'].includes(type)) {
+            const nf = window.dataStore?.getNFById(options.nfId);
+            if (!nf) return 'Select a network function';
+            if (this.findFault(type, f => f.nfId === nf.id)) return `${nf.name} already has this fault`;
+            fault.nfId = nf.id;
+        } else if (type === 'LINK_LATENCY' || type === 'LINK_LOSS') {
+            const connection = window.dataStore?.getConnectionById(options.connectionId);
+            if (!connection) return 'Select a link';
+            if (this.findFault(type, f => f.connectionId === connection.id)) return 'This link already has this fault';
+            fault.connectionId = connection.id;
+            fault.endpoints = [connection.sourceId, connection.targetId];
+
+            if (type === 'LINK_LATENCY') {
+                const latencyMs = Number(options.latencyMs);
+                if (!Number.isFinite(latencyMs) || latencyMs < 1 || latencyMs > 10000) {
+                    return 'Latency must be between 1 and 10000 ms';
+                }
+                fault.latencyMs = latencyMs;
+            } else {
+                const lossPercent = Number(options.lossPercent);
+                if (!Number.isFinite(lossPercent) || lossPercent < 1 || lossPercent > 100) {
+                    return 'Packet loss must be between 1 and 100%';
+                }
+                fault.lossPercent = lossPercent;
+                // Counts heartbeats crossing the link, so heartbeat loss follows the same pattern as pings
+                fault.heartbeatsSent = 0;
+            }
+        } else if (type === 'PARTITION') {
+            if (!/^\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(options.subnet || '')) return 'Select a subnet';
+            if (this.findFault(type, f => f.subnet === options.subnet)) return `${options.subnet}.0/24 is already partitioned`;
+            fault.subnet = options.subnet;
+        }
+
+        this.faults.set(fault.faultId, fault);
+        this.nextFaultNumber++;
+
+        if (window.logEngine) {
+            window.logEngine.addLog(fault.nfId || fault.endpoints?.[0] || 'system', 'WARNING',
+                `Fault injected: ${this.describeFault(fault)}`, {
+                faultId: fault.faultId,
+                type,
+                effect: this.describeEffect(fault)
+            });
+        }
+
+        if (type === 'FULL_LOAD') {
+            const nf = window.dataStore.getNFById(fault.nfId);
+            fault.previousLoad = Number(nf.config.load) || 0;
+            nf.config.load = 100;
+            window.loadModel?.checkOverload(nf, 100);
+        }
+
+        console.log(`💥 Fault injected: ${this.describeFault(fault)}`);
+        window.canvasRenderer?.render();
+
+        return null;
+    }
+
+    /**
+     * Clear one fault
+     * @param {string} faultId - Fault ID
+     * @returns {boolean} True if the fault existed
+     */
+    clearFault(faultId) {
+        const fault = this.faults.get(faultId);
+        if (!fault) return false;
+
+        this.faults.delete(faultId);
+
+        const nf = fault.nfId ? window.dataStore?.getNFById(fault.nfId) : null;
+        if (fault.type === 'FULL_LOAD' && nf && !window.loadModel?.isModeled(nf)) {
+            // Modeled NFs ramp back down on their own; others get their old value back
+            nf.config.load = fault.previousLoad;
+            window.loadModel?.checkOverload(nf, fault.previousLoad);
+        }
+
+        if (window.logEngine) {
+            window.logEngine.addLog(fault.nfId || fault.endpoints?.[0] || 'system', 'SUCCESS',
+                `Fault cleared: ${this.describeFault(fault)}`, {
+                faultId,
+                type: fault.type,
+                note: ['CRASH', 'FREEZE_HEARTBEAT', 'PARTITION'].includes(fault.type)
+                    ? 'Heartbeats resume; an NF the NRF already removed must reconnect to register again'
+                    : undefined
+            });
+        }
+
+        console.log(`✅ Fault cleared: ${this.describeFault(fault)}`);
+        window.canvasRenderer?.render();
+
+        return true;
+    }
+
+    /**
+     * Clear every active fault
+     */
+    clearAllFaults() {
+        Array.from(this.faults.keys()).forEach(faultId => this.clearFault(faultId));
+    }
+
+    /**
+     * Drop faults whose NF or link no longer exists
+     */
+    pruneFaults() {
+        this.faults.forEach((fault, faultId) => {
+            const gone = (fault.nfId && !window.dataStore?.getNFById(fault.nfId)) ||
+                (fault.connectionId && !window.dataStore?.getConnectionById(fault.connectionId));
+            if (gone) this.faults.delete(faultId);
+        });
+    }
+
+    /**
+     * @returns {Array} Active faults, oldest first
+     */
+    getActiveFaults() {
+        this.pruneFaults();
+        return Array.from(this.faults.values());
+    }
+
+    /**
+     * @param {string} type - Fault type
+     * @param {Function} predicate - Extra match on the fault
+     * @returns {Object|undefined} First matching fault
+     */
+    findFault(type, predicate = () => true) {
+        return Array.from(this.faults.values()).find(fault => fault.type === type && predicate(fault));
+    }
+
+    /**
+     * @param {string} nfId - NF ID
+     * @returns {Array} Faults injected into this NF (crash, frozen heartbeats, full load)
+     */
+    getNFFaults(nfId) {
+        return Array.from(this.faults.values()).filter(fault => fault.nfId === nfId);
+    }
+
+    /**
+     * @param {string} connectionId - Connection ID
+     * @returns {Array} Latency/loss faults on this link
+     */
+    getConnectionFaults(connectionId) {
+        return Array.from(this.faults.values()).filter(fault => fault.connectionId === connectionId);
+    }
+
+    /**
+     * @param {Object} fault - Fault
+     * @returns {string} e.g. "Link latency AMF-1 ↔ SMF-1 (+200 ms)"
+     */
+    describeFault(fault) {
+        const label = this.getFaultTypes()[fault.type].replace(/^\S+\s/, '');
+        const nameOf = id => window.dataStore?.getNFById(id)?.name || id;
+
+        switch (fault.type) {
+            case 'LINK_LATENCY':
+                return `${label} ${nameOf(fault.endpoints[0])} ↔ ${nameOf(fault.endpoints[1])} (+${fault.latencyMs} ms)`;
+            case 'LINK_LOSS':
+                return `${label} ${nameOf(fault.endpoints[0])} ↔ ${nameOf(fault.endpoints[1])} (${fault.lossPercent}%)`;
+            case 'PARTITION':
+                return `${label} ${fault.subnet}.0/24`;
+            default:
+                return `${label} ${nameOf(fault.nfId)}`;
+        }
+    }
+
+    /**
+     * @param {Object} fault - Fault
+     * @returns {string} What students should observe
+     */
+    describeEffect(fault) {
+        return {
+            CRASH: 'NF stops answering pings and sending heartbeats; the NRF marks it UNAVAILABLE, then REMOVED',
+            FREEZE_HEARTBEAT: 'NF keeps running but its heartbeats never reach the NRF',
+            LINK_LATENCY: 'Ping round trip times over this link grow by twice the added latency',
+            LINK_LOSS: 'A fixed share of pings and heartbeats over this link is dropped',
+            PARTITION: 'Nothing crosses the subnet boundary: pings, user plane traffic and heartbeats to an NRF outside fail',
+            FULL_LOAD: 'NF reports 100% load to the NRF; least-load selection avoids it'
+        }[fault.type];
+    }
+
+    // ==========================================
+    // Queries used by PingManager, ConnectionManager, LoadModel
+    // ==========================================
+
+    /**
+     * @param {string} nfId - NF ID
+     * @returns {boolean} True if the NF is crashed
+     */
+    isCrashed(nfId) {
+        return !!this.findFault('CRASH', fault => fault.nfId === nfId);
+    }
+
+    /**
+     * @param {string} nfId - NF ID
+     * @returns {boolean} True if the NF is forced to 100% load
+     */
+    isLoadForced(nfId) {
+        return !!this.findFault('FULL_LOAD', fault => fault.nfId === nfId);
+    }
+
+    /**
+     * Partition side of an address: its subnet if that subnet is partitioned, otherwise "rest"
+     * @param {string} ip - IPv4 address
+     * @returns {string}
+     */
+    getPartitionSide(ip) {
+        const subnet = String(ip || '').split('.').slice(0, 3).join('.');
+        return this.findFault('PARTITION', fault => fault.subnet === subnet) ? subnet : 'rest';
+    }
+
+    /**
+     * Find the fault that makes a ping path fail
+     * @param {Object} sourceNf - Pinging NF
+     * @param {string} targetIP - Target address
+     * @returns {string|null} Reason, or null if no fault blocks the path
+     */
+    getBlockingFault(sourceNf, targetIP) {
+        if (this.faults.size === 0 || !sourceNf) return null;
+
+        if (this.isCrashed(sourceNf.id)) {
+            return `${sourceNf.name} is crashed`;
+        }
+
+        const targetNf = (window.dataStore?.getAllNFs() || []).find(nf => nf.config.ipAddress === targetIP);
+        if (targetNf && this.isCrashed(targetNf.id)) {
+            return `${targetNf.name} is crashed`;
+        }
+
+        // User plane traffic of a UE (tun0 addresses, internet) leaves through its UPF
+        const session = sourceNf.type === 'UE' ? sourceNf.config.pduSession : null;
+        const upf = session ? window.dataStore?.getNFById(session.upfId) : null;
+        const viaUserPlane = upf && (!targetNf || targetNf.id === upf.id);
+        if (viaUserPlane) {
+            if (this.isCrashed(upf.id)) {
+                return `${upf.name} (user plane of ${sourceNf.name}) is crashed`;
+            }
+            if (this.getPartitionSide(upf.config.ipAddress) !== 'rest' && !targetNf) {
+                return `${upf.name} is in partitioned subnet ${this.getPartitionSide(upf.config.ipAddress)}.0/24`;
+            }
+        }
+
+        const sourceSide = this.getPartitionSide(sourceNf.config.ipAddress);
+        const targetSide = this.getPartitionSide(viaUserPlane ? upf.config.ipAddress : targetIP);
+        if (sourceSide !== targetSide) {
+            const subnet = sourceSide !== 'rest' ? sourceSide : targetSide;
+            return `subnet ${subnet}.0/24 is partitioned`;
+        }
+
+        const loss = this.getLinkFault('LINK_LOSS', sourceNf, targetNf);
+        if (loss && loss.lossPercent >= 100) {
+            return `link ${this.describeFault(loss)} drops every packet`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Latency/loss fault on the link between two NFs
+     * @param {string} type - LINK_LATENCY or LINK_LOSS
+     * @param {Object} nfA - One endpoint
+     * @param {Object} nfB - Other endpoint
+     * @returns {Object|undefined} Fault
+     */
+    getLinkFault(type, nfA, nfB) {
+        if (!nfA || !nfB) return undefined;
+        return this.findFault(type, fault =>
+            fault.endpoints.includes(nfA.id) && fault.endpoints.includes(nfB.id));
+    }
+
+    /**
+     * @param {Object} sourceNf - Pinging NF
+     * @param {string} targetIP - Target address
+     * @returns {number} Extra round trip time in ms
+     */
+    getAddedLatency(sourceNf, targetIP) {
+        const targetNf = (window.dataStore?.getAllNFs() || []).find(nf => nf.config.ipAddress === targetIP);
+        const fault = this.getLinkFault('LINK_LATENCY', sourceNf, targetNf);
+        return fault ? fault.latencyMs * 2 : 0;
+    }
+
+    /**
+     * Deterministic loss: with p% loss, packet n is dropped when floor(n*p/100) steps up,
+     * e.g. 25% drops packets 4, 8, 12, ...
+     * @param {number} lossPercent - Loss in percent
+     * @param {number} sequence - 1-based packet number
+     * @returns {boolean} True if the packet is dropped
+     */
+    isDropped(lossPercent, sequence) {
+        return Math.floor(sequence * lossPercent / 100) > Math.floor((sequence - 1) * lossPercent / 100);
+    }
+
+    /**
+     * @param {Object} sourceNf - Pinging NF
+     * @param {string} targetIP - Target address
+     * @param {number} sequence - ICMP sequence number (1-based)
+     * @returns {boolean} True if this ping is lost on a faulty link
+     */
+    isPacketLost(sourceNf, targetIP, sequence) {
+        const targetNf = (window.dataStore?.getAllNFs() || []).find(nf => nf.config.ipAddress === targetIP);
+        const fault = this.getLinkFault('LINK_LOSS', sourceNf, targetNf);
+        return !!fault && this.isDropped(fault.lossPercent, sequence);
+    }
+
+    /**
+     * Decide whether the next heartbeat of an NF reaches its serving NRF
+     * (counts the heartbeat against any lossy NF-NRF link)
+     * @param {string} nfId - NF ID
+     * @returns {string|null} Reason the heartbeat is lost, or null if it gets through
+     */
+    getHeartbeatBlock(nfId) {
+        if (this.faults.size === 0) return null;
+
+        const nf = window.dataStore?.getNFById(nfId);
+        if (!nf) return null;
+
+        if (this.isCrashed(nfId)) return `${nf.name} is crashed`;
+        if (this.findFault('FREEZE_HEARTBEAT', fault => fault.nfId === nfId)) return 'heartbeats are frozen';
+
+        const nrf = window.dataStore.getNFById(window.nrfRegistry?.getNFProfile(nfId)?.servingNrfId);
+        if (!nrf) return null;
+
+        if (this.isCrashed(nrf.id)) return `serving NRF ${nrf.name} is crashed`;
+
+        const nfSide = this.getPartitionSide(nf.config.ipAddress);
+        const nrfSide = this.getPartitionSide(nrf.config.ipAddress);
+        if (nfSide !== nrfSide) {
+            return `subnet ${nfSide !== 'rest' ? nfSide : nrfSide}.0/24 is partitioned from ${nrf.name}`;
+        }
+
+        const loss = this.getLinkFault('LINK_LOSS', nf, nrf);
+        if (loss) {
+            loss.heartbeatsSent++;
+            if (this.isDropped(loss.lossPercent, loss.heartbeatsSent)) {
+                return `heartbeat ${loss.heartbeatsSent} dropped on lossy link (${loss.lossPercent}%)`;
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * ============================================
+ * GUIDED LAB
+ * ============================================
+ * Step-by-step walkthrough of procedure.md on top of the dashboard
+ *
+ * Responsibilities:
+ * - Show the current procedure step in an overlay that stays visible above the terminal
+ * - Watch DataStore events, docker terminal commands and NRF message viewers
+ *   to detect when a step is done
+ * - Unlock steps one at a time and give hints when a command does not complete the step
+ * - Log step completion to the log stream
+ */
+
+class GuidedLab {
+    constructor() {
+        this.steps = this.getSteps();
+        this.active = false;
+        this.currentIndex = 0;
+        // Commands typed in the docker terminal since the current step was unlocked
+        this.stepCommands = [];
+        // UI events (viewer opened, NF deregistered) since the current step was unlocked
+        this.stepEvents = [];
+        this.hint = null;
+        this.overlay = null;
+        this.renderedProgress = null;
+
+        window.dataStore?.subscribe((event) => {
+            if (this.active && event !== 'bus-updated') {
+                this.evaluate();
+            }
+        });
+
+        console.log('✅ GuidedLab initialized');
+    }
+
+    /**
+     * Procedure steps (procedure.md, Option A)
+     * Each step is done when isComplete() returns true; progress() describes what is still missing
+     * @returns {Array<Object>}
+     */
+    getSteps() {
+        const stableOfType = (type) => (window.dataStore?.getAllNFs() || [])
+            .filter(nf => nf.type === type && nf.status === 'stable');
+        const coreTypes = ['NRF', 'AMF', 'SMF', 'UPF'];
+
+        return [
+            {
+                id: 'core-up',
+                title: 'Deploy the core network',
+                instruction: 'Open the 💻 Terminal and start all core network functions in detached mode.',
+                commands: ['docker compose -f docker-compose.yml up -d'],
+                hint: 'Click 💻 Terminal in the toolbar, type the command exactly as shown and press Enter. ' +
+                    'One-Click Deploy also completes this step.',
+                isComplete: () => coreTypes.every(type => stableOfType(type).length > 0),
+                progress: () => {
+                    const missing = coreTypes.filter(type => stableOfType(type).length === 0);
+                    return missing.length === 0 ? '' : `Waiting for ${missing.join(', ')} to be running`;
+                }
+            },
+            {
+                id: 'gnb-up',
+                title: 'Deploy the gNB',
+                instruction: 'Once the core network is running, start the gNB.',
+                commands: ['docker compose -f docker-compose-gnb.yml up -d'],
+                hint: 'The gNB has its own compose file: docker-compose-gnb.yml.',
+                isComplete: () => stableOfType('gNB').length > 0,
+                progress: () => 'Waiting for the gNB to be running'
+            },
+            {
+                id: 'ue-up',
+                title: 'Deploy the UE',
+                instruction: 'Start the UE containers and attach them to the gNB.',
+                commands: ['docker compose -f docker-compose-ue.yml up -d'],
+                hint: 'The UE has its own compose file: docker-compose-ue.yml. The gNB must be running first.',
+                isComplete: () => stableOfType('UE').length > 0,
+                progress: () => 'Waiting for a UE to be running'
+            },
+            {
+                id: 'docker-ps',
+                title: 'Verify the running containers',
+                instruction: 'List the running containers.',
+                commands: ['docker ps'],
+                hint: 'Type docker ps in the terminal.',
+                isComplete: () => this.hasTypedCommand(['docker ps']),
+                progress: () => 'Run the command in the terminal'
+            },
+            {
+                id: 'watch',
+                title: 'Monitor the core network containers',
+                instruction: 'Continuously watch the status of the core network containers.',
+                commands: ['watch docker compose -f docker-compose.yml ps -a'],
+                hint: 'Prefix the compose ps command with watch: watch docker compose -f docker-compose.yml ps -a',
+                isComplete: () => this.hasTypedCommand(['watch docker compose -f docker-compose.yml ps -a',
+                    'watch docker-compose -f docker-compose.yml ps -a', 'watch docker compose ps -a'], true),
+                progress: () => 'Run the command in the terminal'
+            },
+            {
+                id: 'nf-registration',
+                title: 'Observe NF registration at the NRF',
+                instruction: 'Close the terminal, select the AMF on the canvas and click "Show Registration Message" in its configuration panel.',
+                hint: 'Click the AMF icon; the button is in the NRF section of the configuration panel on the right.',
+                isComplete: () => this.hasEvent('nf-registration-viewed'),
+                progress: () => 'Open the registration message of a network function'
+            },
+            {
+                id: 'nrf-registrations',
+                title: 'View registration details from the NRF',
+                instruction: 'Select the NRF and click "Show Registration Messages".',
+                hint: 'The NRF lists the registration requests of every NF it serves.',
+                isComplete: () => this.hasEvent('nrf-registrations-viewed'),
+                progress: () => 'Open the registration messages of the NRF'
+            },
+            {
+                id: 'deregister',
+                title: 'Deregister a network function',
+                instruction: 'Select the SMF and click "Deregister from NRF".',
+                hint: 'Any NF other than the NRF works; the SMF is used in the procedure.',
+                isComplete: () => this.hasEvent('nf-deregistered'),
+                progress: () => 'Deregister a network function'
+            },
+            {
+                id: 'nf-deregistration',
+                title: 'Observe deregistration from the NF side',
+                instruction: 'With the deregistered NF selected, click "Show Deregistration Message".',
+                hint: 'Select the NF you just deregistered, not the NRF.',
+                isComplete: () => this.hasEvent('nf-deregistration-viewed'),
+                progress: () => 'Open the deregistration message of the NF'
+            },
+            {
+                id: 'nrf-deregistrations',
+                title: 'Observe deregistration from the NRF side',
+                instruction: 'Select the NRF and click "Show Deregistration Messages".',
+                hint: 'The NRF shows which NF asked to be deregistered.',
+                isComplete: () => this.hasEvent('nrf-deregistrations-viewed'),
+                progress: () => 'Open the deregistration messages of the NRF'
+            },
+            {
+                id: 'discovery',
+                title: 'NF discovery after deregistration',
+                instruction: 'Select the NRF and click "Show Discovery Messages" to confirm the deregistered NF is no longer returned.',
+                hint: 'Discovery requests appear once NFs look each other up, e.g. during UE registration.',
+                isComplete: () => this.hasEvent('nrf-discoveries-viewed'),
+                progress: () => 'Open the discovery messages of the NRF'
+            }
+        ];
+    }
+
+    // ==========================================
+    // Lifecycle
+    // ==========================================
+
+    /**
+     * Start (or restart) the guided lab at step 1
+     */
+    start() {
+        this.active = true;
+        this.currentIndex = 0;
+        this.resetStepProgress();
+        this.renderOverlay();
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO', 'Guided lab started', {
+                steps: this.steps.length
+            });
+        }
+
+        // Steps already satisfied (e.g. after One-Click Deploy) unlock right away
+        this.evaluate();
+    }
+
+    /**
+     * Leave guided mode
+     */
+    exit() {
+        this.active = false;
+        if (this.overlay?.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+
+    /**
+     * @returns {boolean} True once every step is done
+     */
+    isFinished() {
+        return this.currentIndex >= this.steps.length;
+    }
+
+    /**
+     * Forget commands, events and hint of the previous step
+     */
+    resetStepProgress() {
+        this.stepCommands = [];
+        this.stepEvents = [];
+        this.hint = null;
+    }
+
+    // ==========================================
+    // Observers
+    // ==========================================
+
+    /**
+     * Called by the docker terminal after each command typed by the student
+     * @param {string} command - Command as typed
+     * @param {HTMLElement} output - Terminal output element
+     * @param {number} stepIndex - Step that was current when the command was entered
+     *   (a long command like compose up can complete it while still running)
+     */
+    onTerminalCommand(command, output, stepIndex = this.currentIndex) {
+        if (!this.active || stepIndex >= this.steps.length) return;
+
+        // The command already completed its step: it says nothing about the step unlocked since
+        if (stepIndex !== this.currentIndex) return;
+
+        const normalized = this.normalizeCommand(command);
+        this.stepCommands.push(normalized);
+
+        const step = this.steps[stepIndex];
+        const lastError = Array.from(output?.querySelectorAll('.docker-terminal-error') || []).pop();
+        const notFound = lastError?.textContent === `Command not found: ${command}`;
+
+        this.evaluate();
+        if (this.steps[this.currentIndex] !== step) return;
+
+        // The command did not finish the step: explain why
+        if (notFound) {
+            this.hint = `"${command}" is not a known command.` +
+                (step.commands ? ` This step expects: ${step.commands[0]}` : '');
+        } else if (step.commands && !step.commands.includes(normalized)) {
+            this.hint = `"${command}" does not complete this step. Expected: ${step.commands[0]}`;
+        } else if (step.commands) {
+            this.hint = `Command accepted. ${step.progress()}...`;
+        }
+        this.renderOverlay();
+    }
+
+    /**
+     * Called by UI viewers and actions the procedure asks for
+     * @param {string} event - e.g. 'nf-registration-viewed', 'nf-deregistered'
+     */
+    notify(event) {
+        if (!this.active) return;
+        this.stepEvents.push(event);
+        this.evaluate();
+    }
+
+    /**
+     * Complete the current step if its check passes and unlock the next one
+     */
+    evaluate() {
+        if (!this.active) return;
+
+        let advanced = false;
+        while (!this.isFinished() && this.steps[this.currentIndex].isComplete()) {
+            const step = this.steps[this.currentIndex];
+            if (window.logEngine) {
+                window.logEngine.addLog('system', 'SUCCESS',
+                    `Guided lab: step ${this.currentIndex + 1} completed - ${step.title}`, {
+                    step: step.id
+                });
+            }
+            this.currentIndex++;
+            this.resetStepProgress();
+            advanced = true;
+        }
+
+        if (advanced && this.isFinished() && window.logEngine) {
+            window.logEngine.addLog('system', 'SUCCESS', 'Guided lab completed', {
+                steps: this.steps.length
+            });
+        }
+
+        // DataStore events are frequent; redraw only when the overlay would change
+        const progress = this.isFinished() ? '' : this.steps[this.currentIndex].progress();
+        if (advanced || progress !== this.renderedProgress) {
+            this.renderOverlay();
+        }
+    }
+
+    /**
+     * @param {Array<string>} commands - Accepted commands (normalized)
+     * @param {boolean} prefixOnly - Accept commands that start with one of them
+     * @returns {boolean} True if one was typed since the step was unlocked
+     */
+    hasTypedCommand(commands, prefixOnly = false) {
+        return this.stepCommands.some(typed => commands.some(command =>
+            prefixOnly ? typed.startsWith(command) : typed === command));
+    }
+
+    /**
+     * @param {string} event - UI event name
+     * @returns {boolean} True if it happened since the step was unlocked
+     */
+    hasEvent(event) {
+        return this.stepEvents.includes(event);
+    }
+
+    /**
+     * @param {string} command - Command as typed
+     * @returns {string} The docker terminal's canonical spelling (docker-compose, default -f and flag
+     *                   order do not matter), or lowercase with single spaces if it does not parse
+     */
+    normalizeCommand(command) {
+        return window.dockerTerminal?.canonicalCommand(command) || command.toLowerCase().trim().replace(/\s+/g, ' ');
+    }
+
+    // ==========================================
+    // Overlay
+    // ==========================================
+
+    /**
+     * Draw the overlay: current step, progress, hint and the step checklist
+     */
+    renderOverlay() {
+        if (!this.active) return;
+
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'guided-lab-overlay';
+            document.body.appendChild(this.overlay);
+        }
+
+        this.renderedProgress = this.isFinished() ? '' : this.steps[this.currentIndex].progress();
+
+        const escape = (text) => window.uiController ? window.uiController.escapeHtml(text) : text;
+        const checklist = this.steps.map((step, index) => {
+            const state = index < this.currentIndex ? 'done' : index === this.currentIndex ? 'current' : 'locked';
+            const icon = { done: '✅', current: '▶️', locked: '🔒' }[state];
+            return `<li class="guided-lab-item ${state}">${icon} ${escape(step.title)}</li>`;
+        }).join('');
+
+        let body;
+        if (this.isFinished()) {
+            body = '<div class="guided-lab-title">🎉 All steps completed</div>' +
+                '<div class="guided-lab-instruction">You have walked through the whole procedure.</div>';
+        } else {
+            const step = this.steps[this.currentIndex];
+            body = `
+                <div class="guided-lab-title">Step ${this.currentIndex + 1}/${this.steps.length}: ${escape(step.title)}</div>
+                <div class="guided-lab-instruction">${escape(step.instruction)}</div>
+                ${step.commands ? `<code class="guided-lab-command">${escape(step.commands[0])}</code>` : ''}
+                <div class="guided-lab-progress">⏳ ${escape(step.progress())}</div>
+                ${this.hint ? `<div class="guided-lab-hint">💡 ${escape(this.hint)}</div>` : ''}
+            `;
+        }
+
+        this.overlay.innerHTML = `
+            <div class="guided-lab-header">
+                <span>🧭 Guided Lab</span>
+                <span>
+                    ${this.isFinished() ? '' : '<button class="btn btn-secondary btn-small" data-action="hint">Hint</button>'}
+                    <button class="btn btn-secondary btn-small" data-action="exit">Exit</button>
+                </span>
+            </div>
+            ${body}
+            <ol class="guided-lab-steps">${checklist}</ol>
+        `;
+
+        const hintBtn = this.overlay.querySelector('[data-action="hint"]');
+        if (hintBtn) {
+            hintBtn.onclick = () => {
+                this.hint = this.steps[this.currentIndex].hint;
+                this.renderOverlay();
+            };
+        }
+        this.overlay.querySelector('[data-action="exit"]').onclick = () => this.exit();
+    }
+}
@@ -0,0 +1,466 @@
+/**
+ * ============================================
+ * HISTORY MANAGER
+ * ============================================
+ * Undo/redo for topology edits
+ *
+ * Responsibilities:
+ * - Wrap each user edit (create, delete, move, config, connections, buses) into one command
+ * - Record a command as the NFs, connections, buses and bus connections it added, removed or changed
+ * - Undo/redo commands, including companions removed along the way (MySQL, ext-dn, connections)
+ * - Keep NRF registrations and heartbeats in line with the restored topology
+ */
+
+class HistoryManager {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxCommands = 50;
+        this.pending = null;   // { label, before, depth } while an edit is running
+        this.applying = false; // Set while undo/redo changes the DataStore
+
+        // NF fields that belong to an edit; status, NRF state and timers are runtime state
+        this.nfEditableFields = ['name', 'position', 'config'];
+        // Config keys the simulation updates by itself (PDU session, load model / overload fault)
+        this.runtimeConfigFields = ['pduSession', 'load'];
+        // Entity kinds in the order they are added (removed in reverse)
+        this.kinds = ['nf', 'bus', 'connection', 'busConnection'];
+        // Types that never register with the NRF (same list as the NF config panel)
+        this.nonRegisteringTypes = ['NRF', 'gNB', 'UE', 'ext-dn', 'MySQL'];
+
+        // Loading a snapshot or clearing the canvas replaces the whole topology
+        window.dataStore?.subscribe((event) => {
+            if ((event === 'data-imported' || event === 'data-cleared') && !this.pending && !this.applying) {
+                this.clear();
+            }
+        });
+
+        console.log('✅ HistoryManager initialized');
+    }
+
+    // ==========================================
+    // Recording
+    // ==========================================
+
+    /**
+     * Run an edit as one undoable command (edits started inside it are merged into it)
+     * @param {string} label - Shown in the undo/redo log lines, e.g. "Delete AMF-1"
+     * @param {Function} action - The edit; may return a Promise (docker terminal commands)
+     * @returns {*} Whatever action returns
+     */
+    execute(label, action) {
+        this.begin(label);
+
+        let result;
+        try {
+            result = action();
+        } catch (error) {
+            this.commit();
+            throw error;
+        }
+
+        if (result && typeof result.then === 'function') {
+            return result.finally(() => this.commit());
+        }
+
+        this.commit();
+        return result;
+    }
+
+    /**
+     * Start a command that spans several events (e.g. dragging an NF); pair with commit()
+     * @param {string} label - Command label
+     */
+    begin(label) {
+        if (this.applying) return;
+
+        if (this.pending) {
+            this.pending.depth++;
+            return;
+        }
+
+        this.pending = { label, before: this.snapshot(), depth: 1 };
+    }
+
+    /**
+     * Close the command started by begin() and push it if it changed anything
+     */
+    commit() {
+        if (this.applying || !this.pending) return;
+
+        this.pending.depth--;
+        if (this.pending.depth > 0) return;
+
+        const { label, before } = this.pending;
+        this.pending = null;
+
+        const changes = this.diff(before, this.snapshot());
+        if (changes.length === 0) return;
+
+        this.undoStack.push({ label, changes, timestamp: Date.now() });
+        if (this.undoStack.length > this.maxCommands) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        console.log(`📝 History: recorded "${label}" (${changes.length} change(s))`);
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        console.log('📝 History cleared');
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 && !this.pending;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.pending;
+    }
+
+    // ==========================================
+    // Undo / Redo
+    // ==========================================
+
+    /**
+     * @returns {string|null} Error message, or null on success
+     */
+    undo() {
+        if (this.pending) return `Wait for "${this.pending.label}" to finish`;
+        if (this.undoStack.length === 0) return 'Nothing to undo';
+
+        const command = this.undoStack.pop();
+        this.applyCommand(command, 'before');
+        this.redoStack.push(command);
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO', `Undo: ${command.label}`, {
+                changes: command.changes.length
+            });
+        }
+        return null;
+    }
+
+    /**
+     * @returns {string|null} Error message, or null on success
+     */
+    redo() {
+        if (this.pending) return `Wait for "${this.pending.label}" to finish`;
+        if (this.redoStack.length === 0) return 'Nothing to redo';
+
+        const command = this.redoStack.pop();
+        this.applyCommand(command, 'after');
+        this.undoStack.push(command);
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO', `Redo: ${command.label}`, {
+                changes: command.changes.length
+            });
+        }
+        return null;
+    }
+
+    /**
+     * Bring every entity touched by the command to its 'before' or 'after' state
+     * @param {Object} command - { label, changes }
+     * @param {string} side - 'before' (undo) or 'after' (redo)
+     */
+    applyCommand(command, side) {
+        const reachableBefore = this.getNRFReachability();
+        const removals = command.changes.filter(change => !change[side]);
+        const others = command.changes.filter(change => change[side]);
+        const byKind = (order) => (a, b) => order.indexOf(a.kind) - order.indexOf(b.kind);
+
+        this.applying = true;
+        try {
+            // Links go before the NFs and buses they join; NFs and buses come back before their links
+            removals.sort(byKind([...this.kinds].reverse())).forEach(change => this.removeEntity(change));
+            others.sort(byKind(this.kinds)).forEach(change => this.restoreEntity(change, change[side]));
+        } finally {
+            this.applying = false;
+        }
+
+        this.syncNRFRegistrations(reachableBefore);
+
+        if (window.canvasRenderer) {
+            window.canvasRenderer.render();
+        }
+    }
+
+    /**
+     * @param {Object} change - { kind, id, ref }
+     */
+    removeEntity(change) {
+        const store = window.dataStore;
+
+        switch (change.kind) {
+            case 'nf': {
+                const nf = store.getNFById(change.id);
+                if (!nf) return;
+
+                const profile = window.nrfRegistry?.getNFProfile(nf.id);
+                if (profile && profile.nfStatus !== 'REMOVED') {
+                    window.nrfRegistry.deregisterNF(nf.id, 'NF_DELETED');
+                }
+                window.connectionManager?.stopNFHeartbeat(nf.id);
+                window.logEngine?.onNFRemoved(nf);
+                store.removeNF(nf.id);
+                break;
+            }
+            case 'connection': {
+                const connection = store.getConnectionById(change.id);
+                if (!connection) return;
+
+                window.logEngine?.onConnectionDeleted(connection);
+                store.removeConnection(connection.id);
+                break;
+            }
+            case 'bus':
+                store.removeBus(change.id);
+                break;
+            case 'busConnection':
+                store.removeBusConnection(change.id);
+                break;
+        }
+    }
+
+    /**
+     * Re-add a removed entity, or reset an existing one to the given state
+     * Re-added entities reuse their original object so pending NF lifecycle timers still find it
+     * @param {Object} change - { kind, id, ref }
+     * @param {Object} state - Recorded state
+     */
+    restoreEntity(change, state) {
+        const store = window.dataStore;
+
+        switch (change.kind) {
+            case 'nf': {
+                const existing = store.getNFById(change.id);
+                if (existing) {
+                    const updates = this.getNFUpdates(change, state, existing);
+                    if (Object.keys(updates).length > 0) {
+                        store.updateNF(change.id, updates);
+                    }
+                    return;
+                }
+
+                // The recorded config has no runtime keys: keep the NF's own
+                const runtimeConfig = this.pickRuntimeConfig(change.ref.config);
+                const nf = Object.assign(change.ref, this.clone(state));
+                nf.config = { ...nf.config, ...runtimeConfig };
+                nf.heartbeatIntervalId = null;
+                store.addNF(nf);
+                window.logEngine?.onNFAdded(nf);
+
+                // The lifecycle timer gave up while the NF was gone: start it again
+                if (nf.status === 'starting' && Date.now() - (nf.statusTimestamp || 0) > 5000) {
+                    window.nfManager?.startServiceLifecycle(nf);
+                }
+                break;
+            }
+            case 'bus':
+                if (store.getBusById(change.id)) {
+                    store.updateBus(change.id, this.clone(state));
+                } else {
+                    store.addBus(Object.assign(change.ref, this.clone(state)));
+                }
+                break;
+            case 'connection':
+                if (!store.getConnectionById(change.id)) {
+                    const connection = Object.assign(change.ref, this.clone(state));
+                    store.addConnection(connection);
+                    window.logEngine?.onConnectionCreated(connection);
+                }
+                break;
+            case 'busConnection':
+                if (!store.getAllBusConnections().some(conn => conn.id === change.id)) {
+                    store.addBusConnection(Object.assign(change.ref, this.clone(state)));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Only the fields (and config keys) the command changed are put back, so a move
+     * does not reset config edited or updated by the simulation since
+     * @param {Object} change - { before, after }
+     * @param {Object} state - Recorded state to restore
+     * @param {Object} nf - NF in the DataStore
+     * @returns {Object} Updates for DataStore.updateNF()
+     */
+    getNFUpdates(change, state, nf) {
+        const differs = (a, b) => JSON.stringify(a) !== JSON.stringify(b);
+        const updates = {};
+
+        this.nfEditableFields.forEach(field => {
+            if (field !== 'config') {
+                if (differs(change.before[field], change.after[field])) {
+                    updates[field] = this.clone(state[field]);
+                }
+                return;
+            }
+
+            const beforeConfig = change.before.config || {};
+            const afterConfig = change.after.config || {};
+            const keys = new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)]);
+            const changedKeys = [...keys].filter(key => differs(beforeConfig[key], afterConfig[key]));
+            if (changedKeys.length === 0) return;
+
+            const config = { ...nf.config };
+            changedKeys.forEach(key => {
+                if (state.config?.[key] === undefined) {
+                    delete config[key];
+                } else {
+                    config[key] = this.clone(state.config[key]);
+                }
+            });
+            updates.config = config;
+        });
+
+        return updates;
+    }
+
+    /**
+     * @param {Object} config - NF config
+     * @returns {Object} Only its runtime keys
+     */
+    pickRuntimeConfig(config = {}) {
+        const runtime = {};
+        this.runtimeConfigFields
+            .filter(key => config[key] !== undefined)
+            .forEach(key => {
+                runtime[key] = config[key];
+            });
+        return runtime;
+    }
+
+    // ==========================================
+    // NRF registration
+    // ==========================================
+
+    /**
+     * @returns {Map} NF ID -> NRF ID it can reach (directly or via a bus), or null
+     */
+    getNRFReachability() {
+        const reachability = new Map();
+        (window.dataStore?.getAllNFs() || []).forEach(nf => {
+            reachability.set(nf.id, window.connectionManager?.findReachableNRF(nf.id) || null);
+        });
+        return reachability;
+    }
+
+    /**
+     * Register NFs that regained a path to an NRF and deregister those that lost it,
+     * as creating / deleting the connection would have done
+     * @param {Map} reachableBefore - From getNRFReachability() before the change
+     */
+    syncNRFRegistrations(reachableBefore) {
+        const registry = window.nrfRegistry;
+        const connectionManager = window.connectionManager;
+        if (!registry || !connectionManager) return;
+
+        window.dataStore.getAllNFs()
+            .filter(nf => !this.nonRegisteringTypes.includes(nf.type))
+            .forEach(nf => {
+                const nrfId = connectionManager.findReachableNRF(nf.id);
+                const profile = registry.getNFProfile(nf.id);
+                const registered = profile && profile.nfStatus !== 'REMOVED';
+
+                if (nrfId && !reachableBefore.get(nf.id) && !registered) {
+                    registry.registerNF(nf.id, {
+                        nfType: nf.type,
+                        nfName: nf.name,
+                        ipAddress: nf.config.ipAddress,
+                        port: nf.config.port,
+                        httpProtocol: nf.config.httpProtocol || 'HTTP/2',
+                        services: connectionManager.getServicesForNF(nf.type)
+                    }, nrfId);
+                    connectionManager.startNFHeartbeat(nf.id);
+                } else if (!nrfId && reachableBefore.get(nf.id) && registered) {
+                    registry.deregisterNF(nf.id, 'NRF_CONNECTION_REMOVED');
+                    connectionManager.stopNFHeartbeat(nf.id);
+                }
+            });
+    }
+
+    // ==========================================
+    // Snapshots
+    // ==========================================
+
+    /**
+     * @returns {Object} kind -> Map(id -> { ref, state }) for everything in the DataStore
+     */
+    snapshot() {
+        const store = window.dataStore;
+        const take = items => new Map(items.map(item => [item.id, { ref: item, state: this.clone(item) }]));
+
+        // Runtime config keys are neither recorded nor compared
+        const nfs = take(store.getAllNFs());
+        nfs.forEach(({ state }) => {
+            this.runtimeConfigFields.forEach(key => delete state.config?.[key]);
+        });
+
+        return {
+            nf: nfs,
+            bus: take(store.getAllBuses()),
+            connection: take(store.getAllConnections()),
+            busConnection: take(store.getAllBusConnections())
+        };
+    }
+
+    /**
+     * @param {Object} before - snapshot()
+     * @param {Object} after - snapshot()
+     * @returns {Array} Changes { kind, id, ref, before, after } (before/after null when added/removed)
+     */
+    diff(before, after) {
+        const changes = [];
+
+        this.kinds.forEach(kind => {
+            const ids = new Set([...before[kind].keys(), ...after[kind].keys()]);
+            ids.forEach(id => {
+                const was = before[kind].get(id);
+                const is = after[kind].get(id);
+
+                if (was && is && !this.hasEditChanged(kind, was.state, is.state)) return;
+
+                changes.push({
+                    kind,
+                    id,
+                    ref: (is || was).ref,
+                    before: was ? was.state : null,
+                    after: is ? is.state : null
+                });
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Connections never change once created; NFs only count their editable fields
+     */
+    hasEditChanged(kind, was, is) {
+        if (kind === 'connection' || kind === 'busConnection') return false;
+
+        if (kind === 'nf') {
+            return this.nfEditableFields.some(field => JSON.stringify(was[field]) !== JSON.stringify(is[field]));
+        }
+
+        return JSON.stringify(was) !== JSON.stringify(is);
+    }
+
+    /**
+     * Deep copy without page-local values (icon images, timer IDs)
+     * @param {*} value - Value to copy
+     * @returns {*} Plain JSON copy
+     */
+    clone(value) {
+        if (value === undefined) return undefined;
+
+        return JSON.parse(JSON.stringify(value, (key, v) =>
+            ['iconImage', 'heartbeatIntervalId', 'deregisteredMonitorIntervalId'].includes(key) ? undefined : v));
+    }
+}
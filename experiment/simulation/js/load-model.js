@@ -0,0 +1,196 @@
+/**
+ * ============================================
+ * LOAD MODEL
+ * ============================================
+ * Derives the load of AMF / SMF / UPF instances from what they are serving
+ *
+ * Responsibilities:
+ * - Turn registered UEs (AMF), PDU sessions (SMF, UPF) and iperf3 traffic (UPF)
+ *   into a load percentage against each NF's configured capacity
+ * - Move nf.config.load towards that target on the simulation clock
+ * - Hand the current load to heartbeats, which report it to the NRF profile
+ * - Log when an NF becomes overloaded and when it recovers
+ */
+
+class LoadModel {
+    constructor() {
+        // Load units one unit of demand costs, measured against nf.config.capacity (default 1000)
+        this.costs = {
+            registeredUE: 50,   // AMF: per registered UE
+            pduSession: 80,     // SMF: per PDU session
+            upfSession: 40,     // UPF: per PDU session (GTP-U tunnel state)
+            mbps: 10            // UPF: per Mbit/s of user plane traffic
+        };
+        this.modeledTypes = ['AMF', 'SMF', 'UPF'];
+
+        this.tickInterval = 5000; // Simulated ms between load updates
+        this.smoothing = 0.5;     // Fraction of the gap to the target load closed per tick
+        this.overloadThreshold = 90;
+        this.recoveryThreshold = 80;
+
+        // Maps ueId -> current iperf3 bitrate (Mbit/s)
+        this.traffic = new Map();
+        // NF IDs currently above the overload threshold
+        this.overloaded = new Set();
+        this.tickIntervalId = null;
+
+        this.start();
+
+        console.log('✅ LoadModel initialized');
+    }
+
+    /**
+     * Start periodic load updates on the simulation clock
+     */
+    start() {
+        if (this.tickIntervalId || !window.simClock) return;
+        this.tickIntervalId = window.simClock.setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    /**
+     * Stop periodic load updates
+     */
+    stop() {
+        if (this.tickIntervalId) {
+            window.simClock.clearInterval(this.tickIntervalId);
+            this.tickIntervalId = null;
+        }
+    }
+
+    /**
+     * @param {Object} nf - Network function
+     * @returns {boolean} True if this NF's load is driven by the model
+     */
+    isModeled(nf) {
+        return !!nf && this.modeledTypes.includes(nf.type);
+    }
+
+    /**
+     * Report the current throughput of a UE (called while iperf3 runs)
+     * @param {string} ueId - UE ID
+     * @param {number} mbps - Bitrate in Mbit/s
+     */
+    setTraffic(ueId, mbps) {
+        this.traffic.set(ueId, mbps);
+    }
+
+    /**
+     * Clear the throughput of a UE (iperf3 finished)
+     * @param {string} ueId - UE ID
+     */
+    clearTraffic(ueId) {
+        this.traffic.delete(ueId);
+    }
+
+    /**
+     * Work currently placed on an NF
+     * @param {Object} nf - AMF, SMF or UPF
+     * @returns {Object} { units, registeredUEs, pduSessions, mbps }
+     */
+    getDemand(nf) {
+        const sessions = (window.dataStore?.getAllNFs() || [])
+            .filter(ue => ue.type === 'UE' && ue.config.pduSession)
+            .map(ue => ({ ue, session: ue.config.pduSession }));
+
+        const demand = { units: 0, registeredUEs: 0, pduSessions: 0, mbps: 0 };
+
+        if (nf.type === 'AMF') {
+            demand.registeredUEs = sessions.filter(({ session }) => session.amfId === nf.id).length;
+            demand.units = demand.registeredUEs * this.costs.registeredUE;
+        } else if (nf.type === 'SMF') {
+            demand.pduSessions = sessions.filter(({ session }) => session.smfId === nf.id).length;
+            demand.units = demand.pduSessions * this.costs.pduSession;
+        } else if (nf.type === 'UPF') {
+            const served = sessions.filter(({ session }) => session.upfId === nf.id);
+            demand.pduSessions = served.length;
+            demand.mbps = served.reduce((sum, { ue }) => sum + (this.traffic.get(ue.id) || 0), 0);
+            demand.units = demand.pduSessions * this.costs.upfSession + demand.mbps * this.costs.mbps;
+        }
+
+        return demand;
+    }
+
+    /**
+     * Load the NF is heading towards with its current demand
+     * @param {Object} nf - Network function
+     * @returns {number} Load in percent (0-100)
+     */
+    getTargetLoad(nf) {
+        // Injected faults: a crashed NF serves nothing, a FULL_LOAD fault pins it at 100%
+        if (window.faultManager?.isCrashed(nf.id)) return 0;
+        if (window.faultManager?.isLoadForced(nf.id)) return 100;
+
+        const capacity = Number(nf.config.capacity) || 1000;
+        return Math.min(100, Math.round(this.getDemand(nf).units / capacity * 100));
+    }
+
+    /**
+     * Move every modeled NF's load towards its target and flag overloads
+     */
+    tick() {
+        let changed = false;
+
+        (window.dataStore?.getAllNFs() || []).forEach(nf => {
+            if (!this.isModeled(nf)) return;
+
+            const current = Number(nf.config.load) || 0;
+            const target = nf.status === 'stable' ? this.getTargetLoad(nf) : 0;
+            if (current === target) return;
+
+            // Load ramps up/down over a few ticks instead of jumping
+            const gap = target - current;
+            const next = Math.abs(gap) <= 1 ? target : Math.round(current + gap * this.smoothing);
+
+            nf.config.load = next;
+            changed = true;
+
+            this.checkOverload(nf, next);
+        });
+
+        if (changed) {
+            window.canvasRenderer?.render();
+        }
+    }
+
+    /**
+     * Log overload entry / recovery once per crossing
+     * @param {Object} nf - Network function
+     * @param {number} load - New load in percent
+     */
+    checkOverload(nf, load) {
+        if (load >= this.overloadThreshold && !this.overloaded.has(nf.id)) {
+            this.overloaded.add(nf.id);
+            if (window.logEngine) {
+                const demand = this.getDemand(nf);
+                window.logEngine.addLog(nf.id, 'WARNING',
+                    `${nf.name} overloaded (load ${load}%)`, {
+                    capacity: nf.config.capacity,
+                    demandUnits: demand.units,
+                    registeredUEs: demand.registeredUEs,
+                    pduSessions: demand.pduSessions,
+                    trafficMbps: demand.mbps.toFixed(1),
+                    hint: 'Add another instance or raise the capacity; least-load selection steers new sessions away'
+                });
+            }
+        } else if (load < this.recoveryThreshold && this.overloaded.has(nf.id)) {
+            this.overloaded.delete(nf.id);
+            if (window.logEngine) {
+                window.logEngine.addLog(nf.id, 'SUCCESS',
+                    `${nf.name} recovered from overload (load ${load}%)`, {
+                    capacity: nf.config.capacity
+                });
+            }
+        }
+    }
+
+    /**
+     * Data an NF includes in its next heartbeat (NRF learns the load from heartbeats only)
+     * @param {string} nfId - NF ID
+     * @returns {Object} { load } for modeled NFs, otherwise empty
+     */
+    getHeartbeatData(nfId) {
+        const nf = window.dataStore?.getNFById(nfId);
+        if (!this.isModeled(nf) && !window.faultManager?.isLoadForced(nfId)) return {};
+        return { load: Number(nf.config.load) || 0 };
+    }
+}
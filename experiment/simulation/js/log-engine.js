@@ -69,7 +69,7 @@ class LogEngine {
         const nf = window.dataStore?.getNFById(nfId);
         if (nf) {
             const instance = nf.name.split('-')[1] || '1';
-            const random = Math.random().toString(36).substr(2, 6);
+            const random = window.simRandom.string(6);
             message = message.replace(/\{instance\}/g, instance);
             message = message.replace(/\{random\}/g, random);
 
@@ -87,7 +87,7 @@ class LogEngine {
         }
 
         const logEntry = {
-            id: `log-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+            id: `log-${Date.now()}-${window.simRandom.string(5)}`,
             nfId: nfId,
             timestamp: Date.now(),
             level: level,
@@ -416,6 +416,11 @@ class LogEngine {
                 this.simulateNRFRegistration(sourceNF, targetNF);
             }
 
+            // SBI consumer must hold an NRF access token before calling the producer
+            setTimeout(() => {
+                this.simulateAccessTokenRequest(sourceNF, targetNF);
+            }, 2500);
+
         } else {
             // Use default connection logs
             this.addLog(connection.sourceId, 'INFO',
@@ -466,6 +471,11 @@ class LogEngine {
                     this.simulateNRFRegistration(sourceNF, targetNF);
                 }
 
+                // SBI consumer must hold an NRF access token before calling the producer
+                setTimeout(() => {
+                    this.simulateAccessTokenRequest(sourceNF, targetNF);
+                }, 1000);
+
             }, 1500);
         }
 
@@ -504,9 +514,9 @@ class LogEngine {
         console.log('Simulating NGAP Setup between', gnb.name, 'and', amf.name);
 
         // Generate unique IDs for this NGAP session
-        const globalGNBId = `0x${Math.random().toString(16).substr(2, 8).toUpperCase()}`;
-        const ranUENGAPId = Math.floor(Math.random() * 90000) + 10000;
-        const amfUENGAPId = Math.floor(Math.random() * 90000) + 10000;
+        const globalGNBId = `0x${window.simRandom.hex(8).toUpperCase()}`;
+        const ranUENGAPId = Math.floor(window.simRandom.next() * 90000) + 10000;
+        const amfUENGAPId = Math.floor(window.simRandom.next() * 90000) + 10000;
 
         // Step 1: gNB initiates NGAP Setup Request
         setTimeout(() => {
@@ -655,9 +665,9 @@ class LogEngine {
         if (!gNB || !UPF) return;
 
         // Generate unique identifiers for this GTP-U session
-        const teidGNB = `0x${Math.floor(Math.random() * 0xFFFFFF).toString(16).toUpperCase().padStart(6, '0')}`;
-        const teidUPF = `0x${Math.floor(Math.random() * 0xFFFFFF).toString(16).toUpperCase().padStart(6, '0')}`;
-        const sequenceNum = Math.floor(Math.random() * 65535);
+        const teidGNB = `0x${Math.floor(window.simRandom.next() * 0xFFFFFF).toString(16).toUpperCase().padStart(6, '0')}`;
+        const teidUPF = `0x${Math.floor(window.simRandom.next() * 0xFFFFFF).toString(16).toUpperCase().padStart(6, '0')}`;
+        const sequenceNum = Math.floor(window.simRandom.next() * 65535);
 
         console.log('📡 Simulating GTP-U on N3 interface between', gNB.name, 'and', UPF.name);
 
@@ -713,7 +723,7 @@ class LogEngine {
 
         // Step 10: Continuous data flow indication
         setTimeout(() => {
-            const totalThroughput = Math.round(500 + Math.random() * 1500);
+            const totalThroughput = Math.round(500 + window.simRandom.next() * 1500);
             this.addLog(UPF.id, 'SUCCESS',
                 `N3 GTP-U tunnel active - Data flowing`, {
                 interface: 'N3',
@@ -768,7 +778,7 @@ class LogEngine {
         setTimeout(() => {
             this.addLog(amf.id, 'INFO', 'NAS: Authentication Request', {
                 method: '5G-AKA',
-                rand: `0x${Math.random().toString(16).substr(2, 8)}`
+                rand: `0x${window.simRandom.hex(8)}`
             });
             this.addLog(ue.id, 'INFO', 'NAS: Authentication Request received', {
                 method: '5G-AKA'
@@ -778,7 +788,7 @@ class LogEngine {
         // 3) Authentication Response (UE -> AMF)
         setTimeout(() => {
             this.addLog(ue.id, 'SUCCESS', 'NAS: Authentication Response (RES*)', {
-                resStar: `0x${Math.random().toString(16).substr(2, 8)}`
+                resStar: `0x${window.simRandom.hex(8)}`
             });
             this.addLog(amf.id, 'SUCCESS', 'NAS: Authentication verified', {
                 result: 'SUCCESS'
@@ -798,7 +808,7 @@ class LogEngine {
 
         // 5) Registration Accept / Complete
         setTimeout(() => {
-            const guti = `5g-guti-${Math.random().toString(36).substr(2, 6)}`;
+            const guti = `5g-guti-${window.simRandom.string(6)}`;
             this.addLog(amf.id, 'SUCCESS', 'NAS: Registration Accept', {
                 guti: guti,
                 allowedNSSAI: [{ sst }],
@@ -832,7 +842,7 @@ class LogEngine {
         }, 500);
     
         setTimeout(() => {
-            const profileId = `profile-${Math.random().toString(36).substr(2, 9)}`;
+            const profileId = `profile-${window.simRandom.string(9)}`;
 
             this.addLog(nrfNF.id, 'INFO',
                 `Processing registration from ${nf.name}`, {
@@ -857,6 +867,79 @@ class LogEngine {
         }, 1200);
     }
 
+    /**
+     * Simulate Nnrf_NFDiscovery + Nnrf_AccessToken exchange before an SBI consumer calls a producer
+     * Source NF is treated as consumer, target NF as producer.
+     */
+    simulateAccessTokenRequest(consumer, producer) {
+        // Only NF-to-NF service based interfaces are protected by OAuth2
+        const nonSbiTypes = ['NRF', 'gNB', 'UE', 'UPF', 'ext-dn', 'MySQL'];
+        if (nonSbiTypes.includes(consumer.type) || nonSbiTypes.includes(producer.type)) return;
+        if (!window.nrfRegistry) return;
+
+        // Connection may have been removed while the handshake was in progress
+        if (!window.dataStore?.getNFById(consumer.id) || !window.dataStore?.getNFById(producer.id)) return;
+
+        // Discover the producer through the consumer's NRF (forwarded up the NRF hierarchy on a miss)
+        const discovery = window.nrfRegistry.discoverNFs({
+            targetNfType: producer.type,
+            requesterNfType: consumer.type,
+            requesterNfInstanceId: consumer.id
+        });
+        const discoveryRecord = window.nrfRegistry.getAllDiscoveryRecords().pop();
+        const nrfHops = discoveryRecord ? window.nrfRegistry.describeDiscoveryHops(discoveryRecord.hops) : 'n/a';
+
+        if (discovery.status === 200) {
+            const discovered = discovery.body.nfInstances;
+            this.addLog(consumer.id, discovered.length > 0 ? 'INFO' : 'WARNING',
+                `NF Discovery for ${producer.type}: ${discovered.length} instance(s) found`, {
+                method: 'GET',
+                uri: discoveryRecord?.request.uri,
+                nrfHops,
+                nfInstances: discovered.map(profile => profile.nfName)
+            });
+        } else {
+            this.addLog(consumer.id, 'WARNING',
+                `NF Discovery for ${producer.type} rejected by NRF (${discovery.status} ${discovery.body.title})`, {
+                method: 'GET',
+                uri: discoveryRecord?.request.uri,
+                nrfHops,
+                cause: discovery.body.cause,
+                detail: discovery.body.detail
+            });
+        }
+
+        this.addLog(consumer.id, 'INFO',
+            `Requesting access token from NRF for ${producer.type}`, {
+            method: 'POST',
+            uri: '/oauth2/token',
+            grant_type: 'client_credentials',
+            targetNfType: producer.type,
+            targetNfInstanceId: producer.id
+        });
+
+        const result = window.nrfRegistry.requestAccessToken(consumer.id, {
+            targetNfType: producer.type,
+            targetNfInstanceId: producer.id
+        });
+
+        if (result.status === 200) {
+            this.addLog(producer.id, 'SUCCESS',
+                `Access token from ${consumer.name} validated`, {
+                authorization: 'Bearer ' + result.body.access_token.slice(0, 24) + '...',
+                scope: result.body.scope,
+                issuer: result.claims.iss
+            });
+        } else {
+            this.addLog(producer.id, 'WARNING',
+                `Rejecting service requests from ${consumer.name} - no valid access token`, {
+                status: `${result.status} ${window.nrfRegistry.getStatusText(result.status)}`.trim(),
+                error: result.body.error,
+                reason: result.body.error_description
+            });
+        }
+    }
+
     /**
      * Re-check dependencies after connection
      */
@@ -1037,6 +1120,24 @@ class LogEngine {
         this.notifyListeners({ type: 'clear-all' });
     }
 
+    /**
+     * Add an existing log entry as-is (session replay), without placeholder handling or console output
+     * @param {Object} logEntry - Entry produced by addLog()
+     */
+    insertLogEntry(logEntry) {
+        if (!this.logs.has(logEntry.nfId)) {
+            this.logs.set(logEntry.nfId, []);
+        }
+
+        const nfLogs = this.logs.get(logEntry.nfId);
+        nfLogs.push(logEntry);
+        if (nfLogs.length > this.maxLogsPerNF) {
+            nfLogs.shift();
+        }
+
+        this.notifyListeners(logEntry);
+    }
+
     subscribe(callback) {
         this.logListeners.push(callback);
     }
@@ -1051,6 +1152,24 @@ class LogEngine {
         });
     }
 
+    /**
+     * Export log history per NF for session snapshots
+     * @returns {Object} { nfId: [logEntry, ...] }
+     */
+    exportState() {
+        return Object.fromEntries(this.logs);
+    }
+
+    /**
+     * Replace log history with a snapshot from exportState()
+     * @param {Object} state - { nfId: [logEntry, ...] }
+     */
+    importState(state) {
+        this.logs = new Map(Object.entries(state || {})
+            .map(([nfId, nfLogs]) => [nfId, nfLogs.slice(-this.maxLogsPerNF)]));
+        this.notifyListeners({ type: 'import' });
+    }
+
     exportLogsAsJSON() {
         const exportData = {
             exportTime: new Date().toISOString(),
@@ -0,0 +1,416 @@
+/**
+ * ============================================
+ * NF CONFIG GENERATOR
+ * ============================================
+ * Generates the configuration file each NF would run with in a real deployment
+ *
+ * Responsibilities:
+ * - Open5GS: per-NF YAML (amf.yaml, smf.yaml, nrf.yaml, ...) plus UERANSIM gnb.yaml / ue.yaml
+ * - OAI: per-container config.yaml for core NFs, nr-ue.conf SIM section for UEs
+ * - Derive addresses, NRF URI, PLMN, TAC, S-NSSAI, DNNs and UPF lists from the topology,
+ *   the NF's NRF profile and the subscriber store
+ */
+
+class NFConfigGenerator {
+    constructor() {
+        this.flavors = {
+            open5gs: {
+                label: 'Open5GS',
+                types: ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'UDR', 'PCF', 'NSSF', 'gNB', 'UE']
+            },
+            oai: {
+                label: 'OAI',
+                types: ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'UDR', 'PCF', 'NSSF', 'UE']
+            }
+        };
+
+        // Core NF types OAI lists under "nfs" (one shared layout for every container)
+        this.oaiCoreTypes = ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'UDR', 'PCF', 'NSSF'];
+
+        console.log('✅ NFConfigGenerator initialized');
+    }
+
+    /**
+     * @param {Object} nf - Network Function
+     * @returns {Array} Flavor keys that can configure this NF type
+     */
+    getFlavorsFor(nf) {
+        return Object.keys(this.flavors).filter(flavor => this.flavors[flavor].types.includes(nf.type));
+    }
+
+    /**
+     * Generate the configuration file for one NF
+     * @param {Object} nf - Network Function
+     * @param {string} flavor - 'open5gs' or 'oai'
+     * @returns {Object} { fileName, mountPath, content, error } - content is null when error is set
+     */
+    generate(nf, flavor) {
+        const definition = this.flavors[flavor];
+        if (!definition) {
+            return { fileName: null, mountPath: null, content: null, error: `Unknown configuration flavor "${flavor}"` };
+        }
+        if (!definition.types.includes(nf.type)) {
+            return { fileName: null, mountPath: null, content: null, error: `${definition.label} has no configuration file for ${nf.type}` };
+        }
+
+        const context = this.getContext(nf);
+        const { fileName, mountPath, body } = flavor === 'open5gs'
+            ? this.buildOpen5GSConfig(nf, context)
+            : this.buildOAIConfig(nf, context);
+
+        const header = [
+            `# ${fileName} for ${nf.name} (${definition.label})`,
+            `# Generated by the 5G Core Network Simulator on ${new Date().toISOString()}`,
+            `# Mount as ${mountPath}`,
+            ''
+        ].join('\n');
+
+        return { fileName, mountPath, content: header + body + '\n', error: null };
+    }
+
+    // ==========================================
+    // Topology context
+    // ==========================================
+
+    /**
+     * Everything a config file needs to know about the NF's surroundings
+     * @param {Object} nf - Network Function
+     * @returns {Object} { nrf, nrfUri, plmn, tac, sNssais, dnns, findNF, findLinkedNFs, subscribers, uePool }
+     */
+    getContext(nf) {
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        const registry = window.nrfRegistry;
+        const findNF = type => allNFs.find(other => other.type === type) || null;
+
+        // The NRF this NF registers with, or the first one in the topology
+        const nrfId = window.connectionManager?.findReachableNRF(nf.id);
+        const nrf = (nrfId && window.dataStore.getNFById(nrfId)) || findNF('NRF');
+        const plmn = registry ? registry.getNRFPlmn(nrf?.id || null) : { mcc: '001', mnc: '01' };
+
+        // The NF's own NRF profile (edited profiles included), or the defaults it would register with
+        const profile = registry?.getNFProfile(nf.id) ||
+            registry?.getDefaultProfileAttributes({ nfType: nf.type, ipAddress: nf.config.ipAddress }, nrf?.id || null) || {};
+
+        const subscribers = window.dataStore?.getSubscribers() || [];
+        const sNssais = this.unique([
+            ...(profile.sNssais || [{ sst: 1 }]),
+            ...subscribers.map(sub => ({ sst: Number(sub.nssai_sst) || 1 }))
+        ]);
+        const dnns = this.unique([
+            ...(profile.dnnList || []),
+            ...subscribers.map(sub => sub.dnn).filter(Boolean)
+        ]);
+
+        // NFs joined to this one by an interface connection (e.g. the UPFs on an SMF's N4)
+        const findLinkedNFs = type => (window.dataStore?.getAllConnections() || [])
+            .filter(conn => conn.sourceId === nf.id || conn.targetId === nf.id)
+            .map(conn => window.dataStore.getNFById(conn.sourceId === nf.id ? conn.targetId : conn.sourceId))
+            .filter(other => other && other.type === type);
+
+        const upf = nf.type === 'UPF' ? nf : findNF('UPF');
+        const tun0 = upf?.config.tun0Interface;
+
+        return {
+            nrf,
+            nrfUri: nrf && window.logEngine ? new URL(window.logEngine.generateDynamicEndpoint(nrf)).origin : null,
+            plmn,
+            tac: Number(profile.taiList?.[0]?.tac) || 1,
+            sNssais,
+            dnns: dnns.length > 0 ? dnns : ['5G-Lab'],
+            findNF,
+            findLinkedNFs,
+            subscribers,
+            uePool: tun0 ? { subnet: tun0.network, gateway: tun0.gatewayIP } : { subnet: '10.0.0.0/28', gateway: '10.0.0.1' }
+        };
+    }
+
+    /**
+     * @param {Array} values - Strings or plain objects
+     * @returns {Array} Values without duplicates (objects compared by JSON)
+     */
+    unique(values) {
+        const seen = new Set();
+        return values.filter(value => {
+            const key = JSON.stringify(value);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * @param {Object} data - Config as plain objects
+     * @returns {string} YAML (same writer as the docker-compose export)
+     */
+    toYAML(data) {
+        return window.composeFileManager.toYAML(data, 0).join('\n');
+    }
+
+    // ==========================================
+    // Open5GS (and UERANSIM for the RAN)
+    // ==========================================
+
+    /**
+     * @param {Object} nf - Network Function
+     * @param {Object} context - From getContext()
+     * @returns {Object} { fileName, mountPath, body }
+     */
+    buildOpen5GSConfig(nf, context) {
+        const ip = nf.config.ipAddress;
+        const plmnId = { mcc: context.plmn.mcc, mnc: context.plmn.mnc };
+        const key = nf.type.toLowerCase();
+
+        if (nf.type === 'gNB' || nf.type === 'UE') {
+            const fileName = `${key}.yaml`;
+            return { fileName, mountPath: `/ueransim/config/${fileName}`, body: this.toYAML(this.buildUERANSIMConfig(nf, context)) };
+        }
+
+        const section = {
+            sbi: {
+                server: [{ address: ip, port: nf.config.port }]
+            }
+        };
+        if (nf.type !== 'NRF' && context.nrfUri) {
+            section.sbi.client = { nrf: [{ uri: context.nrfUri }] };
+        }
+
+        const db = context.findNF('MySQL');
+        const session = context.dnns.map(dnn => ({ subnet: context.uePool.subnet, gateway: context.uePool.gateway, dnn }));
+
+        switch (nf.type) {
+            case 'NRF':
+                section.serving = [{ plmn_id: plmnId }];
+                break;
+            case 'AMF':
+                section.ngap = { server: [{ address: ip }] };
+                section.guami = [{ plmn_id: plmnId, amf_id: { region: 2, set: 1 } }];
+                section.tai = [{ plmn_id: plmnId, tac: context.tac }];
+                section.plmn_support = [{ plmn_id: plmnId, s_nssai: context.sNssais }];
+                section.security = {
+                    integrity_order: ['NIA2', 'NIA1', 'NIA0'],
+                    ciphering_order: ['NEA0', 'NEA1', 'NEA2']
+                };
+                section.network_name = { full: 'Open5GS' };
+                section.amf_name = nf.name.toLowerCase();
+                break;
+            case 'SMF': {
+                const upfs = context.findLinkedNFs('UPF');
+                section.pfcp = {
+                    server: [{ address: ip }],
+                    client: {
+                        upf: (upfs.length > 0 ? upfs : [context.findNF('UPF')].filter(Boolean))
+                            .map(upf => ({ address: upf.config.ipAddress, dnn: context.dnns }))
+                    }
+                };
+                section.gtpu = { server: [{ address: ip }] };
+                section.session = session;
+                section.dns = ['8.8.8.8', '8.8.4.4'];
+                section.mtu = 1400;
+                break;
+            }
+            case 'UPF': {
+                delete section.sbi;
+                const smf = context.findLinkedNFs('SMF')[0] || context.findNF('SMF');
+                section.pfcp = { server: [{ address: ip }] };
+                if (smf) {
+                    section.pfcp.client = { smf: [{ address: smf.config.ipAddress }] };
+                }
+                section.gtpu = { server: [{ address: ip }] };
+                section.session = session;
+                break;
+            }
+            case 'NSSF':
+                if (context.nrfUri) {
+                    section.sbi.client.nsi = context.sNssais.map(sNssai => ({ uri: context.nrfUri, s_nssai: sNssai }));
+                }
+                break;
+        }
+
+        const config = {
+            logger: { file: { path: `/var/log/open5gs/${key}.log` } }
+        };
+        // Open5GS keeps subscribers in MongoDB; the lab's subscriber database host stands in for it
+        if (['UDR', 'PCF'].includes(nf.type)) {
+            config.db_uri = `mongodb://${db ? db.config.ipAddress : 'localhost'}/open5gs`;
+        }
+        config[key] = section;
+
+        return { fileName: `${key}.yaml`, mountPath: `/etc/open5gs/${key}.yaml`, body: this.toYAML(config) };
+    }
+
+    /**
+     * UERANSIM nr-gnb / nr-ue configuration (the RAN usually paired with Open5GS)
+     * @param {Object} nf - gNB or UE
+     * @param {Object} context - From getContext()
+     * @returns {Object} Config
+     */
+    buildUERANSIMConfig(nf, context) {
+        const amf = context.findLinkedNFs('AMF')[0] || context.findNF('AMF');
+        const slices = context.sNssais;
+
+        if (nf.type === 'gNB') {
+            return {
+                mcc: context.plmn.mcc,
+                mnc: context.plmn.mnc,
+                nci: '0x000000010',
+                idLength: 32,
+                tac: context.tac,
+                linkIp: nf.config.ipAddress,
+                ngapIp: nf.config.ipAddress,
+                gtpIp: nf.config.ipAddress,
+                amfConfigs: amf ? [{ address: amf.config.ipAddress, port: 38412 }] : [],
+                slices,
+                ignoreStreamIds: true
+            };
+        }
+
+        const gnb = context.findLinkedNFs('gNB')[0] || context.findNF('gNB');
+        const sst = Number(nf.config.subscriberSst) || 1;
+        return {
+            supi: `imsi-${nf.config.subscriberImsi || '001010000000101'}`,
+            mcc: context.plmn.mcc,
+            mnc: context.plmn.mnc,
+            key: nf.config.subscriberKey || 'fec86ba6eb707ed08905757b1bb44b8f',
+            op: nf.config.subscriberOpc || 'C42449363BBAD02B66D16BC975D77CC1',
+            opType: 'OPC',
+            amf: '8000',
+            gnbSearchList: gnb ? [gnb.config.ipAddress] : [],
+            sessions: [{ type: 'IPv4', apn: nf.config.subscriberDnn || '5G-Lab', slice: { sst } }],
+            'configured-nssai': [{ sst }],
+            'default-nssai': [{ sst }],
+            integrity: { IA1: true, IA2: true, IA3: true },
+            ciphering: { EA1: true, EA2: true, EA3: true }
+        };
+    }
+
+    // ==========================================
+    // OAI
+    // ==========================================
+
+    /**
+     * OAI core NFs read one config.yaml layout: shared "nfs", "dnns" and "database"
+     * sections plus the NF's own section
+     * @param {Object} nf - Network Function
+     * @param {Object} context - From getContext()
+     * @returns {Object} { fileName, mountPath, body }
+     */
+    buildOAIConfig(nf, context) {
+        const key = nf.type.toLowerCase();
+
+        if (nf.type === 'UE') {
+            return { fileName: 'nr-ue.conf', mountPath: '/opt/oai-nr-ue/etc/nr-ue.conf', body: this.buildOAIUEConfig(nf) };
+        }
+
+        const nfs = {};
+        this.oaiCoreTypes
+            .map(type => type === nf.type ? nf : context.findNF(type))
+            .filter(Boolean)
+            .forEach(peer => {
+                const entry = {
+                    host: peer.config.ipAddress,
+                    sbi: { port: peer.config.port, api_version: 'v1', interface_name: 'eth0' }
+                };
+                if (peer.type === 'AMF') {
+                    entry.n2 = { interface_name: 'eth0', port: 38412 };
+                }
+                if (peer.type === 'UPF') {
+                    entry.n3 = { interface_name: 'eth0', port: 2152 };
+                    entry.n4 = { interface_name: 'eth0', port: 8805 };
+                    entry.n6 = { interface_name: 'eth0' };
+                }
+                nfs[peer.type.toLowerCase()] = entry;
+            });
+
+        const sNssaiList = context.sNssais.map(sNssai => ({ sNssai }));
+        const config = {
+            log_level: { general: 'info' },
+            register_nf: { general: !!context.nrf },
+            http_version: nf.config.httpProtocol === 'HTTP/1' ? 1 : 2,
+            nfs
+        };
+
+        switch (nf.type) {
+            case 'AMF':
+                config.amf = {
+                    amf_name: nf.name,
+                    served_guami_list: [{ mcc: context.plmn.mcc, mnc: context.plmn.mnc, amf_region_id: '01', amf_set_id: '001', amf_pointer: '01' }],
+                    plmn_support_list: [{
+                        mcc: context.plmn.mcc,
+                        mnc: context.plmn.mnc,
+                        tac: `0x${context.tac.toString(16).padStart(4, '0')}`,
+                        nssai: context.sNssais
+                    }],
+                    supported_integrity_algorithms: ['NIA1', 'NIA2'],
+                    supported_encryption_algorithms: ['NEA0', 'NEA1', 'NEA2']
+                };
+                break;
+            case 'SMF': {
+                const upfs = context.findLinkedNFs('UPF');
+                config.smf = {
+                    ue_mtu: 1500,
+                    support_features: { use_local_subscription_info: true, use_local_pcc_rules: true },
+                    upfs: (upfs.length > 0 ? upfs : [context.findNF('UPF')].filter(Boolean))
+                        .map(upf => ({ host: upf.config.ipAddress })),
+                    ue_dns: { primary_ipv4: '1.1.1.1', secondary_ipv4: '8.8.8.8' },
+                    smf_info: {
+                        sNssaiSmfInfoList: sNssaiList.map(item => ({ ...item, dnnSmfInfoList: context.dnns.map(dnn => ({ dnn })) }))
+                    },
+                    local_subscription_infos: context.sNssais.flatMap(sNssai => context.dnns.map(dnn => ({
+                        single_nssai: sNssai,
+                        dnn,
+                        qos_profile: { '5qi': 9, session_ambr_ul: '200Mbps', session_ambr_dl: '400Mbps' }
+                    })))
+                };
+                break;
+            }
+            case 'UPF': {
+                const extDn = context.findLinkedNFs('ext-dn')[0] || context.findNF('ext-dn');
+                config.upf = {
+                    support_features: { enable_bpf_datapath: false, enable_snat: true },
+                    remote_n6_gw: extDn ? extDn.config.ipAddress : '127.0.0.1',
+                    upf_info: {
+                        sNssaiUpfInfoList: sNssaiList.map(item => ({ ...item, dnnUpfInfoList: context.dnns.map(dnn => ({ dnn })) }))
+                    }
+                };
+                break;
+            }
+            default:
+                config[key] = { [`${key}_name`]: nf.name };
+        }
+
+        if (['SMF', 'UPF'].includes(nf.type)) {
+            config.dnns = context.dnns.map(dnn => ({ dnn, pdu_session_type: 'IPV4', ipv4_subnet: context.uePool.subnet }));
+        }
+
+        // UDR (and UDM / AUSF through it) read subscribers from the lab's MySQL
+        const db = context.findNF('MySQL');
+        if (nf.type === 'UDR' && db) {
+            config.database = {
+                host: db.config.ipAddress,
+                user: 'test',
+                type: 'mysql',
+                password: 'test',
+                database_name: 'oai_db'
+            };
+        }
+
+        return { fileName: 'config.yaml', mountPath: `/openair-${key}/etc/config.yaml`, body: this.toYAML(config) };
+    }
+
+    /**
+     * OAI nr-uesoftmodem reads the SIM from the uicc0 block of its libconfig file
+     * @param {Object} nf - UE
+     * @returns {string} libconfig text
+     */
+    buildOAIUEConfig(nf) {
+        return [
+            'uicc0 = {',
+            `    imsi = "${nf.config.subscriberImsi || '001010000000101'}";`,
+            `    key = "${nf.config.subscriberKey || 'fec86ba6eb707ed08905757b1bb44b8f'}";`,
+            `    opc = "${nf.config.subscriberOpc || 'C42449363BBAD02B66D16BC975D77CC1'}";`,
+            `    dnn = "${nf.config.subscriberDnn || '5G-Lab'}";`,
+            `    nssai_sst = ${Number(nf.config.subscriberSst) || 1};`,
+            '};'
+        ].join('\n');
+    }
+}
@@ -31,9 +31,22 @@ class NFManager {
             'ext-dn': 0
         };
 
+        // NF types that may run several instances (NRF hierarchy, scaled AMF/SMF/UPF
+        // selected through the NRF); UE is capped separately
+        this.multiInstanceTypes = ['NRF', 'AMF', 'SMF', 'UPF', 'UE'];
+
         console.log('✅ NFManager initialized');
     }
 
+    /**
+     * Start naming every NF type at 1 again (after the canvas was cleared)
+     */
+    resetCounters() {
+        Object.keys(this.nfCounters).forEach(type => {
+            this.nfCounters[type] = 0;
+        });
+    }
+
     /**
      * Create a new Network Function
      * @param {string} type - Type of NF (AMF, SMF, etc.)
@@ -62,6 +75,12 @@ class NFManager {
             } else {
                 console.log(`✅ UE creation allowed: ${existingUEs.length}/2 UEs currently exist`);
             }
+        } else if (this.multiInstanceTypes.includes(type)) {
+            // Several NRFs each keep their own registry and forward discovery misses to
+            // their parent / PLMN-level NRF; consumers pick among several AMFs, SMFs and
+            // UPFs with the NRF selection strategy
+            const existing = allNFs.filter(nf => nf.type === type);
+            console.log(`✅ ${type} creation allowed: ${existing.length} ${type} instance(s) currently exist`);
         } else {
             // For all other NF types - only allow ONE instance
             const existingNF = allNFs.find(nf => nf.type === type);
@@ -393,7 +412,7 @@ class NFManager {
         }
         
         // Fallback: use a random IP in the subnet
-        const randomHost = Math.floor(Math.random() * 244) + 10;
+        const randomHost = Math.floor(window.simRandom.next() * 244) + 10;
         return `${subnet}.${randomHost}`;
     }
 
@@ -459,7 +478,7 @@ class NFManager {
      */
     generateUniqueId(type) {
         const timestamp = Date.now();
-        const random = Math.random().toString(36).substring(2, 7);
+        const random = window.simRandom.string(5);
         return `${type.toLowerCase()}-${timestamp}-${random}`;
     }
 
@@ -494,8 +513,8 @@ class NFManager {
         }
 
         // Fallback: generate random IP if all subnets are full
-        const randomSubnet = Math.floor(Math.random() * 254) + 1;
-        const randomHost = Math.floor(Math.random() * 244) + 10;
+        const randomSubnet = Math.floor(window.simRandom.next() * 254) + 1;
+        const randomHost = Math.floor(window.simRandom.next() * 244) + 10;
         const fallbackIP = `192.168.${randomSubnet}.${randomHost}`;
         
         console.warn(`⚠️ All predefined subnets full, using fallback IP: ${fallbackIP}`);
@@ -522,7 +541,7 @@ class NFManager {
         }
 
         // Fallback: random port if all are used
-        const randomPort = Math.floor(Math.random() * 1000) + 8000;
+        const randomPort = Math.floor(window.simRandom.next() * 1000) + 8000;
         console.warn(`⚠️ All standard ports (8080-9999) used, using fallback port: ${randomPort}`);
         return randomPort;
     }
@@ -661,8 +680,9 @@ class NFManager {
             this.autoDeleteExtDNForUPF(nf);
         }
 
-        // --- ADDED: Deregister from NRF before deletion ---
-        if (window.nrfRegistry) {
+        // --- ADDED: Deregister from NRF before deletion (only if it is registered) ---
+        const nrfProfile = window.nrfRegistry?.getNFProfile(nfId);
+        if (nrfProfile && nrfProfile.nfStatus !== 'REMOVED') {
             window.nrfRegistry.deregisterNF(nfId, 'NF_DELETED');
         }
 
@@ -922,12 +942,13 @@ class NFManager {
                 console.log(`✅ ${nf.name} is now STABLE`);
 
                 // --- ADDED: Register UPF with NRF when it becomes stable ---
-                if (nf.type === 'UPF') {
-                    // Find NRF in the network
-                    const allNFs = window.dataStore?.getAllNFs() || [];
-                    const nrfNF = allNFs.find(n => n.type === 'NRF' && n.status === 'stable');
-                    
-                    if (nrfNF && window.nrfRegistry && window.connectionManager) {
+                // Only with an NRF it can reach: without a path it could never send heartbeats.
+                // A UPF without one registers when its NRF auto-connection is created.
+                if (nf.type === 'UPF' && window.nrfRegistry && window.connectionManager) {
+                    const nrfId = window.connectionManager.findReachableNRF(nf.id);
+                    const profile = window.nrfRegistry.getNFProfile(nf.id);
+
+                    if (nrfId && (!profile || profile.nfStatus === 'REMOVED')) {
                         console.log(`📋 Registering ${nf.name} with NRF...`);
                         
                         // Register with NRF
@@ -940,21 +961,21 @@ class NFManager {
                             services: window.connectionManager.getServicesForNF(nf.type)
                         };
                         
-                        window.nrfRegistry.registerNF(nf.id, nfProfile);
+                        window.nrfRegistry.registerNF(nf.id, nfProfile, nrfId);
                         
                         // Start heartbeat
                         window.connectionManager.startNFHeartbeat(nf.id);
                         
                         console.log(`✅ ${nf.name} registered with NRF - registration details available in config panel`);
-                    } else {
-                        console.log(`⚠️ No stable NRF found for ${nf.name} registration`);
+                    } else if (!nrfId) {
+                        console.log(`ℹ️ No NRF reachable from ${nf.name} yet - it registers once connected to the NRF`);
                     }
                 }
 
                 // AUTO-CONNECTIONS: Enabled for MySQL, gNB, UE, UPF, ext-dn, and UDM
                 if (nf.type === 'MySQL' || nf.type === 'gNB' || nf.type === 'UE' || nf.type === 'UPF' || nf.type === 'ext-dn' || nf.type === 'UDM') {
                     // Schedule auto-connections after 8-10 seconds total
-                    const autoConnectDelay = 3000 + Math.random() * 2000; // 3-5 more seconds
+                    const autoConnectDelay = 3000 + window.simRandom.next() * 2000; // 3-5 more seconds
                     setTimeout(() => {
                         this.attemptAutoConnections(nf);
                     }, autoConnectDelay);
@@ -966,7 +987,7 @@ class NFManager {
                     } else if (nf.type === 'UE') {
                         console.log(`🔗 Auto-connections enabled for ${nf.name} - will connect to gNB and AMF automatically (no direct UPF connection)`);
                     } else if (nf.type === 'UPF') {
-                        console.log(`🔗 Auto-connections enabled for ${nf.name} - will connect to SMF automatically (gNB and ext-dn will connect to UPF)`);
+                        console.log(`🔗 Auto-connections enabled for ${nf.name} - will connect to NRF and SMF automatically (gNB and ext-dn will connect to UPF)`);
                         // Auto-start ext-dn when UPF is stable
                         setTimeout(() => {
                             this.autoStartExtDNForUPF(nf);
@@ -1324,7 +1345,7 @@ class NFManager {
         return {
             'AMF': [],       // AMF doesn't initiate connections (gNB connects to AMF)
             'SMF': ['NRF', 'UPF', 'PCF'],
-            'UPF': ['SMF'],  // UPF connects to SMF when available (gNB will connect to UPF)
+            'UPF': ['NRF', 'SMF'],  // UPF registers over its NRF link and connects to SMF (gNB will connect to UPF)
             'AUSF': ['NRF', 'UDM'],
             'UDM': ['NRF', 'UDR'],  // UDM connects to UDR for subscriber profile management
             'PCF': ['NRF'],
@@ -1386,7 +1407,9 @@ class NFManager {
     }
 
     /**
-     * Register UE and establish PDU session with IP assignment
+     * Register UE and establish PDU session with IP assignment.
+     * The serving AMF selects an SMF and the SMF selects a UPF from NRF discovery
+     * results, using the NRF's selection strategy.
      * @param {string} ueId - UE ID
      * @param {string} upfId - UPF ID (optional, will find automatically)
      */
@@ -1466,14 +1489,36 @@ class NFManager {
             return false;
         }
 
+        // Check if UE already has PDU session
+        if (ue.config.pduSession) {
+            console.log(`ℹ️ UE ${ue.name} already has PDU session with IP: ${ue.config.pduSession.assignedIP}`);
+            return true;
+        }
+
+        // --- ADDED: AMF selects the SMF, SMF selects the UPF (NRF discovery + selection strategy) ---
+        const ueNetwork = this.getNetworkFromIP(ue.config.ipAddress);
+        const amf = this.findServingAMF(ue);
+        const amfLocality = window.nrfRegistry?.getNFProfile(amf?.id)?.locality;
+        const smf = this.selectNFViaNRF(amf, 'SMF', {
+            purpose: `PDU session of ${ue.name}`,
+            preferredLocality: amfLocality
+        });
+
         // Find UPF if not provided
         let upf = null;
         if (upfId) {
             upf = window.dataStore?.getNFById(upfId);
         } else {
-            // Find UPF in same subnet as UE
+            upf = this.selectNFViaNRF(smf, 'UPF', {
+                purpose: `PDU session of ${ue.name}`,
+                preferredLocality: ueNetwork,
+                filter: nf => !!nf.config.tun0Interface
+            });
+        }
+
+        if (!upf) {
+            // No UPF discovered through the NRF: fall back to a UPF in the same subnet as UE
             const allNFs = window.dataStore?.getAllNFs() || [];
-            const ueNetwork = this.getNetworkFromIP(ue.config.ipAddress);
             upf = allNFs.find(nf => 
                 nf.type === 'UPF' && 
                 nf.status === 'stable' &&
@@ -1481,12 +1526,15 @@ class NFManager {
             );
         }
 
-       
-
-        // Check if UE already has PDU session
-        if (ue.config.pduSession) {
-            console.log(`ℹ️ UE ${ue.name} already has PDU session with IP: ${ue.config.pduSession.assignedIP}`);
-            return true;
+        if (!upf) {
+            console.error('❌ No UPF available for PDU session:', ue.name);
+            if (window.logEngine) {
+                window.logEngine.addLog(ue.id, 'ERROR',
+                    'PDU session establishment failed: no UPF available', {
+                    reason: `No stable UPF discovered via NRF or found in subnet ${ueNetwork}.0/24`
+                });
+            }
+            return false;
         }
 
         // Assign IP from tun0 network
@@ -1500,6 +1548,8 @@ class NFManager {
         ue.config.pduSession = {
             sessionId: this.generateUniqueId('pdu'),
             upfId: upf.id,
+            smfId: smf?.id || null,
+            amfId: amf?.id || null,
             assignedIP: assignedIP,
             status: 'established',
             establishedAt: Date.now()
@@ -1517,7 +1567,7 @@ class NFManager {
             gateway: gatewayIP,
             mtu: 1500,
             flags: 'UP,POINTOPOINT,RUNNING,NOARP,MULTICAST',
-            ipv6: `fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}`,
+            ipv6: `fe80::${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}`,
             createdAt: Date.now()
         };
 
@@ -1532,6 +1582,7 @@ class NFManager {
             window.logEngine.addLog(ueId, 'SUCCESS',
                 `PDU session established`, {
                 sessionId: ue.config.pduSession.sessionId,
+                smfName: smf?.name || 'n/a',
                 upfName: upf.name,
                 upfId: upf.id,
                 assignedIP: assignedIP,
@@ -1557,6 +1608,81 @@ class NFManager {
         return true;
     }
 
+    /**
+     * Find the AMF serving a UE: the AMF it is connected to, else the first stable AMF
+     * @param {Object} ue - UE network function
+     * @returns {Object|null} AMF network function
+     */
+    findServingAMF(ue) {
+        const connectedAMF = (window.dataStore?.getConnectionsForNF(ue.id) || [])
+            .map(conn => window.dataStore.getNFById(conn.sourceId === ue.id ? conn.targetId : conn.sourceId))
+            .find(nf => nf?.type === 'AMF');
+
+        return connectedAMF ||
+            (window.dataStore?.getAllNFs() || []).find(nf => nf.type === 'AMF' && nf.status === 'stable') ||
+            null;
+    }
+
+    /**
+     * Discover instances of an NF type through the requester's NRF and pick one
+     * with the NRF selection strategy; the choice and its reason are logged on the requester
+     * @param {Object} requester - Consumer network function (AMF, SMF)
+     * @param {string} targetNfType - NF type to select
+     * @param {Object} options - { purpose, preferredLocality, filter(nf) }
+     * @returns {Object|null} Selected network function, or null if nothing could be selected
+     */
+    selectNFViaNRF(requester, targetNfType, options = {}) {
+        if (!requester || !window.nrfRegistry?.getNFProfile(requester.id)) return null;
+
+        const discovery = window.nrfRegistry.discoverNFs({
+            targetNfType,
+            requesterNfType: requester.type,
+            requesterNfInstanceId: requester.id
+        });
+        if (discovery.status !== 200) return null;
+
+        // Registered but stopped (or crashed, still listed until its heartbeat times out)
+        // instances cannot take the session
+        const candidates = discovery.body.nfInstances.filter(profile => {
+            const nf = window.dataStore?.getNFById(profile.nfInstanceId);
+            return nf && nf.status === 'stable' && !window.faultManager?.isCrashed(nf.id) &&
+                (!options.filter || options.filter(nf));
+        });
+
+        const selection = window.nrfRegistry.selectNFInstance(candidates, {
+            requesterNfInstanceId: requester.id,
+            targetNfType,
+            preferredLocality: options.preferredLocality
+        });
+
+        if (!selection) {
+            if (window.logEngine) {
+                window.logEngine.addLog(requester.id, 'WARNING',
+                    `No ${targetNfType} instance available for ${options.purpose || 'selection'}`, {
+                    discovered: discovery.body.nfInstances.length,
+                    usable: 0
+                });
+            }
+            return null;
+        }
+
+        const selected = selection.nfInstance;
+        if (window.logEngine) {
+            window.logEngine.addLog(requester.id, 'INFO',
+                `${targetNfType} selected: ${selected.nfName}` + (options.purpose ? ` for ${options.purpose}` : ''), {
+                strategy: window.nrfRegistry.getSelectionStrategies()[selection.strategy],
+                reason: selection.reason,
+                candidates: candidates.map(c =>
+                    `${c.nfName} [priority=${c.priority}, capacity=${c.capacity}, load=${c.load}%, locality=${c.locality}]`),
+                distribution: window.nrfRegistry.describeSelectionDistribution(targetNfType)
+            });
+        }
+
+        console.log(`⚖️ ${requester.name} selected ${selected.nfName} (${selection.strategy}: ${selection.reason})`);
+
+        return window.dataStore.getNFById(selected.nfInstanceId);
+    }
+
     /**
      * Assign tun0 IP to UE from UPF's tun0 interface
      * @param {Object} upf - UPF network function
@@ -1628,7 +1754,7 @@ class NFManager {
         console.log(`📱 Starting UE registration simulation for ${ue.name}`);
 
         // Simulate registration delay (15-20 seconds after UE becomes stable)
-        const registrationDelay = 15000 + Math.random() * 5000;
+        const registrationDelay = 15000 + window.simRandom.next() * 5000;
         
         setTimeout(() => {
             if (!window.dataStore?.getNFById(ue.id)) {
@@ -8,8 +8,19 @@
  * Responsibilities:
  * - Track NF registrations with heartbeat timestamps
  * - Manage NF status transitions (REGISTERED → UNAVAILABLE → REMOVED)
- * - Provide discovery API filtering by nfStatus == REGISTERED
+ * - Provide discovery API filtering by nfStatus == REGISTERED, requester type,
+ *   PLMN, S-NSSAI, DNN, TAI and locality (results ranked by priority/capacity/load)
  * - Monitor heartbeats and handle automatic deregistration
+ * - Manage NFStatusSubscribe subscriptions and deliver NFStatusNotify notifications
+ * - Apply partial NF profile updates (NFUpdate, RFC 6902 JSON Patch)
+ * - Issue OAuth2 access tokens to NF types allowed by the producer (Nnrf_AccessToken)
+ * - Pick one instance out of a discovery result with a selectable strategy
+ *   (priority/weight, least load, round robin, locality preferred)
+ * - Keep a separate registry per NRF instance and forward discovery misses to the
+ *   parent / PLMN-level NRF (hierarchical and roaming discovery)
+ * - Export/import registry state and message histories for session snapshots
+ * - Validate client-built NF profiles against the bundled NFProfile JSON schema
+ *   and reject invalid registrations with 400 ProblemDetails
  * 
  * --- ADDED: Heartbeat Monitor ---
  */
@@ -27,6 +38,40 @@ class NRFRegistry {
         this.deregistrationMessages = new Map();
         // Keep full history of deregistrations
         this.deregistrationHistory = [];
+        // Store last profile update (PATCH) request/response per NF
+        this.updateMessages = new Map();
+        // Keep full history of profile updates
+        this.updateHistory = [];
+
+        // --- ADDED: NFStatusSubscribe / NFStatusNotify Storage ---
+        // Maps subscriptionId -> subscription (subscriber, condition, events, expiry)
+        this.subscriptions = new Map();
+        // Keep full history of subscribe requests/responses
+        this.subscriptionHistory = [];
+        // Keep full history of notifications delivered to subscribers
+        this.notificationHistory = [];
+        this.subscriptionValidity = 3600000; // 1 hour default validityTime
+
+        // --- ADDED: Nnrf_AccessToken (OAuth2 client credentials) ---
+        // Keep full history of token requests (granted and denied)
+        this.accessTokenHistory = [];
+        this.accessTokenValidity = 3600000; // 1 hour token lifetime
+
+        // --- ADDED: Hierarchical NRF discovery ---
+        // Keep full history of discovery requests with the NRF hops they took
+        this.discoveryHistory = [];
+        this.defaultPlmnId = { mcc: '001', mnc: '01' };
+
+        // --- ADDED: NF selection among discovery results (see selectNFInstance) ---
+        this.selectionStrategy = 'PRIORITY_WEIGHT';
+        // Round-robin position per "requester -> target type"
+        this.roundRobinCursors = new Map();
+        // Maps nfInstanceId -> number of times it was selected
+        this.selectionCounts = new Map();
+
+        // --- ADDED: NFProfile JSON schema (loaded from nf-profile-schema.json) ---
+        this.profileSchema = null;
+        this.loadProfileSchema();
         
         // --- ADDED: Heartbeat Configuration ---
         this.heartbeatInterval = 60000; // 60 seconds (3GPP default)
@@ -38,7 +83,40 @@ class NRFRegistry {
         this.isMonitoring = false;
         
         console.log('✅ NRFRegistry initialized');
-        console.log('📋 Heartbeat config: interval=60s, timeout=120s, grace=30s');
+        console.log('📋 Heartbeat config: interval=60s, timeout=120s, grace=30s (simulated time)');
+    }
+
+    /**
+     * Load the bundled NFProfile JSON schema used to validate registration PUTs
+     */
+    async loadProfileSchema() {
+        try {
+            const response = await fetch('../nf-profile-schema.json');
+            this.profileSchema = await response.json();
+            console.log('✅ NFProfile schema loaded');
+        } catch (error) {
+            console.warn('⚠️ Could not load nf-profile-schema.json, only mandatory attributes are validated');
+            this.profileSchema = { type: 'object', required: ['nfInstanceId', 'nfType', 'nfStatus'] };
+        }
+    }
+
+    /**
+     * Current time on the simulation clock (heartbeat/timeout bookkeeping runs on simulated time)
+     * @returns {number} Simulated epoch milliseconds
+     */
+    now() {
+        return window.simClock.now();
+    }
+
+    /**
+     * Get the heartbeat interval an NF actually uses (per-NF override or NRF default)
+     * @param {string} nfInstanceId - NF instance ID
+     * @returns {number} Interval in simulated ms
+     */
+    getHeartbeatInterval(nfInstanceId) {
+        const nf = window.dataStore?.getNFById(nfInstanceId);
+        const override = Number(nf?.config?.heartbeatTimer);
+        return override > 0 ? override * 1000 : this.heartbeatInterval;
     }
 
     /**
@@ -52,12 +130,13 @@ class NRFRegistry {
         }
 
         this.isMonitoring = true;
-        // Check every 10 seconds for expired heartbeats
-        this.monitorIntervalId = setInterval(() => {
+        // Check every 10 simulated seconds for expired heartbeats and subscriptions
+        this.monitorIntervalId = window.simClock.setInterval(() => {
             this.checkHeartbeatTimeouts();
+            this.purgeExpiredSubscriptions();
         }, 10000);
 
-        console.log('🔄 Heartbeat monitor started (checking every 10s)');
+        console.log('🔄 Heartbeat monitor started (checking every 10s of simulated time)');
         
         // Log initial status
         if (window.logEngine) {
@@ -66,7 +145,8 @@ class NRFRegistry {
                 heartbeatInterval: this.heartbeatInterval + 'ms',
                 timeout: this.heartbeatTimeout + 'ms',
                 gracePeriod: this.gracePeriod + 'ms',
-                checkInterval: '10s'
+                checkInterval: '10s',
+                simulationSpeed: window.simClock.getSpeed() + 'x'
             });
         }
     }
@@ -76,7 +156,7 @@ class NRFRegistry {
      */
     stopHeartbeatMonitor() {
         if (this.monitorIntervalId) {
-            clearInterval(this.monitorIntervalId);
+            window.simClock.clearInterval(this.monitorIntervalId);
             this.monitorIntervalId = null;
             this.isMonitoring = false;
             console.log('🛑 Heartbeat monitor stopped');
@@ -88,7 +168,7 @@ class NRFRegistry {
      * Marks NFs as UNAVAILABLE if heartbeat expired, removes after grace period
      */
     checkHeartbeatTimeouts() {
-        const now = Date.now();
+        const now = this.now();
         const toRemove = [];
 
         this.registry.forEach((profile, nfInstanceId) => {
@@ -122,6 +202,10 @@ class NRFRegistry {
                     }
 
                     console.log(`⚠️ Heartbeat timeout for ${profile.nfName || nfInstanceId} - marked UNAVAILABLE`);
+
+                    this.notifySubscribers('NF_PROFILE_CHANGED', profile, [
+                        { op: 'REPLACE', path: '/nfStatus', origValue: 'REGISTERED', newValue: 'UNAVAILABLE' }
+                    ]);
                 }
                 // If UNAVAILABLE and grace period expired, mark for removal
                 else if (profile.nfStatus === 'UNAVAILABLE') {
@@ -143,16 +227,20 @@ class NRFRegistry {
      * --- ADDED: Register NF with NRF ---
      * @param {string} nfInstanceId - Unique NF instance ID
      * @param {Object} nfProfile - NF profile data
-     * @returns {Object} Registration response
+     * @param {string} nrfId - NRF instance the NF registers with (optional, resolved from topology)
+     * @returns {Object} { status, body } - 201 Created / 200 OK, or 400 with ProblemDetails
      */
-    registerNF(nfInstanceId, nfProfile) {
-        const now = Date.now();
+    registerNF(nfInstanceId, nfProfile, nrfId = null) {
+        const now = this.now();
+        const servingNrfId = nrfId || this.resolveServingNRF(nfInstanceId);
         
         // Create or update NF profile in registry
         const existingProfile = this.registry.get(nfInstanceId);
+        const wasRegistered = existingProfile?.nfStatus === 'REGISTERED';
         
         const profile = {
             nfInstanceId: nfInstanceId,
+            servingNrfId: servingNrfId,
             nfType: nfProfile.nfType,
             nfName: nfProfile.nfName || `${nfProfile.nfType}-${nfInstanceId.slice(-6)}`,
             nfStatus: 'REGISTERED',
@@ -160,9 +248,47 @@ class NRFRegistry {
             registeredAt: existingProfile?.registeredAt || now,
             lastHeartbeat: now,
             statusChangedAt: now,
+            allowedNfTypes: this.getAllowedNfTypes(nfProfile.nfType),
+            priority: 0,
+            capacity: 100,
+            load: 0,
+            ...this.getDefaultProfileAttributes(nfProfile, servingNrfId),
             ...nfProfile
         };
 
+        // Build detailed registration request/response matching 5G Core format
+        const requestMessage = {
+            nfInstanceId,
+            nfType: nfProfile.nfType,
+            nfStatus: profile.nfStatus,
+            plmnList: profile.plmnList,
+            sNssais: profile.sNssais,
+            ...(profile.dnnList ? { dnnList: profile.dnnList } : {}),
+            ...(profile.taiList ? { taiList: profile.taiList } : {}),
+            ...(profile.fqdn ? { fqdn: profile.fqdn } : {}),
+            locality: profile.locality,
+            ipv4Addresses: nfProfile.ipv4Addresses || (nfProfile.ipAddress ? [nfProfile.ipAddress] : []),
+            allowedNfTypes: profile.allowedNfTypes,
+            priority: profile.priority,
+            capacity: profile.capacity,
+            load: profile.load,
+            nfServices: nfProfile.nfServices || this.buildNfServices(nfProfile),
+            nfProfileChangesSupportInd: true
+        };
+
+        // Keep the advertised addresses/services on the profile so discovery can apply
+        // per-service allowedNfTypes and PATCH operations can target 3GPP NFProfile paths
+        profile.ipv4Addresses = requestMessage.ipv4Addresses;
+        profile.nfServices = requestMessage.nfServices;
+
+        // --- ADDED: Reject profiles the NFProfile schema does not accept (400) ---
+        const invalidParams = this.validateProfile(requestMessage);
+        if (invalidParams.length > 0) {
+            return this.recordRejection('registration', nfInstanceId, requestMessage, this.problemResult(400,
+                `NFProfile failed schema validation (${invalidParams.length} error${invalidParams.length > 1 ? 's' : ''})`,
+                'MANDATORY_IE_INCORRECT', invalidParams), servingNrfId);
+        }
+
         this.registry.set(nfInstanceId, profile);
 
         // Update NF object in data store for UI awareness
@@ -178,6 +304,7 @@ class NRFRegistry {
                 'NF registered with NRF', {
                 nfType: nfProfile.nfType,
                 nfInstanceId: nfInstanceId,
+                nrf: this.getNRFName(servingNrfId),
                 nfStatus: 'REGISTERED',
                 heartbeatInterval: this.heartbeatInterval + 'ms',
                 validity: '3600 seconds',
@@ -187,32 +314,16 @@ class NRFRegistry {
 
         console.log(`✅ NF registered: ${profile.nfName} (${nfInstanceId})`);
         
-        // --- DISABLED: Automatic heartbeat monitoring ---
-        // Start monitor if not already running
-        // if (!this.isMonitoring) {
-        //     this.startHeartbeatMonitor();
-        // }
-        // NOTE: Heartbeat monitoring is disabled to prevent automatic deregistration
-
-        // Build detailed registration request/response matching 5G Core format
-        const requestMessage = {
-            nfInstanceId,
-            nfType: nfProfile.nfType,
-            nfStatus: 'REGISTERED',
-            ipv4Addresses: nfProfile.ipAddress ? [nfProfile.ipAddress] : [],
-            allowedNfTypes: this.getAllowedNfTypes(nfProfile.nfType),
-            priority: nfProfile.priority || 0,
-            capacity: nfProfile.capacity != null ? nfProfile.capacity : 100,
-            load: nfProfile.load || 0,
-            nfServices: this.buildNfServices(nfProfile),
-            nfProfileChangesSupportInd: true
-        };
+        // Start monitor if not already running (timers follow the simulation clock)
+        if (!this.isMonitoring) {
+            this.startHeartbeatMonitor();
+        }
 
         const responseMessage = {
             nfInstanceId,
             nfType: nfProfile.nfType,
-            nfStatus: 'REGISTERED',
-            heartBeatTimer: this.heartbeatInterval / 1000,
+            nfStatus: profile.nfStatus,
+            heartBeatTimer: this.getHeartbeatInterval(nfInstanceId) / 1000,
             nfProfileChangesInd: true
         };
 
@@ -220,7 +331,9 @@ class NRFRegistry {
             nfInstanceId,
             nfType: nfProfile.nfType,
             nfName: profile.nfName,
+            nrfInstanceId: servingNrfId,
             timestamp: now,
+            status: existingProfile && existingProfile.nfStatus !== 'REMOVED' ? 200 : 201,
             request: requestMessage,
             response: responseMessage
         };
@@ -228,31 +341,39 @@ class NRFRegistry {
         this.registrationMessages.set(nfInstanceId, registrationRecord);
         this.registrationHistory.push(registrationRecord);
 
-        return {
-            nfInstanceId: nfInstanceId,
-            nfStatus: 'REGISTERED',
-            validity: 3600,
-            heartbeatTimer: this.heartbeatInterval
-        };
+        // A fresh registration is NF_REGISTERED; re-registering a live profile is a profile change
+        this.notifySubscribers(wasRegistered ? 'NF_PROFILE_CHANGED' : 'NF_REGISTERED', profile);
+        this.createDefaultSubscriptions(nfInstanceId, profile);
+
+        return { status: registrationRecord.status, body: responseMessage };
     }
 
     /**
      * --- ADDED: Update Heartbeat ---
-     * Called when NF sends heartbeat to NRF
+     * Called when NF sends heartbeat to NRF. Like the heartbeat PATCH of TS 29.510,
+     * it may carry the NF's current load, which replaces the load in its profile.
      * @param {string} nfInstanceId - NF instance ID
-     * @returns {boolean} True if heartbeat accepted
+     * @param {Object} heartbeatData - { load } reported by the NF (optional)
+     * @returns {Object} { status: 204 } if accepted, { status: 404, body: ProblemDetails } for an unknown NF
      */
-    updateHeartbeat(nfInstanceId) {
+    updateHeartbeat(nfInstanceId, heartbeatData = {}) {
         const profile = this.registry.get(nfInstanceId);
         
-        if (!profile) {
+        if (!profile || profile.nfStatus === 'REMOVED') {
             console.warn(`⚠️ Heartbeat received for unregistered NF: ${nfInstanceId}`);
-            return false;
+            return this.problemResult(404, `NF instance ${nfInstanceId} is not registered`, 'RESOURCE_NOT_FOUND');
         }
 
-        const now = Date.now();
+        const now = this.now();
         profile.lastHeartbeat = now;
 
+        // --- ADDED: Load reported with the heartbeat (read by discovery ordering and least-load selection) ---
+        if (heartbeatData.load !== undefined && heartbeatData.load !== profile.load) {
+            profile.previousLoad = profile.load;
+            profile.load = heartbeatData.load;
+            profile.loadTimeStamp = new Date(now).toISOString();
+        }
+
         // If NF was UNAVAILABLE and heartbeat received, restore to REGISTERED
         if (profile.nfStatus === 'UNAVAILABLE') {
             profile.nfStatus = 'REGISTERED';
@@ -276,84 +397,668 @@ class NRFRegistry {
             }
 
             console.log(`✅ Heartbeat received - ${profile.nfName} restored to REGISTERED`);
+
+            this.notifySubscribers('NF_PROFILE_CHANGED', profile, [
+                { op: 'REPLACE', path: '/nfStatus', origValue: 'UNAVAILABLE', newValue: 'REGISTERED' }
+            ]);
         }
 
-        return true;
+        return { status: 204, body: null };
     }
 
     /**
      * --- ADDED: Discover NFs ---
-     * Returns only NFs with nfStatus == REGISTERED matching criteria
+     * Nnrf_NFDiscovery search (TS 29.510). Returns only NFs with nfStatus == REGISTERED
+     * that match every supplied filter, ordered like an NRF SearchResult:
+     * preferred locality first, then priority (lower wins), capacity (higher wins), load (lower wins).
+     * Accepts camelCase keys or the 3GPP query parameter names (e.g. 'requester-nf-type').
+     * The search starts at the requester's serving NRF; if that NRF has no match it forwards
+     * the request to its parent / PLMN-level NRF, and a PLMN-level NRF forwards requests for
+     * another PLMN to that PLMN's NRF. Every NRF visited is recorded as a hop.
      * @param {Object} query - Discovery query parameters
-     * @param {string} query.nfType - NF type to discover (optional)
-     * @param {string} query.service - Service name to discover (optional)
-     * @returns {Array} Array of matching NF profiles with REGISTERED status
+     * @param {string} query.nfType - Target NF type (alias: targetNfType, 'target-nf-type')
+     * @param {string} query.requesterNfType - Requester NF type, checked against allowedNfTypes (optional)
+     * @param {string} query.requesterNfInstanceId - Requester instance, selects the first NRF (optional)
+     * @param {string} query.nrfId - NRF instance to start at, overrides the requester's NRF (optional)
+     * @param {string|Array} query.service - Service name(s) to discover (alias: 'service-names')
+     * @param {Object} query.targetPlmn - { mcc, mnc } the target must serve (optional)
+     * @param {Array} query.snssais - [{ sst, sd }] at least one must be supported (optional)
+     * @param {string} query.dnn - DNN the target must serve (optional)
+     * @param {Object} query.tai - { plmnId, tac } the target must serve (optional)
+     * @param {string} query.preferredLocality - Preferred locality, used for ordering only (optional)
+     * @returns {Object} { status: 200, body: { validityPeriod, nfInstances } } with the REGISTERED matches,
+     *                   400 if target/requester NF type is missing, 403 if the requester is not allowed
+     *                   to discover any NF of the target type
      */
     discoverNFs(query = {}) {
+        const params = this.normalizeDiscoveryQuery(query);
+        const requester = params.requesterNfInstanceId ? this.registry.get(params.requesterNfInstanceId) : null;
+        let nrfId = params.nrfId || requester?.servingNrfId ||
+            (params.requesterNfInstanceId ? this.resolveServingNRF(params.requesterNfInstanceId) : null);
+        const hops = [];
+
+        // Both NF types are mandatory query parameters of Nnrf_NFDiscovery
+        const missingParams = [
+            ['target-nf-type', params.targetNfType],
+            ['requester-nf-type', params.requesterNfType]
+        ].filter(([, value]) => !value).map(([param]) => ({ param, reason: 'mandatory query parameter missing' }));
+
+        if (missingParams.length > 0) {
+            const result = this.problemResult(400,
+                `Missing query parameter: ${missingParams.map(p => p.param).join(', ')}`,
+                'MANDATORY_QUERY_PARAM_MISSING', missingParams);
+            // Rejected by the first NRF, nothing is searched or forwarded
+            hops.push({
+                nrfInstanceId: nrfId,
+                nrfName: this.getNRFName(nrfId),
+                nrfLevel: this.getNRFLevel(nrfId),
+                plmnId: this.getNRFPlmn(nrfId),
+                resultsCount: 0
+            });
+            this.recordDiscovery(params, [], hops, result);
+            return result;
+        }
+
+        const visited = new Set();
+        const excluded = [];
+        let search;
+
+        while (true) {
+            visited.add(nrfId);
+            search = this.searchRegistry(params, nrfId);
+            excluded.push(...search.excluded);
+
+            const hop = {
+                nrfInstanceId: nrfId,
+                nrfName: this.getNRFName(nrfId),
+                nrfLevel: this.getNRFLevel(nrfId),
+                plmnId: this.getNRFPlmn(nrfId),
+                resultsCount: search.results.length
+            };
+            hops.push(hop);
+
+            if (search.results.length > 0 || !nrfId) break;
+
+            const nextNrfId = this.getForwardingNRF(nrfId, params);
+            if (!nextNrfId || visited.has(nextNrfId)) break;
+
+            hop.forwardedTo = this.getNRFName(nextNrfId);
+            nrfId = nextNrfId;
+        }
+
+        const { results } = search;
+        results.sort((a, b) => this.compareDiscoveryResults(a, b, params.preferredLocality));
+
+        // Every NF of the target type turned the requester away: not "none found" but "not allowed"
+        const candidates = excluded.filter(e => e.nfType === params.targetNfType);
+        const forbidden = results.length === 0 && candidates.length > 0 &&
+            candidates.every(e => e.reason.includes('allowedNfTypes'));
+
+        const result = forbidden
+            ? this.problemResult(403,
+                `${params.requesterNfType} is not allowed to discover ${params.targetNfType} instances`,
+                'NF_TYPE_NOT_ALLOWED')
+            : { status: 200, body: { validityPeriod: 3600, nfInstances: results } };
+
+        this.recordDiscovery(params, results, hops, result);
+
+        // Log discovery request
+        if (window.logEngine) {
+            window.logEngine.addLog('system', forbidden ? 'WARNING' : 'INFO',
+                `NF Discovery request: ${params.targetNfType} (requester: ${params.requesterNfType})` +
+                (forbidden ? ' - 403 Forbidden' : ''), {
+                query: params,
+                resultsCount: results.length,
+                nfInstances: results.map(r => `${r.nfName} [priority=${r.priority}, capacity=${r.capacity}, load=${r.load}]`),
+                excluded: excluded,
+                nrfHops: this.describeDiscoveryHops(hops),
+                filter: 'nfStatus == REGISTERED only'
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Search the registry of a single NRF instance
+     * @param {Object} params - Normalized discovery query
+     * @param {string|null} nrfId - NRF instance whose registrations are searched (null = all)
+     * @returns {Object} { results, excluded }
+     */
+    searchRegistry(params, nrfId) {
         const results = [];
-        
-        this.registry.forEach((profile, nfInstanceId) => {
-            // --- ADDED: Filter by nfStatus == REGISTERED ---
-            if (profile.nfStatus !== 'REGISTERED') {
-                return; // Skip UNAVAILABLE or REMOVED NFs
-            }
+        const excluded = [];
 
-            // Filter by nfType if specified
-            if (query.nfType && profile.nfType !== query.nfType) {
-                return;
-            }
+        this.registry.forEach((profile) => {
+            if (nrfId && profile.servingNrfId !== nrfId) return;
 
-            // Filter by service if specified
-            if (query.service && profile.services) {
-                const hasService = profile.services.some(svc => 
-                    svc.serviceInstanceId === query.service || 
-                    svc.serviceName === query.service
-                );
-                if (!hasService) {
-                    return;
+            const reason = this.getDiscoveryMismatch(profile, params);
+            if (reason) {
+                // Status mismatches are not interesting for the log, everything else explains a miss
+                if (profile.nfStatus === 'REGISTERED') {
+                    excluded.push({ nfName: profile.nfName, nfType: profile.nfType, reason });
                 }
+                return;
             }
 
+            const nfServices = this.getDiscoverableServices(profile, params);
+
             // Add matching profile to results
             results.push({
                 nfInstanceId: profile.nfInstanceId,
                 nfType: profile.nfType,
                 nfName: profile.nfName,
                 nfStatus: profile.nfStatus,
-                ...profile
+                ...profile,
+                nfServices
             });
         });
 
-        // Log discovery request
-        if (window.logEngine && query.nfType) {
-            window.logEngine.addLog('system', 'INFO',
-                `NF Discovery request: ${query.nfType}`, {
-                query: query,
-                resultsCount: results.length,
-                filter: 'nfStatus == REGISTERED only'
+        return { results, excluded };
+    }
+
+    /**
+     * Store a discovery exchange (GET /nnrf-disc/v1/nf-instances) with its NRF hop chain
+     * @param {Object} params - Normalized discovery query
+     * @param {Array} results - Ordered discovery results
+     * @param {Array} hops - NRFs visited, first is the requester's NRF
+     * @param {Object} result - { status, body } returned to the requester
+     */
+    recordDiscovery(params, results, hops, result) {
+        const requesterNF = params.requesterNfInstanceId
+            ? window.dataStore?.getNFById(params.requesterNfInstanceId)
+            : null;
+
+        const queryParams = {
+            'target-nf-type': params.targetNfType,
+            'requester-nf-type': params.requesterNfType,
+            'requester-nf-instance-id': params.requesterNfInstanceId,
+            'service-names': params.serviceNames.length ? params.serviceNames.join(',') : undefined,
+            'target-plmn-list': params.targetPlmn ? JSON.stringify([params.targetPlmn]) : undefined,
+            'snssais': params.snssais.length ? JSON.stringify(params.snssais) : undefined,
+            'dnn': params.dnn,
+            'tai': params.tai ? JSON.stringify(params.tai) : undefined,
+            'preferred-locality': params.preferredLocality
+        };
+        const queryString = Object.entries(queryParams)
+            .filter(([, value]) => value !== undefined)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+
+        this.discoveryHistory.push({
+            nfInstanceId: params.requesterNfInstanceId || null,
+            nfType: params.requesterNfType || requesterNF?.type || '?',
+            nfName: requesterNF?.name || params.requesterNfType || 'requester',
+            targetNfType: params.targetNfType || 'ANY',
+            timestamp: this.now(),
+            status: result.status,
+            failed: result.status >= 400,
+            hops,
+            request: {
+                method: 'GET',
+                uri: `/nnrf-disc/v1/nf-instances${queryString ? '?' + queryString : ''}`,
+                nrf: hops[0].nrfName
+            },
+            response: result.status >= 400 ? { ...result.body, nrfHops: hops } : {
+                status: 200,
+                validityPeriod: 3600,
+                nfInstances: results.map(r => ({
+                    nfInstanceId: r.nfInstanceId,
+                    nfType: r.nfType,
+                    nfName: r.nfName,
+                    nfStatus: r.nfStatus,
+                    plmnList: r.plmnList,
+                    priority: r.priority,
+                    capacity: r.capacity,
+                    load: r.load,
+                    servingNrf: this.getNRFName(r.servingNrfId)
+                })),
+                nrfHops: hops
+            }
+        });
+    }
+
+    /**
+     * Describe a hop chain, e.g. "NRF-1 (0) → NRF-2 [PLMN] (1)"
+     * @param {Array} hops - Discovery hops
+     * @returns {string} Readable hop chain
+     */
+    describeDiscoveryHops(hops) {
+        return hops.map(hop =>
+            `${hop.nrfName}${hop.nrfLevel === 'PLMN' ? ' [PLMN]' : ''} (${hop.resultsCount})`
+        ).join(' → ');
+    }
+
+    /**
+     * Map 3GPP discovery query parameter names onto the camelCase keys used internally
+     * @param {Object} query - Raw discovery query
+     * @returns {Object} Normalized query
+     */
+    normalizeDiscoveryQuery(query) {
+        const pick = (...keys) => {
+            const key = keys.find(k => query[k] !== undefined && query[k] !== null && query[k] !== '');
+            return key ? query[key] : undefined;
+        };
+
+        const services = pick('service', 'services', 'serviceNames', 'service-names');
+        const snssais = pick('snssais', 'sNssais');
+        const targetPlmn = pick('targetPlmn', 'target-plmn', 'targetPlmnList', 'target-plmn-list');
+
+        return {
+            targetNfType: pick('nfType', 'targetNfType', 'target-nf-type'),
+            requesterNfType: pick('requesterNfType', 'requester-nf-type'),
+            serviceNames: services ? [].concat(services) : [],
+            targetPlmn: Array.isArray(targetPlmn) ? targetPlmn[0] : targetPlmn,
+            snssais: snssais ? [].concat(snssais) : [],
+            dnn: pick('dnn'),
+            tai: pick('tai'),
+            preferredLocality: pick('preferredLocality', 'preferred-locality'),
+            requesterNfInstanceId: pick('requesterNfInstanceId', 'requester-nf-instance-id'),
+            nrfId: pick('nrfId')
+        };
+    }
+
+    /**
+     * Check a registered profile against a normalized discovery query
+     * @param {Object} profile - NF profile from the registry
+     * @param {Object} params - Normalized discovery query
+     * @returns {string|null} Reason the profile is not discoverable, or null if it matches
+     */
+    getDiscoveryMismatch(profile, params) {
+        // --- ADDED: Filter by nfStatus == REGISTERED ---
+        if (profile.nfStatus !== 'REGISTERED') {
+            return `nfStatus is ${profile.nfStatus}`;
+        }
+
+        if (params.targetNfType && profile.nfType !== params.targetNfType) {
+            return `nfType ${profile.nfType} != ${params.targetNfType}`;
+        }
+
+        // An empty allowedNfTypes list means any NF type may access the producer
+        const allowed = profile.allowedNfTypes || [];
+        if (params.requesterNfType && allowed.length > 0 && !allowed.includes(params.requesterNfType)) {
+            return `requester ${params.requesterNfType} not in allowedNfTypes [${allowed.join(', ')}]`;
+        }
+
+        if (params.serviceNames.length > 0 && this.getDiscoverableServices(profile, params).length === 0) {
+            return `no ${params.serviceNames.join('/')} service available to ${params.requesterNfType || 'requester'}`;
+        }
+
+        if (params.targetPlmn && profile.plmnList &&
+            !profile.plmnList.some(plmn => this.isSamePlmn(plmn, params.targetPlmn))) {
+            return `PLMN ${params.targetPlmn.mcc}-${params.targetPlmn.mnc} not served`;
+        }
+
+        if (params.snssais.length > 0 && profile.sNssais &&
+            !params.snssais.some(wanted => profile.sNssais.some(s => this.isSameSnssai(s, wanted)))) {
+            return `S-NSSAI ${params.snssais.map(s => s.sd ? `${s.sst}-${s.sd}` : s.sst).join(', ')} not supported`;
+        }
+
+        if (params.dnn && profile.dnnList && !profile.dnnList.includes(params.dnn)) {
+            return `DNN ${params.dnn} not served`;
+        }
+
+        if (params.tai && profile.taiList &&
+            !profile.taiList.some(tai => String(tai.tac) === String(params.tai.tac) &&
+                (!params.tai.plmnId || this.isSamePlmn(tai.plmnId, params.tai.plmnId)))) {
+            return `TAI tac=${params.tai.tac} not served`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the services of a profile that match the requested names and the requester type
+     * @param {Object} profile - NF profile from the registry
+     * @param {Object} params - Normalized discovery query
+     * @returns {Array} Matching nfServices entries
+     */
+    getDiscoverableServices(profile, params) {
+        // Older profiles only carry { serviceName, serviceInstanceId } in profile.services
+        const services = profile.nfServices || profile.services || [];
+
+        return services.filter(svc => {
+            if (params.serviceNames.length > 0 &&
+                !params.serviceNames.includes(svc.serviceName) &&
+                !params.serviceNames.includes(svc.serviceInstanceId)) {
+                return false;
+            }
+            const allowed = svc.allowedNfTypes || [];
+            return !params.requesterNfType || allowed.length === 0 || allowed.includes(params.requesterNfType);
+        });
+    }
+
+    /**
+     * Order discovery results the way an NRF SearchResult is ranked
+     * @param {Object} a - NF profile
+     * @param {Object} b - NF profile
+     * @param {string} preferredLocality - Locality to rank first (optional)
+     * @returns {number} Sort order
+     */
+    compareDiscoveryResults(a, b, preferredLocality) {
+        if (preferredLocality) {
+            const aLocal = a.locality === preferredLocality ? 0 : 1;
+            const bLocal = b.locality === preferredLocality ? 0 : 1;
+            if (aLocal !== bLocal) return aLocal - bLocal;
+        }
+        if ((a.priority || 0) !== (b.priority || 0)) return (a.priority || 0) - (b.priority || 0);
+        if ((a.capacity || 0) !== (b.capacity || 0)) return (b.capacity || 0) - (a.capacity || 0);
+        return (a.load || 0) - (b.load || 0);
+    }
+
+    /**
+     * Compare two PLMN IDs
+     * @param {Object} a - { mcc, mnc }
+     * @param {Object} b - { mcc, mnc }
+     * @returns {boolean} True if equal
+     */
+    isSamePlmn(a, b) {
+        return !!a && !!b && String(a.mcc) === String(b.mcc) && String(a.mnc) === String(b.mnc);
+    }
+
+    /**
+     * Compare two S-NSSAIs; an absent SD matches any SD
+     * @param {Object} a - { sst, sd }
+     * @param {Object} b - { sst, sd }
+     * @returns {boolean} True if equal
+     */
+    isSameSnssai(a, b) {
+        if (Number(a.sst) !== Number(b.sst)) return false;
+        return !a.sd || !b.sd || String(a.sd).toLowerCase() === String(b.sd).toLowerCase();
+    }
+
+    /**
+     * --- ADDED: Update NF Profile (NFUpdate) ---
+     * Applies an RFC 6902 JSON Patch to a registered profile
+     * (PATCH /nnrf-nfm/v1/nf-instances/{nfInstanceId}, application/json-patch+json).
+     * The patch is atomic: if any operation fails the profile is left untouched.
+     * @param {string} nfInstanceId - NF instance ID
+     * @param {Array} jsonPatch - Array of { op, path, value, from } operations
+     * @returns {Object} { status: 200, body: updated profile summary }, 404 for an unknown NF,
+     *                   400 if the patch is empty or cannot be applied
+     */
+    updateProfile(nfInstanceId, jsonPatch) {
+        const profile = this.registry.get(nfInstanceId);
+
+        if (!profile || profile.nfStatus === 'REMOVED') {
+            return this.recordRejection('update', nfInstanceId, jsonPatch,
+                this.problemResult(404, `NF instance ${nfInstanceId} is not registered`, 'RESOURCE_NOT_FOUND'));
+        }
+
+        if (!Array.isArray(jsonPatch) || jsonPatch.length === 0) {
+            return this.recordRejection('update', nfInstanceId, jsonPatch,
+                this.problemResult(400, 'JSON Patch must be a non-empty array of operations', 'INVALID_MSG_FORMAT'));
+        }
+
+        const original = JSON.parse(JSON.stringify(profile));
+        let patched;
+        try {
+            patched = this.applyJsonPatch(original, jsonPatch);
+        } catch (error) {
+            return this.recordRejection('update', nfInstanceId, jsonPatch,
+                this.problemResult(400, error.message, 'MANDATORY_IE_INCORRECT'));
+        }
+
+        // Keep flat convenience fields in step with the 3GPP arrays
+        patched.ipAddress = patched.ipv4Addresses?.[0] || patched.ipAddress;
+        patched.port = patched.nfServices?.[0]?.ipEndPoints?.[0]?.port || patched.port;
+
+        const profileChanges = jsonPatch
+            .filter(operation => operation.op !== 'test')
+            .map(operation => ({
+                op: operation.op.toUpperCase(),
+                path: operation.path,
+                ...(operation.from ? { from: operation.from } : {}),
+                origValue: this.readJsonPointer(original, operation.path),
+                newValue: this.readJsonPointer(patched, operation.path)
+            }));
+
+        // Mutate in place so timers holding the profile reference see the update
+        Object.keys(profile).forEach(key => delete profile[key]);
+        Object.assign(profile, patched);
+
+        const now = this.now();
+        const updateRecord = {
+            nfInstanceId,
+            nfType: profile.nfType,
+            nfName: profile.nfName,
+            nrfInstanceId: profile.servingNrfId,
+            timestamp: now,
+            status: 200,
+            request: jsonPatch,
+            response: {
+                nfInstanceId,
+                nfType: profile.nfType,
+                nfStatus: profile.nfStatus,
+                ipv4Addresses: profile.ipv4Addresses,
+                priority: profile.priority,
+                capacity: profile.capacity,
+                load: profile.load,
+                nfServices: profile.nfServices
+            }
+        };
+
+        this.updateMessages.set(nfInstanceId, updateRecord);
+        this.updateHistory.push(updateRecord);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(nfInstanceId, 'SUCCESS',
+                'NF profile updated with NRF (PATCH)', {
+                operations: profileChanges.map(change => `${change.op} ${change.path}`).join(', '),
+                contentType: 'application/json-patch+json',
+                response: '200 OK'
+            });
+        }
+
+        console.log(`✏️ NF profile patched: ${profile.nfName} (${jsonPatch.length} operations)`);
+
+        this.notifySubscribers('NF_PROFILE_CHANGED', profile, profileChanges);
+
+        return { status: 200, body: updateRecord.response };
+    }
+
+    /**
+     * Build a JSON Patch for changed NF settings, using 3GPP NFProfile paths
+     * @param {string} nfInstanceId - NF instance ID
+     * @param {Object} changes - Any of { ipAddress, port, capacity, load, priority }
+     * @returns {Array} JSON Patch operations (empty if nothing differs)
+     */
+    buildProfilePatch(nfInstanceId, changes) {
+        const profile = this.registry.get(nfInstanceId);
+        if (!profile) {
+            return [];
+        }
+
+        const patch = [];
+        const services = profile.nfServices || [];
+
+        if (changes.ipAddress !== undefined && changes.ipAddress !== profile.ipv4Addresses?.[0]) {
+            patch.push({ op: profile.ipv4Addresses?.length ? 'replace' : 'add', path: '/ipv4Addresses/0', value: changes.ipAddress });
+            services.forEach((svc, index) => {
+                patch.push({ op: 'replace', path: `/nfServices/${index}/ipEndPoints/0/ipv4Address`, value: changes.ipAddress });
+            });
+        }
+
+        if (changes.port !== undefined && services.some(svc => svc.ipEndPoints?.[0]?.port !== changes.port)) {
+            services.forEach((svc, index) => {
+                patch.push({ op: 'replace', path: `/nfServices/${index}/ipEndPoints/0/port`, value: changes.port });
             });
         }
 
-        return results;
+        ['capacity', 'load', 'priority'].forEach(field => {
+            if (changes[field] !== undefined && changes[field] !== profile[field]) {
+                patch.push({ op: 'replace', path: `/${field}`, value: changes[field] });
+            }
+        });
+
+        return patch;
+    }
+
+    /**
+     * Apply RFC 6902 operations (add, remove, replace, move, copy, test) to a document
+     * @param {Object} document - Document to patch (mutated)
+     * @param {Array} jsonPatch - Patch operations
+     * @returns {Object} Patched document
+     * @throws {Error} If an operation is invalid or a test fails
+     */
+    applyJsonPatch(document, jsonPatch) {
+        const immutablePaths = ['/nfInstanceId', '/nfType'];
+
+        jsonPatch.forEach((operation, index) => {
+            const { op, path } = operation;
+
+            if (typeof path !== 'string' || (path !== '' && !path.startsWith('/'))) {
+                throw new Error(`Operation ${index}: invalid path "${path}"`);
+            }
+            if (op !== 'test' && immutablePaths.includes(path)) {
+                throw new Error(`Operation ${index}: ${path} cannot be modified`);
+            }
+
+            switch (op) {
+                case 'add':
+                    this.writeJsonPointer(document, path, operation.value);
+                    break;
+                case 'remove':
+                    this.removeJsonPointer(document, path);
+                    break;
+                case 'replace':
+                    this.removeJsonPointer(document, path);
+                    this.writeJsonPointer(document, path, operation.value);
+                    break;
+                case 'move': {
+                    const value = this.readJsonPointer(document, operation.from, true);
+                    this.removeJsonPointer(document, operation.from);
+                    this.writeJsonPointer(document, path, value);
+                    break;
+                }
+                case 'copy': {
+                    const value = this.readJsonPointer(document, operation.from, true);
+                    this.writeJsonPointer(document, path, JSON.parse(JSON.stringify(value)));
+                    break;
+                }
+                case 'test': {
+                    const actual = this.readJsonPointer(document, path, true);
+                    if (JSON.stringify(actual) !== JSON.stringify(operation.value)) {
+                        throw new Error(`Operation ${index}: test failed at ${path}`);
+                    }
+                    break;
+                }
+                default:
+                    throw new Error(`Operation ${index}: unsupported op "${op}"`);
+            }
+        });
+
+        return document;
+    }
+
+    /**
+     * Split a JSON Pointer (RFC 6901) into unescaped tokens
+     * @param {string} path - JSON Pointer
+     * @returns {Array} Reference tokens
+     */
+    parseJsonPointer(path) {
+        if (path === '') return [];
+        return path.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    }
+
+    /**
+     * Read the value at a JSON Pointer
+     * @param {Object} document - Source document
+     * @param {string} path - JSON Pointer
+     * @param {boolean} strict - Throw instead of returning undefined when missing
+     * @returns {*} Value at path
+     */
+    readJsonPointer(document, path, strict = false) {
+        let current = document;
+        for (const token of this.parseJsonPointer(path || '')) {
+            if (current === null || typeof current !== 'object' || !(token in current)) {
+                if (strict) throw new Error(`Path ${path} does not exist`);
+                return undefined;
+            }
+            current = current[token];
+        }
+        return current;
+    }
+
+    /**
+     * Resolve the container and final token a JSON Pointer refers to
+     * @param {Object} document - Target document
+     * @param {string} path - JSON Pointer
+     * @returns {Object} { target, key }
+     */
+    resolveJsonPointerParent(document, path) {
+        const tokens = this.parseJsonPointer(path);
+        const key = tokens.pop();
+        let target = document;
+
+        for (const token of tokens) {
+            if (target === null || typeof target !== 'object' || !(token in target)) {
+                throw new Error(`Path ${path} does not exist`);
+            }
+            target = target[token];
+        }
+
+        if (target === null || typeof target !== 'object') {
+            throw new Error(`Parent of ${path} is not a container`);
+        }
+
+        return { target, key };
+    }
+
+    /**
+     * Add a value at a JSON Pointer (arrays insert, '-' appends)
+     * @param {Object} document - Target document
+     * @param {string} path - JSON Pointer
+     * @param {*} value - Value to add
+     */
+    writeJsonPointer(document, path, value) {
+        const { target, key } = this.resolveJsonPointerParent(document, path);
+
+        if (Array.isArray(target)) {
+            const index = key === '-' ? target.length : Number(key);
+            if (!Number.isInteger(index) || index < 0 || index > target.length) {
+                throw new Error(`Array index ${key} out of bounds at ${path}`);
+            }
+            target.splice(index, 0, value);
+        } else {
+            target[key] = value;
+        }
+    }
+
+    /**
+     * Remove the value at a JSON Pointer
+     * @param {Object} document - Target document
+     * @param {string} path - JSON Pointer
+     */
+    removeJsonPointer(document, path) {
+        this.readJsonPointer(document, path, true);
+        const { target, key } = this.resolveJsonPointerParent(document, path);
+
+        if (Array.isArray(target)) {
+            target.splice(Number(key), 1);
+        } else {
+            delete target[key];
+        }
     }
 
     /**
      * --- ADDED: Deregister NF ---
      * @param {string} nfInstanceId - NF instance ID
      * @param {string} reason - Deregistration reason
+     * @returns {Object} { status: 204 } or { status: 404, body: ProblemDetails } if not registered
      */
     deregisterNF(nfInstanceId, reason = 'MANUAL') {
         const profile = this.registry.get(nfInstanceId);
         
-        if (!profile) {
-            console.warn(`⚠️ Attempted to deregister non-existent NF: ${nfInstanceId}`);
-            return;
+        if (!profile || profile.nfStatus === 'REMOVED') {
+            return this.recordRejection('deregistration', nfInstanceId, { nfInstanceId, action: 'DEREGISTER', reason },
+                this.problemResult(404, `NF instance ${nfInstanceId} is not registered`, 'RESOURCE_NOT_FOUND'));
         }
 
         // Update status to REMOVED
         profile.nfStatus = 'REMOVED';
-        profile.statusChangedAt = Date.now();
-        profile.deregisteredAt = Date.now();
+        profile.statusChangedAt = this.now();
+        profile.deregisteredAt = this.now();
         profile.deregistrationReason = reason;
 
         // --- ADDED: Make NF unstable when deregistered ---
@@ -395,7 +1100,9 @@ class NRFRegistry {
             nfInstanceId,
             nfType: profile.nfType,
             nfName: profile.nfName,
-            timestamp: Date.now(),
+            nrfInstanceId: profile.servingNrfId,
+            timestamp: this.now(),
+            status: 204,
             request: deregRequest,
             response: deregResponse
         };
@@ -417,14 +1124,22 @@ class NRFRegistry {
 
         console.log(`🗑️ NF deregistered: ${profile.nfName} (${nfInstanceId}) - Reason: ${reason}`);
 
+        // --- ADDED: Notify subscribers and drop the NF's own subscriptions ---
+        this.notifySubscribers('NF_DEREGISTERED', profile);
+        this.removeSubscriptionsForNF(nfInstanceId);
+
         // --- ADDED: Start periodic logging for deregistered NF ---
         this.startDeregisteredNFMonitoring(nfInstanceId, profile);
 
         // Remove from registry after a short delay (to allow logs to be processed)
-        setTimeout(() => {
+        // (skipped if the NF re-registered in the meantime)
+        window.simClock.setTimeout(() => {
+            if (this.registry.get(nfInstanceId) !== profile) return;
             this.registry.delete(nfInstanceId);
             console.log(`✅ NF removed from registry: ${nfInstanceId}`);
         }, 5000);
+
+        return { status: 204, body: null };
     }
 
     /**
@@ -482,6 +1197,23 @@ class NRFRegistry {
         return [...this.registrationHistory];
     }
 
+    /**
+     * Get latest profile update (PATCH) record for a specific NF
+     * @param {string} nfInstanceId
+     * @returns {Object|null}
+     */
+    getUpdateRecord(nfInstanceId) {
+        return this.updateMessages.get(nfInstanceId) || null;
+    }
+
+    /**
+     * Get all profile update records (history)
+     * @returns {Array}
+     */
+    getAllUpdateRecords() {
+        return [...this.updateHistory];
+    }
+
     /**
      * Get latest deregistration record for a specific NF
      * @param {string} nfInstanceId
@@ -499,9 +1231,1207 @@ class NRFRegistry {
         return [...this.deregistrationHistory];
     }
 
+    // ==========================================
+    // NFStatusSubscribe / NFStatusNotify
+    // ==========================================
+
     /**
-     * Get allowed NF types based on NF type (3GPP dependencies)
-     * @param {string} nfType - NF type
+     * --- ADDED: Subscribe to NF Status Changes ---
+     * Nnrf_NFManagement NFStatusSubscribe (POST /nnrf-nfm/v1/subscriptions)
+     * @param {string} subscriberId - nfInstanceId of the subscribing NF
+     * @param {Object} subscriptionData - Subscription parameters
+     * @param {Object} subscriptionData.subscrCond - { nfType } | { nfInstanceId } | { serviceName } (empty = all NFs)
+     * @param {Array} subscriptionData.reqNotifEvents - Events to receive (default: all three)
+     * @param {number} subscriptionData.validityTime - Validity in seconds (optional)
+     * @returns {Object} { status: 201, body: SubscriptionData } or { status: 400, body: ProblemDetails }
+     */
+    subscribe(subscriberId, subscriptionData = {}) {
+        const subscriberNF = window.dataStore?.getNFById(subscriberId);
+        const subscriberProfile = this.registry.get(subscriberId);
+
+        if (!subscriberNF && !subscriberProfile) {
+            console.warn(`⚠️ Subscription requested by unknown NF: ${subscriberId}`);
+            return this.problemResult(400, `Unknown subscriber NF instance ${subscriberId}`, 'MANDATORY_IE_INCORRECT',
+                [{ param: 'reqNfInstanceId', reason: 'unknown NF instance' }]);
+        }
+
+        const now = this.now();
+        const validityMs = subscriptionData.validityTime
+            ? subscriptionData.validityTime * 1000
+            : this.subscriptionValidity;
+        const subscriberType = subscriberProfile?.nfType || subscriberNF.type;
+        const subscriberName = subscriberProfile?.nfName || subscriberNF.name;
+        const ipAddress = subscriberNF?.config.ipAddress || subscriberProfile?.ipAddress;
+        const port = subscriberNF?.config.port || subscriberProfile?.port || 7777;
+
+        const subscription = {
+            subscriptionId: `sub-${this.generateServiceId()}`,
+            subscriberId,
+            subscriberType,
+            subscriberName,
+            nfStatusNotificationUri: `http://${ipAddress}:${port}/${subscriberType.toLowerCase()}-callback/v1/nf-status-notify`,
+            subscrCond: subscriptionData.subscrCond || {},
+            reqNotifEvents: subscriptionData.reqNotifEvents || ['NF_REGISTERED', 'NF_DEREGISTERED', 'NF_PROFILE_CHANGED'],
+            createdAt: now,
+            validityTime: now + validityMs
+        };
+
+        this.subscriptions.set(subscription.subscriptionId, subscription);
+
+        const subscribeRecord = {
+            nfInstanceId: subscriberId,
+            nfType: subscriberType,
+            nfName: subscriberName,
+            timestamp: now,
+            status: 201,
+            request: {
+                nfStatusNotificationUri: subscription.nfStatusNotificationUri,
+                reqNfInstanceId: subscriberId,
+                reqNfType: subscriberType,
+                subscrCond: subscription.subscrCond,
+                reqNotifEvents: subscription.reqNotifEvents,
+                validityTime: new Date(subscription.validityTime).toISOString()
+            },
+            response: {
+                subscriptionId: subscription.subscriptionId,
+                nfStatusNotificationUri: subscription.nfStatusNotificationUri,
+                subscrCond: subscription.subscrCond,
+                validityTime: new Date(subscription.validityTime).toISOString()
+            }
+        };
+        this.subscriptionHistory.push(subscribeRecord);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(subscriberId, 'SUCCESS',
+                'Subscribed to NRF notifications', {
+                subscriptionId: subscription.subscriptionId,
+                subscrCond: this.describeSubscriptionCondition(subscription.subscrCond),
+                reqNotifEvents: subscription.reqNotifEvents.join(', '),
+                validityTime: new Date(subscription.validityTime).toISOString()
+            });
+        }
+
+        console.log(`📬 ${subscriberName} subscribed to NRF notifications (${this.describeSubscriptionCondition(subscription.subscrCond)})`);
+
+        return { status: 201, body: subscribeRecord.response };
+    }
+
+    /**
+     * --- ADDED: Remove Subscription ---
+     * Nnrf_NFManagement NFStatusUnSubscribe (DELETE /nnrf-nfm/v1/subscriptions/{subscriptionId})
+     * @param {string} subscriptionId - Subscription ID
+     * @returns {Object} { status: 204 } or { status: 404, body: ProblemDetails } if unknown
+     */
+    unsubscribe(subscriptionId) {
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) {
+            console.warn(`⚠️ Attempted to remove non-existent subscription: ${subscriptionId}`);
+            return this.problemResult(404, `Subscription ${subscriptionId} does not exist`, 'SUBSCRIPTION_NOT_FOUND');
+        }
+
+        this.subscriptions.delete(subscriptionId);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(subscription.subscriberId, 'INFO',
+                'Unsubscribed from NRF notifications', {
+                subscriptionId: subscriptionId,
+                subscrCond: this.describeSubscriptionCondition(subscription.subscrCond)
+            });
+        }
+
+        return { status: 204, body: null };
+    }
+
+    /**
+     * Remove every subscription owned by an NF (called when it deregisters)
+     * @param {string} nfInstanceId - Subscriber NF instance ID
+     */
+    removeSubscriptionsForNF(nfInstanceId) {
+        this.getSubscriptionsForNF(nfInstanceId).forEach(sub => {
+            this.unsubscribe(sub.subscriptionId);
+        });
+    }
+
+    /**
+     * Subscribe an NF to the NF types it depends on, once per registration lifetime
+     * @param {string} nfInstanceId - NF instance ID
+     * @param {Object} profile - Registered NF profile
+     */
+    createDefaultSubscriptions(nfInstanceId, profile) {
+        if (this.getSubscriptionsForNF(nfInstanceId).length > 0) {
+            return;
+        }
+
+        this.getDefaultSubscriptionTargets(profile.nfType).forEach(nfType => {
+            this.subscribe(nfInstanceId, { subscrCond: { nfType } });
+        });
+    }
+
+    /**
+     * Get NF types an NF subscribes to on registration
+     * @param {string} nfType - Subscriber NF type
+     * @returns {Array} Array of NF types to watch
+     */
+    getDefaultSubscriptionTargets(nfType) {
+        const targets = {
+            'AMF': ['SMF', 'AUSF', 'UDM', 'PCF', 'NSSF'],
+            'SMF': ['UPF', 'PCF', 'UDM']
+        };
+        return targets[nfType] || [];
+    }
+
+    /**
+     * Drop subscriptions whose validityTime has passed
+     */
+    purgeExpiredSubscriptions() {
+        const now = this.now();
+
+        this.subscriptions.forEach((subscription, subscriptionId) => {
+            if (subscription.validityTime <= now) {
+                this.subscriptions.delete(subscriptionId);
+
+                if (window.logEngine) {
+                    window.logEngine.addLog('NRF', 'INFO',
+                        `Subscription expired for ${subscription.subscriberName}`, {
+                        subscriptionId: subscriptionId,
+                        subscrCond: this.describeSubscriptionCondition(subscription.subscrCond),
+                        expiredAt: new Date(subscription.validityTime).toISOString()
+                    });
+                }
+            }
+        });
+    }
+
+    /**
+     * Get all subscriptions that are still valid (expired ones are purged by the monitor tick)
+     * @returns {Array}
+     */
+    getActiveSubscriptions() {
+        const now = this.now();
+        return Array.from(this.subscriptions.values()).filter(subscription => subscription.validityTime > now);
+    }
+
+    /**
+     * Get active subscriptions owned by an NF
+     * @param {string} nfInstanceId - Subscriber NF instance ID
+     * @returns {Array}
+     */
+    getSubscriptionsForNF(nfInstanceId) {
+        return this.getActiveSubscriptions().filter(sub => sub.subscriberId === nfInstanceId);
+    }
+
+    /**
+     * Check whether a profile satisfies a subscription condition
+     * @param {Object} subscrCond - { nfType } | { nfInstanceId } | { serviceName }
+     * @param {Object} profile - NF profile
+     * @returns {boolean}
+     */
+    matchesSubscriptionCondition(subscrCond, profile) {
+        if (subscrCond.nfInstanceId && subscrCond.nfInstanceId !== profile.nfInstanceId) {
+            return false;
+        }
+        if (subscrCond.nfType && subscrCond.nfType !== profile.nfType) {
+            return false;
+        }
+        if (subscrCond.serviceName) {
+            const services = profile.nfServices || profile.services || [];
+            return services.some(svc => svc.serviceName === subscrCond.serviceName);
+        }
+        return true;
+    }
+
+    /**
+     * Human readable form of a subscription condition
+     * @param {Object} subscrCond - Subscription condition
+     * @returns {string}
+     */
+    describeSubscriptionCondition(subscrCond) {
+        const parts = Object.entries(subscrCond).map(([key, value]) => `${key}=${value}`);
+        return parts.length ? parts.join(', ') : 'all NFs';
+    }
+
+    /**
+     * --- ADDED: Deliver NFStatusNotify ---
+     * Sends a notification to every active subscription matching the profile
+     * @param {string} event - NF_REGISTERED | NF_DEREGISTERED | NF_PROFILE_CHANGED
+     * @param {Object} profile - NF profile that changed
+     * @param {Array} profileChanges - ChangeItem list for NF_PROFILE_CHANGED (optional)
+     */
+    notifySubscribers(event, profile, profileChanges = null) {
+        this.getActiveSubscriptions().forEach(subscription => {
+            // An NF is never notified about itself
+            if (subscription.subscriberId === profile.nfInstanceId) return;
+            if (!subscription.reqNotifEvents.includes(event)) return;
+            if (!this.matchesSubscriptionCondition(subscription.subscrCond, profile)) return;
+
+            // Subscriber may have been deleted from the canvas without deregistering
+            if (!window.dataStore?.getNFById(subscription.subscriberId)) return;
+
+            const request = {
+                event,
+                nfInstanceUri: `/nnrf-nfm/v1/nf-instances/${profile.nfInstanceId}`
+            };
+
+            if (event !== 'NF_DEREGISTERED') {
+                request.nfProfile = {
+                    nfInstanceId: profile.nfInstanceId,
+                    nfType: profile.nfType,
+                    nfStatus: profile.nfStatus,
+                    ipv4Addresses: profile.ipAddress ? [profile.ipAddress] : [],
+                    priority: profile.priority,
+                    capacity: profile.capacity,
+                    load: profile.load,
+                    nfServices: (profile.nfServices || profile.services || []).map(svc => svc.serviceName)
+                };
+            }
+
+            if (profileChanges) {
+                request.profileChanges = profileChanges;
+            }
+
+            const notificationRecord = {
+                subscriptionId: subscription.subscriptionId,
+                nfInstanceId: subscription.subscriberId,
+                nfType: subscription.subscriberType,
+                nfName: subscription.subscriberName,
+                targetNfInstanceId: profile.nfInstanceId,
+                targetNfName: profile.nfName,
+                event,
+                timestamp: this.now(),
+                request: {
+                    method: 'POST',
+                    uri: subscription.nfStatusNotificationUri,
+                    body: request
+                },
+                response: {
+                    status: 204,
+                    statusText: 'No Content'
+                }
+            };
+            this.notificationHistory.push(notificationRecord);
+
+            if (window.logEngine) {
+                window.logEngine.addLog(subscription.subscriberId, 'INFO',
+                    `NRF notification received: ${event} (${profile.nfName})`, {
+                    subscriptionId: subscription.subscriptionId,
+                    event: event,
+                    nfInstanceId: profile.nfInstanceId,
+                    nfType: profile.nfType,
+                    nfStatus: profile.nfStatus,
+                    response: '204 No Content'
+                });
+            }
+        });
+    }
+
+    // ==========================================
+    // NFRegister with a client-built NFProfile
+    // ==========================================
+
+    /**
+     * --- ADDED: Register NF with a complete NFProfile ---
+     * PUT /nnrf-nfm/v1/nf-instances/{nfInstanceId} with a profile written by the user.
+     * The body is validated against the NFProfile schema first; an invalid body is
+     * rejected with 400 and a ProblemDetails listing every invalid attribute.
+     * @param {string} nfInstanceId - NF instance ID from the URI
+     * @param {Object|string} body - NFProfile object or raw JSON text
+     * @param {string} nrfId - NRF instance (optional, resolved from topology)
+     * @returns {Object} { status, body } - 201 Created / 200 OK, or 400 with ProblemDetails
+     */
+    putNFProfile(nfInstanceId, body, nrfId = null) {
+        const { nfProfile, invalidParams, cause } = this.checkProfileBody(nfInstanceId, body);
+        const nf = window.dataStore?.getNFById(nfInstanceId);
+
+        if (invalidParams.length > 0) {
+            return this.recordRejection('registration', nfInstanceId, nfProfile || { rawBody: body }, this.problemResult(400,
+                cause === 'INVALID_MSG_FORMAT'
+                    ? 'Request body is not valid JSON'
+                    : `NFProfile failed schema validation (${invalidParams.length} error${invalidParams.length > 1 ? 's' : ''})`,
+                cause, invalidParams), nrfId || this.resolveServingNRF(nfInstanceId));
+        }
+
+        const { heartBeatTimer, ...attributes } = nfProfile;
+        const firstEndPoint = (nfProfile.nfServices || []).flatMap(svc => svc.ipEndPoints || [])[0];
+
+        // The proposed heartBeatTimer becomes the NF's heartbeat override (seconds)
+        if (heartBeatTimer && nf) {
+            window.connectionManager?.setHeartbeatTimerOverride(nfInstanceId, heartBeatTimer);
+        }
+
+        return this.registerNF(nfInstanceId, {
+            ...attributes,
+            nfName: nf?.name,
+            ipAddress: nfProfile.ipv4Addresses?.[0] || firstEndPoint?.ipv4Address || nf?.config.ipAddress,
+            port: firstEndPoint?.port || nf?.config.port,
+            httpProtocol: nf?.config.httpProtocol || 'HTTP/2'
+        }, nrfId);
+    }
+
+    /**
+     * Store a failed NFRegister / NFUpdate / NFDeregister exchange next to the successful ones
+     * @param {string} operation - 'registration' | 'update' | 'deregistration'
+     * @param {string} nfInstanceId - NF instance ID from the URI
+     * @param {Object} request - Request as received
+     * @param {Object} result - { status, body: ProblemDetails }
+     * @param {string} nrfId - NRF that rejected the request (optional)
+     * @returns {Object} The result, unchanged
+     */
+    recordRejection(operation, nfInstanceId, request, result, nrfId = null) {
+        const exchange = {
+            registration: { label: 'registration', method: 'PUT', messages: this.registrationMessages, history: this.registrationHistory },
+            update: { label: 'profile update', method: 'PATCH', messages: this.updateMessages, history: this.updateHistory },
+            deregistration: { label: 'deregistration', method: 'DELETE', messages: this.deregistrationMessages, history: this.deregistrationHistory }
+        }[operation];
+
+        const nf = window.dataStore?.getNFById(nfInstanceId);
+        const profile = this.registry.get(nfInstanceId);
+        const record = {
+            nfInstanceId,
+            nfType: request?.nfType || profile?.nfType || nf?.type || '?',
+            nfName: profile?.nfName || nf?.name || nfInstanceId,
+            nrfInstanceId: nrfId || profile?.servingNrfId || null,
+            timestamp: this.now(),
+            status: result.status,
+            failed: true,
+            request,
+            response: result.body
+        };
+
+        exchange.messages.set(nfInstanceId, record);
+        exchange.history.push(record);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(nfInstanceId, 'ERROR',
+                `NF ${exchange.label} rejected by NRF (${result.status} ${this.getStatusText(result.status)})`, {
+                uri: `${exchange.method} /nnrf-nfm/v1/nf-instances/${nfInstanceId}`,
+                cause: result.body.cause,
+                detail: result.body.detail,
+                invalidParams: (result.body.invalidParams || []).map(p => `${p.param}: ${p.reason}`)
+            });
+        }
+
+        console.warn(`⚠️ NF ${exchange.label} rejected for ${record.nfName}: ${result.body.detail}`);
+        return result;
+    }
+
+    /**
+     * Parse and validate an NFRegister body
+     * @param {string} nfInstanceId - NF instance ID from the URI
+     * @param {Object|string} body - NFProfile object or raw JSON text
+     * @returns {Object} { nfProfile, invalidParams: [{ param, reason }], cause }
+     */
+    checkProfileBody(nfInstanceId, body) {
+        let nfProfile = body;
+
+        if (typeof body === 'string') {
+            try {
+                nfProfile = JSON.parse(body);
+            } catch (error) {
+                return {
+                    nfProfile: null,
+                    invalidParams: [{ param: 'body', reason: error.message }],
+                    cause: 'INVALID_MSG_FORMAT'
+                };
+            }
+        }
+
+        const invalidParams = this.validateProfile(nfProfile);
+        if (nfProfile && typeof nfProfile.nfInstanceId === 'string' && nfProfile.nfInstanceId !== nfInstanceId) {
+            invalidParams.push({ param: '/nfInstanceId', reason: `must match the URI (${nfInstanceId})` });
+        }
+
+        return { nfProfile, invalidParams, cause: 'MANDATORY_IE_INCORRECT' };
+    }
+
+    /**
+     * Validate a profile against the NFProfile JSON schema
+     * @param {Object} nfProfile - NFProfile
+     * @returns {Array} [{ param: JSON pointer, reason }], empty when valid
+     */
+    validateProfile(nfProfile) {
+        const schema = this.profileSchema || { type: 'object', required: ['nfInstanceId', 'nfType', 'nfStatus'] };
+        const errors = [];
+        this.validateSchemaNode(nfProfile, schema, '', schema, errors);
+        return errors;
+    }
+
+    /**
+     * Minimal JSON Schema (draft-07) validator covering the keywords used by
+     * nf-profile-schema.json: $ref, type, enum, required, properties,
+     * additionalProperties, items, minItems, minLength, pattern, minimum, maximum
+     * @param {*} value - Value to check
+     * @param {Object} node - Schema node
+     * @param {string} path - JSON pointer of the value
+     * @param {Object} root - Root schema (for $ref)
+     * @param {Array} errors - Collected { param, reason }
+     */
+    validateSchemaNode(value, node, path, root, errors) {
+        if (node.$ref) {
+            node = node.$ref.replace(/^#\//, '').split('/').reduce((obj, key) => obj?.[key], root);
+            if (!node) return;
+        }
+
+        const param = path || '/';
+        const typeOf = (v) => {
+            if (Array.isArray(v)) return 'array';
+            if (v === null) return 'null';
+            if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+            return typeof v;
+        };
+
+        const actualType = typeOf(value);
+        if (node.type && actualType !== node.type && !(node.type === 'number' && actualType === 'integer')) {
+            errors.push({ param, reason: `must be ${node.type}, got ${actualType}` });
+            return;
+        }
+
+        if (node.enum && !node.enum.includes(value)) {
+            errors.push({ param, reason: `must be one of ${node.enum.join(', ')}` });
+        }
+
+        if (typeof value === 'string') {
+            if (node.minLength !== undefined && value.length < node.minLength) {
+                errors.push({ param, reason: 'must not be empty' });
+            }
+            if (node.pattern && !new RegExp(node.pattern).test(value)) {
+                errors.push({ param, reason: `"${value}" does not match ${node.pattern}` });
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (node.minimum !== undefined && value < node.minimum) {
+                errors.push({ param, reason: `must be >= ${node.minimum}` });
+            }
+            if (node.maximum !== undefined && value > node.maximum) {
+                errors.push({ param, reason: `must be <= ${node.maximum}` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                errors.push({ param, reason: `must contain at least ${node.minItems} item(s)` });
+            }
+            if (node.items) {
+                value.forEach((item, index) => this.validateSchemaNode(item, node.items, `${path}/${index}`, root, errors));
+            }
+        }
+
+        if (actualType === 'object') {
+            (node.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ param: `${path}/${key}`, reason: 'is required' });
+                }
+            });
+
+            Object.keys(value).forEach(key => {
+                // undefined is what JSON.stringify drops - treat it as absent
+                if (value[key] === undefined) return;
+                const childSchema = node.properties?.[key];
+                if (childSchema) {
+                    this.validateSchemaNode(value[key], childSchema, `${path}/${key}`, root, errors);
+                } else if (node.additionalProperties === false) {
+                    errors.push({ param: `${path}/${key}`, reason: 'is not a supported NFProfile attribute' });
+                }
+            });
+        }
+    }
+
+    /**
+     * @param {number} status - HTTP status code
+     * @returns {string} Reason phrase
+     */
+    getStatusText(status) {
+        return {
+            200: 'OK',
+            201: 'Created',
+            204: 'No Content',
+            400: 'Bad Request',
+            401: 'Unauthorized',
+            403: 'Forbidden',
+            404: 'Not Found'
+        }[status] || '';
+    }
+
+    /**
+     * Build an HTTP-like error result
+     * @param {number} status - HTTP status code
+     * @param {string} detail - Explanation for this occurrence
+     * @param {string} cause - 3GPP application error cause (optional)
+     * @param {Array} invalidParams - [{ param, reason }] (optional)
+     * @returns {Object} { status, body: ProblemDetails }
+     */
+    problemResult(status, detail, cause = null, invalidParams = null) {
+        return {
+            status,
+            body: this.buildProblemDetails(status, this.getStatusText(status), detail, cause, invalidParams)
+        };
+    }
+
+    /**
+     * Build an RFC 7807 ProblemDetails body (TS 29.571 flavour)
+     * @param {number} status - HTTP status code
+     * @param {string} title - Short summary
+     * @param {string} detail - Explanation for this occurrence
+     * @param {string} cause - 3GPP application error cause (optional)
+     * @param {Array} invalidParams - [{ param, reason }] (optional)
+     * @returns {Object} ProblemDetails
+     */
+    buildProblemDetails(status, title, detail, cause = null, invalidParams = null) {
+        return {
+            title,
+            status,
+            detail,
+            ...(cause ? { cause } : {}),
+            ...(invalidParams && invalidParams.length ? { invalidParams } : {})
+        };
+    }
+
+    /**
+     * Get the profile of an NF as an editable NFProfile (3GPP attributes only).
+     * Unregistered NFs get the profile the NRF would build for them.
+     * @param {string} nfInstanceId - NF instance ID
+     * @returns {Object|null} NFProfile
+     */
+    getEditableProfile(nfInstanceId) {
+        const nf = window.dataStore?.getNFById(nfInstanceId);
+        const profile = this.registry.get(nfInstanceId);
+        if (!nf && !profile) return null;
+
+        const nfType = profile?.nfType || nf.type;
+        const source = profile || {
+            ...this.getDefaultProfileAttributes({ nfType, ipAddress: nf.config.ipAddress }, this.resolveServingNRF(nfInstanceId)),
+            allowedNfTypes: this.getAllowedNfTypes(nfType),
+            priority: 0,
+            capacity: nf.config.capacity ?? 100,
+            load: nf.config.load ?? 0,
+            ipv4Addresses: nf.config.ipAddress ? [nf.config.ipAddress] : [],
+            nfServices: this.buildNfServices({ nfType, ipAddress: nf.config.ipAddress, port: nf.config.port })
+        };
+
+        const editable = {
+            nfInstanceId,
+            nfType,
+            // UNAVAILABLE/REMOVED are NRF-side states a client cannot request
+            nfStatus: ['SUSPENDED', 'UNDISCOVERABLE'].includes(source.nfStatus) ? source.nfStatus : 'REGISTERED'
+        };
+
+        ['fqdn', 'ipv4Addresses', 'plmnList', 'sNssais', 'dnnList', 'taiList', 'locality',
+            'priority', 'capacity', 'load', 'allowedNfTypes', 'nfServices'].forEach(key => {
+            if (source[key] !== undefined) editable[key] = source[key];
+        });
+
+        return JSON.parse(JSON.stringify(editable));
+    }
+
+    // ==========================================
+    // Persistence (session snapshot / restore)
+    // ==========================================
+
+    /**
+     * --- ADDED: Export registry state ---
+     * Profiles, subscriptions and every message history, as plain JSON
+     * @returns {Object} Registry snapshot
+     */
+    exportState() {
+        // Timer IDs belong to this page's simulation clock and are meaningless after a reload
+        const profiles = this.getAllRegisteredNFs().map(profile => {
+            const { deregisteredMonitorIntervalId, ...rest } = profile;
+            return rest;
+        });
+
+        return {
+            savedAt: this.now(),
+            registry: profiles,
+            registrationHistory: this.registrationHistory,
+            deregistrationHistory: this.deregistrationHistory,
+            updateHistory: this.updateHistory,
+            subscriptions: Array.from(this.subscriptions.values()),
+            subscriptionHistory: this.subscriptionHistory,
+            notificationHistory: this.notificationHistory,
+            accessTokenHistory: this.accessTokenHistory,
+            discoveryHistory: this.discoveryHistory,
+            selectionStrategy: this.selectionStrategy,
+            selectionCounts: Object.fromEntries(this.selectionCounts)
+        };
+    }
+
+    /**
+     * --- ADDED: Import registry state ---
+     * Replaces the current registry with a snapshot. savedAt is simulated time on the
+     * saving page's clock, so heartbeat and validity timestamps are rebased onto the
+     * restored clock: each keeps its age relative to the snapshot, never lands in the
+     * future, and restored NFs do not time out immediately. REMOVED profiles are dropped
+     * (the NRF would have purged them already).
+     * @param {Object} state - Snapshot from exportState()
+     */
+    importState(state) {
+        if (!state) return;
+
+        // Signed: an accelerated clock may have saved a time ahead of this page's clock
+        const offset = state.savedAt ? this.now() - state.savedAt : 0;
+        const rebase = (timestamp) => (timestamp ? timestamp + offset : timestamp);
+
+        this.registry = new Map();
+        (state.registry || []).forEach(profile => {
+            if (profile.nfStatus === 'REMOVED') return;
+            this.registry.set(profile.nfInstanceId, {
+                ...profile,
+                registeredAt: rebase(profile.registeredAt),
+                lastHeartbeat: rebase(profile.lastHeartbeat),
+                statusChangedAt: rebase(profile.statusChangedAt)
+            });
+        });
+
+        this.registrationHistory = state.registrationHistory || [];
+        this.deregistrationHistory = state.deregistrationHistory || [];
+        this.updateHistory = state.updateHistory || [];
+        this.subscriptionHistory = state.subscriptionHistory || [];
+        this.notificationHistory = state.notificationHistory || [];
+        this.accessTokenHistory = state.accessTokenHistory || [];
+        this.discoveryHistory = state.discoveryHistory || [];
+        this.selectionStrategy = state.selectionStrategy || 'PRIORITY_WEIGHT';
+        this.selectionCounts = new Map(Object.entries(state.selectionCounts || {}));
+        this.roundRobinCursors = new Map();
+
+        // "Last message per NF" views are the latest history entry of each NF
+        const latestByNF = (history) => new Map(history.map(record => [record.nfInstanceId, record]));
+        this.registrationMessages = latestByNF(this.registrationHistory);
+        this.deregistrationMessages = latestByNF(this.deregistrationHistory);
+        this.updateMessages = latestByNF(this.updateHistory);
+
+        this.subscriptions = new Map();
+        (state.subscriptions || []).forEach(subscription => {
+            this.subscriptions.set(subscription.subscriptionId, {
+                ...subscription,
+                validityTime: rebase(subscription.validityTime)
+            });
+        });
+
+        if (this.registry.size > 0 && !this.isMonitoring) {
+            this.startHeartbeatMonitor();
+        }
+
+        console.log(`📥 NRF registry restored: ${this.registry.size} profiles, ${this.subscriptions.size} subscriptions`);
+    }
+
+    // ==========================================
+    // NF Selection (load balancing across discovered instances)
+    // ==========================================
+
+    /**
+     * @returns {Object} Strategy id -> label
+     */
+    getSelectionStrategies() {
+        return {
+            PRIORITY_WEIGHT: 'Priority / weight (TS 29.510)',
+            LEAST_LOAD: 'Least load',
+            ROUND_ROBIN: 'Round robin',
+            LOCALITY: 'Locality preferred'
+        };
+    }
+
+    /**
+     * Set the strategy consumers use to pick one instance from a discovery result
+     * @param {string} strategy - Key of getSelectionStrategies()
+     * @returns {string|null} Error message, or null if applied
+     */
+    setSelectionStrategy(strategy) {
+        const strategies = this.getSelectionStrategies();
+        if (!strategies[strategy]) {
+            return `Unknown selection strategy: ${strategy}`;
+        }
+
+        this.selectionStrategy = strategy;
+        this.roundRobinCursors.clear();
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO',
+                `NF selection strategy set to ${strategies[strategy]}`, {
+                strategy
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * --- ADDED: Select NF instance ---
+     * Pick one producer out of a discovery result the way a consumer NF would:
+     * - PRIORITY_WEIGHT: lowest priority wins, ties are broken by a draw weighted by capacity (TS 29.510 6.1.6.2.2)
+     * - LEAST_LOAD: lowest load wins, ties go to the lower priority
+     * - ROUND_ROBIN: candidates take turns per requester and target NF type
+     * - LOCALITY: candidates in the preferred locality first, then priority / weight
+     * @param {Array} candidates - NF profiles from discoverNFs()
+     * @param {Object} context - Selection context
+     * @param {string} context.requesterNfInstanceId - Consumer NF instance ID
+     * @param {string} context.targetNfType - Target NF type
+     * @param {string} context.preferredLocality - Locality for the LOCALITY strategy (optional)
+     * @param {string} context.strategy - Overrides the configured strategy (optional)
+     * @returns {Object|null} { nfInstance, strategy, reason } or null if there are no candidates
+     */
+    selectNFInstance(candidates, context = {}) {
+        if (!candidates || candidates.length === 0) return null;
+
+        const strategy = context.strategy || this.selectionStrategy;
+        let selection;
+
+        switch (strategy) {
+            case 'LEAST_LOAD': {
+                const ordered = [...candidates].sort((a, b) =>
+                    (a.load || 0) - (b.load || 0) || (a.priority || 0) - (b.priority || 0));
+                const nfInstance = ordered[0];
+                selection = {
+                    nfInstance,
+                    reason: `lowest load ${nfInstance.load || 0}%` + (ordered.length > 1
+                        ? ` (others: ${ordered.slice(1).map(c => `${c.nfName}=${c.load || 0}%`).join(', ')})`
+                        : ' (only candidate)')
+                };
+                break;
+            }
+
+            case 'ROUND_ROBIN': {
+                // Stable order, so the rotation does not depend on discovery ordering
+                const ordered = [...candidates].sort((a, b) => String(a.nfName).localeCompare(String(b.nfName)));
+                const key = `${context.requesterNfInstanceId || 'any'}->${context.targetNfType || ordered[0].nfType}`;
+                const cursor = this.roundRobinCursors.get(key) || 0;
+                const index = cursor % ordered.length;
+                this.roundRobinCursors.set(key, cursor + 1);
+                selection = {
+                    nfInstance: ordered[index],
+                    reason: `round-robin turn ${index + 1} of ${ordered.length}`
+                };
+                break;
+            }
+
+            case 'LOCALITY': {
+                const local = context.preferredLocality
+                    ? candidates.filter(c => c.locality === context.preferredLocality)
+                    : [];
+                const weighted = this.selectByPriorityWeight(local.length > 0 ? local : candidates);
+                selection = {
+                    nfInstance: weighted.nfInstance,
+                    reason: local.length > 0
+                        ? `in preferred locality ${context.preferredLocality} (${local.length} of ${candidates.length}), ${weighted.reason}`
+                        : `no candidate in locality ${context.preferredLocality || 'n/a'}, ${weighted.reason}`
+                };
+                break;
+            }
+
+            default:
+                selection = this.selectByPriorityWeight(candidates);
+        }
+
+        const id = selection.nfInstance.nfInstanceId;
+        this.selectionCounts.set(id, (this.selectionCounts.get(id) || 0) + 1);
+
+        // Unknown strategies fall back to priority / weight above
+        return { ...selection, strategy: this.getSelectionStrategies()[strategy] ? strategy : 'PRIORITY_WEIGHT' };
+    }
+
+    /**
+     * Priority / weight selection: lowest priority value wins; within that priority
+     * each candidate is picked with probability capacity / sum(capacity)
+     * @param {Array} candidates - NF profiles
+     * @returns {Object} { nfInstance, reason }
+     */
+    selectByPriorityWeight(candidates) {
+        const bestPriority = Math.min(...candidates.map(c => c.priority || 0));
+        const group = candidates.filter(c => (c.priority || 0) === bestPriority);
+
+        if (group.length === 1) {
+            return {
+                nfInstance: group[0],
+                reason: `lowest priority ${bestPriority}` + (candidates.length > 1 ? ` of ${candidates.length} candidates` : ' (only candidate)')
+            };
+        }
+
+        // A capacity of 0 still gets picked when every candidate has 0
+        const weights = group.map(c => Math.max(c.capacity || 0, 0));
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        let draw = window.simRandom.next() * (total || group.length);
+        let index = 0;
+        for (; index < group.length - 1; index++) {
+            draw -= total ? weights[index] : 1;
+            if (draw < 0) break;
+        }
+
+        return {
+            nfInstance: group[index],
+            reason: `priority ${bestPriority} tie between ${group.length}, weighted draw won with capacity ` +
+                `${weights[index]}/${total} (${total ? Math.round(weights[index] / total * 100) : Math.round(100 / group.length)}%)`
+        };
+    }
+
+    /**
+     * Describe how often each instance has been selected, e.g. "SMF-1: 3, SMF-2: 2"
+     * @param {string} nfType - Only instances of this type (optional)
+     * @returns {string} Selection distribution
+     */
+    describeSelectionDistribution(nfType = null) {
+        return Array.from(this.selectionCounts.entries())
+            .map(([id, count]) => [this.registry.get(id) || window.dataStore?.getNFById(id), count])
+            .filter(([nf]) => nf && (!nfType || (nf.nfType || nf.type) === nfType))
+            .map(([nf, count]) => `${nf.nfName || nf.name}: ${count}`)
+            .join(', ');
+    }
+
+    // ==========================================
+    // NRF Hierarchy (multiple NRF instances)
+    // ==========================================
+
+    /**
+     * Get all NRF instances on the canvas
+     * @returns {Array} NRF NF objects
+     */
+    getNRFInstances() {
+        return (window.dataStore?.getAllNFs() || []).filter(nf => nf.type === 'NRF');
+    }
+
+    /**
+     * Pick the NRF an NF registers with: a directly connected NRF, one on a shared
+     * service bus, otherwise the first NRF on the canvas
+     * @param {string} nfInstanceId - NF instance ID
+     * @returns {string|null} NRF instance ID
+     */
+    resolveServingNRF(nfInstanceId) {
+        return window.connectionManager?.findReachableNRF(nfInstanceId) ||
+            this.getNRFInstances()[0]?.id || null;
+    }
+
+    /**
+     * Check whether an NF's (live) registration is held by the given NRF
+     * (profiles without a serving NRF belong to every NRF)
+     * @param {string} nfInstanceId - NF instance ID
+     * @param {string} nrfId - NRF instance ID
+     * @returns {boolean}
+     */
+    isServedBy(nfInstanceId, nrfId) {
+        const profile = this.registry.get(nfInstanceId);
+        return !!profile && profile.nfStatus !== 'REMOVED' &&
+            (!profile.servingNrfId || profile.servingNrfId === nrfId);
+    }
+
+    /**
+     * Get the registry of one NRF instance
+     * @param {string} nrfId - NRF instance ID
+     * @returns {Array} NF profiles registered with that NRF
+     */
+    getRegistryForNRF(nrfId) {
+        return this.getAllRegisteredNFs().filter(profile => profile.servingNrfId === nrfId);
+    }
+
+    /**
+     * @param {string|null} nrfId - NRF instance ID
+     * @returns {string} NRF display name
+     */
+    getNRFName(nrfId) {
+        if (!nrfId) return 'NRF';
+        return window.dataStore?.getNFById(nrfId)?.name || nrfId;
+    }
+
+    /**
+     * @param {string|null} nrfId - NRF instance ID
+     * @returns {string} 'LOCAL' or 'PLMN'
+     */
+    getNRFLevel(nrfId) {
+        return window.dataStore?.getNFById(nrfId)?.config?.nrfLevel || 'LOCAL';
+    }
+
+    /**
+     * @param {string|null} nrfId - NRF instance ID
+     * @returns {Object} { mcc, mnc } served by the NRF
+     */
+    getNRFPlmn(nrfId) {
+        return { ...(window.dataStore?.getNFById(nrfId)?.config?.plmnId || this.defaultPlmnId) };
+    }
+
+    /**
+     * Decide where an NRF forwards a discovery request it cannot answer:
+     * - a configured parent NRF always wins
+     * - a local NRF falls back to the PLMN-level NRF of its own PLMN
+     * - a PLMN-level NRF forwards only roaming requests, to the PLMN-level NRF of the target PLMN
+     * @param {string} nrfId - NRF that had no match
+     * @param {Object} params - Normalized discovery query
+     * @returns {string|null} Next NRF instance ID
+     */
+    getForwardingNRF(nrfId, params) {
+        const nrf = window.dataStore?.getNFById(nrfId);
+        if (!nrf) return null;
+
+        const parentId = nrf.config.parentNrfId;
+        if (parentId && parentId !== nrfId && window.dataStore.getNFById(parentId)?.type === 'NRF') {
+            return parentId;
+        }
+
+        const findPlmnNrf = (plmnId) => this.getNRFInstances().find(other =>
+            other.id !== nrfId &&
+            this.getNRFLevel(other.id) === 'PLMN' &&
+            this.isSamePlmn(this.getNRFPlmn(other.id), plmnId)
+        )?.id || null;
+
+        const ownPlmn = this.getNRFPlmn(nrfId);
+        if (this.getNRFLevel(nrfId) === 'PLMN') {
+            if (!params.targetPlmn || this.isSamePlmn(params.targetPlmn, ownPlmn)) return null;
+            return findPlmnNrf(params.targetPlmn);
+        }
+
+        return findPlmnNrf(ownPlmn);
+    }
+
+    /**
+     * --- ADDED: Configure NRF hierarchy ---
+     * @param {string} nrfId - NRF instance ID
+     * @param {Object} settings - { nrfLevel: 'LOCAL'|'PLMN', parentNrfId, plmnId: { mcc, mnc } }
+     * @returns {string|null} Reason the settings were rejected, or null on success
+     */
+    setNRFHierarchy(nrfId, settings) {
+        const nrf = window.dataStore?.getNFById(nrfId);
+        if (!nrf || nrf.type !== 'NRF') return 'Not an NRF instance';
+
+        const { nrfLevel, parentNrfId, plmnId } = settings;
+
+        if (!['LOCAL', 'PLMN'].includes(nrfLevel)) {
+            return `Unknown NRF level ${nrfLevel}`;
+        }
+        if (!/^\d{3}$/.test(plmnId?.mcc || '') || !/^\d{2,3}$/.test(plmnId?.mnc || '')) {
+            return 'PLMN ID needs a 3-digit MCC and a 2 or 3-digit MNC';
+        }
+
+        if (parentNrfId) {
+            if (parentNrfId === nrfId) return 'An NRF cannot be its own parent';
+            if (window.dataStore.getNFById(parentNrfId)?.type !== 'NRF') return 'Parent NRF does not exist';
+
+            // Walk up from the parent; reaching this NRF again would loop forwarded requests
+            let ancestorId = parentNrfId;
+            const seen = new Set();
+            while (ancestorId && !seen.has(ancestorId)) {
+                if (ancestorId === nrfId) {
+                    return `${this.getNRFName(parentNrfId)} already forwards to ${nrf.name}`;
+                }
+                seen.add(ancestorId);
+                ancestorId = window.dataStore.getNFById(ancestorId)?.config?.parentNrfId;
+            }
+        }
+
+        nrf.config.nrfLevel = nrfLevel;
+        nrf.config.parentNrfId = parentNrfId || null;
+        nrf.config.plmnId = { mcc: plmnId.mcc, mnc: plmnId.mnc };
+        window.dataStore.updateNF(nrfId, nrf);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(nrfId, 'INFO', 'NRF hierarchy updated', {
+                nrfLevel,
+                plmnId: `${plmnId.mcc}-${plmnId.mnc}`,
+                parentNrf: parentNrfId ? this.getNRFName(parentNrfId) : 'none',
+                registeredNFs: this.getRegistryForNRF(nrfId).length
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Get discovery request/response records (history)
+     * @param {string} nrfId - Only discoveries that passed through this NRF (optional)
+     * @returns {Array}
+     */
+    getAllDiscoveryRecords(nrfId = null) {
+        if (!nrfId) return [...this.discoveryHistory];
+        return this.discoveryHistory.filter(record => record.hops.some(hop => hop.nrfInstanceId === nrfId));
+    }
+
+    // ==========================================
+    // Nnrf_AccessToken
+    // ==========================================
+
+    /**
+     * --- ADDED: Request Access Token ---
+     * OAuth2 client credentials grant (POST /oauth2/token). A token is only issued when the
+     * requester's NF type is allowed by the producer profile (empty allowedNfTypes = any type),
+     * and its scope is limited to services whose own allowedNfTypes admit the requester.
+     * @param {string} requesterId - nfInstanceId of the consumer
+     * @param {Object} tokenRequest - Token request parameters
+     * @param {string} tokenRequest.targetNfType - Producer NF type
+     * @param {string} tokenRequest.targetNfInstanceId - Specific producer instance (optional)
+     * @param {string} tokenRequest.scope - Space separated service names (optional, default: all allowed)
+     * @returns {Object} { status, body } with AccessTokenRsp on 200, AccessTokenErr otherwise
+     */
+    requestAccessToken(requesterId, tokenRequest = {}) {
+        const requester = this.registry.get(requesterId);
+        const requesterNF = window.dataStore?.getNFById(requesterId);
+        const requesterType = requester?.nfType || requesterNF?.type;
+        const nrfInstanceId = requester?.servingNrfId || this.resolveServingNRF(requesterId) || 'nrf';
+
+        const request = {
+            grant_type: 'client_credentials',
+            nfInstanceId: requesterId,
+            nfType: requesterType,
+            targetNfType: tokenRequest.targetNfType,
+            ...(tokenRequest.targetNfInstanceId ? { targetNfInstanceId: tokenRequest.targetNfInstanceId } : {}),
+            scope: tokenRequest.scope || ''
+        };
+
+        const deny = (status, error, description) => this.recordAccessToken(requesterId, requesterNF, requester, request, {
+            status,
+            body: { error, error_description: description }
+        });
+
+        if (!requester || requester.nfStatus !== 'REGISTERED') {
+            return deny(401, 'invalid_client', `${requesterNF?.name || requesterId} is not registered with the NRF`);
+        }
+
+        const producer = tokenRequest.targetNfInstanceId
+            ? this.registry.get(tokenRequest.targetNfInstanceId)
+            : this.getAllRegisteredNFs()
+                .filter(profile => profile.nfType === tokenRequest.targetNfType && profile.nfStatus === 'REGISTERED')
+                .sort((a, b) => this.compareDiscoveryResults(a, b))[0];
+
+        if (!producer || producer.nfStatus !== 'REGISTERED') {
+            return deny(400, 'invalid_request', `No registered ${tokenRequest.targetNfType || 'producer'} instance found`);
+        }
+
+        const allowed = producer.allowedNfTypes || [];
+        if (allowed.length > 0 && !allowed.includes(requesterType)) {
+            return deny(403, 'unauthorized_client',
+                `${requesterType} is not in ${producer.nfType} allowedNfTypes [${allowed.join(', ')}]`);
+        }
+
+        const permittedServices = this.getDiscoverableServices(producer, {
+            serviceNames: [],
+            requesterNfType: requesterType
+        }).map(svc => svc.serviceName);
+        const requestedServices = tokenRequest.scope ? tokenRequest.scope.split(' ').filter(Boolean) : permittedServices;
+        const scope = requestedServices.filter(name => permittedServices.includes(name));
+
+        if (scope.length === 0) {
+            return deny(403, 'invalid_scope',
+                `None of the requested services are available to ${requesterType}`);
+        }
+
+        const issuedAt = Math.floor(this.now() / 1000);
+        const claims = {
+            iss: nrfInstanceId,
+            sub: requesterId,
+            aud: producer.nfInstanceId,
+            scope: scope.join(' '),
+            exp: issuedAt + this.accessTokenValidity / 1000,
+            iat: issuedAt,
+            consumerNfType: requesterType,
+            producerNfType: producer.nfType
+        };
+
+        return this.recordAccessToken(requesterId, requesterNF, requester, request, {
+            status: 200,
+            body: {
+                access_token: this.encodeAccessToken(claims),
+                token_type: 'Bearer',
+                expires_in: this.accessTokenValidity / 1000,
+                scope: claims.scope
+            },
+            claims
+        });
+    }
+
+    /**
+     * Store an access token exchange and log it on the requester
+     * @param {string} requesterId - Consumer nfInstanceId
+     * @param {Object} requesterNF - Consumer NF from the data store (may be null)
+     * @param {Object} requester - Consumer profile from the registry (may be null)
+     * @param {Object} request - AccessTokenReq
+     * @param {Object} result - { status, body, claims }
+     * @returns {Object} { status, body, claims }
+     */
+    recordAccessToken(requesterId, requesterNF, requester, request, result) {
+        const granted = result.status === 200;
+
+        this.accessTokenHistory.push({
+            nfInstanceId: requesterId,
+            nfType: request.nfType,
+            nfName: requester?.nfName || requesterNF?.name || requesterId,
+            timestamp: this.now(),
+            request,
+            response: granted
+                ? { status: 200, ...result.body, claims: result.claims }
+                : { status: result.status, ...result.body }
+        });
+
+        if (window.logEngine) {
+            if (granted) {
+                window.logEngine.addLog(requesterId, 'SUCCESS',
+                    `Access token granted by NRF for ${request.targetNfType}`, {
+                    uri: 'POST /oauth2/token',
+                    audience: result.claims.aud,
+                    scope: result.claims.scope,
+                    expiresIn: result.body.expires_in + ' seconds'
+                });
+            } else {
+                window.logEngine.addLog(requesterId, result.status === 403 ? 'ERROR' : 'WARNING',
+                    `Access token request denied by NRF (${result.status} ${this.getStatusText(result.status)})`, {
+                    uri: 'POST /oauth2/token',
+                    targetNfType: request.targetNfType,
+                    error: result.body.error,
+                    reason: result.body.error_description
+                });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Encode claims as a signed-looking JWT (header.payload.signature, base64url)
+     * The signature is a deterministic digest for display only - it is not cryptographic.
+     * @param {Object} claims - JWT claims
+     * @returns {string} Compact JWT
+     */
+    encodeAccessToken(claims) {
+        const base64url = (text) => btoa(unescape(encodeURIComponent(text)))
+            .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+        const signingInput = `${base64url(JSON.stringify({ alg: 'ES256', typ: 'JWT' }))}.${base64url(JSON.stringify(claims))}`;
+
+        // FNV-1a digests over the signing input, widened to 64 bytes like an ES256 signature
+        let signature = '';
+        for (let round = 0; round < 8; round++) {
+            let hash = 0x811c9dc5 ^ round;
+            for (let i = 0; i < signingInput.length; i++) {
+                hash ^= signingInput.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193) >>> 0;
+            }
+            signature += hash.toString(16).padStart(8, '0').repeat(2);
+        }
+
+        const signatureBytes = signature.match(/../g).map(byte => String.fromCharCode(parseInt(byte, 16))).join('');
+        return `${signingInput}.${btoa(signatureBytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+    }
+
+    /**
+     * Get all access token request/response records (history)
+     * @returns {Array}
+     */
+    getAllAccessTokenRecords() {
+        return [...this.accessTokenHistory];
+    }
+
+    /**
+     * Get all subscribe request/response records (history)
+     * @returns {Array}
+     */
+    getAllSubscriptionRecords() {
+        return [...this.subscriptionHistory];
+    }
+
+    /**
+     * Get all notification records (history)
+     * @returns {Array}
+     */
+    getAllNotificationRecords() {
+        return [...this.notificationHistory];
+    }
+
+    /**
+     * Get allowed NF types based on NF type (3GPP dependencies)
+     * @param {string} nfType - NF type
      * @returns {Array} Array of allowed NF types
      */
     getAllowedNfTypes(nfType) {
@@ -522,6 +2452,35 @@ class NRFRegistry {
         return allowedTypes[nfType] || [];
     }
 
+    /**
+     * Get default PLMN / slice / DNN / TAI / locality attributes for an NF profile
+     * Values mirror the lab subscriber data (PLMN of the serving NRF, default 001-01, DNN 5G-Lab, SST 1, TAC 1);
+     * locality is the NF's /24 subnet so preferred-locality favours same-subnet NFs
+     * @param {Object} nfProfile - NF profile
+     * @param {string} nrfId - Serving NRF, whose PLMN the NF joins (optional)
+     * @returns {Object} Profile attributes
+     */
+    getDefaultProfileAttributes(nfProfile, nrfId = null) {
+        const plmnId = this.getNRFPlmn(nrfId);
+        const attributes = {
+            plmnList: [plmnId],
+            sNssais: [{ sst: 1 }],
+            locality: nfProfile.ipAddress
+                ? nfProfile.ipAddress.split('.').slice(0, 3).join('.')
+                : 'default'
+        };
+
+        if (nfProfile.nfType === 'SMF' || nfProfile.nfType === 'UPF') {
+            attributes.dnnList = ['5G-Lab'];
+        }
+
+        if (nfProfile.nfType === 'AMF' || nfProfile.nfType === 'SMF' || nfProfile.nfType === 'UPF') {
+            attributes.taiList = [{ plmnId, tac: '1' }];
+        }
+
+        return attributes;
+    }
+
     /**
      * Build NF services array with detailed service information
      * @param {Object} nfProfile - NF profile
@@ -671,13 +2630,12 @@ class NRFRegistry {
     }
 
     /**
-     * Generate unique service instance ID
+     * Generate unique service instance ID (drawn from the seeded sequence only,
+     * so the same seed yields the same IDs)
      * @returns {string} Service instance ID
      */
     generateServiceId() {
-        const timestamp = Date.now().toString(36);
-        const random = Math.random().toString(36).substring(2, 6);
-        return `${timestamp}-${random}`;
+        return `${window.simRandom.string(8)}-${window.simRandom.string(4)}`;
     }
 
     /**
@@ -699,13 +2657,13 @@ class NRFRegistry {
 
         // Store interval ID on the NF profile for cleanup
         if (!profile.deregisteredMonitorIntervalId) {
-            profile.deregisteredMonitorIntervalId = setInterval(() => {
+            profile.deregisteredMonitorIntervalId = window.simClock.setInterval(() => {
                 // Check if NF still exists
                 const currentNF = window.dataStore?.getNFById(nfInstanceId);
                 if (!currentNF) {
                     // NF was deleted, stop monitoring
                     console.log(`🛑 Stopping deregistered monitoring for ${profile.nfName} - NF deleted`);
-                    clearInterval(profile.deregisteredMonitorIntervalId);
+                    window.simClock.clearInterval(profile.deregisteredMonitorIntervalId);
                     profile.deregisteredMonitorIntervalId = null;
                     return;
                 }
@@ -715,13 +2673,13 @@ class NRFRegistry {
                 if (currentProfile && currentProfile.nfStatus === 'REGISTERED') {
                     // NF was re-registered, stop monitoring
                     console.log(`🛑 Stopping deregistered monitoring for ${profile.nfName} - NF re-registered`);
-                    clearInterval(profile.deregisteredMonitorIntervalId);
+                    window.simClock.clearInterval(profile.deregisteredMonitorIntervalId);
                     profile.deregisteredMonitorIntervalId = null;
                     return;
                 }
 
                 // Calculate time since deregistration
-                const timeSinceDeregistration = Date.now() - profile.deregisteredAt;
+                const timeSinceDeregistration = this.now() - profile.deregisteredAt;
                 const secondsSinceDeregistration = Math.floor(timeSinceDeregistration / 1000);
 
                 // Generate WARNING log
@@ -741,7 +2699,7 @@ class NRFRegistry {
                 }
 
                 console.log(`⚠️ NRF: ${profile.nfName} is AVAILABLE but NOT REGISTERED (${secondsSinceDeregistration}s since deregistration)`);
-            }, 20000); // 20 seconds interval
+            }, 20000); // 20 simulated seconds interval
 
             console.log(`✅ Deregistered NF monitoring started for ${profile.nfName} (every 20 seconds)`);
         }
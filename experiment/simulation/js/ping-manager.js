@@ -34,7 +34,7 @@ class PingManager {
             return;
         }
 
-        const pingId = `ping-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+        const pingId = `ping-${Date.now()}-${window.simRandom.string(5)}`;
         
         // Determine source IP based on interface
         let sourceIP = sourceNf.config.ipAddress;
@@ -44,6 +44,9 @@ class PingManager {
         
         // Check if target is reachable
         const isReachable = this.isTargetReachable(sourceNf, targetIP, interfaceName);
+        // --- ADDED: Injected faults on this path (see FaultManager) ---
+        const blockingFault = window.faultManager?.getBlockingFault(sourceNf, targetIP) || null;
+        const addedLatency = window.faultManager?.getAddedLatency(sourceNf, targetIP) || 0;
         
         console.log(`🏓 Starting ping from ${sourceNf.name} to ${targetIP} (interface: ${interfaceName || 'default'})`);
         
@@ -67,6 +70,14 @@ class PingManager {
                 interface: iface,
                 sourceIP: sourceIP
             });
+
+            if (blockingFault) {
+                window.logEngine.addLog(sourceNfId, 'WARNING',
+                    `Path to ${targetIP} is down: ${blockingFault}`, {
+                    cause: 'Injected fault',
+                    targetIP: targetIP
+                });
+            }
         }
 
         // Progressive ping replies
@@ -76,9 +87,11 @@ class PingManager {
         for (let i = 1; i <= maxCount; i++) {
             await this.delay(1000); // 1 second delay between pings (Linux standard)
             
-            if (isReachable) {
+            const lost = window.faultManager?.isPacketLost(sourceNf, targetIP, i) || false;
+
+            if (isReachable && !lost) {
                 // Successful ping - Linux format
-                const responseTime = this.generateLinuxResponseTime(targetIP);
+                const responseTime = (parseFloat(this.generateLinuxResponseTime(targetIP)) + addedLatency).toFixed(1);
                 const ttl = this.getTTLForTarget(targetIP);
                 
                 results.push({
@@ -111,6 +124,7 @@ class PingManager {
                         `Request timeout for icmp_seq ${i}`, {
                         sequence: i,
                         status: 'TIMEOUT',
+                        cause: lost ? 'Packet dropped on lossy link (injected fault)' : undefined,
                         format: 'linux'
                     });
                 }
@@ -138,14 +152,14 @@ class PingManager {
     generateLinuxResponseTime(targetIP) {
         // Internet (8.8.8.8) - 30-40ms
         if (targetIP === '8.8.8.8' || targetIP === '8.8.4.4') {
-            return (Math.random() * 10 + 30).toFixed(1);
+            return (window.simRandom.next() * 10 + 30).toFixed(1);
         }
         // Gateway (10.0.0.1) - 9-20ms
         if (targetIP === '10.0.0.1') {
-            return (Math.random() * 11 + 9).toFixed(1);
+            return (window.simRandom.next() * 11 + 9).toFixed(1);
         }
         // UPF or local network - 20-25ms
-        return (Math.random() * 5 + 20).toFixed(1);
+        return (window.simRandom.next() * 5 + 20).toFixed(1);
     }
 
     /**
@@ -230,6 +244,11 @@ class PingManager {
      * @returns {boolean} True if reachable
      */
     isTargetReachable(sourceNf, targetIP, interfaceName = null) {
+        // Injected faults (crashed NF, partitioned subnet, 100% loss link) override everything below
+        if (window.faultManager?.getBlockingFault(sourceNf, targetIP)) {
+            return false;
+        }
+
         // SPECIAL CASE: Internet connectivity (8.8.8.8) via tun interface
         if (sourceNf.type === 'UE' && interfaceName && sourceNf.config?.tunInterface) {
             // UE can reach internet through tun interface if PDU session is established
@@ -257,7 +276,7 @@ class PingManager {
             const upfGw = upf?.config?.tun0Interface?.gatewayIP;
             if ((targetIP === uetun0IP) || (upfGw && targetIP === upfGw)) {
                 // Consider this path reachable with very high probability
-                return Math.random() < 0.98;
+                return window.simRandom.chance(0.98);
             }
         }
 
@@ -277,23 +296,23 @@ class PingManager {
         if (!targetNf) {
             // IP not found in topology but in same subnet - simulate 20% success for unknown IPs in same subnet
             console.log(`⚠️ Target IP ${targetIP} not found in topology but in same subnet - 20% success rate`);
-            return Math.random() < 0.2;
+            return window.simRandom.chance(0.2);
         }
 
         // RULE 2: Both services must be stable for reliable communication
         if (sourceNf.status !== 'stable' || targetNf.status !== 'stable') {
             console.log(`⚠️ Service status check: ${sourceNf.name}(${sourceNf.status}) → ${targetNf.name}(${targetNf.status}) - 30% success rate`);
-            return Math.random() < 0.3; // 30% success if not both stable
+            return window.simRandom.chance(0.3); // 30% success if not both stable
         }
 
         // RULE 3: Same subnet and both stable - check connectivity
         const connected = this.areNFsConnected(sourceNf, targetNf);
         if (connected) {
             console.log(`✅ Connected services in same subnet: ${sourceNf.name} → ${targetNf.name} - 95% success rate`);
-            return Math.random() < 0.95; // High success rate for connected services
+            return window.simRandom.chance(0.95); // High success rate for connected services
         } else {
             console.log(`⚠️ Unconnected services in same subnet: ${sourceNf.name} → ${targetNf.name} - 70% success rate`);
-            return Math.random() < 0.7; // Lower success rate for unconnected services in same subnet
+            return window.simRandom.chance(0.7); // Lower success rate for unconnected services in same subnet
         }
     }
 
@@ -329,7 +348,7 @@ class PingManager {
         }
 
         // If no connection found, simulate 90% success rate for same network stable services
-        return Math.random() < 0.9;
+        return window.simRandom.chance(0.9);
     }
 
     /**
@@ -348,8 +367,8 @@ class PingManager {
      */
     generateResponseTime() {
         // Generate response times between 1-60ms with realistic distribution
-        const baseTime = Math.random() * 50 + 1; // 1-51ms
-        const variation = (Math.random() - 0.5) * 10; // ±5ms variation
+        const baseTime = window.simRandom.next() * 50 + 1; // 1-51ms
+        const variation = (window.simRandom.next() - 0.5) * 10; // ±5ms variation
         return Math.max(1, Math.round(baseTime + variation));
     }
 
@@ -0,0 +1,314 @@
+/**
+ * ============================================
+ * QUIZ ENGINE
+ * ============================================
+ * Runs pretest.json / posttest.json inside the simulation
+ *
+ * Responsibilities:
+ * - Load the Virtual Labs quiz files, plus practical-questions.json for the post-test
+ * - Track one attempt at a time: answers, correctness and time per question
+ * - Check practical questions against live simulator state (NRF, topology, subscribers)
+ * - Keep finished attempts in localStorage and export them as JSON
+ */
+
+class QuizEngine {
+    constructor() {
+        this.quizzes = new Map(); // kind ('pretest' | 'posttest') -> questions
+        this.attempt = null;
+        this.storageKey = 'quizAttempts';
+        this.maxStoredAttempts = 20;
+
+        console.log('✅ QuizEngine initialized');
+    }
+
+    /**
+     * Practical checks a question can reference with "check"
+     * @returns {Object} Check name -> { description, evaluate(params) }
+     */
+    getPracticalChecks() {
+        const allNFs = () => window.dataStore?.getAllNFs() || [];
+        const nrfStatus = nf => window.nrfRegistry?.getNFProfile(nf.id)?.nfStatus || 'NOT_REGISTERED';
+        const findNF = name => allNFs().find(nf => nf.name === name);
+
+        return {
+            nrfRegisteredCount: {
+                description: 'NFs REGISTERED in the NRF (optional "nfType")',
+                evaluate: ({ nfType } = {}) => allNFs()
+                    .filter(nf => !nfType || nf.type === nfType)
+                    .filter(nf => nrfStatus(nf) === 'REGISTERED').length
+            },
+            nfCount: {
+                description: 'NFs on the canvas (optional "nfType" and "status")',
+                evaluate: ({ nfType, status } = {}) => allNFs()
+                    .filter(nf => (!nfType || nf.type === nfType) && (!status || nf.status === status)).length
+            },
+            interfaceCount: {
+                description: 'Connections with interface "name" (N1, N2, N3, N4, N6, ...)',
+                evaluate: ({ name } = {}) => (window.dataStore?.getAllConnections() || [])
+                    .filter(conn => conn.interfaceName === name).length
+            },
+            nrfStatusOf: {
+                description: 'NRF status of NF "nf" (NOT_REGISTERED if it has no profile)',
+                evaluate: ({ nf } = {}) => {
+                    const target = findNF(nf);
+                    return target ? nrfStatus(target) : 'NOT_REGISTERED';
+                }
+            },
+            subscriberCount: {
+                description: 'Subscribers provisioned in the UDR store',
+                evaluate: () => (window.dataStore?.getSubscribers() || []).length
+            }
+        };
+    }
+
+    // ==========================================
+    // Loading
+    // ==========================================
+
+    /**
+     * Load a quiz (cached)
+     * @param {string} kind - 'pretest' or 'posttest'
+     * @returns {Promise<Array>} Questions (multiple choice, plus practical ones for the post-test)
+     */
+    async loadQuiz(kind) {
+        if (this.quizzes.has(kind)) return this.quizzes.get(kind);
+
+        const fetchQuestions = async (file) => {
+            try {
+                const response = await fetch(`../${file}`);
+                if (!response.ok) {
+                    throw new Error(`Failed to load ${file}: ${response.statusText}`);
+                }
+                const data = await response.json();
+                return Array.isArray(data.questions) ? data.questions : [];
+            } catch (error) {
+                console.warn(`⚠️ Could not load ${file}:`, error);
+                return [];
+            }
+        };
+
+        const questions = (await fetchQuestions(`${kind}.json`)).map(q => ({ ...q, type: 'choice' }));
+        if (kind === 'posttest') {
+            const practical = await fetchQuestions('practical-questions.json');
+            questions.push(...practical.map(q => ({ ...q, type: 'practical' })));
+        }
+
+        const checks = this.getPracticalChecks();
+        const usable = questions.filter(q => q.type === 'choice'
+            ? q.answers && q.answers[q.correctAnswer] !== undefined
+            : !!checks[q.check]);
+        if (usable.length !== questions.length) {
+            console.warn(`⚠️ Skipped ${questions.length - usable.length} malformed ${kind} question(s)`);
+        }
+
+        this.quizzes.set(kind, usable);
+        console.log(`✅ Loaded ${usable.length} ${kind} question(s)`);
+        return usable;
+    }
+
+    // ==========================================
+    // Attempt
+    // ==========================================
+
+    /**
+     * Start a new attempt (replaces any unfinished one)
+     * @param {string} kind - 'pretest' or 'posttest'
+     * @returns {Promise<string|null>} Error message, or null on success
+     */
+    async start(kind) {
+        const questions = await this.loadQuiz(kind);
+        if (questions.length === 0) {
+            return `No ${kind} questions available`;
+        }
+
+        this.attempt = {
+            kind,
+            startedAt: Date.now(),
+            finishedAt: null,
+            randomSeed: window.simRandom?.getSeed(),
+            questions,
+            answers: [],
+            current: 0,
+            presentedAt: Date.now()
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO', `${this.getTitle(kind)} started`, {
+                questions: questions.length
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * @returns {Object|null} { index, total, question } for the question being shown
+     */
+    getCurrentQuestion() {
+        if (!this.attempt || this.isFinished()) return null;
+
+        return {
+            index: this.attempt.current,
+            total: this.attempt.questions.length,
+            question: this.attempt.questions[this.attempt.current]
+        };
+    }
+
+    /**
+     * Answer the current question; practical questions are checked against the simulator now
+     * @param {string} value - Option key (a, b, ...) or free-text answer for practical questions
+     * @returns {Object|null} Recorded answer { index, answer, expected, correct, explanation, timeMs }
+     */
+    answer(value) {
+        const current = this.getCurrentQuestion();
+        if (!current || this.attempt.answers[current.index]) return null;
+
+        const question = current.question;
+        const answeredAt = Date.now();
+        let expected;
+        let correct;
+        let explanation;
+
+        if (question.type === 'practical') {
+            expected = String(this.getPracticalChecks()[question.check].evaluate(question.params || {}));
+            correct = String(value).trim().toLowerCase() === expected.toLowerCase();
+            explanation = `${correct ? 'Correct.' : 'Incorrect.'} The simulator currently shows ${expected}.` +
+                (question.explanation ? ` ${question.explanation}` : '');
+        } else {
+            expected = question.correctAnswer;
+            correct = value === expected;
+            explanation = question.explanations?.[value] ||
+                (correct ? 'Correct.' : `Incorrect. The correct answer is ${expected}.`);
+        }
+
+        const record = {
+            index: current.index,
+            question: question.question,
+            type: question.type,
+            answer: String(value),
+            expected,
+            correct,
+            explanation,
+            timeMs: answeredAt - this.attempt.presentedAt
+        };
+        this.attempt.answers[current.index] = record;
+
+        return record;
+    }
+
+    /**
+     * Move to the next question, finishing the attempt after the last one
+     * @returns {Object|null} Summary when the attempt finished, otherwise null
+     */
+    next() {
+        if (!this.attempt || !this.attempt.answers[this.attempt.current]) return null;
+
+        this.attempt.current++;
+        this.attempt.presentedAt = Date.now();
+
+        return this.isFinished() ? this.finish() : null;
+    }
+
+    /**
+     * Drop the current attempt (finished attempts stay in localStorage)
+     */
+    reset() {
+        this.attempt = null;
+    }
+
+    /**
+     * @returns {boolean} True once every question was answered
+     */
+    isFinished() {
+        return !!this.attempt && this.attempt.current >= this.attempt.questions.length;
+    }
+
+    /**
+     * Close the attempt, store it and log the score
+     * @returns {Object} Summary { kind, score, total, percent, totalTimeMs, answers, ... }
+     */
+    finish() {
+        this.attempt.finishedAt = Date.now();
+        const summary = this.getSummary();
+        this.storeAttempt(summary);
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'SUCCESS',
+                `${this.getTitle(summary.kind)} finished: ${summary.score}/${summary.total} (${summary.percent}%)`, {
+                totalTime: `${Math.round(summary.totalTimeMs / 1000)}s`,
+                practical: `${summary.practicalScore}/${summary.practicalTotal}`
+            });
+        }
+
+        return summary;
+    }
+
+    /**
+     * @returns {Object|null} Summary of the current attempt
+     */
+    getSummary() {
+        if (!this.attempt) return null;
+
+        const answers = this.attempt.answers.filter(Boolean);
+        const score = answers.filter(a => a.correct).length;
+        const total = this.attempt.questions.length;
+        const practical = answers.filter(a => a.type === 'practical');
+
+        return {
+            kind: this.attempt.kind,
+            startedAt: new Date(this.attempt.startedAt).toISOString(),
+            finishedAt: this.attempt.finishedAt ? new Date(this.attempt.finishedAt).toISOString() : null,
+            randomSeed: this.attempt.randomSeed,
+            score,
+            total,
+            percent: total ? Math.round(score / total * 100) : 0,
+            practicalScore: practical.filter(a => a.correct).length,
+            practicalTotal: this.attempt.questions.filter(q => q.type === 'practical').length,
+            totalTimeMs: (this.attempt.finishedAt || Date.now()) - this.attempt.startedAt,
+            answers
+        };
+    }
+
+    // ==========================================
+    // Stored attempts
+    // ==========================================
+
+    /**
+     * @returns {Array} Finished attempts, oldest first
+     */
+    getStoredAttempts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * @param {Object} summary - Finished attempt summary
+     */
+    storeAttempt(summary) {
+        try {
+            const attempts = [...this.getStoredAttempts(), summary].slice(-this.maxStoredAttempts);
+            localStorage.setItem(this.storageKey, JSON.stringify(attempts));
+        } catch (error) {
+            console.warn('⚠️ Could not store quiz attempt:', error);
+        }
+    }
+
+    /**
+     * @param {Object} summary - Attempt summary
+     * @returns {string} Pretty-printed JSON
+     */
+    exportAttemptAsJSON(summary) {
+        return JSON.stringify(summary, null, 2);
+    }
+
+    /**
+     * @param {string} kind - 'pretest' or 'posttest'
+     * @returns {string} Display title
+     */
+    getTitle(kind) {
+        return kind === 'pretest' ? 'Pre-test' : 'Post-test';
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * ============================================
+ * RUBRIC EVALUATOR
+ * ============================================
+ * Scores the current topology against an instructor rubric (rubrics.json or pasted)
+ *
+ * Responsibilities:
+ * - Load and validate rubrics: expected NF types, required interfaces
+ *   (N1, N2, N3, N4, SBI, ...), NRF registration states and subscriber assignments
+ * - Evaluate every criterion against DataStore and NRFRegistry
+ * - Produce a scored report with per-criterion feedback, exportable as JSON
+ */
+
+class RubricEvaluator {
+    constructor() {
+        // Rubrics bundled with the experiment (rubrics.json), keyed by rubric ID
+        this.rubrics = null;
+        this.defaultPassPercent = 60;
+
+        console.log('✅ RubricEvaluator initialized');
+    }
+
+    /**
+     * Load the bundled rubrics (cached)
+     * @returns {Promise<Object>} Rubric ID -> rubric
+     */
+    async loadRubrics() {
+        if (this.rubrics) return this.rubrics;
+
+        try {
+            const response = await fetch('../rubrics.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load rubrics.json: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.rubrics = data.rubrics || {};
+            console.log(`✅ Loaded ${Object.keys(this.rubrics).length} rubric(s)`);
+        } catch (error) {
+            console.warn('⚠️ Could not load rubrics.json:', error);
+            this.rubrics = {};
+        }
+
+        return this.rubrics;
+    }
+
+    // ==========================================
+    // Parsing / validation
+    // ==========================================
+
+    /**
+     * Parse and validate a rubric
+     * @param {string} text - Rubric as JSON
+     * @returns {Object} { rubric, errors }
+     */
+    parseRubric(text) {
+        let rubric;
+        try {
+            rubric = JSON.parse(text);
+        } catch (error) {
+            return { rubric: null, errors: [`Malformed JSON: ${error.message}`] };
+        }
+
+        return { rubric, errors: this.validateRubric(rubric) };
+    }
+
+    /**
+     * @param {Object} rubric - Rubric
+     * @returns {Array<string>} Problems found (empty if the rubric can be evaluated)
+     */
+    validateRubric(rubric) {
+        if (!rubric || typeof rubric !== 'object' || Array.isArray(rubric)) {
+            return ['Rubric must be a JSON object'];
+        }
+
+        const errors = [];
+        const sections = {
+            nfTypes: ['type'],
+            interfaces: ['name'],
+            nrfRegistrations: ['nfType'],
+            subscribers: ['imsi']
+        };
+
+        let criteriaCount = 0;
+        Object.entries(sections).forEach(([section, required]) => {
+            if (rubric[section] === undefined) return;
+            if (!Array.isArray(rubric[section])) {
+                errors.push(`"${section}" must be an array`);
+                return;
+            }
+            rubric[section].forEach((criterion, index) => {
+                const label = `${section}[${index}]`;
+                required.forEach(field => {
+                    if (!criterion || criterion[field] === undefined || criterion[field] === '') {
+                        errors.push(`${label}: missing "${field}"`);
+                    }
+                });
+                if (criterion?.points !== undefined && !(Number.isFinite(criterion.points) && criterion.points >= 0)) {
+                    errors.push(`${label}: "points" must be a number >= 0`);
+                }
+                if (criterion?.between !== undefined &&
+                    !(Array.isArray(criterion.between) && criterion.between.length === 2)) {
+                    errors.push(`${label}: "between" must list two NF types`);
+                }
+            });
+            criteriaCount += rubric[section].length;
+        });
+
+        if (criteriaCount === 0 && errors.length === 0) {
+            errors.push('Rubric has no criteria (nfTypes, interfaces, nrfRegistrations, subscribers)');
+        }
+        if (rubric.passPercent !== undefined &&
+            !(Number.isFinite(rubric.passPercent) && rubric.passPercent >= 0 && rubric.passPercent <= 100)) {
+            errors.push('"passPercent" must be between 0 and 100');
+        }
+
+        return errors;
+    }
+
+    // ==========================================
+    // Evaluation
+    // ==========================================
+
+    /**
+     * Score the current topology
+     * @param {Object} rubric - Validated rubric
+     * @returns {Object} Report { title, evaluatedAt, score, maxScore, percent, passed, criteria }
+     */
+    evaluate(rubric) {
+        const criteria = [
+            ...(rubric.nfTypes || []).map(c => this.checkNFType(c)),
+            ...(rubric.interfaces || []).map(c => this.checkInterface(c)),
+            ...(rubric.nrfRegistrations || []).map(c => this.checkRegistration(c)),
+            ...(rubric.subscribers || []).map(c => this.checkSubscriber(c))
+        ].map((result, index) => {
+            const points = result.criterion.points ?? 1;
+            return {
+                id: index + 1,
+                category: result.category,
+                description: result.criterion.description || result.description,
+                points,
+                earned: result.passed ? points : 0,
+                passed: result.passed,
+                feedback: result.passed ? result.detail : (result.criterion.feedback || result.detail)
+            };
+        });
+
+        const score = criteria.reduce((sum, c) => sum + c.earned, 0);
+        const maxScore = criteria.reduce((sum, c) => sum + c.points, 0);
+        const percent = maxScore ? Math.round(score / maxScore * 100) : 0;
+        const passPercent = rubric.passPercent ?? this.defaultPassPercent;
+
+        const report = {
+            rubric: rubric.title || 'Untitled rubric',
+            evaluatedAt: new Date().toISOString(),
+            randomSeed: window.simRandom?.getSeed(),
+            topology: {
+                nfs: (window.dataStore?.getAllNFs() || []).length,
+                connections: (window.dataStore?.getAllConnections() || []).length
+            },
+            score,
+            maxScore,
+            percent,
+            passPercent,
+            passed: percent >= passPercent,
+            criteria
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', report.passed ? 'SUCCESS' : 'WARNING',
+                `Assessment "${report.rubric}": ${score}/${maxScore} (${percent}%)`, {
+                passed: report.passed,
+                failedCriteria: criteria.filter(c => !c.passed).map(c => c.description)
+            });
+        }
+
+        return report;
+    }
+
+    /**
+     * @param {Object} criterion - { type, min?, max? }
+     * @returns {Object} { criterion, category, description, passed, detail }
+     */
+    checkNFType(criterion) {
+        const min = criterion.min ?? 1;
+        const nfs = (window.dataStore?.getAllNFs() || []).filter(nf => nf.type === criterion.type);
+        const tooFew = nfs.length < min;
+        const tooMany = criterion.max !== undefined && nfs.length > criterion.max;
+
+        let detail = `${nfs.length} ${criterion.type} instance(s) found`;
+        if (tooFew) detail += ` - add at least ${min - nfs.length} more`;
+        if (tooMany) detail += ` - at most ${criterion.max} expected`;
+
+        return {
+            criterion,
+            category: 'NF types',
+            description: criterion.max !== undefined
+                ? `${min}-${criterion.max} ${criterion.type} instance(s)`
+                : `At least ${min} ${criterion.type} instance(s)`,
+            passed: !tooFew && !tooMany,
+            detail
+        };
+    }
+
+    /**
+     * @param {Object} criterion - { name, between? } - name is an interface label (N2) or SBI
+     * @returns {Object} { criterion, category, description, passed, detail }
+     */
+    checkInterface(criterion) {
+        const between = criterion.between;
+        const typeOf = id => window.dataStore?.getNFById(id)?.type;
+        const joins = (typeA, typeB) => !between ||
+            (typeA === between[0] && typeB === between[1]) || (typeA === between[1] && typeB === between[0]);
+        // Service-based interfaces are labelled SBI or by service (Nnrf_NFManagement, Namf_Communication, ...)
+        const isSBI = name => name === 'SBI' || /^N[a-z]+_/.test(name || '');
+
+        const connection = (window.dataStore?.getAllConnections() || []).find(conn =>
+            (criterion.name === 'SBI' ? isSBI(conn.interfaceName) : conn.interfaceName === criterion.name) &&
+            joins(typeOf(conn.sourceId), typeOf(conn.targetId)));
+
+        // NFs on the same service bus also talk SBI to each other
+        let viaBus = false;
+        if (!connection && criterion.name === 'SBI') {
+            const busConnections = window.dataStore?.getAllBusConnections() || [];
+            viaBus = between
+                ? busConnections.some(a => busConnections.some(b =>
+                    a.busId === b.busId && a.nfId !== b.nfId && joins(typeOf(a.nfId), typeOf(b.nfId))))
+                : busConnections.length > 0;
+        }
+
+        const scope = between ? ` between ${between[0]} and ${between[1]}` : '';
+        let detail;
+        if (connection) {
+            const source = window.dataStore.getNFById(connection.sourceId);
+            const target = window.dataStore.getNFById(connection.targetId);
+            detail = `${connection.interfaceName}: ${source?.name} ↔ ${target?.name}`;
+        } else if (viaBus) {
+            detail = 'Connected through a service bus';
+        } else {
+            detail = `No ${criterion.name} connection${scope}`;
+        }
+
+        return {
+            criterion,
+            category: 'Interfaces',
+            description: `${criterion.name} interface${scope}`,
+            passed: !!connection || viaBus,
+            detail
+        };
+    }
+
+    /**
+     * @param {Object} criterion - { nfType, nfStatus? } - every instance of the type must have this NRF status
+     * @returns {Object} { criterion, category, description, passed, detail }
+     */
+    checkRegistration(criterion) {
+        const expected = criterion.nfStatus || 'REGISTERED';
+        const nfs = (window.dataStore?.getAllNFs() || []).filter(nf => nf.type === criterion.nfType);
+        const wrong = nfs
+            .map(nf => ({ nf, status: window.nrfRegistry?.getNFProfile(nf.id)?.nfStatus || 'NOT_REGISTERED' }))
+            .filter(({ status }) => status !== expected);
+
+        let detail;
+        if (nfs.length === 0) {
+            detail = `No ${criterion.nfType} in the topology`;
+        } else if (wrong.length > 0) {
+            detail = wrong.map(({ nf, status }) => `${nf.name} is ${status}`).join(', ');
+        } else {
+            detail = `${nfs.map(nf => nf.name).join(', ')} ${expected}`;
+        }
+
+        return {
+            criterion,
+            category: 'NRF registration',
+            description: `${criterion.nfType} ${expected} at the NRF`,
+            passed: nfs.length > 0 && wrong.length === 0,
+            detail
+        };
+    }
+
+    /**
+     * @param {Object} criterion - { imsi, dnn?, nssai_sst?, assigned? } - assigned defaults to true
+     * @returns {Object} { criterion, category, description, passed, detail }
+     */
+    checkSubscriber(criterion) {
+        const subscriber = (window.dataStore?.getSubscribers() || []).find(s => s.imsi === criterion.imsi);
+        const ue = (window.dataStore?.getAllNFs() || [])
+            .find(nf => nf.type === 'UE' && nf.config.subscriberImsi === criterion.imsi);
+        const mustBeAssigned = criterion.assigned !== false;
+
+        const problems = [];
+        if (!subscriber) {
+            problems.push('not provisioned in the subscriber database');
+        } else {
+            if (criterion.dnn !== undefined && subscriber.dnn !== criterion.dnn) {
+                problems.push(`DNN is ${subscriber.dnn}, expected ${criterion.dnn}`);
+            }
+            if (criterion.nssai_sst !== undefined && Number(subscriber.nssai_sst) !== Number(criterion.nssai_sst)) {
+                problems.push(`SST is ${subscriber.nssai_sst}, expected ${criterion.nssai_sst}`);
+            }
+        }
+        if (mustBeAssigned && !ue) {
+            problems.push('not assigned to any UE');
+        }
+
+        return {
+            criterion,
+            category: 'Subscribers',
+            description: `Subscriber ${criterion.imsi}${mustBeAssigned ? ' assigned to a UE' : ' provisioned'}`,
+            passed: problems.length === 0,
+            detail: problems.length > 0
+                ? `IMSI ${criterion.imsi} ${problems.join('; ')}`
+                : `IMSI ${criterion.imsi}${ue ? ` used by ${ue.name}` : ' provisioned'}`
+        };
+    }
+
+    /**
+     * @param {Object} report - Report from evaluate()
+     * @returns {string} Pretty-printed JSON
+     */
+    exportReportAsJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+}
@@ -0,0 +1,650 @@
+/**
+ * ============================================
+ * SCENARIO RUNNER
+ * ============================================
+ * Runs timed lab exercises described in JSON or YAML (scenarios.json or pasted by the instructor)
+ *
+ * Responsibilities:
+ * - Load and validate scenario scripts: a list of steps, each waiting `delay`
+ *   simulated ms after the previous one
+ * - Start every run on an empty canvas, so step references like "NRF-1" name
+ *   the NFs the scenario deploys
+ * - Drive the existing managers: deploy NFs (NFManager), connect them
+ *   (ConnectionManager), run docker commands (DockerTerminal.processCommand),
+ *   inject faults (FaultManager)
+ * - Evaluate assertions on NRF state, NF status and the log stream
+ * - Report pass/fail per assertion while the scenario runs
+ */
+
+class ScenarioRunner {
+    constructor() {
+        // Scenarios bundled with the experiment (scenarios.json), keyed by scenario ID
+        this.scenarios = null;
+        // Run in progress: { scenario, results, startedAt, stopped }
+        this.currentRun = null;
+        this.pollInterval = 250;       // Real ms between checks of a waiting assertion
+        this.stableTimeout = 15000;    // Real ms to wait for a deployed NF to become stable
+
+        // YAML plain scalars parse as strings; these scenario / step fields are numbers
+        this.numericFields = ['seed', 'speed', 'delay', 'within', 'count', 'latencyMs', 'lossPercent', 'x', 'y'];
+
+        console.log('✅ ScenarioRunner initialized');
+    }
+
+    /**
+     * @returns {Object} Step action -> description (assertions start with "assert")
+     */
+    getActions() {
+        return {
+            deploy: 'Deploy an NF: { nfType, position?, waitUntilStable? }',
+            connect: 'Connect two NFs: { source, target }',
+            command: 'Run a docker terminal command: { command }',
+            stop: 'Stop a container: { service } (docker stop)',
+            start: 'Start a container: { service } (docker start)',
+            injectFault: 'Inject a fault: { fault, nf | source+target | subnet, latencyMs?, lossPercent? }',
+            selectNF: 'Let an NF select instances through its NRF: { requester, nfType, strategy?, count? }',
+            clearFaults: 'Clear all injected faults',
+            wait: 'Only wait for the step delay',
+            assertNrfState: 'NRF profile status: { nf, nfStatus } (REGISTERED, UNAVAILABLE, REMOVED, NOT_REGISTERED)',
+            assertNfStatus: 'NF status on the canvas: { nf, status }',
+            assertLog: 'A log entry appeared: { contains, nf?, level? }'
+        };
+    }
+
+    /**
+     * Load the bundled scenarios (cached)
+     * @returns {Promise<Object>} Scenario ID -> scenario
+     */
+    async loadScenarios() {
+        if (this.scenarios) return this.scenarios;
+
+        try {
+            const response = await fetch('../scenarios.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load scenarios.json: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.scenarios = data.scenarios || {};
+            console.log(`✅ Loaded ${Object.keys(this.scenarios).length} scenario(s)`);
+        } catch (error) {
+            console.warn('⚠️ Could not load scenarios.json:', error);
+            this.scenarios = {};
+        }
+
+        return this.scenarios;
+    }
+
+    // ==========================================
+    // Parsing / validation
+    // ==========================================
+
+    /**
+     * Parse and validate a scenario script
+     * @param {string} text - Scenario as JSON, or as YAML when it does not start with "{"
+     * @returns {Object} { scenario, errors }
+     */
+    parseScenario(text) {
+        let scenario;
+        if (text.trim().startsWith('{')) {
+            try {
+                scenario = JSON.parse(text);
+            } catch (error) {
+                return { scenario: null, errors: [`Malformed JSON: ${error.message}`] };
+            }
+        } else {
+            if (!window.composeFileManager) {
+                return { scenario: null, errors: ['YAML scenarios need the Compose File Manager'] };
+            }
+            try {
+                scenario = this.convertYAMLNumbers(window.composeFileManager.parseYAML(text));
+            } catch (error) {
+                return { scenario: null, errors: [`Malformed YAML: ${error.message}`] };
+            }
+        }
+
+        return { scenario, errors: this.validateScenario(scenario) };
+    }
+
+    /**
+     * Turn numeric strings of this.numericFields back into numbers, at any depth
+     * @param {*} value - Parsed YAML value
+     * @returns {*} The same value with numbers restored
+     */
+    convertYAMLNumbers(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.convertYAMLNumbers(item));
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key,
+            this.numericFields.includes(key) && typeof field === 'string' && /^-?\d+(\.\d+)?$/.test(field.trim())
+                ? Number(field)
+                : this.convertYAMLNumbers(field)]));
+    }
+
+    /**
+     * @param {Object} scenario - Scenario script
+     * @returns {Array<string>} Problems found (empty if the scenario can run)
+     */
+    validateScenario(scenario) {
+        if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+            return ['Scenario must be an object (JSON object or YAML mapping)'];
+        }
+        if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) {
+            return ['Scenario needs a non-empty "steps" array'];
+        }
+
+        const errors = [];
+        const actions = this.getActions();
+        const required = {
+            deploy: ['nfType'],
+            connect: ['source', 'target'],
+            command: ['command'],
+            stop: ['service'],
+            start: ['service'],
+            injectFault: ['fault'],
+            selectNF: ['requester', 'nfType'],
+            assertNrfState: ['nf', 'nfStatus'],
+            assertNfStatus: ['nf', 'status'],
+            assertLog: ['contains']
+        };
+
+        scenario.steps.forEach((step, index) => {
+            const label = `Step ${index + 1}`;
+            if (!step || typeof step !== 'object') {
+                errors.push(`${label}: must be an object`);
+                return;
+            }
+            if (!actions[step.action]) {
+                errors.push(`${label}: unknown action "${step.action}"`);
+                return;
+            }
+            (required[step.action] || []).forEach(field => {
+                if (step[field] === undefined || step[field] === '') {
+                    errors.push(`${label} (${step.action}): missing "${field}"`);
+                }
+            });
+            ['delay', 'within'].forEach(field => {
+                if (step[field] !== undefined && !(Number.isFinite(step[field]) && step[field] >= 0)) {
+                    errors.push(`${label}: "${field}" must be a number of simulated ms >= 0`);
+                }
+            });
+            if (step.action === 'injectFault' && window.faultManager && !window.faultManager.getFaultTypes()[step.fault]) {
+                errors.push(`${label}: unknown fault "${step.fault}"`);
+            }
+            if (step.action === 'selectNF' && step.strategy && window.nrfRegistry &&
+                !window.nrfRegistry.getSelectionStrategies()[step.strategy]) {
+                errors.push(`${label}: unknown selection strategy "${step.strategy}"`);
+            }
+        });
+
+        if (scenario.speed !== undefined && !(Number.isFinite(scenario.speed) && scenario.speed >= 1)) {
+            errors.push('"speed" must be a simulation speed >= 1');
+        }
+
+        return errors;
+    }
+
+    // ==========================================
+    // Running
+    // ==========================================
+
+    /**
+     * @returns {boolean} True while a scenario runs
+     */
+    isRunning() {
+        return !!this.currentRun && !this.currentRun.finished;
+    }
+
+    /**
+     * Run a scenario step by step
+     * @param {Object} scenario - Validated scenario
+     * @param {Function} onUpdate - Called with the results array after every change
+     * @returns {Promise<Object>} { results, passed, failed, errors } or { error }
+     */
+    async run(scenario, onUpdate = () => {}) {
+        if (this.isRunning()) {
+            return { error: 'A scenario is already running' };
+        }
+        const errors = this.validateScenario(scenario);
+        if (errors.length > 0) {
+            return { error: errors.join('\n') };
+        }
+
+        const results = scenario.steps.map((step, index) => ({
+            index,
+            action: step.action,
+            description: step.description || this.describeStep(step),
+            assertion: step.action.startsWith('assert'),
+            state: 'pending',   // pending | running | passed | failed | done | error | skipped
+            message: ''
+        }));
+        const run = { scenario, results, startedAt: Date.now(), stopped: false, finished: false };
+        this.currentRun = run;
+
+        this.resetTopology();
+
+        // Seed and speed make the run reproducible; the speed is put back afterwards
+        const previousSpeed = window.simClock?.getSpeed();
+        if (scenario.seed !== undefined) {
+            window.simRandom?.setSeed(scenario.seed);
+        }
+        if (scenario.speed) {
+            window.simClock?.setSpeed(scenario.speed);
+        }
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO',
+                `Scenario started: ${scenario.title || 'untitled'}`, {
+                steps: scenario.steps.length,
+                seed: window.simRandom?.getSeed(),
+                speed: (window.simClock?.getSpeed() || 1) + 'x'
+            });
+        }
+        onUpdate(results);
+
+        for (let i = 0; i < scenario.steps.length; i++) {
+            const step = scenario.steps[i];
+            const result = results[i];
+
+            await this.waitSimulated(step.delay || 0);
+            if (run.stopped) break;
+
+            result.state = 'running';
+            onUpdate(results);
+
+            let outcome;
+            try {
+                outcome = await this.executeStep(step, run);
+            } catch (error) {
+                outcome = { ok: false, message: error.message };
+            }
+
+            if (result.assertion) {
+                result.state = outcome.ok ? 'passed' : 'failed';
+            } else {
+                result.state = outcome.ok ? 'done' : 'error';
+            }
+            result.message = outcome.message || '';
+            onUpdate(results);
+
+            // Later steps depend on the topology an action builds, so a failed action ends the run
+            if (result.state === 'error' || run.stopped) break;
+        }
+
+        results.forEach(result => {
+            if (result.state === 'pending' || result.state === 'running') {
+                result.state = 'skipped';
+            }
+        });
+
+        if (scenario.speed && previousSpeed) {
+            window.simClock.setSpeed(previousSpeed);
+        }
+
+        const summary = {
+            results,
+            passed: results.filter(r => r.state === 'passed').length,
+            failed: results.filter(r => r.state === 'failed').length,
+            errors: results.filter(r => r.state === 'error').length,
+            stopped: run.stopped
+        };
+        run.finished = true;
+
+        if (window.logEngine) {
+            const ok = summary.failed === 0 && summary.errors === 0 && !run.stopped;
+            window.logEngine.addLog('system', ok ? 'SUCCESS' : 'ERROR',
+                `Scenario ${run.stopped ? 'stopped' : 'finished'}: ${scenario.title || 'untitled'} ` +
+                `(${summary.passed}/${results.filter(r => r.assertion).length} assertions passed)`, {
+                failedAssertions: results.filter(r => r.state === 'failed').map(r => `Step ${r.index + 1}: ${r.description}`),
+                failedActions: results.filter(r => r.state === 'error').map(r => `Step ${r.index + 1}: ${r.message}`)
+            });
+        }
+        onUpdate(results);
+
+        return summary;
+    }
+
+    /**
+     * Empty the canvas the way deleting every NF would (NRF deregistration, heartbeats,
+     * companions), drop faults and buses, and restart NF naming at 1
+     */
+    resetTopology() {
+        window.faultManager?.clearAllFaults();
+
+        if (window.dataStore) {
+            window.dataStore.getAllNFs().map(nf => nf.id).forEach(nfId => {
+                // Deleting a UDR or UPF already took its MySQL / ext-dn along
+                if (window.dataStore.getNFById(nfId)) {
+                    window.nfManager?.deleteNetworkFunction(nfId);
+                }
+            });
+            window.dataStore.clearAll();
+        }
+
+        window.nfManager?.resetCounters();
+        window.canvasRenderer?.render();
+    }
+
+    /**
+     * Stop the running scenario after its current step
+     */
+    stop() {
+        if (this.isRunning()) {
+            this.currentRun.stopped = true;
+        }
+    }
+
+    /**
+     * @param {Object} step - Scenario step
+     * @param {Object} run - Current run
+     * @returns {Promise<Object>} { ok, message }
+     */
+    async executeStep(step, run) {
+        switch (step.action) {
+            case 'deploy': return this.runDeploy(step);
+            case 'connect': return this.runConnect(step);
+            case 'command': return this.runCommand(step.command);
+            case 'stop': return this.runCommand(`docker stop ${step.service}`);
+            case 'start': return this.runCommand(`docker start ${step.service}`);
+            case 'injectFault': return this.runInjectFault(step);
+            case 'selectNF': return this.runSelectNF(step);
+            case 'clearFaults':
+                window.faultManager?.clearAllFaults();
+                return { ok: true, message: 'All faults cleared' };
+            case 'wait': return { ok: true, message: `Waited ${step.delay || 0} ms` };
+            case 'assertNrfState': return this.assertWithin(step, run, () => this.checkNrfState(step));
+            case 'assertNfStatus': return this.assertWithin(step, run, () => this.checkNfStatus(step));
+            case 'assertLog': return this.assertWithin(step, run, () => this.checkLog(step, run));
+            default: return { ok: false, message: `Unknown action "${step.action}"` };
+        }
+    }
+
+    /**
+     * @param {Object} step - Scenario step
+     * @returns {string} One-line description for the results list
+     */
+    describeStep(step) {
+        switch (step.action) {
+            case 'deploy': return `Deploy ${step.nfType}`;
+            case 'connect': return `Connect ${step.source} → ${step.target}`;
+            case 'command': return `$ ${step.command}`;
+            case 'stop': return `docker stop ${step.service}`;
+            case 'start': return `docker start ${step.service}`;
+            case 'injectFault': return `Inject ${step.fault} on ${step.nf || step.subnet || `${step.source} ↔ ${step.target}`}`;
+            case 'selectNF': return `${step.requester} selects ${step.nfType}${step.count > 1 ? ` ${step.count} times` : ''}${step.strategy ? ` (${step.strategy})` : ''}`;
+            case 'clearFaults': return 'Clear all faults';
+            case 'wait': return `Wait ${step.delay || 0} ms`;
+            case 'assertNrfState': return `NRF reports ${step.nf} as ${step.nfStatus}`;
+            case 'assertNfStatus': return `${step.nf} is ${step.status}`;
+            case 'assertLog': return `Log${step.nf ? ` of ${step.nf}` : ''} contains "${step.contains}"${step.level ? ` (${step.level})` : ''}`;
+            default: return step.action;
+        }
+    }
+
+    // ==========================================
+    // Actions
+    // ==========================================
+
+    /**
+     * @param {Object} step - { nfType, position?, waitUntilStable? }
+     * @returns {Promise<Object>} { ok, message }
+     */
+    async runDeploy(step) {
+        if (!window.nfManager) return { ok: false, message: 'NF Manager is not available' };
+
+        // NFManager reports limit violations through alerts unless a deployment is running
+        const deploymentManager = window.deploymentManager;
+        const previousSuppress = deploymentManager?.suppressAlerts;
+        if (deploymentManager) deploymentManager.suppressAlerts = true;
+
+        let nf;
+        try {
+            nf = window.nfManager.createNetworkFunction(step.nfType, step.position || null);
+        } finally {
+            if (deploymentManager) deploymentManager.suppressAlerts = previousSuppress;
+        }
+
+        if (!nf) {
+            return { ok: false, message: `${step.nfType} could not be created (instance limit reached?)` };
+        }
+        if (step.waitUntilStable === false) {
+            return { ok: true, message: `${nf.name} created (${nf.config.ipAddress})` };
+        }
+
+        const deadline = Date.now() + this.stableTimeout;
+        while (Date.now() < deadline) {
+            if (window.dataStore.getNFById(nf.id)?.status === 'stable') {
+                return { ok: true, message: `${nf.name} is stable (${nf.config.ipAddress})` };
+            }
+            await this.delay(this.pollInterval);
+        }
+        return { ok: false, message: `${nf.name} did not become stable` };
+    }
+
+    /**
+     * @param {Object} step - { source, target }
+     * @returns {Object} { ok, message }
+     */
+    runConnect(step) {
+        const source = this.resolveNF(step.source);
+        const target = this.resolveNF(step.target);
+        if (!source) return { ok: false, message: `NF "${step.source}" not found` };
+        if (!target) return { ok: false, message: `NF "${step.target}" not found` };
+
+        const existing = (window.dataStore.getAllConnections() || []).find(conn =>
+            (conn.sourceId === source.id && conn.targetId === target.id) ||
+            (conn.sourceId === target.id && conn.targetId === source.id));
+        if (existing) {
+            return { ok: true, message: `${source.name} and ${target.name} are already connected` };
+        }
+
+        // Checked here so ConnectionManager does not raise alerts in the middle of a run
+        const cm = window.connectionManager;
+        if (source.id === target.id) {
+            return { ok: false, message: 'Cannot connect an NF to itself' };
+        }
+        if (cm.getNetworkFromIP(source.config.ipAddress) !== cm.getNetworkFromIP(target.config.ipAddress)) {
+            return { ok: false, message: `${source.name} and ${target.name} are in different subnets` };
+        }
+        if (!cm.isConnectionValid(source.type, target.type)) {
+            return { ok: false, message: `${source.type} cannot connect to ${target.type}` };
+        }
+
+        const connection = cm.createManualConnection(source.id, target.id);
+        return connection
+            ? { ok: true, message: `${source.name} → ${target.name} (${connection.interfaceName})` }
+            : { ok: false, message: `Connection ${source.name} → ${target.name} was rejected` };
+    }
+
+    /**
+     * Run a command through the docker terminal without opening it
+     * @param {string} command - Docker terminal command
+     * @returns {Promise<Object>} { ok, message } with the terminal output as message
+     */
+    async runCommand(command) {
+        if (!window.dockerTerminal) return { ok: false, message: 'Docker terminal is not available' };
+
+        const output = document.createElement('div');
+        await window.dockerTerminal.processCommand(command, output);
+
+        const lines = Array.from(output.querySelectorAll('.docker-terminal-line'));
+        const failed = lines.some(line => line.classList.contains('docker-terminal-error'));
+        const text = lines.map(line => line.textContent.trim()).filter(line => line).join('\n');
+
+        return { ok: !failed, message: text };
+    }
+
+    /**
+     * @param {Object} step - { fault, nf | source+target | subnet, latencyMs?, lossPercent? }
+     * @returns {Object} { ok, message }
+     */
+    runInjectFault(step) {
+        if (!window.faultManager) return { ok: false, message: 'Fault Manager is not available' };
+
+        const options = {
+            subnet: step.subnet,
+            latencyMs: step.latencyMs,
+            lossPercent: step.lossPercent
+        };
+
+        if (step.nf) {
+            options.nfId = this.resolveNF(step.nf)?.id;
+        }
+        if (step.source && step.target) {
+            const source = this.resolveNF(step.source);
+            const target = this.resolveNF(step.target);
+            const connection = source && target && window.dataStore.getAllConnections().find(conn =>
+                (conn.sourceId === source.id && conn.targetId === target.id) ||
+                (conn.sourceId === target.id && conn.targetId === source.id));
+            options.connectionId = connection?.id;
+        }
+
+        const error = window.faultManager.injectFault(step.fault, options);
+        return error ? { ok: false, message: error } : { ok: true, message: `${step.fault} injected` };
+    }
+
+    /**
+     * Run NRF discovery + selection the way the requester does for a PDU session;
+     * each choice is logged on the requester, so assertLog can check the distribution
+     * @param {Object} step - { requester, nfType, strategy?, count? }
+     * @returns {Object} { ok, message }
+     */
+    runSelectNF(step) {
+        if (!window.nfManager || !window.nrfRegistry) return { ok: false, message: 'NRF registry is not available' };
+
+        const requester = this.resolveNF(step.requester);
+        if (!requester) return { ok: false, message: `NF "${step.requester}" not found` };
+
+        // The strategy only applies to this step; the lab's own choice is put back afterwards
+        const previousStrategy = window.nrfRegistry.selectionStrategy;
+        if (step.strategy) window.nrfRegistry.setSelectionStrategy(step.strategy);
+
+        const chosen = [];
+        try {
+            for (let i = 0; i < (step.count || 1); i++) {
+                const nf = window.nfManager.selectNFViaNRF(requester, step.nfType, { purpose: 'scenario step' });
+                if (!nf) break;
+                chosen.push(nf.name);
+            }
+        } finally {
+            window.nrfRegistry.setSelectionStrategy(previousStrategy);
+        }
+
+        return chosen.length > 0
+            ? { ok: true, message: `${requester.name} selected ${chosen.join(', ')}` }
+            : { ok: false, message: `${requester.name} could not select any ${step.nfType}` };
+    }
+
+    // ==========================================
+    // Assertions
+    // ==========================================
+
+    /**
+     * Evaluate an assertion, retrying until it passes or `within` simulated ms have passed
+     * @param {Object} step - Assertion step
+     * @param {Object} run - Current run
+     * @param {Function} check - Returns { ok, message }
+     * @returns {Promise<Object>} { ok, message }
+     */
+    async assertWithin(step, run, check) {
+        const simNow = () => window.simClock ? window.simClock.now() : Date.now();
+        const deadline = simNow() + (step.within || 0);
+
+        let outcome = check();
+        while (!outcome.ok && simNow() < deadline && !run.stopped) {
+            await this.delay(this.pollInterval);
+            outcome = check();
+        }
+        return outcome;
+    }
+
+    /**
+     * @param {Object} step - { nf, nfStatus }
+     * @returns {Object} { ok, message }
+     */
+    checkNrfState(step) {
+        const nf = this.resolveNF(step.nf);
+        if (!nf) return { ok: false, message: `NF "${step.nf}" not found` };
+
+        const actual = window.nrfRegistry?.getNFProfile(nf.id)?.nfStatus || 'NOT_REGISTERED';
+        return {
+            ok: actual === step.nfStatus,
+            message: `NRF status of ${nf.name}: ${actual} (expected ${step.nfStatus})`
+        };
+    }
+
+    /**
+     * @param {Object} step - { nf, status }
+     * @returns {Object} { ok, message }
+     */
+    checkNfStatus(step) {
+        const nf = this.resolveNF(step.nf);
+        if (!nf) return { ok: false, message: `NF "${step.nf}" not found` };
+
+        return {
+            ok: nf.status === step.status,
+            message: `${nf.name} is ${nf.status} (expected ${step.status})`
+        };
+    }
+
+    /**
+     * Look for a log entry written since the scenario started
+     * @param {Object} step - { contains, nf?, level? }
+     * @param {Object} run - Current run
+     * @returns {Object} { ok, message }
+     */
+    checkLog(step, run) {
+        let nfId = null;
+        if (step.nf) {
+            nfId = step.nf === 'system' ? 'system' : this.resolveNF(step.nf)?.id;
+            if (!nfId) return { ok: false, message: `NF "${step.nf}" not found` };
+        }
+
+        const needle = String(step.contains).toLowerCase();
+        const logs = nfId ? window.logEngine.getLogsForNF(nfId) : window.logEngine.getAllLogs();
+        const match = logs.find(log =>
+            log.timestamp >= run.startedAt &&
+            (!step.level || log.level === step.level) &&
+            log.message.toLowerCase().includes(needle));
+
+        return match
+            ? { ok: true, message: `[${match.level}] ${match.message}` }
+            : { ok: false, message: `No ${step.level || ''} log containing "${step.contains}"`.replace(/\s+/g, ' ') };
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * Find an NF by name (AMF-1) or, failing that, the first NF of a type (AMF)
+     * @param {string} ref - NF name or type
+     * @returns {Object|null} NF
+     */
+    resolveNF(ref) {
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        return allNFs.find(nf => nf.name === ref) || allNFs.find(nf => nf.type === ref) || null;
+    }
+
+    /**
+     * Wait on the simulation clock
+     * @param {number} ms - Simulated ms
+     * @returns {Promise}
+     */
+    waitSimulated(ms) {
+        if (!ms) return Promise.resolve();
+        if (!window.simClock) return this.delay(ms);
+        return new Promise(resolve => window.simClock.setTimeout(resolve, ms));
+    }
+
+    /**
+     * @param {number} ms - Real ms
+     * @returns {Promise}
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * ============================================
+ * SESSION AUTOSAVE
+ * ============================================
+ * Keeps the current lab session in browser storage so a page refresh
+ * does not wipe the student's work
+ *
+ * Responsibilities:
+ * - Autosave DataStore.exportData() (topology, subscribers, NRF registry, logs, random seed) to localStorage
+ * - Offer to restore the last session on startup
+ * - Re-arm page-local state after a restore (icons, NF counters, heartbeats, log panel)
+ */
+
+class SessionAutosave {
+    constructor() {
+        this.storageKey = '5gSbaDashboardSession';
+        this.saveDelay = 2000; // Debounce: save 2s after the last change
+        this.saveTimeoutId = null;
+        this.isRestoring = false;
+
+        console.log('✅ SessionAutosave initialized');
+    }
+
+    /**
+     * Start listening for changes and save on every change (debounced) and on unload
+     */
+    start() {
+        if (window.dataStore) {
+            window.dataStore.subscribe(() => this.scheduleSave());
+        }
+
+        if (window.logEngine) {
+            window.logEngine.subscribe(() => this.scheduleSave());
+        }
+
+        window.addEventListener('beforeunload', () => this.save());
+
+        console.log('💾 Session autosave started');
+    }
+
+    /**
+     * Save shortly after the last change instead of on every log line
+     */
+    scheduleSave() {
+        if (this.isRestoring) return;
+
+        clearTimeout(this.saveTimeoutId);
+        this.saveTimeoutId = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    /**
+     * Write the current session to localStorage
+     * @returns {boolean} True if saved
+     */
+    save() {
+        if (!window.dataStore || this.isRestoring) return false;
+
+        clearTimeout(this.saveTimeoutId);
+        this.saveTimeoutId = null;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(window.dataStore.exportData()));
+            return true;
+        } catch (e) {
+            // Quota exceeded or storage disabled (private mode) - the session just is not persisted
+            console.warn('Failed to autosave session:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Read the last saved session
+     * @returns {Object|null} Snapshot from DataStore.exportData() or null
+     */
+    getSavedSession() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            return saved ? JSON.parse(saved) : null;
+        } catch (e) {
+            console.warn('Failed to read saved session:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Remove the saved session
+     */
+    clearSavedSession() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Failed to clear saved session:', e);
+        }
+    }
+
+    /**
+     * Ask whether to restore the last session (only if it had any NFs)
+     * @returns {boolean} True if a session was restored
+     */
+    promptRestore() {
+        const session = this.getSavedSession();
+        if (!session || !Array.isArray(session.nfs) || session.nfs.length === 0) {
+            return false;
+        }
+
+        const registered = (session.nrfRegistry?.registry || []).filter(p => p.nfStatus === 'REGISTERED').length;
+        const savedAt = session.timestamp ? new Date(session.timestamp).toLocaleString() : 'unknown time';
+
+        const restore = confirm(`♻️ Restore last session?\n\n` +
+            `Saved: ${savedAt}\n` +
+            `Network Functions: ${session.nfs.length}\n` +
+            `Connections: ${(session.connections || []).length}\n` +
+            `NFs registered with NRF: ${registered}\n\n` +
+            `OK = restore, Cancel = start with an empty topology`);
+
+        if (!restore) {
+            this.clearSavedSession();
+            return false;
+        }
+
+        this.restore(session);
+        return true;
+    }
+
+    /**
+     * Restore a saved session into the running dashboard
+     * @param {Object} session - Snapshot from DataStore.exportData()
+     */
+    restore(session) {
+        // The session's own buses replace the default one BusManager is about to add
+        window.busManager?.cancelDefaultBus();
+        this.isRestoring = true;
+
+        try {
+            window.dataStore.importData(session);
+            this.resumeRestoredSession();
+        } finally {
+            this.isRestoring = false;
+        }
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'SUCCESS', 'Previous session restored', {
+                savedAt: session.timestamp,
+                nfs: window.dataStore.getAllNFs().length,
+                connections: window.dataStore.getAllConnections().length,
+                registeredNFs: window.nrfRegistry?.getAllRegisteredNFs().length || 0
+            });
+        }
+
+        console.log('♻️ Session restored from browser storage');
+    }
+
+    /**
+     * Rebuild what only lives in this page: icon images, name counters,
+     * heartbeat timers and the rendered log panel
+     */
+    resumeRestoredSession() {
+        const allNFs = window.dataStore.getAllNFs();
+
+        allNFs.forEach(nf => {
+            // Keep NFManager numbering ahead of restored names (AMF-2 -> next is AMF-3)
+            const count = parseInt(String(nf.name).split('-').pop(), 10);
+            if (window.nfManager?.nfCounters && !isNaN(count)) {
+                window.nfManager.nfCounters[nf.type] = Math.max(window.nfManager.nfCounters[nf.type] || 0, count);
+            }
+
+            if (nf.icon) {
+                const img = new Image();
+                img.onload = () => {
+                    nf.iconImage = img;
+                    window.canvasRenderer?.render();
+                };
+                img.onerror = () => {
+                    console.warn(`Failed to load icon for ${nf.name}: ${nf.icon}`);
+                };
+                img.src = nf.icon;
+            }
+
+            // Registered NFs continue sending heartbeats to their NRF
+            const profile = window.nrfRegistry?.getNFProfile(nf.id);
+            if (profile && profile.nfStatus !== 'REMOVED') {
+                window.connectionManager?.startNFHeartbeat(nf.id);
+            }
+        });
+
+        if (window.uiController) {
+            const logContent = document.getElementById('log-content');
+            if (logContent) {
+                logContent.innerHTML = '';
+            }
+            (window.logEngine?.getAllLogs() || []).forEach(logEntry => window.uiController.appendLogToUI(logEntry));
+            window.uiController.updateLogNFFilter();
+        }
+
+        window.canvasRenderer?.render();
+    }
+}
@@ -0,0 +1,604 @@
+/**
+ * ============================================
+ * SESSION RECORDER
+ * ============================================
+ * Records how a student built the topology and replays it in a fresh dashboard
+ *
+ * Responsibilities:
+ * - Record user actions (palette clicks, NF starts, connections, config saves, terminal commands)
+ *   and every DataStore / LogEngine event, with timestamps, into a session trace
+ * - Keep NRF profile changes in the trace (NRF state is not part of DataStore events)
+ * - Export the trace as JSON and open it in a replay tab (index.html?replay)
+ * - Replay a trace at variable speed: play/pause, step to the next user action
+ */
+
+class SessionRecorder {
+    constructor() {
+        this.traceVersion = '1.0.0';
+        this.storageKey = 'sessionReplayTrace';
+        this.maxEvents = 50000;
+
+        // Recording
+        this.isRecording = false;
+        this.startedAt = null;
+        this.initialState = null;
+        this.events = [];
+        this.nrfSignature = '';
+
+        // Replay (only in a tab opened with ?replay)
+        this.replayMode = false;
+        this.replay = null; // { trace, index, playing, speed, skipIdle, timerId }
+        this.maxIdleGapMs = 3000; // Longest real pause between events when skipping idle time
+
+        console.log('✅ SessionRecorder initialized');
+    }
+
+    // ==========================================
+    // Recording
+    // ==========================================
+
+    /**
+     * Start recording: snapshot the current session, then follow DataStore and LogEngine
+     */
+    start() {
+        if (this.isRecording || this.replayMode) return;
+
+        this.isRecording = true;
+        this.startedAt = Date.now();
+        this.initialState = this.clone(window.dataStore.exportData());
+        this.events = [];
+        this.nrfSignature = this.getNRFSignature();
+
+        window.dataStore.subscribe((event, data) => {
+            this.record('data', event, data);
+            this.recordNRFChanges();
+        });
+
+        window.logEngine?.subscribe((logEntry) => {
+            // Snapshot imports arrive as 'data-imported' with the logs included
+            if (logEntry.type === 'import') return;
+            this.record('log', logEntry.type || 'log', logEntry);
+            this.recordNRFChanges();
+        });
+
+        console.log('⏺️ Session recording started');
+    }
+
+    /**
+     * Record a user action (called from the UI and the docker terminal)
+     * @param {string} type - palette-click | nf-start | connection-create | config-save | terminal-command
+     * @param {Object} details - Action details (names, not only IDs, so the trace reads on its own)
+     */
+    recordAction(type, details = {}) {
+        this.record('action', type, details);
+    }
+
+    /**
+     * @param {string} kind - action | data | log | nrf
+     * @param {string} type - Event type
+     * @param {*} data - Event payload (cloned, the live objects keep changing)
+     */
+    record(kind, type, data) {
+        if (!this.isRecording) return;
+
+        if (this.events.length >= this.maxEvents) {
+            this.isRecording = false;
+            console.warn(`⚠️ Session trace reached ${this.maxEvents} events, recording stopped`);
+            if (window.logEngine) {
+                window.logEngine.addLog('system', 'WARNING', 'Session recording stopped: trace is full', {
+                    maxEvents: this.maxEvents,
+                    suggestion: 'Export the trace to keep it'
+                });
+            }
+            return;
+        }
+
+        this.events.push({ t: Date.now() - this.startedAt, kind, type, data: this.clone(data) });
+    }
+
+    /**
+     * Add an 'nrf' event when any NF's registration status changed
+     */
+    recordNRFChanges() {
+        const signature = this.getNRFSignature();
+        if (signature === this.nrfSignature) return;
+
+        this.nrfSignature = signature;
+        this.record('nrf', 'nrf-profiles', window.nrfRegistry.getAllRegisteredNFs());
+    }
+
+    /**
+     * @returns {string} NF ID/status pairs of every NRF profile
+     */
+    getNRFSignature() {
+        return (window.nrfRegistry?.getAllRegisteredNFs() || [])
+            .map(profile => `${profile.nfInstanceId}:${profile.nfStatus}`).join(',');
+    }
+
+    /**
+     * @returns {Object} Trace { version, recordedAt, durationMs, initialState, events }
+     */
+    getTrace() {
+        return {
+            version: this.traceVersion,
+            recordedAt: this.startedAt ? new Date(this.startedAt).toISOString() : null,
+            durationMs: this.startedAt ? Date.now() - this.startedAt : 0,
+            initialState: this.initialState,
+            events: this.events
+        };
+    }
+
+    /**
+     * @returns {Object} Counts per kind and the recording duration
+     */
+    getStats() {
+        const count = kind => this.events.filter(e => e.kind === kind).length;
+        return {
+            recording: this.isRecording,
+            durationMs: this.startedAt ? Date.now() - this.startedAt : 0,
+            actions: count('action'),
+            dataEvents: count('data'),
+            logEvents: count('log'),
+            nrfEvents: count('nrf')
+        };
+    }
+
+    /**
+     * @returns {string} Trace as JSON
+     */
+    exportTraceAsJSON() {
+        return JSON.stringify(this.getTrace());
+    }
+
+    /**
+     * Hand a trace to a new replay tab through localStorage
+     * @param {Object} trace - Trace to replay (defaults to this session)
+     * @returns {string|null} Error message, or null on success
+     */
+    openReplay(trace = this.getTrace()) {
+        const error = this.validateTrace(trace);
+        if (error) return error;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(trace));
+        } catch (e) {
+            return 'Trace is too large for browser storage. Export it and use "Load Trace" in the replay tab.';
+        }
+
+        const url = `${window.location.pathname}?replay`;
+        if (!window.open(url, '_blank')) {
+            return 'The replay tab was blocked by the browser. Allow pop-ups for this page and try again.';
+        }
+        return null;
+    }
+
+    /**
+     * @param {Object} trace - Parsed trace
+     * @returns {string|null} Error message, or null if the trace can be replayed
+     */
+    validateTrace(trace) {
+        if (!trace || typeof trace !== 'object') return 'Trace must be a JSON object';
+        if (!trace.initialState || !Array.isArray(trace.initialState.nfs)) return 'Trace has no initial state';
+        if (!Array.isArray(trace.events)) return 'Trace has no events';
+        if (trace.events.some(e => typeof e.t !== 'number' || !e.kind || !e.type)) {
+            return 'Trace contains malformed events';
+        }
+        return null;
+    }
+
+    // ==========================================
+    // Replay
+    // ==========================================
+
+    /**
+     * Turn this tab into a replay viewer (no recording, no autosave) and load the handed-over trace
+     */
+    startReplayMode() {
+        this.replayMode = true;
+        document.body.classList.add('replay-mode');
+
+        // Buses come from the trace (initial state and bus-added events), never from this tab
+        window.busManager?.cancelDefaultBus();
+
+        let trace = null;
+        try {
+            trace = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (e) {
+            console.warn('Failed to read replay trace:', e);
+        }
+
+        this.renderReplayBar();
+        if (trace) {
+            this.loadReplay(trace);
+        }
+    }
+
+    /**
+     * Reset the dashboard to the trace's initial state and rewind to the first event
+     * @param {Object} trace - Trace from getTrace()
+     * @returns {string|null} Error message, or null on success
+     */
+    loadReplay(trace) {
+        const error = this.validateTrace(trace);
+        if (error) return error;
+
+        this.pause();
+        this.replay = {
+            trace,
+            index: 0,
+            playing: false,
+            speed: this.replay?.speed || 1,
+            skipIdle: this.replay?.skipIdle ?? true,
+            timerId: null,
+            lastAction: null
+        };
+
+        // NRF profiles are applied directly so the replay tab runs no heartbeat monitor of its own
+        const { nrfRegistry, ...initial } = this.clone(trace.initialState);
+        window.dataStore.clearAll();
+        window.dataStore.importData(initial);
+        this.applyNRFProfiles(nrfRegistry?.registry || []);
+        window.dataStore.getAllNFs().forEach(nf => this.loadIcon(nf));
+        this.refreshLogPanel();
+        window.canvasRenderer?.render();
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO', 'Session replay loaded', {
+                recordedAt: trace.recordedAt,
+                events: trace.events.length,
+                duration: `${Math.round((trace.durationMs || 0) / 1000)}s`
+            });
+        }
+
+        this.renderReplayBar();
+        return null;
+    }
+
+    play() {
+        if (!this.replay || this.replay.playing || this.isReplayFinished()) return;
+
+        this.replay.playing = true;
+        this.scheduleNextEvent();
+        this.renderReplayBar();
+    }
+
+    pause() {
+        if (!this.replay) return;
+
+        clearTimeout(this.replay.timerId);
+        this.replay.timerId = null;
+        this.replay.playing = false;
+        this.renderReplayBar();
+    }
+
+    /**
+     * Apply events up to and including the next user action
+     */
+    stepToNextAction() {
+        if (!this.replay) return;
+
+        this.pause();
+        while (!this.isReplayFinished()) {
+            const event = this.replay.trace.events[this.replay.index];
+            this.applyNextEvent();
+            if (event.kind === 'action') break;
+        }
+        this.renderReplayBar();
+    }
+
+    /**
+     * @param {number} speed - Replay speed multiplier
+     */
+    setReplaySpeed(speed) {
+        if (!this.replay) return;
+
+        this.replay.speed = Number(speed) || 1;
+        if (this.replay.playing) {
+            clearTimeout(this.replay.timerId);
+            this.scheduleNextEvent();
+        }
+    }
+
+    /**
+     * @param {boolean} skipIdle - Shorten long pauses between events to maxIdleGapMs
+     */
+    setSkipIdle(skipIdle) {
+        if (this.replay) {
+            this.replay.skipIdle = skipIdle;
+        }
+    }
+
+    /**
+     * @returns {boolean} True when every event was applied
+     */
+    isReplayFinished() {
+        return !this.replay || this.replay.index >= this.replay.trace.events.length;
+    }
+
+    scheduleNextEvent() {
+        if (this.isReplayFinished()) {
+            this.replay.playing = false;
+            this.renderReplayBar();
+            return;
+        }
+
+        const events = this.replay.trace.events;
+        const previousT = this.replay.index > 0 ? events[this.replay.index - 1].t : 0;
+        let gap = Math.max(0, events[this.replay.index].t - previousT);
+        if (this.replay.skipIdle) {
+            gap = Math.min(gap, this.maxIdleGapMs);
+        }
+
+        this.replay.timerId = setTimeout(() => {
+            this.applyNextEvent();
+            this.renderReplayBar();
+            this.scheduleNextEvent();
+        }, gap / this.replay.speed);
+    }
+
+    applyNextEvent() {
+        const event = this.replay.trace.events[this.replay.index++];
+        try {
+            this.applyEvent(event);
+        } catch (error) {
+            console.warn(`⚠️ Could not replay ${event.kind}/${event.type}:`, error);
+        }
+    }
+
+    /**
+     * Re-apply one recorded event to this tab's DataStore / LogEngine / NRF registry
+     * @param {Object} event - { t, kind, type, data }
+     */
+    applyEvent(event) {
+        const store = window.dataStore;
+        const data = this.clone(event.data);
+
+        if (event.kind === 'action') {
+            this.replay.lastAction = event;
+            return;
+        }
+
+        if (event.kind === 'nrf') {
+            this.applyNRFProfiles(data || []);
+            window.canvasRenderer?.render();
+            return;
+        }
+
+        if (event.kind === 'log') {
+            if (event.type === 'clear-all') {
+                window.logEngine.clearAllLogs();
+                this.refreshLogPanel();
+            } else if (event.type === 'clear') {
+                window.logEngine.clearLogsForNF(data.nfId);
+                this.refreshLogPanel();
+            } else {
+                window.logEngine.insertLogEntry(data);
+            }
+            return;
+        }
+
+        switch (event.type) {
+            case 'nf-added':
+                store.addNF(data);
+                this.loadIcon(data);
+                break;
+            case 'nf-updated':
+                store.updateNF(data.id, data);
+                break;
+            case 'nf-removed':
+                store.removeNF(data.id);
+                break;
+            case 'connection-added':
+                store.addConnection(data);
+                break;
+            case 'connection-updated':
+                store.updateConnection(data.id, data);
+                break;
+            case 'connection-removed':
+                store.removeConnection(data.id);
+                break;
+            case 'bus-added':
+                store.addBus(data);
+                break;
+            case 'bus-updated':
+                store.updateBus(data.id, data);
+                break;
+            case 'bus-removed':
+                store.removeBus(data.id);
+                break;
+            case 'bus-connection-added':
+                store.addBusConnection(data);
+                break;
+            case 'bus-connection-removed':
+                store.removeBusConnection(data.id);
+                break;
+            case 'bus-connections-removed':
+                store.removeBusConnections(data.busId);
+                break;
+            case 'subscribers-updated':
+                store.setSubscribers(data);
+                break;
+            case 'data-cleared':
+                store.clearAll();
+                break;
+            case 'data-imported': {
+                const { nrfRegistry, ...snapshot } = data;
+                store.importData(snapshot);
+                this.applyNRFProfiles(nrfRegistry?.registry || []);
+                store.getAllNFs().forEach(nf => this.loadIcon(nf));
+                this.refreshLogPanel();
+                break;
+            }
+            default:
+                console.log(`ℹ️ Replay: no handler for data event ${event.type}`);
+        }
+
+        window.canvasRenderer?.render();
+    }
+
+    /**
+     * @param {Array} profiles - NRF profiles to show (replaces the registry)
+     */
+    applyNRFProfiles(profiles) {
+        const registry = window.nrfRegistry;
+        if (!registry) return;
+
+        registry.stopHeartbeatMonitor();
+        registry.registry = new Map(profiles.map(profile => [profile.nfInstanceId, profile]));
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * Deep copy without page-local values (icon images, timer IDs)
+     * @param {*} value - Value to copy
+     * @returns {*} Plain JSON copy
+     */
+    clone(value) {
+        if (value === undefined || value === null) return value ?? null;
+
+        return JSON.parse(JSON.stringify(value, (key, v) =>
+            ['iconImage', 'heartbeatIntervalId', 'deregisteredMonitorIntervalId'].includes(key) ? undefined : v));
+    }
+
+    /**
+     * @param {Object} nf - NF whose icon image should be loaded for the canvas
+     */
+    loadIcon(nf) {
+        const live = window.dataStore.getNFById(nf.id);
+        if (!live?.icon) return;
+
+        const img = new Image();
+        img.onload = () => {
+            live.iconImage = img;
+            window.canvasRenderer?.render();
+        };
+        img.src = live.icon;
+    }
+
+    refreshLogPanel() {
+        const logContent = document.getElementById('log-content');
+        if (!logContent || !window.uiController) return;
+
+        logContent.innerHTML = '';
+        (window.logEngine?.getAllLogs() || []).forEach(logEntry => window.uiController.appendLogToUI(logEntry));
+        window.uiController.updateLogNFFilter();
+    }
+
+    /**
+     * @param {number} ms - Duration
+     * @returns {string} mm:ss
+     */
+    formatTime(ms) {
+        const seconds = Math.floor(ms / 1000);
+        return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * @param {Object} action - Recorded action event
+     * @returns {string} One-line description
+     */
+    describeAction(action) {
+        const d = action.data || {};
+        switch (action.type) {
+            case 'palette-click': return `Clicked ${d.nfType} in the palette`;
+            case 'nf-start': return `Clicked Start for a new ${d.nfType}`;
+            case 'connection-create': return `Connected ${d.source} → ${d.target}`;
+            case 'config-save': return `Saved configuration of ${d.nf}`;
+            case 'terminal-command': return `${d.terminal}$ ${d.command}`;
+            default: return action.type;
+        }
+    }
+
+    // ==========================================
+    // Replay bar
+    // ==========================================
+
+    renderReplayBar() {
+        if (!this.replayMode) return;
+
+        let bar = document.getElementById('replay-bar');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.id = 'replay-bar';
+            bar.className = 'replay-bar';
+            bar.innerHTML = `
+                <span class="replay-bar-title">🎞️ Replay</span>
+                <button class="btn btn-primary btn-small" data-action="play"></button>
+                <button class="btn btn-secondary btn-small" data-action="step" title="Apply events up to the next user action">⏭ Next action</button>
+                <button class="btn btn-secondary btn-small" data-action="restart" title="Back to the initial state">⏮</button>
+                <select data-action="speed" title="Replay speed">
+                    ${[0.5, 1, 2, 5, 10, 25, 50].map(s => `<option value="${s}">${s}x</option>`).join('')}
+                </select>
+                <label title="Shorten pauses longer than ${this.maxIdleGapMs / 1000}s">
+                    <input type="checkbox" data-action="skip-idle"> Skip idle
+                </label>
+                <progress class="replay-bar-progress" value="0" max="1"></progress>
+                <span class="replay-bar-time"></span>
+                <span class="replay-bar-action"></span>
+                <button class="btn btn-secondary btn-small" data-action="load">📂 Load Trace…</button>
+                <input type="file" accept=".json,application/json" hidden>
+            `;
+            document.body.appendChild(bar);
+
+            bar.querySelector('[data-action="play"]').onclick = () => {
+                if (this.replay?.playing) {
+                    this.pause();
+                } else {
+                    this.play();
+                }
+            };
+            bar.querySelector('[data-action="step"]').onclick = () => this.stepToNextAction();
+            bar.querySelector('[data-action="restart"]').onclick = () => {
+                if (this.replay) this.loadReplay(this.replay.trace);
+            };
+            bar.querySelector('[data-action="speed"]').onchange = (e) => this.setReplaySpeed(e.target.value);
+            bar.querySelector('[data-action="skip-idle"]').onchange = (e) => this.setSkipIdle(e.target.checked);
+
+            const fileInput = bar.querySelector('input[type="file"]');
+            bar.querySelector('[data-action="load"]').onclick = () => fileInput.click();
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+
+                let trace;
+                try {
+                    trace = JSON.parse(await file.text());
+                } catch (e) {
+                    alert(`❌ Malformed trace file: ${e.message}`);
+                    return;
+                }
+                const error = this.loadReplay(trace);
+                if (error) {
+                    alert(`❌ ${error}`);
+                }
+            });
+        }
+
+        const replay = this.replay;
+        const events = replay?.trace.events || [];
+        const currentT = replay && replay.index > 0 ? events[replay.index - 1].t : 0;
+
+        const playBtn = bar.querySelector('[data-action="play"]');
+        playBtn.textContent = replay?.playing ? '⏸ Pause' : '▶ Play';
+        playBtn.disabled = !replay || (this.isReplayFinished() && !replay.playing);
+        bar.querySelector('[data-action="step"]').disabled = !replay || this.isReplayFinished();
+        bar.querySelector('[data-action="restart"]').disabled = !replay;
+        bar.querySelector('[data-action="speed"]').value = String(replay?.speed || 1);
+        bar.querySelector('[data-action="skip-idle"]').checked = replay?.skipIdle ?? true;
+
+        const progress = bar.querySelector('.replay-bar-progress');
+        progress.max = Math.max(1, events.length);
+        progress.value = replay?.index || 0;
+
+        bar.querySelector('.replay-bar-time').textContent = replay
+            ? `${this.formatTime(currentT)} / ${this.formatTime(replay.trace.durationMs || events[events.length - 1]?.t || 0)} · ${replay.index}/${events.length}`
+            : 'No trace loaded';
+        bar.querySelector('.replay-bar-action').textContent = replay?.lastAction
+            ? `👆 ${this.describeAction(replay.lastAction)}`
+            : '';
+    }
+}
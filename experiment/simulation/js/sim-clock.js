@@ -0,0 +1,210 @@
+/**
+ * ============================================
+ * SIMULATION CLOCK
+ * ============================================
+ * Accelerated clock for protocol timers (heartbeats, NRF timeouts)
+ *
+ * Responsibilities:
+ * - Provide simulated time that runs 1x-100x faster than wall-clock time
+ * - Schedule intervals/timeouts whose delays are given in simulated milliseconds
+ * - Reschedule pending timers when the speed multiplier changes
+ * - Notify listeners of speed changes
+ */
+
+class SimulationClock {
+    constructor() {
+        this.minSpeed = 1;
+        this.maxSpeed = 100;
+        this.speed = 1;
+
+        // Simulated time is anchored to a real timestamp and advances speed x faster
+        this.anchorRealTime = Date.now();
+        this.anchorSimTime = this.anchorRealTime;
+
+        // Maps timerId -> { callback, delay (sim ms), repeat, dueAt (sim ms), handle }
+        this.timers = new Map();
+        this.nextTimerId = 1;
+        this.listeners = [];
+
+        console.log('✅ SimulationClock initialized (1x)');
+    }
+
+    /**
+     * Get current simulated time
+     * @returns {number} Simulated epoch milliseconds
+     */
+    now() {
+        return this.anchorSimTime + (Date.now() - this.anchorRealTime) * this.speed;
+    }
+
+    /**
+     * Get current speed multiplier
+     * @returns {number}
+     */
+    getSpeed() {
+        return this.speed;
+    }
+
+    /**
+     * Change the speed multiplier; pending timers keep their simulated due time
+     * @param {number} speed - Multiplier between minSpeed and maxSpeed
+     * @returns {number} Applied speed
+     */
+    setSpeed(speed) {
+        const newSpeed = Math.min(this.maxSpeed, Math.max(this.minSpeed, Number(speed) || 1));
+        if (newSpeed === this.speed) {
+            return this.speed;
+        }
+
+        // Re-anchor so simulated time stays continuous across the change
+        this.anchorSimTime = this.now();
+        this.anchorRealTime = Date.now();
+        const previousSpeed = this.speed;
+        this.speed = newSpeed;
+
+        this.timers.forEach((timer, timerId) => {
+            clearTimeout(timer.handle);
+            this.armTimer(timerId);
+        });
+
+        console.log(`⏱️ Simulation speed changed: ${previousSpeed}x → ${newSpeed}x`);
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO',
+                `Simulation speed set to ${newSpeed}x`, {
+                previousSpeed: previousSpeed + 'x',
+                activeTimers: this.timers.size,
+                note: `60s of protocol time now takes ${(60 / newSpeed).toFixed(1)}s`
+            });
+        }
+
+        this.notifyListeners('speed-changed', { speed: newSpeed, previousSpeed });
+        return this.speed;
+    }
+
+    /**
+     * Repeat a callback every `delay` simulated milliseconds
+     * @param {Function} callback - Callback
+     * @param {number} delay - Interval in simulated ms
+     * @returns {number} Timer ID
+     */
+    setInterval(callback, delay) {
+        return this.addTimer(callback, delay, true);
+    }
+
+    /**
+     * Run a callback once after `delay` simulated milliseconds
+     * @param {Function} callback - Callback
+     * @param {number} delay - Delay in simulated ms
+     * @returns {number} Timer ID
+     */
+    setTimeout(callback, delay) {
+        return this.addTimer(callback, delay, false);
+    }
+
+    /**
+     * Cancel a timer created by setInterval/setTimeout
+     * @param {number} timerId - Timer ID
+     */
+    clearTimer(timerId) {
+        const timer = this.timers.get(timerId);
+        if (timer) {
+            clearTimeout(timer.handle);
+            this.timers.delete(timerId);
+        }
+    }
+
+    /**
+     * Alias of clearTimer for interval call sites
+     * @param {number} timerId - Timer ID
+     */
+    clearInterval(timerId) {
+        this.clearTimer(timerId);
+    }
+
+    /**
+     * Alias of clearTimer for timeout call sites
+     * @param {number} timerId - Timer ID
+     */
+    clearTimeout(timerId) {
+        this.clearTimer(timerId);
+    }
+
+    /**
+     * Register a timer and arm it
+     * @param {Function} callback - Callback
+     * @param {number} delay - Delay in simulated ms
+     * @param {boolean} repeat - True for intervals
+     * @returns {number} Timer ID
+     */
+    addTimer(callback, delay, repeat) {
+        const timerId = this.nextTimerId++;
+        this.timers.set(timerId, {
+            callback,
+            delay,
+            repeat,
+            dueAt: this.now() + delay,
+            handle: null
+        });
+        this.armTimer(timerId);
+        return timerId;
+    }
+
+    /**
+     * Schedule the real setTimeout for a timer's next due time at the current speed
+     * @param {number} timerId - Timer ID
+     */
+    armTimer(timerId) {
+        const timer = this.timers.get(timerId);
+        if (!timer) return;
+
+        const realDelay = Math.max(0, (timer.dueAt - this.now()) / this.speed);
+
+        timer.handle = setTimeout(() => {
+            if (!this.timers.has(timerId)) return;
+
+            if (timer.repeat) {
+                timer.dueAt += timer.delay;
+                this.armTimer(timerId);
+            } else {
+                this.timers.delete(timerId);
+            }
+
+            try {
+                timer.callback();
+            } catch (error) {
+                console.error('❌ Simulation timer callback failed:', error);
+            }
+        }, realDelay);
+    }
+
+    /**
+     * Convert simulated milliseconds to a short label (e.g. "60s @ 10x = 6.0s real")
+     * @param {number} simMs - Duration in simulated ms
+     * @returns {string}
+     */
+    describeDuration(simMs) {
+        const seconds = simMs / 1000;
+        if (this.speed === 1) {
+            return `${seconds}s`;
+        }
+        return `${seconds}s (${(seconds / this.speed).toFixed(1)}s real @ ${this.speed}x)`;
+    }
+
+    /**
+     * Subscribe to clock events
+     * @param {Function} callback - (event, data) => void
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Notify clock listeners
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    notifyListeners(event, data) {
+        this.listeners.forEach(callback => callback(event, data));
+    }
+}
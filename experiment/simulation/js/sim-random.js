@@ -0,0 +1,115 @@
+/**
+ * ============================================
+ * SIMULATION RANDOM
+ * ============================================
+ * Seedable pseudo-random number generator for the whole simulation
+ *
+ * Responsibilities:
+ * - Replace Math.random() for ping outcomes, response times, IDs, MAC addresses,
+ *   NF selection draws and log sampling
+ * - Replay exactly the same sequence for the same seed (mulberry32)
+ * - Expose the seed so it can be shown in the UI and saved with exported topologies
+ * - Notify listeners when the seed changes
+ */
+
+class SimulationRandom {
+    constructor() {
+        this.maxSeed = 4294967295; // Seeds are unsigned 32-bit integers
+        this.seed = 0;
+        this.state = 0;
+        this.listeners = [];
+
+        // Fresh seed per page load; pick a fixed one in the toolbar to reproduce a run
+        this.setSeed(Math.floor(Date.now() % 1000000));
+
+        console.log(`✅ SimulationRandom initialized (seed ${this.seed})`);
+    }
+
+    /**
+     * @returns {number} Current seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Set the seed and restart the sequence from its beginning
+     * @param {number|string} seed - Integer 0-4294967295
+     * @returns {string|null} Error message, or null if the seed was applied
+     */
+    setSeed(seed) {
+        const value = Number(seed);
+        if (String(seed).trim() === '' || !Number.isInteger(value) || value < 0 || value > this.maxSeed) {
+            return `Seed must be an integer between 0 and ${this.maxSeed}`;
+        }
+
+        this.seed = value;
+        this.state = value;
+        this.listeners.forEach(callback => callback(value));
+        return null;
+    }
+
+    /**
+     * Subscribe to seed changes
+     * @param {Function} callback - Called with the new seed
+     */
+    onSeedChange(callback) {
+        this.listeners.push(callback);
+    }
+
+    // ==========================================
+    // Draws
+    // ==========================================
+
+    /**
+     * Next number of the sequence (drop-in for Math.random())
+     * @returns {number} Float in [0, 1)
+     */
+    next() {
+        // mulberry32
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value (inclusive)
+     * @returns {number} Integer in [min, max]
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * @param {number} probability - Probability of true (0-1)
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random string from an alphabet (IDs, MAC addresses, container IDs)
+     * @param {number} length - Number of characters
+     * @param {string} alphabet - Characters to draw from (default base36)
+     * @returns {string}
+     */
+    string(length, alphabet = '0123456789abcdefghijklmnopqrstuvwxyz') {
+        let result = '';
+        for (let i = 0; i < length; i++) {
+            result += alphabet[Math.floor(this.next() * alphabet.length)];
+        }
+        return result;
+    }
+
+    /**
+     * @param {number} length - Number of hex digits
+     * @returns {string} Lowercase hex string
+     */
+    hex(length) {
+        return this.string(length, '0123456789abcdef');
+    }
+}
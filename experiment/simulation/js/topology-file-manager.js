@@ -0,0 +1,323 @@
+/**
+ * ============================================
+ * TOPOLOGY FILE MANAGER
+ * ============================================
+ * Saves and loads lab topologies as shareable JSON files
+ *
+ * Responsibilities:
+ * - Export the topology (NFs, connections, buses, subscribers) without session state,
+ *   with one connection per NF pair
+ * - Migrate older files (unversioned, one-click.json 1.0.0) to the current format
+ * - Reject files with dangling connection IDs, duplicates or NFs the simulator cannot deploy
+ */
+
+class TopologyFileManager {
+    constructor() {
+        // NF types DeploymentManager can deploy, and those NFManager allows several instances of
+        this.nfTypes = ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'ext-dn', 'UDM', 'PCF', 'NSSF', 'UDR', 'MySQL', 'gNB', 'UE'];
+        this.multiInstanceTypes = window.nfManager?.multiInstanceTypes || ['NRF', 'AMF', 'SMF', 'UPF', 'UE'];
+        this.maxUEs = 2;
+
+        // Runtime NF fields that make no sense in a shared file
+        this.runtimeNFFields = ['status', 'statusTimestamp', 'nrfStatus', 'iconImage', 'heartbeatIntervalId', 'createdAt'];
+
+        console.log('✅ TopologyFileManager initialized');
+    }
+
+    /**
+     * @returns {string} Format version written by DataStore.exportData()
+     */
+    getCurrentVersion() {
+        return window.dataStore?.schemaVersion || '1.1.0';
+    }
+
+    /**
+     * Migrations in order; each one upgrades a file from "from" to "to"
+     * @returns {Array} { from, to, description, migrate(data) }
+     */
+    getMigrations() {
+        return [
+            {
+                from: 'unversioned',
+                to: '1.0.0',
+                description: 'Add service buses',
+                migrate: data => ({
+                    ...data,
+                    nfs: data.nfs || [],
+                    connections: data.connections || [],
+                    buses: data.buses || [],
+                    busConnections: data.busConnections || []
+                })
+            },
+            {
+                from: '1.0.0',
+                to: '1.1.0',
+                description: 'Add the subscriber store and rebuild bus member lists',
+                migrate: data => ({
+                    ...data,
+                    subscribers: data.subscribers || [],
+                    buses: (data.buses || []).map(bus => ({
+                        ...bus,
+                        connections: (data.busConnections || [])
+                            .filter(busConn => busConn.busId === bus.id && busConn.nfId)
+                            .map(busConn => busConn.nfId)
+                    }))
+                })
+            }
+        ];
+    }
+
+    // ==========================================
+    // Export
+    // ==========================================
+
+    /**
+     * @param {string} name - Topology name shown when the file is loaded
+     * @returns {Object} Topology in the current format, without NRF registry, logs or NF runtime state
+     */
+    exportTopology(name) {
+        const { nrfRegistry, logs, ...data } = window.dataStore.exportData();
+
+        return {
+            ...data,
+            name: name || 'Untitled topology',
+            nfs: data.nfs.map(nf => {
+                const cleanNF = { ...nf };
+                this.runtimeNFFields.forEach(field => delete cleanNF[field]);
+                return cleanNF;
+            }),
+            connections: this.dedupeConnections(data.connections)
+        };
+    }
+
+    /**
+     * Keep the first connection of each NF pair (in either direction)
+     * @param {Array} connections - Interface connections
+     * @returns {Array} Connections with distinct endpoint pairs
+     */
+    dedupeConnections(connections) {
+        const pairs = new Set();
+        return connections.filter(conn => {
+            const pair = [conn.sourceId, conn.targetId].sort().join('|');
+            if (pairs.has(pair)) return false;
+            pairs.add(pair);
+            return true;
+        });
+    }
+
+    /**
+     * @param {string} name - Topology name
+     * @returns {string} Pretty-printed JSON
+     */
+    exportTopologyAsJSON(name) {
+        return JSON.stringify(this.exportTopology(name), null, 2);
+    }
+
+    // ==========================================
+    // Import
+    // ==========================================
+
+    /**
+     * Parse, migrate and validate a topology file
+     * @param {string|Object} source - File contents or parsed JSON
+     * @returns {Object} { topology, migratedFrom, error } - topology is null when error is set
+     */
+    parseTopology(source) {
+        let data = source;
+        if (typeof source === 'string') {
+            try {
+                data = JSON.parse(source);
+            } catch (e) {
+                return { topology: null, migratedFrom: null, error: `Malformed JSON: ${e.message}` };
+            }
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { topology: null, migratedFrom: null, error: 'A topology file must be a JSON object' };
+        }
+
+        const shapeProblems = this.validateShape(data);
+        if (shapeProblems.length > 0) {
+            return { topology: null, migratedFrom: null, error: `Invalid topology:\n${shapeProblems.map(problem => `• ${problem}`).join('\n')}` };
+        }
+
+        const { data: topology, migratedFrom, error } = this.migrate(data);
+        if (error) {
+            return { topology: null, migratedFrom: null, error };
+        }
+
+        const problems = this.validateTopology(topology);
+        if (problems.length > 0) {
+            const shown = problems.slice(0, 10).map(problem => `• ${problem}`).join('\n');
+            const more = problems.length > 10 ? `\n… and ${problems.length - 10} more` : '';
+            return { topology: null, migratedFrom, error: `Invalid topology:\n${shown}${more}` };
+        }
+
+        return { topology, migratedFrom, error: null };
+    }
+
+    /**
+     * Run every migration between the file's version and the current one
+     * @param {Object} data - Parsed file
+     * @returns {Object} { data, migratedFrom (original version or null), error }
+     */
+    migrate(data) {
+        const original = data.version || 'unversioned';
+        let version = original;
+        let migrated = data;
+
+        for (const migration of this.getMigrations()) {
+            if (migration.from !== version) continue;
+
+            migrated = { ...migration.migrate(migrated), version: migration.to };
+            console.log(`🔄 Topology migrated ${migration.from} → ${migration.to}: ${migration.description}`);
+            version = migration.to;
+        }
+
+        if (version !== this.getCurrentVersion()) {
+            return {
+                data: null,
+                migratedFrom: null,
+                error: `Unsupported topology version "${original}" (this simulator reads up to ${this.getCurrentVersion()})`
+            };
+        }
+
+        return { data: migrated, migratedFrom: original !== version ? original : null, error: null };
+    }
+
+    /**
+     * Checks migrations and validateTopology() rely on: lists that are present are arrays
+     * of objects, and a bus member list is an array
+     * @param {Object} data - Parsed file (any version)
+     * @returns {Array} Problem descriptions
+     */
+    validateShape(data) {
+        const problems = [];
+        ['nfs', 'connections', 'buses', 'busConnections', 'subscribers'].forEach(list => {
+            if (data[list] === undefined) return;
+            if (!Array.isArray(data[list])) {
+                problems.push(`"${list}" must be an array`);
+                return;
+            }
+            data[list].forEach((item, index) => {
+                if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                    problems.push(`"${list}" entry #${index + 1} must be an object`);
+                }
+            });
+        });
+        if (problems.length > 0) return problems;
+
+        (data.buses || []).forEach(bus => {
+            if (bus.connections !== undefined && !Array.isArray(bus.connections)) {
+                problems.push(`Bus ${bus.name || bus.id} "connections" must be an array of NF IDs`);
+            }
+        });
+        (data.nfs || []).forEach((nf, index) => {
+            if (nf.config !== undefined && (!nf.config || typeof nf.config !== 'object')) {
+                problems.push(`NF ${nf.name || nf.id || `#${index + 1}`} "config" must be an object`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Structural checks: every ID a connection refers to must exist in the file
+     * @param {Object} topology - Migrated topology
+     * @returns {Array} Problem descriptions (empty if the topology can be deployed)
+     */
+    validateTopology(topology) {
+        const problems = [];
+        const listNames = ['nfs', 'connections', 'buses', 'busConnections', 'subscribers'];
+
+        listNames.forEach(list => {
+            if (!Array.isArray(topology[list])) {
+                problems.push(`"${list}" must be an array`);
+            }
+        });
+        if (problems.length > 0) return problems;
+
+        problems.push(...this.validateShape(topology));
+        if (problems.length > 0) return problems;
+
+        const nfIds = this.checkUniqueIds(topology.nfs, 'NF', problems);
+        const busIds = this.checkUniqueIds(topology.buses, 'Bus', problems);
+        this.checkUniqueIds(topology.connections, 'Connection', problems);
+        this.checkUniqueIds(topology.busConnections, 'Bus connection', problems);
+
+        // Deployment matches NFs by name, and the NF manager enforces instance limits
+        const names = new Set();
+        const typeCounts = {};
+        topology.nfs.forEach(nf => {
+            const label = nf.name || nf.id;
+            if (!this.nfTypes.includes(nf.type)) {
+                problems.push(`NF ${label} has unknown type "${nf.type}"`);
+            }
+            if (!nf.name) {
+                problems.push(`NF ${nf.id} has no name`);
+            } else if (names.has(nf.name)) {
+                problems.push(`NF name ${nf.name} is used more than once`);
+            }
+            names.add(nf.name);
+            if (!nf.config || !nf.config.ipAddress) {
+                problems.push(`NF ${label} has no config.ipAddress`);
+            }
+            typeCounts[nf.type] = (typeCounts[nf.type] || 0) + 1;
+        });
+
+        Object.entries(typeCounts).forEach(([type, count]) => {
+            if (type === 'UE' && count > this.maxUEs) {
+                problems.push(`${count} UEs (at most ${this.maxUEs} are allowed)`);
+            } else if (!this.multiInstanceTypes.includes(type) && count > 1) {
+                problems.push(`${count} ${type} instances (only one is allowed)`);
+            }
+        });
+
+        topology.connections.forEach(conn => {
+            [['sourceId', conn.sourceId], ['targetId', conn.targetId]].forEach(([field, id]) => {
+                if (!nfIds.has(id)) {
+                    problems.push(`Connection ${conn.id} ${field} "${id}" does not match any NF`);
+                }
+            });
+        });
+
+        topology.busConnections.forEach(busConn => {
+            const refs = busConn.type === 'bus-to-bus-connection'
+                ? [['sourceBusId', busConn.sourceBusId, busIds, 'bus'], ['targetBusId', busConn.targetBusId, busIds, 'bus']]
+                : [['nfId', busConn.nfId, nfIds, 'NF'], ['busId', busConn.busId, busIds, 'bus']];
+
+            refs.forEach(([field, id, ids, kind]) => {
+                if (!ids.has(id)) {
+                    problems.push(`Bus connection ${busConn.id} ${field} "${id}" does not match any ${kind}`);
+                }
+            });
+        });
+
+        topology.buses.forEach(bus => {
+            (bus.connections || []).filter(nfId => !nfIds.has(nfId)).forEach(nfId => {
+                problems.push(`Bus ${bus.name || bus.id} lists unknown NF "${nfId}"`);
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * @param {Array} items - Entities with an id
+     * @param {string} label - Entity name for messages
+     * @param {Array} problems - Collects duplicate / missing IDs
+     * @returns {Set} IDs found
+     */
+    checkUniqueIds(items, label, problems) {
+        const ids = new Set();
+        items.forEach((item, index) => {
+            if (!item || !item.id) {
+                problems.push(`${label} #${index + 1} has no id`);
+            } else if (ids.has(item.id)) {
+                problems.push(`${label} id ${item.id} is used more than once`);
+            } else {
+                ids.add(item.id);
+            }
+        });
+        return ids;
+    }
+}
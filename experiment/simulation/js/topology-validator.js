@@ -0,0 +1,244 @@
+/**
+ * ============================================
+ * TOPOLOGY VALIDATOR
+ * ============================================
+ * Checks the topology against 3GPP interface rules and nf-dependencies.json
+ *
+ * Responsibilities:
+ * - Required/optional dependencies of every NF (direct or via service bus)
+ * - Interface rules and subnet consistency of connections
+ * - Orphan buses, duplicate IPs and ports
+ * - UDR without MySQL, UPF without ext-dn (N6)
+ * - UE IMSIs missing from the subscriber store
+ * - NFs not registered in NRFRegistry
+ */
+
+class TopologyValidator {
+    constructor() {
+        // Types that never register with the NRF (same list as the NF config panel)
+        this.nonRegisteringTypes = ['NRF', 'gNB', 'UE', 'ext-dn', 'MySQL'];
+
+        console.log('✅ TopologyValidator initialized');
+    }
+
+    /**
+     * Run every check
+     * @returns {Array} Findings { id, severity (error|warning|info), category, message, suggestion, nfId }
+     *                  sorted errors first
+     */
+    validate() {
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        const findings = [];
+        const add = (severity, category, message, suggestion = '', nfId = null) => {
+            findings.push({ id: findings.length + 1, severity, category, message, suggestion, nfId });
+        };
+
+        if (allNFs.length === 0) {
+            add('info', 'Topology', 'Topology is empty', 'Add some Network Functions first');
+            return findings;
+        }
+
+        if (!allNFs.some(nf => nf.type === 'NRF')) {
+            add('error', 'Topology', 'NRF is missing', 'NRF is required as the central registry - add one');
+        }
+
+        this.checkDependencies(allNFs, add);
+        this.checkConnections(add);
+        this.checkBuses(add);
+        this.checkAddresses(allNFs, add);
+        this.checkDataPlane(allNFs, add);
+        this.checkSubscribers(allNFs, add);
+        this.checkRegistrations(allNFs, add);
+
+        const order = { error: 0, warning: 1, info: 2 };
+        return findings.sort((a, b) => order[a.severity] - order[b.severity] || a.id - b.id);
+    }
+
+    // ==========================================
+    // Checks
+    // ==========================================
+
+    /**
+     * Required and optional dependencies from nf-dependencies.json
+     */
+    checkDependencies(allNFs, add) {
+        const dependencies = window.logEngine?.dependencies || window.logEngine?.getDefaultDependencies() || {};
+
+        allNFs.forEach(nf => {
+            const depInfo = dependencies[nf.type];
+            if (!depInfo) return;
+
+            [['required', 'error'], ['optional', 'warning']].forEach(([kind, severity]) => {
+                (depInfo[kind] || []).forEach(depType => {
+                    if (!allNFs.some(other => other.type === depType)) {
+                        add(severity, 'Dependencies',
+                            `${nf.name} ${kind === 'required' ? 'requires' : 'can use'} ${depType}, but there is none in the topology`,
+                            `Add ${depType} and connect it to ${nf.name}`, nf.id);
+                    } else if (!window.logEngine.hasConnectionToType(nf, depType)) {
+                        add(severity, 'Dependencies',
+                            `${nf.name} is not connected to ${depType} (${kind})`,
+                            `Connect ${nf.name} to ${depType} directly or through a service bus`, nf.id);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Interface rules and same-subnet restriction for every connection
+     */
+    checkConnections(add) {
+        const connectionManager = window.connectionManager;
+
+        (window.dataStore?.getAllConnections() || []).forEach(conn => {
+            const source = window.dataStore.getNFById(conn.sourceId);
+            const target = window.dataStore.getNFById(conn.targetId);
+            if (!source || !target) {
+                add('error', 'Connections', `Connection ${conn.id} points to a missing NF`,
+                    'Delete the connection', source?.id || target?.id || null);
+                return;
+            }
+
+            const label = `${source.name} ↔ ${target.name}`;
+            if (connectionManager && !connectionManager.isConnectionValid(source.type, target.type)) {
+                add('error', 'Interfaces', `${label}: no 3GPP interface between ${source.type} and ${target.type}`,
+                    'Delete the connection', source.id);
+            }
+
+            if (this.getNetworkFromIP(source.config.ipAddress) !== this.getNetworkFromIP(target.config.ipAddress)) {
+                add('error', 'Subnets',
+                    `${label}${conn.interfaceName ? ` (${conn.interfaceName})` : ''} crosses subnets ` +
+                    `${this.getNetworkFromIP(source.config.ipAddress)}.0/24 and ${this.getNetworkFromIP(target.config.ipAddress)}.0/24`,
+                    'Move both NFs into the same subnet', source.id);
+            }
+        });
+    }
+
+    /**
+     * Buses without NFs, or whose NFs sit in different subnets
+     */
+    checkBuses(add) {
+        (window.dataStore?.getAllBuses() || []).forEach(bus => {
+            const nfs = window.dataStore.getBusConnectionsForBus(bus.id)
+                .map(busConn => window.dataStore.getNFById(busConn.nfId))
+                .filter(Boolean);
+
+            if (nfs.length === 0) {
+                add('warning', 'Buses', `${bus.name} has no NFs attached`, 'Connect NFs to the bus or delete it');
+            } else if (nfs.length === 1) {
+                add('info', 'Buses', `${bus.name} only has ${nfs[0].name} attached`,
+                    'A bus is only useful with two or more NFs', nfs[0].id);
+            }
+
+            const subnets = [...new Set(nfs.map(nf => this.getNetworkFromIP(nf.config.ipAddress)))];
+            if (subnets.length > 1) {
+                add('warning', 'Subnets', `${bus.name} joins NFs from ${subnets.map(s => `${s}.0/24`).join(', ')}`,
+                    'Keep every NF on a bus in the same subnet', nfs[0].id);
+            }
+        });
+    }
+
+    /**
+     * Malformed, duplicate IPs and duplicate ports
+     */
+    checkAddresses(allNFs, add) {
+        const byIP = new Map();
+        const byPort = new Map();
+
+        allNFs.forEach(nf => {
+            const ip = nf.config.ipAddress;
+            if (!/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.test(ip || '') ||
+                ip.split('.').some(octet => Number(octet) > 255)) {
+                add('error', 'Addresses', `${nf.name} has an invalid IP address "${ip || ''}"`,
+                    'Set a valid IPv4 address in the configuration panel', nf.id);
+            } else {
+                byIP.set(ip, [...(byIP.get(ip) || []), nf]);
+            }
+
+            if (nf.config.port !== undefined) {
+                byPort.set(nf.config.port, [...(byPort.get(nf.config.port) || []), nf]);
+            }
+        });
+
+        byIP.forEach((nfs, ip) => {
+            if (nfs.length > 1) {
+                add('error', 'Addresses', `IP ${ip} is used by ${nfs.map(nf => nf.name).join(', ')}`,
+                    'Give each NF its own IP address', nfs[1].id);
+            }
+        });
+        byPort.forEach((nfs, port) => {
+            if (nfs.length > 1) {
+                add('warning', 'Addresses', `Port ${port} is used by ${nfs.map(nf => nf.name).join(', ')}`,
+                    'Give each NF its own port', nfs[1].id);
+            }
+        });
+    }
+
+    /**
+     * UDR needs its MySQL database and UPF needs ext-dn (N6)
+     */
+    checkDataPlane(allNFs, add) {
+        allNFs.forEach(nf => {
+            if (nf.type === 'UDR' && !window.logEngine?.hasConnectionToType(nf, 'MySQL')) {
+                const mysql = allNFs.find(other => other.type === 'MySQL' &&
+                    this.getNetworkFromIP(other.config.ipAddress) === this.getNetworkFromIP(nf.config.ipAddress));
+                add('error', 'Data plane', `${nf.name} has no MySQL database`,
+                    mysql ? `Connect ${mysql.name} to ${nf.name}` : `Add MySQL in subnet ${this.getNetworkFromIP(nf.config.ipAddress)}.0/24`,
+                    nf.id);
+            }
+
+            if (nf.type === 'UPF' && !window.logEngine?.hasConnectionToType(nf, 'ext-dn')) {
+                add('warning', 'Data plane', `${nf.name} has no N6 link to ext-dn - UE traffic cannot leave the core`,
+                    `Add ext-dn and connect it to ${nf.name}`, nf.id);
+            }
+        });
+    }
+
+    /**
+     * UE IMSIs must exist in the subscriber store (UDR/MySQL)
+     */
+    checkSubscribers(allNFs, add) {
+        const subscribers = window.dataStore?.getSubscribers() || [];
+
+        allNFs.filter(nf => nf.type === 'UE').forEach(ue => {
+            const imsi = ue.config.subscriberImsi;
+            if (!imsi) {
+                add('warning', 'Subscribers', `${ue.name} has no subscriber IMSI`,
+                    'Pick a subscriber in the UE configuration', ue.id);
+            } else if (!subscribers.some(s => s.imsi === imsi)) {
+                add('error', 'Subscribers', `${ue.name} uses IMSI ${imsi}, which is not in the subscriber store`,
+                    'Add the subscriber or pick another IMSI - registration will be rejected', ue.id);
+            }
+        });
+    }
+
+    /**
+     * NFs that should be REGISTERED in NRFRegistry
+     */
+    checkRegistrations(allNFs, add) {
+        if (!window.nrfRegistry) return;
+
+        allNFs.filter(nf => !this.nonRegisteringTypes.includes(nf.type)).forEach(nf => {
+            const status = window.nrfRegistry.getNFProfile(nf.id)?.nfStatus;
+            if (status === 'REGISTERED') return;
+
+            if (nf.status === 'starting') {
+                add('info', 'NRF registration', `${nf.name} is still starting and not registered yet`, '', nf.id);
+            } else if (status) {
+                add('warning', 'NRF registration', `${nf.name} is ${status} at the NRF`,
+                    'Check its heartbeats and any injected faults', nf.id);
+            } else {
+                add('warning', 'NRF registration', `${nf.name} is not registered in the NRF`,
+                    `Connect ${nf.name} to the NRF (directly or through a service bus)`, nf.id);
+            }
+        });
+    }
+
+    /**
+     * @param {string} ip - IPv4 address
+     * @returns {string} First three octets
+     */
+    getNetworkFromIP(ip) {
+        return (ip || '').split('.').slice(0, 3).join('.');
+    }
+}
@@ -19,6 +19,9 @@ class UIController {
         this.selectedSourceNF = null;
         this.selectedDestinationNF = null;
         this.iperf3Servers = new Map(); // Track active iperf3 servers: nfId -> { server, output, intervalId }
+        this.validatorDock = 'right'; // Side of the canvas the validator panel docks to
+        this.validatorRefreshHooked = false;
+        this.validatorRefreshTimer = null;
 
         console.log('✅ UIController initialized');
     }
@@ -34,7 +37,16 @@ class UIController {
         this.setupOneClickDeployButton();
         this.setupAddNFButton();
         this.setupClearButton();
+        this.setupTopologyFileButtons();
+        this.setupComposeButton();
         this.setupValidateButton();
+        this.setupFaultInjectionButton();
+        this.setupScenarioButton();
+        this.setupGuidedLabButton();
+        this.setupQuizButton();
+        this.setupSessionRecorderButton();
+        this.setupSimulationSpeedControl();
+        this.setupRandomSeedControl();
         this.setupHelpButton();
         this.setupConnectionButtons();
         this.setupNFPalette();
@@ -98,6 +110,7 @@ class UIController {
      */
     createNFFromPalette(type) {
         console.log('🖱️ Palette item clicked:', type);
+        window.sessionRecorder?.recordAction('palette-click', { nfType: type });
         // NEW: Show configuration panel first, don't create NF yet
         this.showNFConfigurationForNewNF(type);
     }
@@ -124,18 +137,28 @@ class UIController {
 
     /**
      * Start one-click deployment process
+     * @param {Object} topology - Validated topology to deploy (defaults to one-click.json)
      */
-    async startOneClickDeployment() {
+    async startOneClickDeployment(topology = null) {
         try {
-            // Load topology configuration
-            // Since the HTML is at simulation/index.html and JSON is at root/one-click.json
-            // We need to go up one directory level
-            const response = await fetch('../one-click.json');
-            if (!response.ok) {
-                throw new Error('Failed to load topology configuration from one-click.json');
+            if (!topology) {
+                // Load topology configuration
+                // Since the HTML is at simulation/index.html and JSON is at root/one-click.json
+                // We need to go up one directory level
+                const response = await fetch('../one-click.json');
+                if (!response.ok) {
+                    throw new Error('Failed to load topology configuration from one-click.json');
+                }
+
+                // one-click.json goes through the same migrations and checks as a loaded file
+                const parsed = window.topologyFileManager
+                    ? window.topologyFileManager.parseTopology(await response.text())
+                    : { topology: await response.json(), error: null };
+                if (parsed.error) {
+                    throw new Error(`one-click.json: ${parsed.error}`);
+                }
+                topology = parsed.topology;
             }
-            
-            const topology = await response.json();
             console.log('📋 Loaded topology configuration:', topology);
 
             // Start deployment immediately without confirmation
@@ -308,6 +331,10 @@ class UIController {
          */
     selectBus(bus) {
         console.log('✅ Bus selected as destination:', bus.name);
+        window.sessionRecorder?.recordAction('connection-create', {
+            source: this.selectedSourceNF?.name || this.selectedSourceBus?.name,
+            target: bus.name
+        });
 
         if (this.selectedSourceNF) {
             // NF to Bus connection
@@ -378,17 +405,17 @@ class UIController {
                     // In destination mode, allow clicking either NF or Bus
                     if (clickedNF) {
                         console.log('🔗 Connecting to NF...');
-                        this.selectDestinationNF(clickedNF);
+                        this.recordEdit(`Connect to ${clickedNF.name}`, () => this.selectDestinationNF(clickedNF));
                     } else if (clickedBus) {
                         console.log(' Connecting to Bus...');
-                        this.selectBus(clickedBus);
+                        this.recordEdit(`Connect to ${clickedBus.name}`, () => this.selectBus(clickedBus));
                     } else {
                         console.log('❌ Please click on an NF or Bus Line');
                     }
                 } else if (this.connectionMode === 'selecting-bus' && clickedBus) {
                     // Keep this for backward compatibility
                     console.log(' Bus click detected, calling selectBus...');
-                    this.selectBus(clickedBus);
+                    this.recordEdit(`Connect to ${clickedBus.name}`, () => this.selectBus(clickedBus));
                 }
             });
         }
@@ -476,6 +503,10 @@ class UIController {
     selectDestinationNF(nf) {
         console.log('✅ NF selected as destination:', nf.name);
         this.selectedDestinationNF = nf;
+        window.sessionRecorder?.recordAction('connection-create', {
+            source: this.selectedSourceNF?.name || this.selectedSourceBus?.name,
+            target: nf.name
+        });
 
         if (this.selectedSourceNF) {
             // NF to NF connection (standard)
@@ -575,6 +606,253 @@ class UIController {
         });
     }
 
+    /**
+     * Setup Save / Load topology buttons
+     */
+    setupTopologyFileButtons() {
+        const saveBtn = document.getElementById('btn-save-topology');
+        const loadBtn = document.getElementById('btn-load-topology');
+        const fileInput = document.getElementById('topology-file-input');
+        if (!saveBtn || !loadBtn || !fileInput) return;
+
+        saveBtn.addEventListener('click', () => {
+            console.log('💾 Save topology clicked');
+            this.saveTopologyFile();
+        });
+
+        loadBtn.addEventListener('click', () => {
+            console.log('📂 Load topology clicked');
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            // Nothing else catches a rejection of this handler
+            try {
+                await this.loadTopologyFile(file);
+            } catch (error) {
+                console.error('❌ Loading topology failed:', error);
+                alert(`❌ Cannot load ${file.name}\n\n${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Download the current topology as a JSON file
+     */
+    saveTopologyFile() {
+        if (!window.topologyFileManager) return;
+
+        if ((window.dataStore?.getAllNFs() || []).length === 0) {
+            alert('The topology is empty - add some Network Functions before saving.');
+            return;
+        }
+
+        const name = prompt('Topology name (shown when the file is loaded):', 'My 5G lab');
+        if (name === null) return;
+
+        const blob = new Blob([window.topologyFileManager.exportTopologyAsJSON(name.trim())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `5g-topology-${(name.trim() || 'untitled').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        console.log('✅ Topology exported');
+    }
+
+    /**
+     * Setup Compose button (docker-compose export)
+     */
+    setupComposeButton() {
+        const composeBtn = document.getElementById('btn-compose');
+        if (!composeBtn) return;
+
+        composeBtn.addEventListener('click', () => {
+            console.log('🐳 Compose clicked');
+            this.showComposePanel();
+        });
+    }
+
+    /**
+     * Show the compose files generated from the topology, with a preview and downloads,
+     * and import compose files as a new topology
+     */
+    showComposePanel() {
+        const composer = window.composeFileManager;
+        if (!composer) {
+            alert('Docker Compose support is not available.');
+            return;
+        }
+
+        const files = composer.generateComposeFiles();
+
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content compose-panel">
+                <div class="json-modal-header">
+                    <h3>🐳 Docker Compose</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                ${files.length > 0 ? `
+                    <div class="scenario-panel-picker">
+                        <select class="compose-panel-select">
+                            ${files.map((file, index) => `<option value="${index}">${this.escapeHtml(file.fileName)} - ` +
+                                `${this.escapeHtml(file.description)} (${file.serviceCount} service${file.serviceCount === 1 ? '' : 's'})</option>`).join('')}
+                        </select>
+                    </div>
+                    <p class="hint">Start docker-compose.yml first: it creates the networks the gNB and UE files attach to.</p>
+                    <textarea class="nf-profile-editor-text compose-panel-text" spellcheck="false" readonly></textarea>
+                ` : `
+                    <p class="hint">The topology is empty. Add Network Functions to export them, or import the
+                        docker-compose files of an OAI, free5GC or Open5GS deployment.</p>
+                `}
+                <div class="nf-profile-editor-actions">
+                    <button class="btn btn-secondary" data-action="import">📂 Import Compose Files…</button>
+                    <input type="file" accept=".yml,.yaml" multiple hidden>
+                    ${files.length > 0 ? `
+                        <button class="btn btn-secondary" data-action="download">💾 Download</button>
+                        <button class="btn btn-primary" data-action="download-all">💾 Download All</button>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+
+        const fileInput = modal.querySelector('input[type="file"]');
+        modal.querySelector('[data-action="import"]').onclick = () => fileInput.click();
+        fileInput.addEventListener('change', async () => {
+            const selected = Array.from(fileInput.files);
+            fileInput.value = '';
+            if (selected.length === 0) return;
+
+            close();
+            await this.importComposeFiles(selected);
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
+
+        if (files.length === 0) return;
+
+        const select = modal.querySelector('.compose-panel-select');
+        const textarea = modal.querySelector('.compose-panel-text');
+        const showFile = () => {
+            textarea.value = files[select.value].content;
+        };
+        select.addEventListener('change', showFile);
+        showFile();
+
+        const download = (file) => {
+            const blob = new Blob([file.content], { type: 'application/x-yaml' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = file.fileName;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            console.log(`✅ ${file.fileName} exported`);
+        };
+
+        modal.querySelector('[data-action="download"]').onclick = () => download(files[select.value]);
+        modal.querySelector('[data-action="download-all"]').onclick = () => files.forEach(download);
+    }
+
+    /**
+     * Turn docker-compose files into a topology and deploy it in place of the current one
+     * @param {Array} files - Selected File objects (core, gNB and UE files can be imported together)
+     */
+    async importComposeFiles(files) {
+        if (window.deploymentManager?.isDeploying) {
+            alert('A deployment is already in progress. Please wait for it to finish.');
+            return;
+        }
+
+        const fileNames = files.map(file => file.name).join(', ');
+        const contents = await Promise.all(files.map(async file => ({ name: file.name, text: await file.text() })));
+        const { topology, warnings, error } = window.composeFileManager.importComposeFiles(contents);
+        if (error) {
+            alert(`❌ Cannot import ${fileNames}\n\n${error}`);
+            return;
+        }
+
+        const shown = warnings.slice(0, 8).map(warning => `• ${warning}`).join('\n');
+        const more = warnings.length > 8 ? `\n… and ${warnings.length - 8} more` : '';
+        await this.confirmAndDeployTopology(topology, fileNames, warnings.length > 0 ? `Notes:\n${shown}${more}` : '', {
+            source: 'docker-compose',
+            warnings: warnings.length
+        });
+    }
+
+    /**
+     * Check a topology file and deploy it in place of the current topology
+     * @param {File} file - Selected JSON file
+     */
+    async loadTopologyFile(file) {
+        if (!window.topologyFileManager) return;
+
+        if (window.deploymentManager?.isDeploying) {
+            alert('A deployment is already in progress. Please wait for it to finish.');
+            return;
+        }
+
+        const { topology, migratedFrom, error } = window.topologyFileManager.parseTopology(await file.text());
+        if (error) {
+            alert(`❌ Cannot load ${file.name}\n\n${error}`);
+            return;
+        }
+
+        const migration = migratedFrom
+            ? `The file uses format ${migratedFrom} and was upgraded to ${topology.version}.`
+            : '';
+        await this.confirmAndDeployTopology(topology, file.name, migration, {
+            version: topology.version,
+            migratedFrom: migratedFrom || 'none'
+        });
+    }
+
+    /**
+     * Ask before replacing the current topology, then deploy a loaded or imported one
+     * @param {Object} topology - Valid topology
+     * @param {string} fileName - Source file(s), for the prompt and the log
+     * @param {string} note - Extra text for the prompt (migration, import warnings), may be empty
+     * @param {Object} details - Extra log details
+     */
+    async confirmAndDeployTopology(topology, fileName, note, details = {}) {
+        const summary = `${topology.nfs.length} NFs, ${topology.connections.length} connections, ` +
+            `${topology.buses.length} buses, ${topology.subscribers.length} subscribers`;
+        if (!confirm(`Deploy "${topology.name || fileName}"?\n\n${summary}${note ? `\n\n${note}` : ''}\n\nThis replaces the current topology.`)) {
+            return;
+        }
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO', `Loading topology "${topology.name || fileName}"`, {
+                file: fileName,
+                ...details
+            });
+        }
+
+        // "docker compose up" in the terminal should bring up this topology too
+        window.dockerTerminal?.setTopology(topology);
+        await this.startOneClickDeployment(topology);
+    }
+
     /**
      * Clear entire topology
      */
@@ -621,6 +899,102 @@ class UIController {
         });
     }
 
+    /**
+     * Setup Faults button (fault injection panel)
+     */
+    setupFaultInjectionButton() {
+        const faultsBtn = document.getElementById('btn-faults');
+        if (!faultsBtn) return;
+
+        faultsBtn.addEventListener('click', () => {
+            console.log('💥 Faults clicked');
+            this.showFaultInjectionPanel();
+        });
+    }
+
+    /**
+     * Setup simulation speed selector (toolbar)
+     */
+    setupSimulationSpeedControl() {
+        const speedSelect = document.getElementById('sim-speed-select');
+        if (!speedSelect || !window.simClock) return;
+
+        speedSelect.value = String(window.simClock.getSpeed());
+        speedSelect.addEventListener('change', (e) => {
+            window.simClock.setSpeed(parseInt(e.target.value, 10));
+        });
+    }
+
+    /**
+     * Setup Scenarios button (scenario runner panel)
+     */
+    setupScenarioButton() {
+        const scenariosBtn = document.getElementById('btn-scenarios');
+        if (!scenariosBtn) return;
+
+        scenariosBtn.addEventListener('click', () => {
+            console.log('🎬 Scenarios clicked');
+            this.showScenarioPanel();
+        });
+    }
+
+    /**
+     * Setup Guided Lab button (procedure walkthrough overlay)
+     */
+    setupGuidedLabButton() {
+        const guidedBtn = document.getElementById('btn-guided-lab');
+        if (!guidedBtn) return;
+
+        guidedBtn.addEventListener('click', () => {
+            console.log('🧭 Guided Lab clicked');
+            window.guidedLab?.start();
+        });
+    }
+
+    /**
+     * Setup Quiz button (pre-test / post-test panel)
+     */
+    setupQuizButton() {
+        const quizBtn = document.getElementById('btn-quiz');
+        if (!quizBtn) return;
+
+        quizBtn.addEventListener('click', () => {
+            console.log('📝 Quiz clicked');
+            this.showQuizPanel();
+        });
+    }
+
+    /**
+     * Setup random seed input (toolbar)
+     */
+    setupRandomSeedControl() {
+        const seedInput = document.getElementById('sim-seed-input');
+        const applyBtn = document.getElementById('btn-apply-seed');
+        if (!seedInput || !applyBtn || !window.simRandom) return;
+
+        seedInput.value = String(window.simRandom.getSeed());
+        // Imported topologies bring their own seed
+        window.simRandom.onSeedChange(seed => {
+            seedInput.value = String(seed);
+        });
+
+        applyBtn.addEventListener('click', () => {
+            const error = window.simRandom.setSeed(seedInput.value);
+            if (error) {
+                alert(`❌ ${error}`);
+                seedInput.value = String(window.simRandom.getSeed());
+                return;
+            }
+
+            if (window.logEngine) {
+                window.logEngine.addLog('system', 'INFO',
+                    `Random seed set to ${window.simRandom.getSeed()}`, {
+                    note: 'Random sequence restarted; repeating the same actions reproduces the same run'
+                });
+            }
+        });
+    }
+
     /**
      * Setup Terminal button
      */
@@ -643,48 +1017,586 @@ class UIController {
     }
 
     /**
-     * Validate topology
+     * Validate topology (docked findings panel; rubric assessment is opened from there)
      */
     validateTopology() {
-        const allNFs = window.dataStore?.getAllNFs() || [];
-        const allConnections = window.dataStore?.getAllConnections() || [];
+        this.showValidatorPanel();
+    }
 
-        if (allNFs.length === 0) {
-            alert('Topology is empty. Add some Network Functions first.');
+    /**
+     * Show the validator panel docked on the canvas and keep it up to date while open
+     */
+    showValidatorPanel() {
+        if (!window.topologyValidator) {
+            alert('Topology Validator is not available.');
             return;
         }
 
-        let report = '═══════════════════════════════════\n';
-        report += '5G TOPOLOGY VALIDATION REPORT\n';
-        report += '═══════════════════════════════════\n\n';
+        const container = document.querySelector('.canvas-container');
+        if (!container) return;
+
+        let panel = document.getElementById('validator-panel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'validator-panel';
+            panel.className = `validator-panel dock-${this.validatorDock}`;
+            panel.innerHTML = `
+                <div class="validator-panel-header">
+                    <h3>✓ Topology Validation</h3>
+                    <button class="btn-small" data-action="refresh" title="Run the checks again">↻</button>
+                    <button class="btn-small" data-action="dock" title="Dock on the other side">⇆</button>
+                    <button class="btn-small" data-action="close" title="Close">✖</button>
+                </div>
+                <div class="validator-panel-summary"></div>
+                <div class="validator-panel-findings"></div>
+                <div class="validator-panel-footer">
+                    <button class="btn btn-info btn-block" data-action="assess">📝 Assess with Rubric…</button>
+                </div>
+            `;
+            container.appendChild(panel);
 
-        // Check for NRF
-        const hasNRF = allNFs.some(nf => nf.type === 'NRF');
-        if (!hasNRF) {
-            report += '❌ CRITICAL: NRF is missing!\n';
-            report += '   NRF is required as the central registry.\n\n';
-        } else {
-            report += '✅ NRF exists\n\n';
+            panel.querySelector('[data-action="refresh"]').onclick = () => this.renderValidatorFindings();
+            panel.querySelector('[data-action="dock"]').onclick = () => {
+                this.validatorDock = this.validatorDock === 'left' ? 'right' : 'left';
+                panel.className = `validator-panel dock-${this.validatorDock}`;
+            };
+            panel.querySelector('[data-action="close"]').onclick = () => panel.remove();
+            panel.querySelector('[data-action="assess"]').onclick = () => this.showAssessmentPanel();
+
+            panel.querySelector('.validator-panel-findings').addEventListener('click', (e) => {
+                const item = e.target.closest('[data-nf-id]');
+                if (item) {
+                    this.selectNFOnCanvas(item.dataset.nfId);
+                }
+            });
         }
 
-        // Check each NF
-        report += 'NETWORK FUNCTIONS:\n';
-        report += '─────────────────────────────────\n';
-        allNFs.forEach(nf => {
-            const connections = window.dataStore.getConnectionsForNF(nf.id);
-            report += `${nf.name} (${nf.type}): ${connections.length} connections\n`;
+        // Re-run shortly after topology changes or new logs (NRF registrations show up as logs)
+        if (!this.validatorRefreshHooked) {
+            this.validatorRefreshHooked = true;
+            const scheduleRefresh = () => {
+                if (!document.getElementById('validator-panel') || this.validatorRefreshTimer) return;
+                this.validatorRefreshTimer = setTimeout(() => {
+                    this.validatorRefreshTimer = null;
+                    if (document.getElementById('validator-panel')) {
+                        this.renderValidatorFindings();
+                    }
+                }, 500);
+            };
+            window.dataStore?.subscribe(scheduleRefresh);
+            window.logEngine?.subscribe(scheduleRefresh);
+        }
+
+        this.renderValidatorFindings();
+    }
+
+    /**
+     * Run the topology checks and render the findings into the validator panel
+     */
+    renderValidatorFindings() {
+        const panel = document.getElementById('validator-panel');
+        if (!panel) return;
+
+        const findings = window.topologyValidator.validate();
+        const count = severity => findings.filter(f => f.severity === severity).length;
+        const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' };
+
+        panel.querySelector('.validator-panel-summary').innerHTML = count('error') + count('warning') === 0
+            ? '<span class="validator-ok">✅ No problems found</span>'
+            : `${icons.error} ${count('error')} error(s) &nbsp; ${icons.warning} ${count('warning')} warning(s) &nbsp; ${icons.info} ${count('info')}`;
+
+        panel.querySelector('.validator-panel-findings').innerHTML = findings.map(finding => `
+            <div class="validator-finding ${finding.severity}${finding.nfId ? ' clickable' : ''}"
+                 ${finding.nfId ? `data-nf-id="${this.escapeHtml(finding.nfId)}" title="Select on canvas"` : ''}>
+                <span class="validator-finding-icon">${icons[finding.severity]}</span>
+                <span class="validator-finding-text">
+                    <span class="validator-finding-category">${this.escapeHtml(finding.category)}</span>
+                    ${this.escapeHtml(finding.message)}
+                    ${finding.suggestion ? `<small>💡 ${this.escapeHtml(finding.suggestion)}</small>` : ''}
+                </span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Select an NF on the canvas and open its configuration (validator findings)
+     * @param {string} nfId - NF ID
+     */
+    selectNFOnCanvas(nfId) {
+        const nf = window.dataStore?.getNFById(nfId);
+        if (!nf) return;
+
+        if (window.canvasRenderer) {
+            window.canvasRenderer.selectedNF = nf.id;
+            window.canvasRenderer.render();
+        }
+        this.showNFConfigPanel(nf);
+    }
+
+    /**
+     * Show the assessment panel: pick a bundled rubric, paste or load one, score the
+     * topology and export the report as JSON
+     */
+    async showAssessmentPanel() {
+        const evaluator = window.rubricEvaluator;
+        if (!evaluator) {
+            alert('Rubric Evaluator is not available.');
+            return;
+        }
+
+        const rubrics = await evaluator.loadRubrics();
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content assessment-panel">
+                <div class="json-modal-header">
+                    <h3>✓ Topology Assessment</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="scenario-panel-picker">
+                    <select class="assessment-panel-select">
+                        ${Object.entries(rubrics).map(([id, rubric]) =>
+                            `<option value="${this.escapeHtml(id)}">${this.escapeHtml(rubric.title || id)}</option>`).join('')}
+                        <option value="">Custom (paste or load JSON below)</option>
+                    </select>
+                    <button class="btn btn-secondary" data-action="load">📂 Load Rubric…</button>
+                    <input type="file" accept=".json,application/json" class="assessment-panel-file" hidden>
+                </div>
+                <details class="scenario-panel-help">
+                    <summary>Rubric JSON (nfTypes, interfaces, nrfRegistrations, subscribers, passPercent)</summary>
+                    <textarea class="nf-profile-editor-text assessment-panel-text" spellcheck="false"></textarea>
+                </details>
+                <div class="assessment-panel-results"></div>
+                <div class="nf-profile-editor-actions">
+                    <span class="scenario-panel-summary assessment-panel-summary"></span>
+                    <button class="btn btn-secondary" data-action="export" disabled>💾 Export JSON</button>
+                    <button class="btn btn-primary" data-action="evaluate">Evaluate</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const select = modal.querySelector('.assessment-panel-select');
+        const textarea = modal.querySelector('.assessment-panel-text');
+        const fileInput = modal.querySelector('.assessment-panel-file');
+        const resultsBox = modal.querySelector('.assessment-panel-results');
+        const summaryBox = modal.querySelector('.assessment-panel-summary');
+        const evaluateBtn = modal.querySelector('[data-action="evaluate"]');
+        const exportBtn = modal.querySelector('[data-action="export"]');
+        let report = null;
+
+        const resetReport = () => {
+            report = null;
+            resultsBox.innerHTML = '';
+            summaryBox.textContent = '';
+            exportBtn.disabled = true;
+        };
+
+        const showRubric = () => {
+            const rubric = rubrics[select.value];
+            if (rubric) {
+                textarea.value = JSON.stringify(rubric, null, 2);
+            }
+            resetReport();
+        };
+        select.addEventListener('change', showRubric);
+        showRubric();
+
+        modal.querySelector('[data-action="load"]').onclick = () => fileInput.click();
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            textarea.value = await file.text();
+            textarea.closest('details').open = true;
+            select.value = '';
+            fileInput.value = '';
+            resetReport();
         });
 
-        report += '\n';
-        report += `Total NFs: ${allNFs.length}\n`;
-        report += `Total Connections: ${allConnections.length}\n`;
+        evaluateBtn.onclick = () => {
+            const { rubric, errors } = evaluator.parseRubric(textarea.value);
+            if (errors.length > 0) {
+                alert(`❌ Rubric is invalid:\n\n${errors.join('\n')}`);
+                return;
+            }
+
+            report = evaluator.evaluate(rubric);
+            resultsBox.innerHTML = report.criteria.map(criterion => `
+                <div class="scenario-step ${criterion.passed ? 'passed' : 'failed'}">
+                    <span class="scenario-step-icon">${criterion.passed ? '✅' : '❌'}</span>
+                    <span class="scenario-step-text">
+                        <strong>${this.escapeHtml(criterion.description)}</strong>
+                        <span class="assessment-category">${this.escapeHtml(criterion.category)}</span>
+                        <pre>${this.escapeHtml(criterion.feedback)}</pre>
+                    </span>
+                    <span class="assessment-points">${criterion.earned}/${criterion.points}</span>
+                </div>
+            `).join('');
+            summaryBox.textContent = `Score ${report.score}/${report.maxScore} (${report.percent}%) - ` +
+                `${report.passed ? 'PASS' : 'FAIL'} (pass mark ${report.passPercent}%)`;
+            summaryBox.classList.toggle('passed', report.passed);
+            summaryBox.classList.toggle('failed', !report.passed);
+            exportBtn.disabled = false;
+        };
+
+        exportBtn.onclick = () => {
+            if (!report) return;
+
+            const blob = new Blob([evaluator.exportReportAsJSON(report)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `5g-assessment-${Date.now()}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            console.log('✅ Assessment report exported');
+        };
 
-        report += '\n═══════════════════════════════════\n';
-        report += hasNRF ? 'STATUS: ✅ VALID' : 'STATUS: ❌ INVALID';
-        report += '\n═══════════════════════════════════';
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
 
-        alert(report);
-        console.log(report);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
+    }
+
+    /**
+     * Setup Session button (recorder / replay panel)
+     */
+    setupSessionRecorderButton() {
+        const sessionBtn = document.getElementById('btn-session-recorder');
+        if (!sessionBtn) return;
+
+        sessionBtn.addEventListener('click', () => {
+            console.log('🎞️ Session clicked');
+            this.showSessionRecorderPanel();
+        });
+    }
+
+    /**
+     * Show the session recorder: what has been recorded, export the trace, or open a replay
+     * of this session (or of a trace file) in a new tab
+     */
+    showSessionRecorderPanel() {
+        const recorder = window.sessionRecorder;
+        if (!recorder) {
+            alert('Session Recorder is not available.');
+            return;
+        }
+
+        if (recorder.replayMode) {
+            alert('This tab is a session replay. Use the replay bar at the top to play, step or load another trace.');
+            return;
+        }
+
+        const stats = recorder.getStats();
+        const actions = recorder.getTrace().events.filter(e => e.kind === 'action').slice(-30).reverse();
+
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content session-recorder-panel">
+                <div class="json-modal-header">
+                    <h3>🎞️ Session Recorder</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="scenario-panel-picker">
+                    <span>${stats.recording ? '⏺️ Recording' : '⏹️ Stopped'} · ${recorder.formatTime(stats.durationMs)}</span>
+                    <span class="scenario-panel-description">
+                        ${stats.actions} actions · ${stats.dataEvents} topology events ·
+                        ${stats.logEvents} log entries · ${stats.nrfEvents} NRF changes
+                    </span>
+                </div>
+                <div class="session-recorder-actions">
+                    ${actions.length > 0 ? actions.map(action => `
+                        <div class="session-recorder-action">
+                            <span class="session-recorder-time">${recorder.formatTime(action.t)}</span>
+                            ${this.escapeHtml(recorder.describeAction(action))}
+                        </div>
+                    `).join('') : '<p class="hint">No user actions recorded yet.</p>'}
+                </div>
+                <div class="nf-profile-editor-actions">
+                    <button class="btn btn-secondary" data-action="load">📂 Replay Trace File…</button>
+                    <input type="file" accept=".json,application/json" hidden>
+                    <button class="btn btn-secondary" data-action="export">💾 Export Trace</button>
+                    <button class="btn btn-primary" data-action="replay">▶ Replay This Session</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('[data-action="export"]').onclick = () => {
+            const blob = new Blob([recorder.exportTraceAsJSON()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `5g-session-trace-${Date.now()}.json`;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            console.log('✅ Session trace exported');
+        };
+
+        modal.querySelector('[data-action="replay"]').onclick = () => {
+            const error = recorder.openReplay();
+            if (error) {
+                alert(`❌ ${error}`);
+            }
+        };
+
+        const fileInput = modal.querySelector('input[type="file"]');
+        modal.querySelector('[data-action="load"]').onclick = () => fileInput.click();
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            let trace;
+            try {
+                trace = JSON.parse(await file.text());
+            } catch (e) {
+                alert(`❌ Malformed trace file: ${e.message}`);
+                return;
+            }
+            const error = recorder.openReplay(trace);
+            if (error) {
+                alert(`❌ ${error}`);
+            }
+        });
+
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
+    }
+
+    /**
+     * Show the quiz panel: pick the pre-test or post-test, answer one question at a time
+     * with explanations, then review the score. Closing the panel keeps the attempt, so
+     * students can inspect the simulator for practical questions and come back.
+     */
+    showQuizPanel() {
+        const quiz = window.quizEngine;
+        if (!quiz) {
+            alert('Quiz is not available.');
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content quiz-panel">
+                <div class="json-modal-header">
+                    <h3>📝 Quiz</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="quiz-panel-body"></div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const body = modal.querySelector('.quiz-panel-body');
+        const formatTime = ms => `${Math.round(ms / 1000)}s`;
+
+        const showStart = () => {
+            const previous = quiz.getStoredAttempts().slice(-5).reverse();
+            body.innerHTML = `
+                <p class="hint">The pre-test checks what you know before the lab; the post-test adds
+                    practical questions answered from the live simulator.</p>
+                <div class="quiz-start-actions">
+                    <button class="btn btn-primary" data-kind="pretest">Start Pre-test</button>
+                    <button class="btn btn-success" data-kind="posttest">Start Post-test</button>
+                </div>
+                ${previous.length > 0 ? `
+                    <h4>Previous attempts</h4>
+                    <ul class="quiz-history">
+                        ${previous.map(a => `
+                            <li>${quiz.getTitle(a.kind)}: ${a.score}/${a.total} (${a.percent}%) ·
+                                ${formatTime(a.totalTimeMs)} · ${new Date(a.finishedAt).toLocaleString()}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            `;
+
+            body.querySelectorAll('[data-kind]').forEach(btn => {
+                btn.onclick = async () => {
+                    btn.disabled = true;
+                    const error = await quiz.start(btn.dataset.kind);
+                    if (error) {
+                        alert(`❌ ${error}`);
+                        btn.disabled = false;
+                        return;
+                    }
+                    showQuestion();
+                };
+            });
+        };
+
+        const showQuestion = () => {
+            const { index, total, question } = quiz.getCurrentQuestion();
+            const practical = question.type === 'practical';
+
+            body.innerHTML = `
+                <div class="quiz-progress">
+                    <span>${quiz.getTitle(quiz.attempt.kind)} · Question ${index + 1}/${total}</span>
+                    ${question.difficulty ? `<span class="quiz-difficulty">${this.escapeHtml(question.difficulty)}</span>` : ''}
+                </div>
+                ${practical ? '<div class="quiz-practical-badge">🔬 Practical - check the simulator (you can close this panel and come back)</div>' : ''}
+                <p class="quiz-question">${this.escapeHtml(question.question)}</p>
+                ${practical ? `
+                    <input type="text" class="quiz-practical-input" placeholder="Your answer">
+                ` : `
+                    <div class="quiz-options">
+                        ${Object.entries(question.answers).map(([key, text]) => `
+                            <button class="quiz-option" data-key="${this.escapeHtml(key)}">
+                                <strong>${this.escapeHtml(key)}.</strong> ${this.escapeHtml(text)}
+                            </button>
+                        `).join('')}
+                    </div>
+                `}
+                <div class="quiz-explanation" hidden></div>
+                <div class="nf-profile-editor-actions">
+                    ${practical ? '<button class="btn btn-primary" data-action="submit">Submit</button>' : ''}
+                    <button class="btn btn-primary" data-action="next" hidden>${index + 1 === total ? 'Finish' : 'Next'}</button>
+                </div>
+            `;
+
+            const explanationBox = body.querySelector('.quiz-explanation');
+            const nextBtn = body.querySelector('[data-action="next"]');
+
+            const showResult = (result) => {
+                body.querySelectorAll('.quiz-option').forEach(option => {
+                    option.disabled = true;
+                    option.classList.toggle('correct', option.dataset.key === result.expected);
+                    option.classList.toggle('incorrect', option.dataset.key === result.answer && !result.correct);
+                });
+                const input = body.querySelector('.quiz-practical-input');
+                if (input) {
+                    input.value = result.answer;
+                    input.disabled = true;
+                }
+                body.querySelector('[data-action="submit"]')?.setAttribute('hidden', '');
+
+                explanationBox.className = `quiz-explanation ${result.correct ? 'correct' : 'incorrect'}`;
+                explanationBox.textContent = `${result.correct ? '✅' : '❌'} ${result.explanation}`;
+                explanationBox.hidden = false;
+                nextBtn.hidden = false;
+            };
+
+            const submit = (value) => {
+                const result = quiz.answer(value);
+                if (result) showResult(result);
+            };
+
+            body.querySelectorAll('.quiz-option').forEach(option => {
+                option.onclick = () => submit(option.dataset.key);
+            });
+            const input = body.querySelector('.quiz-practical-input');
+            if (input) {
+                const submitInput = () => {
+                    if (input.value.trim() === '') return;
+                    submit(input.value);
+                };
+                body.querySelector('[data-action="submit"]').onclick = submitInput;
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') submitInput();
+                });
+                input.focus();
+            }
+
+            nextBtn.onclick = () => {
+                const summary = quiz.next();
+                if (summary) {
+                    showSummary(summary);
+                } else {
+                    showQuestion();
+                }
+            };
+
+            // Answered before the panel was closed
+            if (quiz.attempt.answers[index]) {
+                showResult(quiz.attempt.answers[index]);
+            }
+        };
+
+        const showSummary = (summary) => {
+            body.innerHTML = `
+                <div class="quiz-score">
+                    ${quiz.getTitle(summary.kind)}: ${summary.score}/${summary.total} (${summary.percent}%)
+                </div>
+                <p class="hint">Total time ${formatTime(summary.totalTimeMs)}
+                    ${summary.practicalTotal > 0 ? ` · Practical ${summary.practicalScore}/${summary.practicalTotal}` : ''}</p>
+                <div class="quiz-review">
+                    ${summary.answers.map(a => `
+                        <div class="scenario-step ${a.correct ? 'passed' : 'failed'}">
+                            <span class="scenario-step-icon">${a.correct ? '✅' : '❌'}</span>
+                            <span class="scenario-step-text">
+                                <strong>${a.index + 1}. ${this.escapeHtml(a.question)}</strong>
+                                <pre>Your answer: ${this.escapeHtml(a.answer)} · ${formatTime(a.timeMs)}\n${this.escapeHtml(a.explanation)}</pre>
+                            </span>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="nf-profile-editor-actions">
+                    <button class="btn btn-secondary" data-action="export">💾 Export JSON</button>
+                    <button class="btn btn-primary" data-action="again">Back to Quizzes</button>
+                </div>
+            `;
+
+            body.querySelector('[data-action="export"]').onclick = () => {
+                const blob = new Blob([quiz.exportAttemptAsJSON(summary)], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `5g-${summary.kind}-${Date.now()}.json`;
+                a.click();
+                URL.revokeObjectURL(url);
+
+                console.log('✅ Quiz attempt exported');
+            };
+            body.querySelector('[data-action="again"]').onclick = () => {
+                quiz.reset();
+                showStart();
+            };
+        };
+
+        // Resume an unfinished attempt (or its summary) when the panel is reopened
+        if (quiz.attempt && quiz.isFinished()) {
+            showSummary(quiz.getSummary());
+        } else if (quiz.attempt) {
+            showQuestion();
+        } else {
+            showStart();
+        }
+
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
     }
 
     /**
@@ -893,7 +1805,7 @@ class UIController {
         // Start button handler
         const startBtn = document.getElementById('btn-start-nf');
         startBtn.addEventListener('click', () => {
-            this.startNewNetworkFunction(nfType);
+            this.recordEdit(`Start ${nfType}`, () => this.startNewNetworkFunction(nfType));
         });
 
         // Cancel button handler
@@ -903,6 +1815,81 @@ class UIController {
         });
     }
 
+    /**
+     * Show the configuration file the NF would run with, per flavor, with a preview and download
+     * @param {Object} nf - Network Function
+     */
+    showNFConfigFilePanel(nf) {
+        const generator = window.nfConfigGenerator;
+        const flavors = generator ? generator.getFlavorsFor(nf) : [];
+        if (flavors.length === 0) {
+            alert(`No configuration file can be generated for ${nf.type}.`);
+            return;
+        }
+
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content nf-config-file-panel">
+                <div class="json-modal-header">
+                    <h3>📄 ${this.escapeHtml(nf.name)} Configuration</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="scenario-panel-picker">
+                    <select class="nf-config-file-select">
+                        ${flavors.map(flavor => `<option value="${flavor}">${this.escapeHtml(generator.flavors[flavor].label)}</option>`).join('')}
+                    </select>
+                </div>
+                <p class="hint nf-config-file-hint"></p>
+                <textarea class="nf-profile-editor-text nf-config-file-text" spellcheck="false" readonly></textarea>
+                <div class="nf-profile-editor-actions">
+                    <button class="btn btn-primary" data-action="download">💾 Download</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
+
+        const select = modal.querySelector('.nf-config-file-select');
+        const hint = modal.querySelector('.nf-config-file-hint');
+        const textarea = modal.querySelector('.nf-config-file-text');
+        let file = null;
+        const showFile = () => {
+            // Regenerated on every switch so the file reflects the topology as it is now
+            file = generator.generate(nf, select.value);
+            hint.textContent = file.error || `${file.fileName} - mount as ${file.mountPath}`;
+            textarea.value = file.content || '';
+        };
+        select.addEventListener('change', showFile);
+        showFile();
+
+        modal.querySelector('[data-action="download"]').onclick = () => {
+            if (!file || file.error) return;
+
+            const blob = new Blob([file.content], { type: 'text/plain' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            // Every OAI core NF reads "config.yaml": prefix it so downloads do not overwrite each other
+            a.download = file.fileName === 'config.yaml' ? `${nf.type.toLowerCase()}-config.yaml` : file.fileName;
+            a.click();
+            URL.revokeObjectURL(url);
+
+            console.log(`✅ ${a.download} exported`);
+        };
+    }
+
     /**
      * Show NF configuration panel
      * @param {Object} nf - Network Function to configure
@@ -979,7 +1966,8 @@ class UIController {
                     </button>
                 </div>
                 
-                <button class="btn btn-danger btn-block" id="btn-delete-nf" style="margin-top: 15px;">Delete UE</button>
+                <button class="btn btn-secondary btn-block" id="btn-generate-config" style="margin-top: 15px;">📄 Generate Config</button>
+                <button class="btn btn-danger btn-block" id="btn-delete-nf" style="margin-top: 10px;">Delete UE</button>
                 
                 <div class="troubleshoot-section">
                     <h4>🔧 Troubleshoot</h4>
@@ -1009,7 +1997,21 @@ class UIController {
                     <label>Port</label>
                     <input type="number" id="config-port" value="${nf.config.port}">
                 </div>
-                
+
+                <div class="form-group">
+                    <label>Capacity</label>
+                    <input type="number" id="config-capacity" value="${nf.config.capacity ?? 100}" min="0" max="65535">
+                </div>
+
+                <div class="form-group">
+                    <label>Load (%)</label>
+                    <input type="number" id="config-load" value="${nf.config.load ?? 0}" min="0" max="100">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Registered NFs push changes to the NRF as a profile PATCH${window.loadModel?.isModeled(nf) ? `.
+                        ${nf.type} load follows its ${nf.type === 'AMF' ? 'registered UEs' : nf.type === 'SMF' ? 'PDU sessions' : 'PDU sessions and traffic'}
+                        against the capacity and reaches the NRF with each heartbeat` : ''}
+                    </small>
+                </div>
                 
                 <div class="form-group">
                     <label>🌐 HTTP Protocol (Global Setting)</label>
@@ -1024,13 +2026,26 @@ class UIController {
                 
                 
                 <button class="btn btn-primary btn-block" id="btn-save-config">Save Changes</button>
+                ${window.nfConfigGenerator?.getFlavorsFor(nf).length > 0 ? `
+                <button class="btn btn-secondary btn-block" id="btn-generate-config">📄 Generate Config</button>
+                ` : ''}
                 <button class="btn btn-danger btn-block" id="btn-delete-nf">Delete NF</button>
                 ${!['NRF', 'gNB', 'UE', 'ext-dn', 'MySQL'].includes(nf.type) ? `
                 <div class="form-group" style="margin-top: 15px;">
                     <h4>📋 NRF Registration</h4>
+                    <button class="btn btn-primary btn-block" id="btn-edit-nf-profile">📝 Edit NF Profile (JSON)</button>
                     <button class="btn btn-info btn-block" id="btn-show-registration">Show Registration Message</button>
                     <button class="btn btn-warning btn-block" id="btn-deregister-nf">Deregister from NRF</button>
                     <button class="btn btn-info btn-block" id="btn-show-deregistration">Show Deregistration Message</button>
+                    <button class="btn btn-info btn-block" id="btn-show-profile-update">Show Profile Update Message</button>
+                    <label style="margin-top: 8px;">💓 Heartbeat Timer Override (seconds)</label>
+                    <input type="number" id="config-heartbeat-timer" min="1" max="3600"
+                        value="${nf.config.heartbeatTimer || ''}"
+                        placeholder="NRF default: ${(window.nrfRegistry?.heartbeatInterval || 60000) / 1000}">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Leave empty for the NRF default. Above ${(window.nrfRegistry?.heartbeatTimeout || 120000) / 1000}s the NRF marks this NF UNAVAILABLE, then REMOVED after the grace period.
+                    </small>
+                    <button class="btn btn-secondary btn-block" id="btn-apply-heartbeat" style="margin-top: 8px;">Apply Heartbeat Timer</button>
                 </div>
                 ` : ''}
 
@@ -1039,6 +2054,69 @@ class UIController {
                     <h4>NRF Message Viewer</h4>
                     <button class="btn btn-info btn-block" id="btn-show-nrf-registrations">Show Registration Messages</button>
                     <button class="btn btn-info btn-block" id="btn-show-nrf-deregistrations" style="margin-top:8px;">Show Deregistration Messages</button>
+                    <button class="btn btn-info btn-block" id="btn-show-nrf-updates" style="margin-top:8px;">Show Profile Update Messages</button>
+                    <button class="btn btn-info btn-block" id="btn-show-nrf-tokens" style="margin-top:8px;">Show Access Token Messages</button>
+                    <button class="btn btn-info btn-block" id="btn-show-nrf-discoveries" style="margin-top:8px;">Show Discovery Messages</button>
+                </div>
+
+                <div class="form-group">
+                    <h4>🌐 NRF Hierarchy</h4>
+                    <label>Level</label>
+                    <select id="config-nrf-level">
+                        <option value="LOCAL" ${(nf.config.nrfLevel || 'LOCAL') === 'LOCAL' ? 'selected' : ''}>Local NRF</option>
+                        <option value="PLMN" ${nf.config.nrfLevel === 'PLMN' ? 'selected' : ''}>PLMN-level NRF</option>
+                    </select>
+                    <label style="margin-top: 8px;">Parent NRF</label>
+                    <select id="config-nrf-parent">
+                        <option value="">None</option>
+                        ${(window.nrfRegistry?.getNRFInstances() || []).filter(other => other.id !== nf.id).map(other => `
+                            <option value="${other.id}" ${nf.config.parentNrfId === other.id ? 'selected' : ''}>${other.name} (${other.config.nrfLevel || 'LOCAL'})</option>
+                        `).join('')}
+                    </select>
+                    <label style="margin-top: 8px;">PLMN ID (MCC / MNC)</label>
+                    <div style="display: flex; gap: 8px;">
+                        <input type="text" id="config-nrf-mcc" maxlength="3" value="${window.nrfRegistry?.getNRFPlmn(nf.id).mcc || '001'}">
+                        <input type="text" id="config-nrf-mnc" maxlength="3" value="${window.nrfRegistry?.getNRFPlmn(nf.id).mnc || '01'}">
+                    </div>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Registered NFs: ${(window.nrfRegistry?.getRegistryForNRF(nf.id) || []).length}. Discovery misses go to the parent NRF,
+                        or to the PLMN-level NRF of this PLMN; a PLMN-level NRF forwards other PLMNs to their PLMN-level NRF.
+                        The PLMN applies to NFs registering afterwards.
+                    </small>
+                    <button class="btn btn-secondary btn-block" id="btn-apply-nrf-hierarchy" style="margin-top: 8px;">Apply NRF Hierarchy</button>
+                </div>
+
+                <div class="form-group">
+                    <h4>⚖️ NF Selection Strategy</h4>
+                    <select id="config-selection-strategy">
+                        ${Object.entries(window.nrfRegistry?.getSelectionStrategies() || {}).map(([id, label]) => `
+                            <option value="${id}" ${window.nrfRegistry.selectionStrategy === id ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                    <p class="config-hint">
+                        Used when an AMF picks an SMF and an SMF picks a UPF for a PDU session (applies to every NRF).<br>
+                        SMF selections: ${window.nrfRegistry?.describeSelectionDistribution('SMF') || 'none yet'}<br>
+                        UPF selections: ${window.nrfRegistry?.describeSelectionDistribution('UPF') || 'none yet'}
+                    </p>
+                    <button class="btn btn-secondary btn-block" id="btn-apply-selection-strategy">Apply Selection Strategy</button>
+                </div>
+
+                <div class="form-group">
+                    <h4>💓 Heartbeat Monitor</h4>
+                    <p class="config-hint">
+                        Status: ${window.nrfRegistry?.isMonitoring ? 'running' : 'idle (starts with first registration)'}<br>
+                        Interval: ${window.simClock?.describeDuration(window.nrfRegistry?.heartbeatInterval || 60000)}<br>
+                        Timeout: ${window.simClock?.describeDuration(window.nrfRegistry?.heartbeatTimeout || 120000)}<br>
+                        Grace period: ${window.simClock?.describeDuration(window.nrfRegistry?.gracePeriod || 30000)}<br>
+                        Change the simulation speed (⏱️) in the toolbar to shorten these.
+                    </p>
+                </div>
+
+                <div class="form-group">
+                    <h4>📬 Active Subscriptions (${(window.nrfRegistry?.getActiveSubscriptions() || []).length})</h4>
+                    ${this.renderNRFSubscriptionList()}
+                    <button class="btn btn-info btn-block" id="btn-show-nrf-subscriptions">Show Subscription Messages</button>
+                    <button class="btn btn-info btn-block" id="btn-show-nrf-notifications" style="margin-top:8px;">Show Notification Messages</button>
                 </div>
                 ` : ''}
 
@@ -1103,15 +2181,21 @@ class UIController {
         // Save button handler
         const saveBtn = document.getElementById('btn-save-config');
         saveBtn.addEventListener('click', () => {
-            this.saveNFConfig(nf.id);
+            this.recordEdit(`Configure ${nf.name}`, () => this.saveNFConfig(nf.id));
         });
 
         // Delete button handler
         const deleteBtn = document.getElementById('btn-delete-nf');
         deleteBtn.addEventListener('click', () => {
-            this.deleteNF(nf.id);
+            this.recordEdit(`Delete ${nf.name}`, () => this.deleteNF(nf.id));
         });
 
+        // Config file generator (Open5GS / OAI)
+        const btnGenerateConfig = document.getElementById('btn-generate-config');
+        if (btnGenerateConfig) {
+            btnGenerateConfig.onclick = () => this.showNFConfigFilePanel(nf);
+        }
+
         // Registration message viewer (non-NRF)
         const btnShowReg = document.getElementById('btn-show-registration');
         if (btnShowReg) {
@@ -1121,10 +2205,19 @@ class UIController {
                     alert('No registration message found. Connect this NF to an NRF first.');
                     return;
                 }
-                this.showSeparateJsonModal(`${nf.name} Registration`, record.request, record.response);
+                this.showSeparateJsonModal(`${nf.name} Registration`, record.request, record.response, {
+                    status: this.formatNRFStatus(record, 201)
+                });
+                window.guidedLab?.notify('nf-registration-viewed');
             };
         }
 
+        // NF Profile editor (registration PUT with a user-written profile)
+        const btnEditProfile = document.getElementById('btn-edit-nf-profile');
+        if (btnEditProfile) {
+            btnEditProfile.onclick = () => this.showNFProfileEditor(nf);
+        }
+
         // Manual deregistration
         const btnDeregister = document.getElementById('btn-deregister-nf');
         if (btnDeregister) {
@@ -1133,10 +2226,15 @@ class UIController {
                     alert('NRF Registry is not available.');
                     return;
                 }
-                window.nrfRegistry.deregisterNF(nf.id, 'USER_INITIATED');
+                const result = window.nrfRegistry.deregisterNF(nf.id, 'USER_INITIATED');
+                if (result.status !== 204) {
+                    alert(`❌ Deregistration failed: ${result.status} ${result.body.title}\n\n${result.body.detail}`);
+                    return;
+                }
                 if (window.connectionManager) {
                     window.connectionManager.stopNFHeartbeat(nf.id);
                 }
+                window.guidedLab?.notify('nf-deregistered');
                 alert(`${nf.name} deregistered from NRF.`);
             };
         }
@@ -1150,7 +2248,45 @@ class UIController {
                     alert('No deregistration message recorded for this NF.');
                     return;
                 }
-                this.showSeparateJsonModal(`${nf.name} Deregistration`, record.request, record.response);
+                this.showSeparateJsonModal(`${nf.name} Deregistration`, record.request, record.response, {
+                    method: 'DELETE',
+                    status: this.formatNRFStatus(record, 204)
+                });
+                window.guidedLab?.notify('nf-deregistration-viewed');
+            };
+        }
+
+        // Per-NF heartbeat timer override
+        const btnApplyHeartbeat = document.getElementById('btn-apply-heartbeat');
+        if (btnApplyHeartbeat) {
+            btnApplyHeartbeat.onclick = () => {
+                const value = document.getElementById('config-heartbeat-timer')?.value.trim();
+                const seconds = value ? parseInt(value, 10) : null;
+                if (value && (isNaN(seconds) || seconds < 1 || seconds > 3600)) {
+                    alert('❌ Invalid heartbeat timer!\n\nEnter a value between 1 and 3600 seconds, or leave empty for the NRF default.');
+                    return;
+                }
+                window.connectionManager?.setHeartbeatTimerOverride(nf.id, seconds);
+                alert(seconds
+                    ? `✅ ${nf.name} will send heartbeats every ${seconds}s (simulated).`
+                    : `✅ ${nf.name} uses the NRF default heartbeat timer.`);
+            };
+        }
+
+        // Profile update (PATCH) viewer (non-NRF)
+        const btnShowUpdate = document.getElementById('btn-show-profile-update');
+        if (btnShowUpdate) {
+            btnShowUpdate.onclick = () => {
+                const record = window.nrfRegistry?.getUpdateRecord(nf.id);
+                if (!record) {
+                    alert('No profile update recorded. Change IP, port, capacity or load of a registered NF first.');
+                    return;
+                }
+                this.showSeparateJsonModal(`${nf.name} Profile Update`, record.request, record.response, {
+                    method: 'PATCH',
+                    uri: `/nnrf-nfm/v1/nf-instances/${record.nfInstanceId}`,
+                    status: this.formatNRFStatus(record, 200)
+                });
             };
         }
 
@@ -1158,13 +2294,16 @@ class UIController {
         const btnShowNrfRegs = document.getElementById('btn-show-nrf-registrations');
         if (btnShowNrfRegs) {
             btnShowNrfRegs.onclick = () => {
-                const records = window.nrfRegistry?.getAllRegistrationRecords() || [];
+                // Each NRF shows the registrations it holds
+                const records = (window.nrfRegistry?.getAllRegistrationRecords() || [])
+                    .filter(record => !record.nrfInstanceId || record.nrfInstanceId === nf.id);
                 if (!records.length) {
                     alert('No registration messages have been recorded yet.');
                     return;
                 }
                 // Show split panel with requests on left, responses on right
                 this.showNRFRegistrationPanel(records);
+                window.guidedLab?.notify('nrf-registrations-viewed');
             };
         }
 
@@ -1178,6 +2317,112 @@ class UIController {
                 }
                 // Show split panel with requests on left, responses on right
                 this.showNRFDeregistrationPanel(records);
+                window.guidedLab?.notify('nrf-deregistrations-viewed');
+            };
+        }
+
+        const btnShowNrfUpdates = document.getElementById('btn-show-nrf-updates');
+        if (btnShowNrfUpdates) {
+            btnShowNrfUpdates.onclick = () => {
+                const records = window.nrfRegistry?.getAllUpdateRecords() || [];
+                if (!records.length) {
+                    alert('No profile update messages have been recorded yet.');
+                    return;
+                }
+                this.showNRFMessagePanel('NRF Profile Update Messages', records, 'PATCH Requests', 'PATCH Responses');
+            };
+        }
+
+        const btnShowNrfTokens = document.getElementById('btn-show-nrf-tokens');
+        if (btnShowNrfTokens) {
+            btnShowNrfTokens.onclick = () => {
+                const records = window.nrfRegistry?.getAllAccessTokenRecords() || [];
+                if (!records.length) {
+                    alert('No access token requests have been recorded yet.');
+                    return;
+                }
+                this.showNRFMessagePanel('NRF Access Token Messages', records, 'Token Requests', 'Token Responses',
+                    record => ({
+                        badge: record.nfType || '?',
+                        name: `${record.nfName} → ${record.request.targetNfType} (${record.response.status})`
+                    }));
+            };
+        }
+
+        const btnShowNrfDiscoveries = document.getElementById('btn-show-nrf-discoveries');
+        if (btnShowNrfDiscoveries) {
+            btnShowNrfDiscoveries.onclick = () => {
+                const records = window.nrfRegistry?.getAllDiscoveryRecords(nf.id) || [];
+                if (!records.length) {
+                    alert('No discovery requests have passed through this NRF yet.');
+                    return;
+                }
+                this.showNRFMessagePanel(`${nf.name} Discovery Messages`, records, 'Discovery Requests', 'Discovery Responses',
+                    record => ({
+                        badge: record.nfType,
+                        name: `${record.nfName} → ${record.targetNfType}` +
+                            (record.failed ? '' : ` (${record.response.nfInstances.length} found)`),
+                        detail: `🔀 ${window.nrfRegistry.describeDiscoveryHops(record.hops)}`
+                    }));
+                window.guidedLab?.notify('nrf-discoveries-viewed');
+            };
+        }
+
+        const btnApplyNrfHierarchy = document.getElementById('btn-apply-nrf-hierarchy');
+        if (btnApplyNrfHierarchy) {
+            btnApplyNrfHierarchy.onclick = () => {
+                const error = window.nrfRegistry?.setNRFHierarchy(nf.id, {
+                    nrfLevel: document.getElementById('config-nrf-level')?.value,
+                    parentNrfId: document.getElementById('config-nrf-parent')?.value || null,
+                    plmnId: {
+                        mcc: document.getElementById('config-nrf-mcc')?.value.trim(),
+                        mnc: document.getElementById('config-nrf-mnc')?.value.trim()
+                    }
+                });
+                if (error) {
+                    alert(`❌ Invalid NRF hierarchy!\n\n${error}`);
+                    return;
+                }
+                alert(`✅ ${nf.name} hierarchy updated.`);
+                this.showNFConfigPanel(nf);
+            };
+        }
+
+        const btnApplySelection = document.getElementById('btn-apply-selection-strategy');
+        if (btnApplySelection) {
+            btnApplySelection.onclick = () => {
+                const strategy = document.getElementById('config-selection-strategy')?.value;
+                const error = window.nrfRegistry?.setSelectionStrategy(strategy);
+                if (error) {
+                    alert(`❌ ${error}`);
+                    return;
+                }
+                alert(`✅ NF selection strategy: ${window.nrfRegistry.getSelectionStrategies()[strategy]}`);
+            };
+        }
+
+        const btnShowNrfSubs = document.getElementById('btn-show-nrf-subscriptions');
+        if (btnShowNrfSubs) {
+            btnShowNrfSubs.onclick = () => {
+                const records = window.nrfRegistry?.getAllSubscriptionRecords() || [];
+                if (!records.length) {
+                    alert('No subscription messages have been recorded yet.');
+                    return;
+                }
+                this.showNRFMessagePanel('NRF Subscription Messages', records, 'Subscribe Requests', 'Subscribe Responses');
+            };
+        }
+
+        const btnShowNrfNotifs = document.getElementById('btn-show-nrf-notifications');
+        if (btnShowNrfNotifs) {
+            btnShowNrfNotifs.onclick = () => {
+                const records = window.nrfRegistry?.getAllNotificationRecords() || [];
+                if (!records.length) {
+                    alert('No notifications have been delivered yet.');
+                    return;
+                }
+                this.showNRFMessagePanel('NRF Notification Messages', records, 'Notify Requests', 'Notify Responses',
+                    record => ({ badge: record.event, name: `${record.targetNfName} → ${record.nfName}` }));
             };
         }
 
@@ -1276,6 +2521,8 @@ class UIController {
      * @param {string} nfType - NF type
      */
     startNewNetworkFunction(nfType) {
+        window.sessionRecorder?.recordAction('nf-start', { nfType });
+
         // UE: Handle subscriber information
         if (nfType === 'UE') {
             const imsi = document.getElementById('config-imsi')?.value;
@@ -1551,6 +2798,8 @@ class UIController {
         const nf = window.dataStore.getNFById(nfId);
         if (!nf) return;
 
+        window.sessionRecorder?.recordAction('config-save', { nf: nf.name, nfType: nf.type });
+
         // UE: Save subscriber information
         if (nf.type === 'UE') {
             const imsi = document.getElementById('config-imsi')?.value;
@@ -1643,9 +2892,21 @@ class UIController {
         const ipAddress = document.getElementById('config-ip')?.value;
         const port = parseInt(document.getElementById('config-port')?.value);
         const httpProtocol = document.getElementById('config-http-protocol')?.value;
+        const capacity = parseInt(document.getElementById('config-capacity')?.value ?? nf.config.capacity);
+        const load = parseInt(document.getElementById('config-load')?.value ?? nf.config.load ?? 0);
+
+        if (!ipAddress || !port) {
+            alert('Please fill all required fields');
+            return;
+        }
+
+        if (isNaN(capacity) || capacity < 0 || capacity > 65535) {
+            alert('❌ Invalid capacity!\n\nCapacity must be between 0 and 65535.');
+            return;
+        }
 
-        if (!ipAddress || !port) {
-            alert('Please fill all required fields');
+        if (isNaN(load) || load < 0 || load > 100) {
+            alert('❌ Invalid load!\n\nLoad must be a percentage between 0 and 100.');
             return;
         }
 
@@ -1678,9 +2939,21 @@ class UIController {
         nf.config.ipAddress = ipAddress;
         nf.config.port = port;
         nf.config.httpProtocol = httpProtocol;
+        nf.config.capacity = capacity;
+        nf.config.load = load;
 
         window.dataStore.updateNF(nfId, nf);
 
+        // Push changed fields to the NRF as a partial profile update instead of re-registering
+        let profilePatched = false;
+        const nrfProfile = window.nrfRegistry?.getNFProfile(nfId);
+        if (nrfProfile && nrfProfile.nfStatus !== 'REMOVED') {
+            const patch = window.nrfRegistry.buildProfilePatch(nfId, { ipAddress, port, capacity, load });
+            if (patch.length > 0) {
+                profilePatched = window.nrfRegistry.updateProfile(nfId, patch).status === 200;
+            }
+        }
+
         // Log configuration change
         if (window.logEngine) {
             const changes = [];
@@ -1707,10 +2980,21 @@ class UIController {
         alert('✅ Configuration saved successfully!\n\n' +
             `IP: ${ipAddress}\n` +
             `Port: ${port}\n` +
-            `Subnet: ${window.nfManager?.getNetworkFromIP(ipAddress)}.0/24`);
+            `Subnet: ${window.nfManager?.getNetworkFromIP(ipAddress)}.0/24` +
+            (profilePatched ? '\n\nNRF profile updated (PATCH)' : ''));
         console.log('✅ NF config saved:', nf.name);
     }
 
+    /**
+     * Run a topology edit as one undoable step (Ctrl+Z / Ctrl+Y)
+     * @param {string} label - Edit description for the undo/redo log
+     * @param {Function} action - The edit
+     * @returns {*} Whatever action returns
+     */
+    recordEdit(label, action) {
+        return window.historyManager ? window.historyManager.execute(label, action) : action();
+    }
+
     /**
      * Delete NF
      * @param {string} nfId - NF ID
@@ -1990,8 +3274,13 @@ class UIController {
      * @param {string} title - Modal title
      * @param {Object} request - Request data to render
      * @param {Object} response - Response data to render
+     * @param {Object} http - { method, uri, status } shown in the headers (defaults to NFRegister PUT / 201)
      */
-    showSeparateJsonModal(title, request, response) {
+    showSeparateJsonModal(title, request, response, http = {}) {
+        const method = http.method || 'PUT';
+        const uri = http.uri || `/nnrf-nfm/v1/nf-instances/${request.nfInstanceId}`;
+        const status = http.status || '201 Created';
+
         const modal = document.createElement('div');
         modal.className = 'json-modal';
 
@@ -2024,12 +3313,12 @@ class UIController {
                     <div class="json-section">
                         <div class="json-section-header">
                             <span class="json-section-icon">📤</span>
-                            <h4>Request (PUT)</h4>
+                            <h4>Request (${method})</h4>
                             <span class="json-timestamp">${timestamp}</span>
                         </div>
                         <div class="json-log-header">
                             <span class="log-level">DEBUG</span>
-                            <span class="log-method">[PUT] /nnrf-nfm/v1/nf-instances/${request.nfInstanceId}</span>
+                            <span class="log-method">[${method}] ${uri}</span>
                         </div>
                         <div class="json-log-header">
                             <span class="log-level">DEBUG</span>
@@ -2040,15 +3329,15 @@ class UIController {
                     <div class="json-section">
                         <div class="json-section-header">
                             <span class="json-section-icon">📥</span>
-                            <h4>Response (201 Created)</h4>
+                            <h4>Response (${status})</h4>
                             <span class="json-timestamp">${timestamp}</span>
                         </div>
                         <div class="json-log-header">
-                            <span class="log-level log-success">201 Created</span>
+                            <span class="log-level ${parseInt(status, 10) >= 400 ? 'log-error' : 'log-success'}">${status}</span>
                         </div>
                         <div class="json-log-header">
                             <span class="log-level">DEBUG</span>
-                            <span class="log-method">STATUS [201]</span>
+                            <span class="log-method">STATUS [${status.split(' ')[0]}]</span>
                         </div>
                         <div class="json-log-header">
                             <span class="log-level">DEBUG</span>
@@ -2203,9 +3492,31 @@ class UIController {
                 e.preventDefault();
                 this.showHelpModal();
             }
+
+            // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Y or Ctrl/Cmd + Shift + Z to redo a topology edit
+            // (text fields and terminals keep their own undo)
+            const key = e.key.toLowerCase();
+            const isTextField = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+            if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y') && !isTextField && window.historyManager) {
+                e.preventDefault();
+                const redo = key === 'y' || e.shiftKey;
+                const error = redo ? window.historyManager.redo() : window.historyManager.undo();
+                if (error) {
+                    console.log(`ℹ️ ${redo ? 'Redo' : 'Undo'}: ${error}`);
+                } else if (window.canvasRenderer?.selectedNF) {
+                    // The config panel shows the selected NF: refresh it, or close it if the NF is gone
+                    const selected = window.dataStore.getNFById(window.canvasRenderer.selectedNF);
+                    if (selected) {
+                        this.showNFConfigPanel(selected);
+                    } else {
+                        window.canvasRenderer.selectedNF = null;
+                        this.hideNFConfigPanel();
+                    }
+                }
+            }
         });
 
-        console.log('⌨️ Keyboard shortcuts initialized (Ctrl+L: Toggle logs, Ctrl+K: Toggle config, F1/Ctrl+H: Help)');
+        console.log('⌨️ Keyboard shortcuts initialized (Ctrl+L: Toggle logs, Ctrl+K: Toggle config, F1/Ctrl+H: Help, Ctrl+Z/Ctrl+Y: Undo/Redo)');
     }
 
 
@@ -2562,6 +3873,7 @@ class UIController {
                     input.value = '';
 
                     // Process command
+                    window.sessionRecorder?.recordAction('terminal-command', { terminal: nf.name, command });
                     await this.processWindowsCommand(nf, command, output);
                 }
             } else if (e.key === 'ArrowUp') {
@@ -2757,11 +4069,11 @@ class UIController {
         const eth0Lines = [
             `eth0: flags=4163<UP,BROADCAST,RUNNING,MULTICAST>  mtu 1500`,
             `        inet ${nf.config.ipAddress}  netmask 255.255.255.0  broadcast ${this.getBroadcastIP(nf.config.ipAddress)}`,
-            `        inet6 fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}  prefixlen 64  scopeid 0x20<link>`,
+            `        inet6 fe80::${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}  prefixlen 64  scopeid 0x20<link>`,
             `        ether ${this.generateMACAddress()}  txqueuelen 1000  (Ethernet)`,
-            `        RX packets ${Math.floor(Math.random() * 10000) + 1000}  bytes ${Math.floor(Math.random() * 1000000) + 100000} (${(Math.random() * 100).toFixed(1)} KB)`,
+            `        RX packets ${Math.floor(window.simRandom.next() * 10000) + 1000}  bytes ${Math.floor(window.simRandom.next() * 1000000) + 100000} (${(window.simRandom.next() * 100).toFixed(1)} KB)`,
             `        RX errors 0  dropped 0  overruns 0  frame 0`,
-            `        TX packets ${Math.floor(Math.random() * 10000) + 1000}  bytes ${Math.floor(Math.random() * 1000000) + 100000} (${(Math.random() * 100).toFixed(1)} KB)`,
+            `        TX packets ${Math.floor(window.simRandom.next() * 10000) + 1000}  bytes ${Math.floor(window.simRandom.next() * 1000000) + 100000} (${(window.simRandom.next() * 100).toFixed(1)} KB)`,
             `        TX errors 0  dropped 0 overruns 0  carrier 0  collisions 0`,
             ''
         ];
@@ -2776,11 +4088,11 @@ class UIController {
             const tun0Lines = [
                 `tun0: flags=${flagsValue}<UP,POINTOPOINT,RUNNING,NOARP,MULTICAST>  mtu 1500`,
                 `        inet ${tun0.ipAddress}  netmask ${tun0.netmask}  destination ${tun0.ipAddress}`,
-                `        inet6 fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}  prefixlen 64  scopeid 0x20<link>`,
+                `        inet6 fe80::${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}:${Math.floor(window.simRandom.next() * 65535).toString(16).padStart(4, '0')}  prefixlen 64  scopeid 0x20<link>`,
                 `        unspec 00-00-00-00-00-00-00-00-00-00-00-00-00-00-00-00  txqueuelen 500  (UNSPEC)`,
-                `        RX packets ${Math.floor(Math.random() * 100)}  bytes ${Math.floor(Math.random() * 10000)} (${(Math.random() * 10).toFixed(1)} KB)`,
+                `        RX packets ${Math.floor(window.simRandom.next() * 100)}  bytes ${Math.floor(window.simRandom.next() * 10000)} (${(window.simRandom.next() * 10).toFixed(1)} KB)`,
                 `        RX errors 0  dropped 0  overruns 0  frame 0`,
-                `        TX packets ${Math.floor(Math.random() * 100) + 5}  bytes ${Math.floor(Math.random() * 1000) + 300} (${(Math.random() * 1).toFixed(1)} KB)`,
+                `        TX packets ${Math.floor(window.simRandom.next() * 100) + 5}  bytes ${Math.floor(window.simRandom.next() * 1000) + 300} (${(window.simRandom.next() * 1).toFixed(1)} KB)`,
                 `        TX errors 0  dropped 0 overruns 0  carrier 0  collisions 0`,
                 ''
             ];
@@ -2798,9 +4110,9 @@ class UIController {
                 `        inet ${tun.ipAddress}  netmask ${tun.netmask}  destination ${tun.destination}`,
                 `        inet6 ${tun.ipv6}  prefixlen 64  scopeid 0x20<link>`,
                 `        unspec 00-00-00-00-00-00-00-00-00-00-00-00-00-00-00-00  txqueuelen 500  (UNSPEC)`,
-                `        RX packets ${Math.floor(Math.random() * 100)}  bytes ${Math.floor(Math.random() * 10000)} (${(Math.random() * 10).toFixed(1)} KB)`,
+                `        RX packets ${Math.floor(window.simRandom.next() * 100)}  bytes ${Math.floor(window.simRandom.next() * 10000)} (${(window.simRandom.next() * 10).toFixed(1)} KB)`,
                 `        RX errors 0  dropped 0  overruns 0  frame 0`,
-                `        TX packets ${Math.floor(Math.random() * 100) + 5}  bytes ${Math.floor(Math.random() * 1000) + 300} (${(Math.random() * 1).toFixed(1)} KB)`,
+                `        TX packets ${Math.floor(window.simRandom.next() * 100) + 5}  bytes ${Math.floor(window.simRandom.next() * 1000) + 300} (${(window.simRandom.next() * 1).toFixed(1)} KB)`,
                 `        TX errors 0  dropped 0 overruns 0  carrier 0  collisions 0`,
                 ''
             ];
@@ -2817,7 +4129,7 @@ class UIController {
     generateMACAddress() {
         const parts = [];
         for (let i = 0; i < 6; i++) {
-            parts.push(Math.floor(Math.random() * 256).toString(16).padStart(2, '0'));
+            parts.push(Math.floor(window.simRandom.next() * 256).toString(16).padStart(2, '0'));
         }
         return parts.join(':');
     }
@@ -2900,6 +4212,7 @@ class UIController {
 
         // Determine if target is reachable
         const isReachable = this.isLinuxPingReachable(nf, targetIP, interfaceName);
+        const addedLatency = window.faultManager?.getAddedLatency(nf, targetIP) || 0;
 
         // Display initial message
         const iface = interfaceName || 'eth0';
@@ -2910,8 +4223,8 @@ class UIController {
         for (let i = 1; i <= count; i++) {
             await this.delay(1000); // 1 second between pings
 
-            if (isReachable) {
-                const responseTime = this.generateLinuxResponseTime(targetIP);
+            if (isReachable && !window.faultManager?.isPacketLost(nf, targetIP, i)) {
+                const responseTime = (parseFloat(this.generateLinuxResponseTime(targetIP)) + addedLatency).toFixed(1);
                 const ttl = this.getTTLForTarget(targetIP);
 
                 results.push({
@@ -3078,6 +4391,11 @@ class UIController {
      * @returns {boolean} True if reachable
      */
     isLinuxPingReachable(nf, targetIP, interfaceName) {
+        // Injected faults (crashed NF, partitioned subnet, 100% loss link)
+        if (window.faultManager?.getBlockingFault(nf, targetIP)) {
+            return false;
+        }
+
         // Internet connectivity (8.8.8.8) via tun interface
         if (interfaceName && nf.config.tunInterface) {
             if (targetIP === '8.8.8.8' || targetIP === '8.8.4.4') {
@@ -3097,7 +4415,7 @@ class UIController {
         }
 
         // Default reachability check
-        return Math.random() < 0.9;
+        return window.simRandom.chance(0.9);
     }
 
     /**
@@ -3108,14 +4426,14 @@ class UIController {
     generateLinuxResponseTime(targetIP) {
         // Internet (8.8.8.8) - 30-40ms
         if (targetIP === '8.8.8.8' || targetIP === '8.8.4.4') {
-            return (Math.random() * 10 + 30).toFixed(1);
+            return (window.simRandom.next() * 10 + 30).toFixed(1);
         }
         // Gateway (10.0.0.1) - 9-20ms
         if (targetIP === '10.0.0.1') {
-            return (Math.random() * 11 + 9).toFixed(1);
+            return (window.simRandom.next() * 11 + 9).toFixed(1);
         }
         // UPF or local network - 20-25ms
-        return (Math.random() * 5 + 20).toFixed(1);
+        return (window.simRandom.next() * 5 + 20).toFixed(1);
     }
 
     /**
@@ -3202,7 +4520,7 @@ class UIController {
             // Simulate successful ping to gateway
             for (let i = 0; i < 4; i++) {
                 await this.delay(500);
-                const time = Math.floor(Math.random() * 10) + 1;
+                const time = Math.floor(window.simRandom.next() * 10) + 1;
                 this.addTerminalLine(output, `Reply from ${target}: bytes=32 time=${time}ms TTL=64`, 'success');
             }
 
@@ -3257,14 +4575,15 @@ class UIController {
 
         // Check if target is reachable (same subnet)
         const isReachable = this.isTargetReachable(nf, target);
+        const addedLatency = window.faultManager?.getAddedLatency(nf, target) || 0;
         const results = [];
 
         // Send 4 ping packets with 0.5 second delays
         for (let i = 1; i <= 4; i++) {
             await this.delay(500); // 0.5 second delay
 
-            if (isReachable) {
-                const responseTime = this.generateResponseTime();
+            if (isReachable && !window.faultManager?.isPacketLost(nf, target, i)) {
+                const responseTime = this.generateResponseTime() + addedLatency;
                 const ttl = 255;
 
                 results.push({
@@ -3466,26 +4785,30 @@ class UIController {
     }
 
     isTargetReachable(sourceNf, targetIP) {
+        if (window.faultManager?.getBlockingFault(sourceNf, targetIP)) {
+            return false;
+        }
+
         const allNFs = window.dataStore?.getAllNFs() || [];
         const targetNf = allNFs.find(nf => nf.config.ipAddress === targetIP);
 
         if (!targetNf) {
-            return Math.random() < 0.1; // 10% success for unknown IPs
+            return window.simRandom.chance(0.1); // 10% success for unknown IPs
         }
 
         const sourceNetwork = this.getNetworkFromIP(sourceNf.config.ipAddress);
         const targetNetwork = this.getNetworkFromIP(targetIP);
 
         if (sourceNetwork !== targetNetwork) {
-            return Math.random() < 0.2; // 20% success for different networks
+            return window.simRandom.chance(0.2); // 20% success for different networks
         }
 
         // Check if both services are stable
         if (sourceNf.status !== 'stable' || targetNf.status !== 'stable') {
-            return Math.random() < 0.3; // 30% success if not both stable
+            return window.simRandom.chance(0.3); // 30% success if not both stable
         }
 
-        return Math.random() < 0.9; // 90% success for stable same-network services
+        return window.simRandom.chance(0.9); // 90% success for stable same-network services
     }
 
     getNetworkFromIP(ip) {
@@ -3494,8 +4817,8 @@ class UIController {
     }
 
     generateResponseTime() {
-        const baseTime = Math.random() * 50 + 1;
-        const variation = (Math.random() - 0.5) * 10;
+        const baseTime = window.simRandom.next() * 50 + 1;
+        const variation = (window.simRandom.next() - 0.5) * 10;
         return Math.max(1, Math.round(baseTime + variation));
     }
 
@@ -3527,8 +4850,8 @@ class UIController {
         }
 
         // Fallback if all subnets are full
-        const randomSubnet = Math.floor(Math.random() * 254) + 1;
-        const randomHost = Math.floor(Math.random() * 244) + 10;
+        const randomSubnet = Math.floor(window.simRandom.next() * 254) + 1;
+        const randomHost = Math.floor(window.simRandom.next() * 244) + 10;
         const fallbackIP = `192.168.${randomSubnet}.${randomHost}`;
 
         console.warn(`⚠️ Using fallback IP: ${fallbackIP}`);
@@ -3552,7 +4875,7 @@ class UIController {
         }
 
         // Fallback if all ports are used
-        const randomPort = Math.floor(Math.random() * 1000) + 8000;
+        const randomPort = Math.floor(window.simRandom.next() * 1000) + 8000;
         console.warn(`⚠️ Using fallback port: ${randomPort}`);
         return randomPort;
     }
@@ -3735,7 +5058,7 @@ class UIController {
         serverState.currentTest = { ue, ueIP, extDNIP, reverse, startTime: Date.now() };
 
         // Generate random port for connection
-        const clientPort = Math.floor(Math.random() * 50000) + 10000;
+        const clientPort = Math.floor(window.simRandom.next() * 50000) + 10000;
         const serverPort = 5201;
 
         // Client output
@@ -3781,11 +5104,12 @@ class UIController {
 
             // Generate realistic throughput values
             const baseBitrate = reverse ? 45 : 20; // Downlink typically higher
-            const variance = Math.random() * 10 - 5; // ±5 Mbits/sec variance
+            const variance = window.simRandom.next() * 10 - 5; // ±5 Mbits/sec variance
             const bitrate = Math.max(5, baseBitrate + variance); // Minimum 5 Mbits/sec
 
             const transfer = (bitrate * 1.0) / 8; // MBytes for 1 second
             totalTransfer += transfer;
+            window.loadModel?.setTraffic(ue.id, bitrate);
             totalBitrate += bitrate;
 
             const transferStr = transfer >= 1 ? `${transfer.toFixed(2)} MBytes` : `${(transfer * 1024).toFixed(0)} KBytes`;
@@ -3795,13 +5119,13 @@ class UIController {
 
             if (reverse) {
                 // Server sends
-                const cwnd = `${(100 + i * 20 + Math.random() * 50).toFixed(0)} KBytes`;
+                const cwnd = `${(100 + i * 20 + window.simRandom.next() * 50).toFixed(0)} KBytes`;
                 this.addTerminalLine(extDNOutput, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}    0    ${cwnd}`, 'info');
                 // Client receives
                 this.addTerminalLine(output, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}`, 'info');
             } else {
                 // Client sends
-                const cwnd = `${(100 + i * 20 + Math.random() * 50).toFixed(0)} KBytes`;
+                const cwnd = `${(100 + i * 20 + window.simRandom.next() * 50).toFixed(0)} KBytes`;
                 this.addTerminalLine(output, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}    0    ${cwnd}`, 'info');
                 // Server receives
                 this.addTerminalLine(extDNOutput, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}`, 'info');
@@ -3810,6 +5134,7 @@ class UIController {
 
         // Final summary line
         await this.delay(500);
+        window.loadModel?.clearTraffic(ue.id);
 
         const avgBitrate = totalBitrate / testDuration;
         const totalTransferStr = `${totalTransfer.toFixed(1)} MBytes`;
@@ -4198,6 +5523,514 @@ class UIController {
         return null;
     }
 
+    /**
+     * Render the list of active NRF subscriptions for the NRF config panel
+     * @returns {string} HTML
+     */
+    renderNRFSubscriptionList() {
+        const subscriptions = window.nrfRegistry?.getActiveSubscriptions() || [];
+
+        if (subscriptions.length === 0) {
+            return '<p class="config-hint">No NF has subscribed to status notifications yet.</p>';
+        }
+
+        const items = subscriptions.map(sub => `
+            <div class="nrf-subscription-item">
+                <span class="nrf-nf-badge">${sub.subscriberType}</span>
+                <span class="nrf-nf-name">${this.escapeHtml(sub.subscriberName)}</span>
+                <span class="nrf-subscription-cond">${this.escapeHtml(window.nrfRegistry.describeSubscriptionCondition(sub.subscrCond))}</span>
+                <small class="nrf-subscription-expiry">until ${new Date(sub.validityTime).toLocaleTimeString()}</small>
+            </div>
+        `).join('');
+
+        return `<div class="nrf-subscription-list">${items}</div>`;
+    }
+
+    /**
+     * Show the NF Profile editor: the NFProfile as JSON, validated against the
+     * bundled schema while typing, sent to the NRF as a registration PUT
+     * @param {Object} nf - NF to register
+     */
+    showNFProfileEditor(nf) {
+        const profile = window.nrfRegistry?.getEditableProfile(nf.id);
+        if (!profile) {
+            alert('NRF Registry is not available.');
+            return;
+        }
+
+        const uri = `/nnrf-nfm/v1/nf-instances/${nf.id}`;
+        const initialText = JSON.stringify(profile, null, 2);
+
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content nf-profile-editor">
+                <div class="json-modal-header">
+                    <h3>📝 NF Profile Editor - ${this.escapeHtml(nf.name)}</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="nf-profile-editor-uri">PUT ${uri}</div>
+                <textarea class="nf-profile-editor-text" spellcheck="false">${this.escapeHtml(initialText)}</textarea>
+                <div class="nf-profile-editor-errors"></div>
+                <div class="nf-profile-editor-actions">
+                    <button class="btn btn-secondary" data-action="reset">Reset</button>
+                    <button class="btn btn-primary" data-action="send">Send Registration (PUT)</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const textarea = modal.querySelector('.nf-profile-editor-text');
+        const errorBox = modal.querySelector('.nf-profile-editor-errors');
+
+        // Inline validation: the same checks the NRF runs, shown before anything is sent
+        const validate = () => {
+            const { invalidParams, cause } = window.nrfRegistry.checkProfileBody(nf.id, textarea.value);
+
+            if (invalidParams.length === 0) {
+                errorBox.className = 'nf-profile-editor-errors valid';
+                errorBox.textContent = '✅ Profile is valid against the NFProfile schema';
+                return;
+            }
+
+            errorBox.className = 'nf-profile-editor-errors invalid';
+            errorBox.innerHTML = `
+                <strong>${cause === 'INVALID_MSG_FORMAT' ? '❌ Malformed JSON' : `❌ ${invalidParams.length} schema error(s) - the NRF will reject this profile`}</strong>
+                <ul>
+                    ${invalidParams.map(p => `<li><code>${this.escapeHtml(p.param)}</code> ${this.escapeHtml(p.reason)}</li>`).join('')}
+                </ul>
+            `;
+        };
+
+        let validateTimeoutId = null;
+        textarea.addEventListener('input', () => {
+            clearTimeout(validateTimeoutId);
+            validateTimeoutId = setTimeout(validate, 300);
+        });
+        validate();
+
+        const close = () => {
+            clearTimeout(validateTimeoutId);
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+
+        modal.querySelector('[data-action="reset"]').onclick = () => {
+            textarea.value = initialText;
+            validate();
+        };
+
+        // Invalid profiles are sent as well, so the NRF's 400 ProblemDetails can be inspected
+        modal.querySelector('[data-action="send"]').onclick = () => {
+            if (!window.connectionManager?.isNRFReachable(nf.id)) {
+                alert(`❌ ${nf.name} cannot reach an NRF.\n\nConnect it to an NRF (directly or via a service bus) first.`);
+                return;
+            }
+
+            const result = window.nrfRegistry.putNFProfile(nf.id, textarea.value);
+            let request;
+            try {
+                request = JSON.parse(textarea.value);
+            } catch (e) {
+                request = { rawBody: textarea.value };
+            }
+
+            if (result.status >= 400) {
+                this.showSeparateJsonModal(`${nf.name} Registration Rejected`, request, result.body, {
+                    method: 'PUT', uri, status: this.formatNRFStatus(result)
+                });
+                return;
+            }
+
+            window.connectionManager?.startNFHeartbeat(nf.id);
+            close();
+            this.showSeparateJsonModal(`${nf.name} Registration`, request, result.body, {
+                method: 'PUT', uri, status: this.formatNRFStatus(result)
+            });
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
+    }
+
+    /**
+     * Show the fault injection panel: pick a fault type and target, inject it,
+     * and clear active faults
+     */
+    showFaultInjectionPanel() {
+        if (!window.faultManager) {
+            alert('Fault Manager is not available.');
+            return;
+        }
+
+        const faultTypes = window.faultManager.getFaultTypes();
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content fault-panel">
+                <div class="json-modal-header">
+                    <h3>💥 Fault Injection</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="fault-panel-form">
+                    <label>Fault
+                        <select class="fault-panel-type">
+                            ${Object.entries(faultTypes).map(([type, label]) =>
+                                `<option value="${type}">${label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Target
+                        <select class="fault-panel-target"></select>
+                    </label>
+                    <label class="fault-panel-param-label">
+                        <span class="fault-panel-param-name"></span>
+                        <input type="number" class="fault-panel-param" min="1">
+                    </label>
+                    <button class="btn btn-danger" data-action="inject">Inject</button>
+                </div>
+                <div class="fault-panel-effect"></div>
+                <div class="fault-panel-list"></div>
+                <div class="fault-panel-actions">
+                    <button class="btn btn-secondary" data-action="clear-all">Clear All Faults</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const typeSelect = modal.querySelector('.fault-panel-type');
+        const targetSelect = modal.querySelector('.fault-panel-target');
+        const paramLabel = modal.querySelector('.fault-panel-param-label');
+        const paramInput = modal.querySelector('.fault-panel-param');
+        const effectBox = modal.querySelector('.fault-panel-effect');
+        const listBox = modal.querySelector('.fault-panel-list');
+
+        // Target choices depend on the fault type: NFs, links or subnets
+        const updateForm = () => {
+            const type = typeSelect.value;
+            const allNFs = window.dataStore?.getAllNFs() || [];
+            let options = [];
+
+            if (type === 'LINK_LATENCY' || type === 'LINK_LOSS') {
+                options = (window.dataStore?.getAllConnections() || []).map(conn => {
+                    const source = window.dataStore.getNFById(conn.sourceId);
+                    const target = window.dataStore.getNFById(conn.targetId);
+                    const iface = conn.interfaceName ? ` (${conn.interfaceName})` : '';
+                    return { value: conn.id, label: `${source?.name || conn.sourceId} ↔ ${target?.name || conn.targetId}${iface}` };
+                });
+            } else if (type === 'PARTITION') {
+                const subnets = new Set(allNFs.map(nf => this.getNetworkFromIP(nf.config.ipAddress)));
+                options = Array.from(subnets).sort().map(subnet => ({ value: subnet, label: `${subnet}.0/24` }));
+            } else {
+                options = allNFs
+                    .filter(nf => type !== 'FREEZE_HEARTBEAT' || nf.type !== 'NRF')
+                    .map(nf => ({ value: nf.id, label: `${nf.name} (${nf.config.ipAddress})` }));
+            }
+
+            targetSelect.innerHTML = options.length > 0
+                ? options.map(o => `<option value="${this.escapeHtml(o.value)}">${this.escapeHtml(o.label)}</option>`).join('')
+                : '<option value="">No targets available</option>';
+
+            paramLabel.style.display = (type === 'LINK_LATENCY' || type === 'LINK_LOSS') ? '' : 'none';
+            modal.querySelector('.fault-panel-param-name').textContent = type === 'LINK_LOSS' ? 'Loss (%)' : 'Latency (ms)';
+            paramInput.value = type === 'LINK_LOSS' ? 25 : 200;
+
+            effectBox.textContent = window.faultManager.describeEffect({ type });
+        };
+
+        const renderActiveFaults = () => {
+            const faults = window.faultManager.getActiveFaults();
+            listBox.innerHTML = faults.length === 0
+                ? '<div class="fault-panel-empty">No active faults</div>'
+                : faults.map(fault => `
+                    <div class="fault-panel-item">
+                        <span>${this.escapeHtml(window.faultManager.describeFault(fault))}</span>
+                        <button class="btn btn-secondary" data-fault-id="${fault.faultId}">Clear</button>
+                    </div>
+                `).join('');
+
+            listBox.querySelectorAll('[data-fault-id]').forEach(btn => {
+                btn.onclick = () => {
+                    window.faultManager.clearFault(btn.dataset.faultId);
+                    renderActiveFaults();
+                };
+            });
+        };
+
+        typeSelect.addEventListener('change', updateForm);
+        updateForm();
+        renderActiveFaults();
+
+        modal.querySelector('[data-action="inject"]').onclick = () => {
+            const type = typeSelect.value;
+            const error = window.faultManager.injectFault(type, {
+                nfId: targetSelect.value,
+                connectionId: targetSelect.value,
+                subnet: targetSelect.value,
+                latencyMs: paramInput.value,
+                lossPercent: paramInput.value
+            });
+
+            if (error) {
+                alert(`❌ ${error}`);
+                return;
+            }
+            renderActiveFaults();
+        };
+
+        modal.querySelector('[data-action="clear-all"]').onclick = () => {
+            window.faultManager.clearAllFaults();
+            renderActiveFaults();
+        };
+
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
+    }
+
+    /**
+     * Show the scenario runner: pick a bundled scenario or paste one, run it and
+     * follow pass/fail per step
+     */
+    async showScenarioPanel() {
+        const runner = window.scenarioRunner;
+        if (!runner) {
+            alert('Scenario Runner is not available.');
+            return;
+        }
+
+        const scenarios = await runner.loadScenarios();
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+        modal.innerHTML = `
+            <div class="json-modal-content scenario-panel">
+                <div class="json-modal-header">
+                    <h3>🎬 Scenario Runner</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="scenario-panel-picker">
+                    <select class="scenario-panel-select">
+                        ${Object.entries(scenarios).map(([id, scenario]) =>
+                            `<option value="${this.escapeHtml(id)}">${this.escapeHtml(scenario.title || id)}</option>`).join('')}
+                        <option value="">Custom (paste JSON or YAML below)</option>
+                    </select>
+                    <span class="scenario-panel-description"></span>
+                </div>
+                <details class="scenario-panel-help">
+                    <summary>Step actions (each step may set "delay" and assertions "within", in simulated ms)</summary>
+                    <ul>
+                        ${Object.entries(runner.getActions()).map(([action, help]) =>
+                            `<li><code>${action}</code> ${this.escapeHtml(help)}</li>`).join('')}
+                    </ul>
+                </details>
+                <textarea class="nf-profile-editor-text scenario-panel-text" spellcheck="false"></textarea>
+                <div class="scenario-panel-results"></div>
+                <div class="nf-profile-editor-actions">
+                    <span class="scenario-panel-summary"></span>
+                    <button class="btn btn-secondary" data-action="stop" disabled>Stop</button>
+                    <button class="btn btn-primary" data-action="run">Run Scenario</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const select = modal.querySelector('.scenario-panel-select');
+        const textarea = modal.querySelector('.scenario-panel-text');
+        const description = modal.querySelector('.scenario-panel-description');
+        const resultsBox = modal.querySelector('.scenario-panel-results');
+        const summaryBox = modal.querySelector('.scenario-panel-summary');
+        const runBtn = modal.querySelector('[data-action="run"]');
+        const stopBtn = modal.querySelector('[data-action="stop"]');
+
+        const showScenario = () => {
+            const scenario = scenarios[select.value];
+            description.textContent = scenario?.description || '';
+            if (scenario) {
+                textarea.value = JSON.stringify(scenario, null, 2);
+            }
+            resultsBox.innerHTML = '';
+            summaryBox.textContent = '';
+        };
+        select.addEventListener('change', showScenario);
+        showScenario();
+
+        const icons = {
+            pending: '⏳', running: '▶️', passed: '✅', failed: '❌', done: '✔️', error: '⚠️', skipped: '⏭️'
+        };
+        const renderResults = (results) => {
+            resultsBox.innerHTML = results.map(result => `
+                <div class="scenario-step ${result.state}">
+                    <span class="scenario-step-icon">${icons[result.state]}</span>
+                    <span class="scenario-step-text">
+                        <strong>${result.index + 1}. ${this.escapeHtml(result.description)}</strong>
+                        ${result.message ? `<pre>${this.escapeHtml(result.message)}</pre>` : ''}
+                    </span>
+                </div>
+            `).join('');
+
+            const assertions = results.filter(r => r.assertion);
+            const passed = assertions.filter(r => r.state === 'passed').length;
+            summaryBox.textContent = `${passed}/${assertions.length} assertions passed`;
+        };
+
+        runBtn.onclick = async () => {
+            const { scenario, errors } = runner.parseScenario(textarea.value);
+            if (errors.length > 0) {
+                alert(`❌ Scenario is invalid:\n\n${errors.join('\n')}`);
+                return;
+            }
+            if (window.dataStore.getAllNFs().length > 0 &&
+                !confirm('Running a scenario clears the current topology. Continue?')) {
+                return;
+            }
+
+            runBtn.disabled = true;
+            stopBtn.disabled = false;
+            textarea.readOnly = true;
+
+            const summary = await runner.run(scenario, renderResults);
+            if (summary.error) {
+                alert(`❌ ${summary.error}`);
+            }
+
+            runBtn.disabled = false;
+            stopBtn.disabled = true;
+            textarea.readOnly = false;
+        };
+
+        stopBtn.onclick = () => runner.stop();
+
+        // Closing the panel does not stop a running scenario; its results stay in the log
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+        modal.querySelector('.json-modal-close').addEventListener('click', close);
+    }
+
+    /**
+     * Show a generic NRF message panel with split view (requests left, responses right)
+     * @param {string} title - Modal title
+     * @param {Array} records - Records with request/response payloads
+     * @param {string} requestLabel - Left panel heading
+     * @param {string} responseLabel - Right panel heading
+     * @param {Function} describe - Maps a record to { badge, name, detail } for item headers (optional)
+     */
+    showNRFMessagePanel(title, records, requestLabel, responseLabel, describe = null) {
+        const modal = document.createElement('div');
+        modal.className = 'json-modal';
+
+        const headerFor = (record) => {
+            const { badge, name, detail } = describe ? describe(record) : { badge: record.nfType, name: record.nfName };
+            return `
+                <div class="nrf-message-header">
+                    <span class="nrf-nf-badge">${this.escapeHtml(badge)}</span>
+                    <span class="nrf-nf-name">${this.escapeHtml(name)}</span>
+                    ${this.renderNRFStatusChip(record)}
+                </div>
+                ${detail ? `<div class="nrf-hop-chain">${this.escapeHtml(detail)}</div>` : ''}
+            `;
+        };
+
+        const itemsFor = (key, cssClass) => records.map(record => `
+            <div class="nrf-message-item">
+                ${headerFor(record)}
+                <pre class="json-modal-body ${cssClass}">${this.highlightJson(JSON.stringify(record[key], null, 2))}</pre>
+            </div>
+        `).join('');
+
+        modal.innerHTML = `
+            <div class="json-modal-content nrf-split-panel">
+                <div class="json-modal-header">
+                    <h3>📋 ${title} (${records.length})</h3>
+                    <button class="json-modal-close" aria-label="Close">✖</button>
+                </div>
+                <div class="nrf-panel-container">
+                    <div class="nrf-panel-side nrf-requests-panel">
+                        <div class="nrf-panel-header">
+                            <span class="nrf-panel-icon">📤</span>
+                            <h4>${requestLabel}</h4>
+                        </div>
+                        <div class="nrf-panel-content">
+                            ${itemsFor('request', 'json-request')}
+                        </div>
+                    </div>
+                    <div class="nrf-panel-side nrf-responses-panel">
+                        <div class="nrf-panel-header">
+                            <span class="nrf-panel-icon">📥</span>
+                            <h4>${responseLabel}</h4>
+                        </div>
+                        <div class="nrf-panel-content">
+                            ${itemsFor('response', 'json-response')}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const close = () => {
+            if (modal.parentNode) {
+                modal.parentNode.removeChild(modal);
+            }
+        };
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                close();
+            }
+        });
+
+        const closeBtn = modal.querySelector('.json-modal-close');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', close);
+        }
+    }
+
+    /**
+     * Status chip for a recorded NRF exchange (failed ones are highlighted)
+     * @param {Object} record - NRF message record with optional status
+     * @returns {string} HTML (empty for records without a status)
+     */
+    renderNRFStatusChip(record) {
+        if (!record.status) return '';
+        return `<span class="nrf-status-chip${record.failed ? ' failed' : ''}">${this.formatNRFStatus(record)}</span>`;
+    }
+
+    /**
+     * @param {Object} record - NRF message record or { status } result
+     * @param {number} fallback - Status to assume for records saved without one
+     * @returns {string} Status line, e.g. "404 Not Found"
+     */
+    formatNRFStatus(record, fallback = 200) {
+        const status = record.status || fallback;
+        return `${status} ${window.nrfRegistry?.getStatusText(status) || ''}`.trim();
+    }
+
     /**
      * Show NRF Registration Panel with split view (requests left, responses right)
      * @param {Array} records - Array of registration records
@@ -4217,6 +6050,7 @@ class UIController {
                     <div class="nrf-message-header">
                         <span class="nrf-nf-badge">${record.nfType}</span>
                         <span class="nrf-nf-name">${record.nfName}</span>
+                        ${this.renderNRFStatusChip(record)}
                     </div>
                     <pre class="json-modal-body json-request">${highlightedRequest}</pre>
                 </div>
@@ -4234,6 +6068,7 @@ class UIController {
                     <div class="nrf-message-header">
                         <span class="nrf-nf-badge">${record.nfType}</span>
                         <span class="nrf-nf-name">${record.nfName}</span>
+                        ${this.renderNRFStatusChip(record)}
                     </div>
                     <pre class="json-modal-body json-response">${highlightedResponse}</pre>
                 </div>
@@ -4308,6 +6143,7 @@ class UIController {
                     <div class="nrf-message-header">
                         <span class="nrf-nf-badge">${record.nfType}</span>
                         <span class="nrf-nf-name">${record.nfName}</span>
+                        ${this.renderNRFStatusChip(record)}
                     </div>
                     <pre class="json-modal-body json-request">${highlightedRequest}</pre>
                 </div>
@@ -4325,6 +6161,7 @@ class UIController {
                     <div class="nrf-message-header">
                         <span class="nrf-nf-badge">${record.nfType}</span>
                         <span class="nrf-nf-name">${record.nfName}</span>
+                        ${this.renderNRFStatusChip(record)}
                     </div>
                     <pre class="json-modal-body json-response">${highlightedResponse}</pre>
                 </div>